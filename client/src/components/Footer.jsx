@@ -23,6 +23,7 @@ const Footer = () => {
 	const quickLinks = [
 		{ name: 'Join Us', to: '/join' },
 		{ name: 'Events', to: '/event' },
+		{ name: 'My Tickets', to: '/my-tickets' },
 		{ name: 'Team', to: '/team' },
 		{ name: 'Contact', to: '/contact' },
 		{ name: 'Socials', to: '/socials' },
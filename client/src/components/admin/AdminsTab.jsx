@@ -0,0 +1,496 @@
+import { useCallback, useEffect, useState } from 'react';
+import {
+	Ban,
+	CheckCircle,
+	Copy,
+	Loader2,
+	Plus,
+	Save,
+	ShieldCheck,
+	ShieldOff,
+	Trash2,
+	X,
+} from 'lucide-react';
+import toast from 'react-hot-toast';
+import {
+	createAdminInvite,
+	getAdminInvites,
+	getAdminRoles,
+	getAdmins,
+	removeAdmin,
+	resetAdminTwoFactor,
+	revokeAdminInvite,
+	updateAdminRoles,
+	updateAdminStatus,
+} from '../../services/authServices.js';
+import { useAuth } from '../../hooks/useAuth.js';
+
+const sameRoles = (a = [], b = []) => a.length === b.length && a.every((role) => b.includes(role));
+
+const INPUT_CLASS =
+	'w-full px-3 py-2 bg-gray-700/50 border border-gray-600 rounded-lg text-white text-sm focus:outline-none focus:ring-2 focus:ring-blue-500';
+const LABEL_CLASS = 'block text-xs font-medium text-gray-300 mb-1';
+
+const INVITE_STATUS_STYLES = {
+	pending: 'bg-blue-900/30 text-blue-300',
+	accepted: 'bg-green-900/30 text-green-300',
+	revoked: 'bg-gray-700 text-gray-400',
+	expired: 'bg-gray-700 text-gray-400',
+};
+
+const EMPTY_INVITE = { role: 'checkin-volunteer', name: '', expiresInHours: '' };
+
+/**
+ * AdminsTab
+ * - Lists admins with the roles assigned to them; super admins tick roles and save per admin,
+ *   and disable or remove admins, or reset the 2FA of one who lost their authenticator.
+ * - An admin's permissions are those of all their roles together. Admins without roles can sign
+ *   in but see nothing.
+ * - New admins join through single-use invite links tied to a role. A link is only shown right
+ *   after it is created.
+ */
+const AdminsTab = ({ setDashboardError }) => {
+	const { user } = useAuth();
+	const [admins, setAdmins] = useState([]);
+	const [roles, setRoles] = useState([]);
+	const [drafts, setDrafts] = useState({});
+	const [loading, setLoading] = useState(true);
+	const [savingId, setSavingId] = useState(null);
+	const [invites, setInvites] = useState([]);
+	const [inviteForm, setInviteForm] = useState(EMPTY_INVITE);
+	const [inviting, setInviting] = useState(false);
+	const [inviteUrl, setInviteUrl] = useState('');
+
+	const load = useCallback(async () => {
+		setLoading(true);
+		try {
+			const [list, catalog, inviteList] = await Promise.all([
+				getAdmins(),
+				getAdminRoles(),
+				getAdminInvites(),
+			]);
+			setAdmins(list);
+			setRoles(catalog.roles || []);
+			setInvites(inviteList);
+			setDrafts({});
+		} catch (err) {
+			setDashboardError?.(err.message);
+		} finally {
+			setLoading(false);
+		}
+	}, [setDashboardError]);
+
+	useEffect(() => {
+		load();
+	}, [load]);
+
+	const rolesOf = (admin) => drafts[admin._id] ?? admin.roles ?? [];
+
+	const toggleRole = (admin, role) => {
+		const current = rolesOf(admin);
+		setDrafts((prev) => ({
+			...prev,
+			[admin._id]: current.includes(role)
+				? current.filter((r) => r !== role)
+				: [...current, role],
+		}));
+	};
+
+	const handleSave = async (admin) => {
+		setSavingId(admin._id);
+		try {
+			replaceAdmin(await updateAdminRoles(admin._id, rolesOf(admin)));
+			setDrafts((prev) => {
+				const next = { ...prev };
+				delete next[admin._id];
+				return next;
+			});
+			toast.success(`Roles of ${admin.fullname} updated`);
+		} catch (err) {
+			toast.error(err.message);
+		} finally {
+			setSavingId(null);
+		}
+	};
+
+	const replaceAdmin = (updated) =>
+		setAdmins((prev) => prev.map((a) => (a._id === updated._id ? updated : a)));
+
+	const handleToggleStatus = async (admin) => {
+		const disable = admin.status !== 'disabled';
+		if (disable && !window.confirm(`Disable ${admin.fullname}? They are signed out at once.`)) {
+			return;
+		}
+		try {
+			replaceAdmin(await updateAdminStatus(admin._id, disable ? 'disabled' : 'active'));
+			toast.success(`${admin.fullname} ${disable ? 'disabled' : 'enabled'}`);
+		} catch (err) {
+			toast.error(err.message);
+		}
+	};
+
+	const handleResetTwoFactor = async (admin) => {
+		if (
+			!window.confirm(
+				`Reset two-factor authentication for ${admin.fullname}? Only do this after checking who is asking.`
+			)
+		) {
+			return;
+		}
+		try {
+			replaceAdmin(await resetAdminTwoFactor(admin._id));
+			toast.success(`Two-factor authentication reset for ${admin.fullname}`);
+		} catch (err) {
+			toast.error(err.message);
+		}
+	};
+
+	const handleRemove = async (admin) => {
+		if (!window.confirm(`Remove ${admin.fullname}'s admin account? This cannot be undone.`)) {
+			return;
+		}
+		try {
+			await removeAdmin(admin._id);
+			setAdmins((prev) => prev.filter((a) => a._id !== admin._id));
+			toast.success(`${admin.fullname} removed`);
+		} catch (err) {
+			toast.error(err.message);
+		}
+	};
+
+	const handleInvite = async (e) => {
+		e.preventDefault();
+		setInviting(true);
+		try {
+			const { invite, inviteUrl: url } = await createAdminInvite({
+				role: inviteForm.role,
+				name: inviteForm.name.trim(),
+				expiresInHours: Number(inviteForm.expiresInHours) || undefined,
+			});
+			setInvites((prev) => [invite, ...prev]);
+			setInviteUrl(url);
+			setInviteForm(EMPTY_INVITE);
+		} catch (err) {
+			toast.error(err.message);
+		} finally {
+			setInviting(false);
+		}
+	};
+
+	const handleCopyInvite = async () => {
+		try {
+			await navigator.clipboard.writeText(inviteUrl);
+			toast.success('Invite link copied');
+		} catch {
+			toast.error('Copy failed; select the link and copy it');
+		}
+	};
+
+	const handleRevokeInvite = async (invite) => {
+		if (!window.confirm('Revoke this invite? The link stops working.')) return;
+		try {
+			const updated = await revokeAdminInvite(invite._id);
+			setInvites((prev) =>
+				prev.map((i) => (i._id === updated._id ? { ...i, ...updated } : i))
+			);
+			toast.success('Invite revoked');
+		} catch (err) {
+			toast.error(err.message);
+		}
+	};
+
+	const roleLabel = (name) => roles.find((role) => role.name === name)?.label || name;
+
+	if (loading) {
+		return (
+			<div className="flex justify-center py-12">
+				<Loader2 className="h-8 w-8 animate-spin text-blue-500" />
+			</div>
+		);
+	}
+
+	return (
+		<div className="space-y-4">
+			<p className="text-sm text-gray-400">
+				Admins can do what their roles allow, all roles together. Admins without a role can
+				sign in but see nothing until one is given.
+			</p>
+
+			<div className="grid grid-cols-1 md:grid-cols-2 xl:grid-cols-3 gap-3">
+				{roles.map((role) => (
+					<div
+						key={role.name}
+						className="bg-gray-800/60 border border-gray-700 rounded-lg p-3 text-sm"
+					>
+						<div className="font-semibold text-white flex items-center gap-2">
+							<ShieldCheck className="h-4 w-4 text-blue-400" />
+							{role.label}
+						</div>
+						<p className="text-gray-400 mt-1">{role.description}</p>
+						<p className="text-xs text-gray-500 mt-2 mono">
+							{role.permissions.join(', ')}
+						</p>
+					</div>
+				))}
+			</div>
+
+			<div className="overflow-x-auto rounded-xl border border-gray-700">
+				<table className="min-w-full text-sm text-left">
+					<thead className="bg-gray-800 text-gray-400">
+						<tr>
+							<th className="px-4 py-3">Admin</th>
+							{roles.map((role) => (
+								<th key={role.name} className="px-4 py-3 text-center">
+									{role.label}
+								</th>
+							))}
+							<th className="px-4 py-3 text-right">Actions</th>
+						</tr>
+					</thead>
+					<tbody className="divide-y divide-gray-700">
+						{admins.map((admin) => {
+							const assigned = rolesOf(admin);
+							const changed = !sameRoles(assigned, admin.roles || []);
+							return (
+								<tr key={admin._id} className="text-gray-200">
+									<td className="px-4 py-3">
+										{admin.fullname}
+										{admin._id === user?._id && (
+											<span className="ml-2 text-xs text-gray-500">
+												(you)
+											</span>
+										)}
+										{admin.twoFactor?.enabled && (
+											<span className="ml-2 text-xs text-green-400">2FA</span>
+										)}
+										{admin.status === 'disabled' ? (
+											<div className="text-xs text-red-400">Disabled</div>
+										) : (
+											assigned.length === 0 && (
+												<div className="text-xs text-yellow-400">
+													No role
+												</div>
+											)
+										)}
+									</td>
+									{roles.map((role) => (
+										<td key={role.name} className="px-4 py-3 text-center">
+											<input
+												type="checkbox"
+												checked={assigned.includes(role.name)}
+												onChange={() => toggleRole(admin, role.name)}
+												aria-label={`${role.label} for ${admin.fullname}`}
+											/>
+										</td>
+									))}
+									<td className="px-4 py-3">
+										<div className="flex justify-end gap-2">
+											<button
+												onClick={() => handleSave(admin)}
+												disabled={!changed || savingId === admin._id}
+												className="inline-flex items-center gap-2 px-3 py-1.5 rounded bg-blue-600 text-white hover:bg-blue-700 disabled:opacity-40"
+											>
+												{savingId === admin._id ? (
+													<Loader2 className="h-4 w-4 animate-spin" />
+												) : (
+													<Save className="h-4 w-4" />
+												)}
+												Save
+											</button>
+											{admin._id !== user?._id && (
+												<>
+													<button
+														onClick={() => handleToggleStatus(admin)}
+														className="p-2 rounded bg-gray-700/60 text-white hover:bg-gray-700"
+														aria-label={
+															admin.status === 'disabled'
+																? 'Enable admin'
+																: 'Disable admin'
+														}
+														title={
+															admin.status === 'disabled'
+																? 'Enable'
+																: 'Disable'
+														}
+													>
+														{admin.status === 'disabled' ? (
+															<CheckCircle className="h-4 w-4" />
+														) : (
+															<Ban className="h-4 w-4" />
+														)}
+													</button>
+													{admin.twoFactor?.enabled && (
+														<button
+															onClick={() =>
+																handleResetTwoFactor(admin)
+															}
+															className="p-2 rounded bg-gray-700/60 text-white hover:bg-gray-700"
+															aria-label="Reset two-factor authentication"
+															title="Reset 2FA"
+														>
+															<ShieldOff className="h-4 w-4" />
+														</button>
+													)}
+													<button
+														onClick={() => handleRemove(admin)}
+														className="p-2 rounded bg-red-700/50 text-white hover:bg-red-700"
+														aria-label="Remove admin"
+														title="Remove"
+													>
+														<Trash2 className="h-4 w-4" />
+													</button>
+												</>
+											)}
+										</div>
+									</td>
+								</tr>
+							);
+						})}
+					</tbody>
+				</table>
+			</div>
+
+			<div className="bg-gray-800/60 border border-gray-700 rounded-xl p-5 space-y-4">
+				<h3 className="text-lg font-semibold text-white">Invite an admin</h3>
+				<form
+					onSubmit={handleInvite}
+					className="grid grid-cols-1 md:grid-cols-4 gap-4 items-end"
+				>
+					<div>
+						<label className={LABEL_CLASS}>Role</label>
+						<select
+							value={inviteForm.role}
+							onChange={(e) => setInviteForm((f) => ({ ...f, role: e.target.value }))}
+							className={INPUT_CLASS}
+						>
+							{roles.map((role) => (
+								<option key={role.name} value={role.name}>
+									{role.label}
+								</option>
+							))}
+						</select>
+					</div>
+					<div>
+						<label className={LABEL_CLASS}>For (optional)</label>
+						<input
+							value={inviteForm.name}
+							onChange={(e) => setInviteForm((f) => ({ ...f, name: e.target.value }))}
+							className={INPUT_CLASS}
+							placeholder="e.g. Priya, gate volunteer"
+						/>
+					</div>
+					<div>
+						<label className={LABEL_CLASS}>Expires after (hours)</label>
+						<input
+							type="number"
+							min="1"
+							max="720"
+							value={inviteForm.expiresInHours}
+							onChange={(e) =>
+								setInviteForm((f) => ({ ...f, expiresInHours: e.target.value }))
+							}
+							className={INPUT_CLASS}
+							placeholder="72"
+						/>
+					</div>
+					<button
+						type="submit"
+						disabled={inviting}
+						className="inline-flex items-center justify-center gap-2 px-4 py-2 rounded-lg bg-blue-600 text-white hover:bg-blue-700 disabled:opacity-50"
+					>
+						{inviting ? (
+							<Loader2 className="h-4 w-4 animate-spin" />
+						) : (
+							<Plus className="h-4 w-4" />
+						)}
+						Create invite
+					</button>
+				</form>
+
+				{inviteUrl && (
+					<div className="rounded-lg border border-blue-700 bg-blue-900/20 p-3 text-sm">
+						<div className="flex items-center justify-between gap-2">
+							<span className="text-blue-200">
+								Send this link to the invitee. It works once and won&apos;t be shown
+								again.
+							</span>
+							<button
+								onClick={() => setInviteUrl('')}
+								className="text-gray-400 hover:text-white"
+								aria-label="Dismiss"
+							>
+								<X className="h-4 w-4" />
+							</button>
+						</div>
+						<div className="mt-2 flex gap-2">
+							<input
+								readOnly
+								value={inviteUrl}
+								onFocus={(e) => e.target.select()}
+								className={`${INPUT_CLASS} mono`}
+							/>
+							<button
+								onClick={handleCopyInvite}
+								className="inline-flex items-center gap-2 px-3 py-2 rounded-lg bg-gray-700 text-white hover:bg-gray-600"
+							>
+								<Copy className="h-4 w-4" /> Copy
+							</button>
+						</div>
+					</div>
+				)}
+
+				{invites.length > 0 && (
+					<div className="overflow-x-auto rounded-xl border border-gray-700">
+						<table className="min-w-full text-sm text-left">
+							<thead className="bg-gray-800 text-gray-400">
+								<tr>
+									<th className="px-4 py-3">For</th>
+									<th className="px-4 py-3">Role</th>
+									<th className="px-4 py-3">Status</th>
+									<th className="px-4 py-3">Expires</th>
+									<th className="px-4 py-3 text-right">Actions</th>
+								</tr>
+							</thead>
+							<tbody className="divide-y divide-gray-700">
+								{invites.map((invite) => (
+									<tr key={invite._id} className="text-gray-200">
+										<td className="px-4 py-3">
+											{invite.acceptedBy?.fullname || invite.name || '—'}
+										</td>
+										<td className="px-4 py-3">{roleLabel(invite.role)}</td>
+										<td className="px-4 py-3">
+											<span
+												className={`px-2 py-0.5 rounded-full text-xs ${
+													INVITE_STATUS_STYLES[invite.status] || ''
+												}`}
+											>
+												{invite.status}
+											</span>
+										</td>
+										<td className="px-4 py-3">
+											{new Date(invite.expiresAt).toLocaleString()}
+										</td>
+										<td className="px-4 py-3">
+											<div className="flex justify-end">
+												{invite.status === 'pending' && (
+													<button
+														onClick={() => handleRevokeInvite(invite)}
+														className="px-3 py-1.5 rounded bg-red-700/50 text-white hover:bg-red-700"
+													>
+														Revoke
+													</button>
+												)}
+											</div>
+										</td>
+									</tr>
+								))}
+							</tbody>
+						</table>
+					</div>
+				)}
+			</div>
+		</div>
+	);
+};
+
+export default AdminsTab;
@@ -0,0 +1,127 @@
+import React, { useState } from 'react';
+import { Ban, Loader2, X } from 'lucide-react';
+
+/**
+ * CancelTicketModal
+ * - Cancels a ticket and optionally refunds it: through the payment gateway, or by recording a
+ *   refund paid out by hand (with its bank/UPI reference).
+ * - Paid tickets default to a gateway refund; free tickets can only be cancelled.
+ */
+const CancelTicketModal = ({ ticket, loading, onClose, onConfirm }) => {
+	const paid = Number(ticket?.paymentDetails?.amount) > 0;
+	const [refund, setRefund] = useState(paid ? 'gateway' : 'none');
+	const [reason, setReason] = useState('');
+	const [reference, setReference] = useState('');
+
+	if (!ticket) return null;
+
+	const handleSubmit = (e) => {
+		e.preventDefault();
+		onConfirm({
+			refund,
+			reason: reason.trim() || undefined,
+			reference: refund === 'manual' ? reference.trim() || undefined : undefined,
+		});
+	};
+
+	return (
+		<div className="fixed inset-0 z-50 flex items-center justify-center p-4 bg-black/60">
+			<form
+				onSubmit={handleSubmit}
+				className="w-full max-w-md bg-gray-900 rounded-lg overflow-hidden border border-gray-800 shadow-xl"
+				role="dialog"
+				aria-modal="true"
+			>
+				<div className="flex items-center justify-between px-4 py-3 border-b border-gray-800">
+					<h3 className="text-lg font-semibold text-white truncate">
+						Cancel ticket: {ticket.fullName || ticket.ticketId}
+					</h3>
+					<button
+						type="button"
+						onClick={onClose}
+						className="text-gray-400 hover:text-white"
+						aria-label="Close"
+					>
+						<X className="h-5 w-5" />
+					</button>
+				</div>
+
+				<div className="p-4 space-y-4 text-sm">
+					<p className="text-gray-400">
+						The attendee is emailed and their QR code stops working. The place is freed
+						for new registrations.
+					</p>
+
+					<div>
+						<label className="block text-gray-400 mb-2">Refund</label>
+						<select
+							className="w-full bg-gray-700/50 border border-gray-600 rounded-lg px-3 py-2 text-white"
+							value={refund}
+							onChange={(e) => setRefund(e.target.value)}
+						>
+							{paid && (
+								<option value="gateway">
+									Refund ₹{ticket.paymentDetails.amount} through{' '}
+									{ticket.paymentDetails.method || 'the payment gateway'}
+								</option>
+							)}
+							{paid && <option value="manual">Record a manual refund</option>}
+							<option value="none">No refund</option>
+						</select>
+					</div>
+
+					{refund === 'manual' && (
+						<div>
+							<label className="block text-gray-400 mb-2">Refund reference</label>
+							<input
+								type="text"
+								className="w-full bg-gray-700/50 border border-gray-600 rounded-lg px-3 py-2 text-white"
+								value={reference}
+								onChange={(e) => setReference(e.target.value)}
+								placeholder="UPI / bank transaction reference"
+								maxLength={100}
+							/>
+						</div>
+					)}
+
+					<div>
+						<label className="block text-gray-400 mb-2">
+							Reason (sent to attendee)
+						</label>
+						<textarea
+							className="w-full bg-gray-700/50 border border-gray-600 rounded-lg px-3 py-2 text-white"
+							rows={3}
+							value={reason}
+							onChange={(e) => setReason(e.target.value)}
+							maxLength={500}
+						/>
+					</div>
+				</div>
+
+				<div className="flex justify-end gap-2 px-4 py-3 border-t border-gray-800">
+					<button
+						type="button"
+						onClick={onClose}
+						className="px-3 py-2 rounded-lg bg-gray-800 text-white"
+					>
+						Keep ticket
+					</button>
+					<button
+						type="submit"
+						disabled={loading}
+						className="inline-flex items-center gap-2 px-3 py-2 rounded-lg bg-red-700 hover:bg-red-600 text-white disabled:opacity-60"
+					>
+						{loading ? (
+							<Loader2 className="h-4 w-4 animate-spin" />
+						) : (
+							<Ban className="h-4 w-4" />
+						)}
+						Cancel ticket
+					</button>
+				</div>
+			</form>
+		</div>
+	);
+};
+
+export default CancelTicketModal;
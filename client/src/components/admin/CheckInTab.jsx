@@ -0,0 +1,552 @@
+import { useState, useRef, useCallback, useEffect } from 'react';
+import { useZxing } from 'react-zxing';
+import {
+	ScanLine,
+	CheckCircle,
+	XCircle,
+	AlertTriangle,
+	Camera,
+	CameraOff,
+	Loader2,
+	Search,
+	Clock,
+	WifiOff,
+	Wifi,
+	Download,
+	RefreshCw,
+} from 'lucide-react';
+import { useCheckInTicket, useOfflineCheckIn } from '../../hooks/useTickets.js';
+import { useEvent } from '../../hooks/useEvents.js';
+
+// Ignore repeat decodes of the same code while it is still in front of the camera
+const RESCAN_COOLDOWN_MS = 3000;
+const MAX_RECENT = 10;
+
+const formatTime = (value) => {
+	if (!value) return 'N/A';
+	const d = new Date(value);
+	if (Number.isNaN(d.getTime())) return 'N/A';
+	return d.toLocaleString(undefined, {
+		month: 'short',
+		day: 'numeric',
+		hour: '2-digit',
+		minute: '2-digit',
+		second: '2-digit',
+	});
+};
+
+const RESULT_STYLES = {
+	success: {
+		icon: <CheckCircle className="h-8 w-8 text-green-400" />,
+		box: 'bg-green-900/30 border-green-500',
+		title: 'Checked in',
+	},
+	duplicate: {
+		icon: <AlertTriangle className="h-8 w-8 text-yellow-400" />,
+		box: 'bg-yellow-900/30 border-yellow-500',
+		title: 'Already checked in',
+	},
+	error: {
+		icon: <XCircle className="h-8 w-8 text-red-400" />,
+		box: 'bg-red-900/30 border-red-500',
+		title: 'Rejected',
+	},
+};
+
+const ScanResult = ({ result }) => {
+	if (!result) {
+		return (
+			<div className="rounded-xl border border-gray-700 bg-gray-800/60 p-6 text-center text-gray-400">
+				<ScanLine className="h-10 w-10 mx-auto mb-3 text-gray-500" />
+				Point the camera at a ticket QR code.
+			</div>
+		);
+	}
+
+	const cfg = RESULT_STYLES[result.kind] || RESULT_STYLES.error;
+	const ticket = result.ticket || {};
+	const event = typeof ticket.eventId === 'object' ? ticket.eventId : null;
+
+	return (
+		<div className={`rounded-xl border-2 p-6 ${cfg.box}`} role="status" aria-live="polite">
+			<div className="flex items-center gap-3">
+				{cfg.icon}
+				<div>
+					<h3 className="text-xl font-bold text-white">{cfg.title}</h3>
+					<p className="text-sm text-gray-300">{result.message}</p>
+				</div>
+			</div>
+
+			{(ticket.fullName || ticket.ticketId) && (
+				<dl className="mt-4 grid grid-cols-2 gap-x-4 gap-y-2 text-sm">
+					<dt className="text-gray-400">Name</dt>
+					<dd className="text-white font-semibold">{ticket.fullName || '—'}</dd>
+					{ticket.lpuId && (
+						<>
+							<dt className="text-gray-400">LPU ID</dt>
+							<dd className="text-gray-200">{ticket.lpuId}</dd>
+						</>
+					)}
+					{ticket.email && (
+						<>
+							<dt className="text-gray-400">Email</dt>
+							<dd className="text-gray-200 truncate">{ticket.email}</dd>
+						</>
+					)}
+					<dt className="text-gray-400">Ticket</dt>
+					<dd className="text-gray-200 font-mono">{ticket.ticketId || '—'}</dd>
+					{(event?.title || ticket.eventName) && (
+						<>
+							<dt className="text-gray-400">Event</dt>
+							<dd className="text-gray-200">{event?.title || ticket.eventName}</dd>
+						</>
+					)}
+					{ticket.checkedInAt && (
+						<>
+							<dt className="text-gray-400">Checked in</dt>
+							<dd className="text-gray-200">{formatTime(ticket.checkedInAt)}</dd>
+						</>
+					)}
+				</dl>
+			)}
+		</div>
+	);
+};
+
+const SYNC_STATUS_STYLES = {
+	synced: 'text-green-400',
+	conflict: 'text-yellow-400',
+	rejected: 'text-red-400',
+};
+
+// Per-entry report from the last offline sync; only conflicts and rejections need attention
+const SyncReport = ({ report }) => {
+	if (!report) return null;
+	const flagged = (report.results || []).filter((r) => r.status !== 'synced');
+
+	return (
+		<div className="rounded-xl border border-gray-700 bg-gray-800/60">
+			<h3 className="px-4 py-3 text-sm font-semibold text-gray-300 border-b border-gray-700">
+				Last sync: {report.summary?.synced || 0} synced, {report.summary?.conflicts || 0}{' '}
+				conflicts, {report.summary?.rejected || 0} rejected
+			</h3>
+			{flagged.length > 0 && (
+				<ul className="divide-y divide-gray-700">
+					{flagged.map((r) => (
+						<li key={r.clientId} className="px-4 py-2 text-sm">
+							<div className="flex items-center justify-between gap-2">
+								<span className="text-white truncate">
+									{r.fullName || r.ticketId || 'Unknown ticket'}
+								</span>
+								<span
+									className={`uppercase text-xs ${SYNC_STATUS_STYLES[r.status]}`}
+								>
+									{r.status}
+								</span>
+							</div>
+							<p className="text-gray-400">{r.message}</p>
+							{r.conflictWith && (
+								<p className="text-gray-500 text-xs">
+									Other scan: {formatTime(r.conflictWith.checkedInAt)}
+									{r.conflictWith.checkedInGate
+										? ` at ${r.conflictWith.checkedInGate}`
+										: ''}
+									; this scan: {formatTime(r.checkedInAt)}
+									{r.checkedInGate ? ` at ${r.checkedInGate}` : ''}
+								</p>
+							)}
+						</li>
+					))}
+				</ul>
+			)}
+		</div>
+	);
+};
+
+const CheckInTab = ({ events = [], setDashboardError }) => {
+	const [selectedEventId, setSelectedEventId] = useState('');
+	const [scanning, setScanning] = useState(true);
+	const [cameraError, setCameraError] = useState('');
+	const [manualId, setManualId] = useState('');
+	const [result, setResult] = useState(null);
+	const [recent, setRecent] = useState([]);
+	const [gate, setGate] = useState('');
+	// Session to record attendance for instead of door entry ('' = door)
+	const [sessionId, setSessionId] = useState('');
+	const [online, setOnline] = useState(() => navigator.onLine);
+	const [offlineMode, setOfflineMode] = useState(() => !navigator.onLine);
+	const [syncReport, setSyncReport] = useState(null);
+
+	const { checkIn, loading } = useCheckInTicket();
+	const offline = useOfflineCheckIn(selectedEventId);
+	const lastScanRef = useRef({ text: null, at: 0 });
+
+	const { data: selectedEvent } = useEvent(selectedEventId || null);
+	const attendanceSessions = (selectedEvent?.sessions || []).filter((s) => s.attendance);
+	const selectedSession = attendanceSessions.find((s) => s._id === sessionId) || null;
+
+	useEffect(() => {
+		setSessionId('');
+	}, [selectedEventId]);
+
+	// auto-select first event for convenience
+	useEffect(() => {
+		if (!selectedEventId && events?.length) {
+			setSelectedEventId(events[0]._id);
+		}
+		// eslint-disable-next-line react-hooks/exhaustive-deps
+	}, [events]);
+
+	// switch to offline validation automatically when the connection drops
+	useEffect(() => {
+		const goOnline = () => setOnline(true);
+		const goOffline = () => {
+			setOnline(false);
+			setOfflineMode(true);
+		};
+		window.addEventListener('online', goOnline);
+		window.addEventListener('offline', goOffline);
+		return () => {
+			window.removeEventListener('online', goOnline);
+			window.removeEventListener('offline', goOffline);
+		};
+	}, []);
+
+	const submitCheckIn = useCallback(
+		async (payload) => {
+			const body = {
+				...payload,
+				eventId: selectedEventId || undefined,
+				gate: gate.trim() || undefined,
+				sessionId: selectedSession?._id,
+			};
+			let entry;
+			try {
+				if (selectedSession && offlineMode) {
+					entry = {
+						kind: 'error',
+						message: 'Session check-in needs a connection.',
+						ticket: {},
+					};
+				} else if (offlineMode) {
+					entry = await offline.recordScan(payload, body.gate);
+				} else {
+					const ticket = await checkIn(body);
+					entry = {
+						kind: 'success',
+						message: selectedSession
+							? `Checked in to ${selectedSession.title}.`
+							: 'Entry granted.',
+						ticket,
+					};
+				}
+			} catch (err) {
+				const details = err?.details || {};
+				if (err?.status === 409) {
+					entry = {
+						kind: 'duplicate',
+						message: `First checked in at ${formatTime(details.checkedInAt)}.`,
+						ticket: details,
+					};
+				} else {
+					entry = {
+						kind: 'error',
+						message: err?.message || 'Check-in failed.',
+						ticket: details,
+					};
+				}
+			}
+			entry.at = Date.now();
+			setResult(entry);
+			setRecent((prev) => [entry, ...prev].slice(0, MAX_RECENT));
+		},
+		[checkIn, selectedEventId, gate, selectedSession, offlineMode, offline]
+	);
+
+	const handleDecode = useCallback(
+		(decoded) => {
+			const text = decoded?.getText?.();
+			if (!text || loading) return;
+
+			const now = Date.now();
+			const last = lastScanRef.current;
+			if (last.text === text && now - last.at < RESCAN_COOLDOWN_MS) return;
+			lastScanRef.current = { text, at: now };
+
+			submitCheckIn({ qrData: text });
+		},
+		[loading, submitCheckIn]
+	);
+
+	const { ref: videoRef } = useZxing({
+		paused: !scanning,
+		onDecodeResult: handleDecode,
+		onError: (err) => {
+			const msg = err?.message || 'Unable to access the camera.';
+			setCameraError(msg);
+			setDashboardError?.(msg);
+		},
+	});
+
+	const handleManualSubmit = (e) => {
+		e.preventDefault();
+		const ticketId = manualId.trim();
+		if (!ticketId) return;
+		submitCheckIn({ ticketId });
+		setManualId('');
+	};
+
+	const handleSync = async () => {
+		try {
+			const report = await offline.sync();
+			if (report) setSyncReport(report);
+		} catch {
+			// toasted by the hook; entries stay queued for the next attempt
+		}
+	};
+
+	return (
+		<div className="space-y-6">
+			{/* header */}
+			<div className="flex flex-col md:flex-row items-start md:items-center justify-between gap-4">
+				<div>
+					<h2 className="text-2xl font-bold text-white flex items-center gap-3">
+						<ScanLine className="h-6 w-6 text-blue-400" />
+						Check-in
+					</h2>
+					<p className="text-sm text-gray-400 mt-1">
+						Scan ticket QR codes at the door. Each ticket can only be used once.
+					</p>
+				</div>
+
+				<div className="flex gap-2 w-full md:w-auto items-center">
+					<select
+						className="w-full md:w-auto bg-gray-700/50 border border-gray-600 rounded-lg px-3 py-2 text-white focus:outline-none focus:ring-2 focus:ring-blue-500"
+						value={selectedEventId}
+						onChange={(e) => setSelectedEventId(e.target.value)}
+						aria-label="Event to check in for"
+					>
+						<option value="">Any event</option>
+						{(events || []).map((event) => (
+							<option key={event._id} value={event._id}>
+								{event.title}
+							</option>
+						))}
+					</select>
+
+					{attendanceSessions.length > 0 && (
+						<select
+							className="w-full md:w-auto bg-gray-700/50 border border-gray-600 rounded-lg px-3 py-2 text-white focus:outline-none focus:ring-2 focus:ring-blue-500"
+							value={sessionId}
+							onChange={(e) => setSessionId(e.target.value)}
+							aria-label="Session to take attendance for"
+						>
+							<option value="">Door entry</option>
+							{attendanceSessions.map((session) => (
+								<option key={session._id} value={session._id}>
+									{session.title}
+								</option>
+							))}
+						</select>
+					)}
+
+					<input
+						type="text"
+						placeholder="Gate (optional)"
+						className="w-full md:w-36 bg-gray-700/50 border border-gray-600 rounded-lg px-3 py-2 text-white focus:outline-none focus:ring-2 focus:ring-blue-500"
+						value={gate}
+						onChange={(e) => setGate(e.target.value)}
+						maxLength={50}
+						aria-label="Gate name"
+					/>
+
+					<button
+						onClick={() => setScanning((s) => !s)}
+						className={`flex items-center gap-2 px-4 py-2 rounded-lg text-white transition ${
+							scanning
+								? 'bg-red-700/80 hover:bg-red-600'
+								: 'bg-blue-700/80 hover:bg-blue-600'
+						}`}
+					>
+						{scanning ? (
+							<CameraOff className="h-4 w-4" />
+						) : (
+							<Camera className="h-4 w-4" />
+						)}
+						{scanning ? 'Pause' : 'Resume'}
+					</button>
+				</div>
+			</div>
+
+			{/* offline mode */}
+			<div className="rounded-xl border border-gray-700 bg-gray-800/60 p-4 flex flex-col md:flex-row md:items-center justify-between gap-4">
+				<div className="flex items-center gap-3">
+					{online ? (
+						<Wifi className="h-5 w-5 text-green-400" />
+					) : (
+						<WifiOff className="h-5 w-5 text-red-400" />
+					)}
+					<div className="text-sm">
+						<p className="text-white font-semibold">
+							{offlineMode ? 'Offline mode' : 'Online mode'}
+							{!online && ' (no connection)'}
+						</p>
+						<p className="text-gray-400">
+							{offline.snapshot
+								? `Snapshot of ${offline.snapshot.tickets.length} tickets from ${formatTime(
+										offline.snapshot.generatedAt
+									)}, valid until ${formatTime(offline.snapshot.expiresAt)}.`
+								: 'No offline snapshot for this event yet.'}
+							{offline.queue.length > 0 &&
+								` ${offline.queue.length} check-ins pending sync.`}
+						</p>
+					</div>
+				</div>
+
+				<div className="flex flex-wrap gap-2">
+					<button
+						onClick={() => offline.download().catch(() => {})}
+						disabled={!online || !selectedEventId || offline.loading}
+						className={`flex items-center gap-2 px-3 py-2 rounded-lg text-white text-sm ${
+							!online || !selectedEventId || offline.loading
+								? 'bg-gray-600 cursor-not-allowed'
+								: 'bg-indigo-700/80 hover:bg-indigo-600'
+						}`}
+						title={selectedEventId ? undefined : 'Select an event first'}
+					>
+						{offline.loading ? (
+							<Loader2 className="h-4 w-4 animate-spin" />
+						) : (
+							<Download className="h-4 w-4" />
+						)}
+						{offline.snapshot ? 'Refresh snapshot' : 'Download snapshot'}
+					</button>
+					<button
+						onClick={handleSync}
+						disabled={!online || !offline.queue.length || offline.syncing}
+						className={`flex items-center gap-2 px-3 py-2 rounded-lg text-white text-sm ${
+							!online || !offline.queue.length || offline.syncing
+								? 'bg-gray-600 cursor-not-allowed'
+								: 'bg-green-700/80 hover:bg-green-600'
+						}`}
+					>
+						<RefreshCw className={`h-4 w-4 ${offline.syncing ? 'animate-spin' : ''}`} />
+						Sync {offline.queue.length || ''}
+					</button>
+					<button
+						onClick={() => setOfflineMode((m) => !m)}
+						disabled={!selectedEventId}
+						className={`flex items-center gap-2 px-3 py-2 rounded-lg text-white text-sm ${
+							!selectedEventId
+								? 'bg-gray-600 cursor-not-allowed'
+								: offlineMode
+									? 'bg-yellow-700/80 hover:bg-yellow-600'
+									: 'bg-gray-700 hover:bg-gray-600'
+						}`}
+					>
+						{offlineMode ? (
+							<Wifi className="h-4 w-4" />
+						) : (
+							<WifiOff className="h-4 w-4" />
+						)}
+						{offlineMode ? 'Go online' : 'Go offline'}
+					</button>
+				</div>
+			</div>
+
+			<div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
+				{/* camera */}
+				<div className="space-y-4">
+					<div className="relative rounded-xl overflow-hidden border border-gray-700 bg-black aspect-square md:aspect-video">
+						<video ref={videoRef} className="w-full h-full object-cover" muted />
+						{!scanning && (
+							<div className="absolute inset-0 flex items-center justify-center bg-black/70 text-gray-300">
+								Scanner paused
+							</div>
+						)}
+						{loading && (
+							<div className="absolute top-3 right-3 bg-black/60 rounded-full p-2">
+								<Loader2 className="h-5 w-5 animate-spin text-blue-400" />
+							</div>
+						)}
+					</div>
+
+					{cameraError && (
+						<p className="text-sm text-red-300">
+							{cameraError} Use the manual entry below instead.
+						</p>
+					)}
+
+					<form onSubmit={handleManualSubmit} className="flex gap-2">
+						<div className="relative flex-1">
+							<Search className="absolute left-3 top-1/2 transform -translate-y-1/2 h-4 w-4 text-gray-400" />
+							<input
+								type="text"
+								placeholder="Enter ticket ID (e.g. TICKET-1A2B3C4D)"
+								className="w-full pl-10 pr-4 py-2 bg-gray-700/50 border border-gray-600 rounded-lg text-white focus:outline-none focus:ring-2 focus:ring-blue-500"
+								value={manualId}
+								onChange={(e) => setManualId(e.target.value)}
+								aria-label="Ticket ID"
+							/>
+						</div>
+						<button
+							type="submit"
+							disabled={loading || !manualId.trim()}
+							className={`px-4 py-2 rounded-lg text-white ${
+								loading || !manualId.trim()
+									? 'bg-gray-600 cursor-not-allowed'
+									: 'bg-cyan-700/80 hover:bg-cyan-600'
+							}`}
+						>
+							Check in
+						</button>
+					</form>
+				</div>
+
+				{/* result + history */}
+				<div className="space-y-4">
+					<ScanResult result={result} />
+
+					<SyncReport report={syncReport} />
+
+					{recent.length > 0 && (
+						<div className="rounded-xl border border-gray-700 bg-gray-800/60">
+							<h3 className="px-4 py-3 text-sm font-semibold text-gray-300 border-b border-gray-700">
+								Recent scans
+							</h3>
+							<ul className="divide-y divide-gray-700">
+								{recent.map((entry) => (
+									<li
+										key={entry.at}
+										className="px-4 py-2 flex items-center justify-between text-sm"
+									>
+										<span className="flex items-center gap-2 min-w-0">
+											{entry.kind === 'success' ? (
+												<CheckCircle className="h-4 w-4 text-green-400 shrink-0" />
+											) : entry.kind === 'duplicate' ? (
+												<AlertTriangle className="h-4 w-4 text-yellow-400 shrink-0" />
+											) : (
+												<XCircle className="h-4 w-4 text-red-400 shrink-0" />
+											)}
+											<span className="text-white truncate">
+												{entry.ticket?.fullName ||
+													entry.ticket?.ticketId ||
+													entry.message}
+											</span>
+										</span>
+										<span className="flex items-center gap-1 text-gray-400 shrink-0">
+											<Clock className="h-3 w-3" />
+											{formatTime(entry.at)}
+										</span>
+									</li>
+								))}
+							</ul>
+						</div>
+					)}
+				</div>
+			</div>
+		</div>
+	);
+};
+
+export default CheckInTab;
@@ -13,7 +13,8 @@ import {
 	AlertTriangle,
 	Loader2,
 } from 'lucide-react';
-import { registerForEvent } from '../../services/ticketServices.js';
+import { registerForEvent, ticketQrImageUrl } from '../../services/ticketServices.js';
+import RegistrationFields from '../upcoming_events/registrationFields.jsx';
 
 const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
 const phoneRegex = /^[0-9+\-\s]{7,15}$/;
@@ -31,6 +32,7 @@ const CreateTicket = ({ token, events = [], onClose, loadingEvents = false }) =>
 		club: '',
 		eventId: events?.[0]?._id || '',
 		eventName: events?.[0]?.title || '',
+		answers: {},
 	});
 	const [error, setError] = useState('');
 	const [fieldErrors, setFieldErrors] = useState({});
@@ -89,6 +91,8 @@ const CreateTicket = ({ token, events = [], onClose, loadingEvents = false }) =>
 			if (name === 'eventId') {
 				const ev = events.find((ev) => ev._id === value);
 				next.eventName = ev?.title || '';
+				// Answers belong to the previous event's registration fields
+				next.answers = {};
 			}
 			// if hosteler changed to false, clear hostel
 			if (name === 'hosteler' && value === 'false') next.hostel = '';
@@ -114,6 +118,8 @@ const CreateTicket = ({ token, events = [], onClose, loadingEvents = false }) =>
 		return errors;
 	};
 
+	const selectedEvent = events.find((ev) => ev._id === formData.eventId);
+
 	const handleDismissError = () => setError('');
 
 	const handleSubmit = async (e) => {
@@ -154,6 +160,7 @@ const CreateTicket = ({ token, events = [], onClose, loadingEvents = false }) =>
 				club: '',
 				eventId: prev.eventId || events?.[0]?._id || '',
 				eventName: prev.eventName || events?.[0]?.title || '',
+				answers: {},
 			}));
 		} catch (err) {
 			// normalize backend validation shape
@@ -164,7 +171,7 @@ const CreateTicket = ({ token, events = [], onClose, loadingEvents = false }) =>
 					? backendErrors.reduce((acc, e) => {
 							if (e.param || e.path) acc[e.param || e.path] = e.msg || e.message;
 							return acc;
-					  }, {})
+						}, {})
 					: backendErrors;
 				setFieldErrors(newFieldErrors);
 				setError('Please correct the highlighted fields.');
@@ -281,7 +288,7 @@ const CreateTicket = ({ token, events = [], onClose, loadingEvents = false }) =>
 						<div className="flex flex-col items-center gap-4 mt-6">
 							{ticketDetails.qrCode?.url ? (
 								<img
-									src={ticketDetails.qrCode.url}
+									src={ticketQrImageUrl(ticketDetails)}
 									alt="QR Code"
 									className="w-40 h-40 mx-auto rounded-lg border border-gray-700 bg-white"
 								/>
@@ -491,6 +498,21 @@ const CreateTicket = ({ token, events = [], onClose, loadingEvents = false }) =>
 									disabled: true,
 								})}
 							</div>
+							<div className="mt-4">
+								<RegistrationFields
+									fields={selectedEvent?.registrationFields}
+									eventId={formData.eventId}
+									answers={formData.answers}
+									onChange={(key, value) =>
+										setFormData((prev) => ({
+											...prev,
+											answers: { ...prev.answers, [key]: value },
+										}))
+									}
+									inputClassName="w-full px-4 py-2 bg-gray-700/50 border border-gray-600 rounded-lg text-white focus:outline-none focus:ring-2 focus:ring-blue-500"
+									labelClassName="block text-sm text-gray-400 mb-1"
+								/>
+							</div>
 						</div>
 
 						<div className="flex flex-col md:flex-row justify-end gap-3 pt-4">
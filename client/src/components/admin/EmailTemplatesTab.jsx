@@ -0,0 +1,545 @@
+import { useCallback, useEffect, useState } from 'react';
+import { Eye, Loader2, Mail, Pencil, Plus, Trash2 } from 'lucide-react';
+import toast from 'react-hot-toast';
+import {
+	createEmailTemplate,
+	deleteEmailTemplate,
+	getDefaultEmailTemplates,
+	getEmailTemplate,
+	getEmailTemplates,
+	previewEmailTemplate,
+	updateEmailTemplate,
+} from '../../services/emailTemplateServices.js';
+import { getAllFests } from '../../services/arvantisServices.js';
+
+const TYPE_LABELS = {
+	registration: 'Registration / ticket',
+	ticketCancellation: 'Ticket cancellation',
+	waitlistOffer: 'Waitlist offer',
+	teamInvite: 'Team invite',
+	attendeeLoginCode: 'Ticket login code',
+	eventReminder: 'Event reminder',
+	eventUpdate: 'Event update',
+};
+
+const EMPTY_BRAND = {
+	name: '',
+	fromName: '',
+	replyTo: '',
+	primaryColor: '',
+	logoUrl: '',
+	footer: '',
+};
+
+const INPUT_CLASS =
+	'w-full px-3 py-2 bg-gray-700/50 border border-gray-600 rounded-lg text-white text-sm focus:outline-none focus:ring-2 focus:ring-blue-500';
+const LABEL_CLASS = 'block text-xs font-medium text-gray-300 mb-1';
+
+const scopeOf = (template) => (template.event ? 'event' : template.fest ? 'fest' : 'default');
+
+const scopeLabel = (template) => {
+	if (template.event) return `Event: ${template.event.title || template.event}`;
+	if (template.fest) {
+		return `Fest: ${[template.fest.name, template.fest.year].filter(Boolean).join(' ')}`;
+	}
+	return 'Default';
+};
+
+// Editor state from a stored template, or a new draft from the built-in template of a type
+const toDraft = (template, defaults, type = 'registration') => {
+	if (template) {
+		return {
+			_id: template._id,
+			name: template.name,
+			type: template.type,
+			scope: scopeOf(template),
+			event: template.event?._id || template.event || '',
+			fest: template.fest?._id || template.fest || '',
+			brand: { ...EMPTY_BRAND, ...template.brand },
+			subject: template.subject,
+			html: template.html,
+			text: template.text || '',
+			isActive: template.isActive,
+		};
+	}
+	const base = defaults.find((d) => d.type === type) || {};
+	return {
+		name: '',
+		type,
+		scope: 'default',
+		event: '',
+		fest: '',
+		brand: { ...EMPTY_BRAND },
+		subject: base.subject || '',
+		html: (base.html || '').trim(),
+		text: '',
+		isActive: true,
+	};
+};
+
+const toPayload = (draft) => ({
+	name: draft.name.trim(),
+	type: draft.type,
+	event: draft.scope === 'event' ? draft.event : null,
+	fest: draft.scope === 'fest' ? draft.fest : null,
+	brand: Object.fromEntries(
+		Object.entries(draft.brand).map(([key, value]) => [key, value.trim()])
+	),
+	subject: draft.subject,
+	html: draft.html,
+	text: draft.text,
+	isActive: draft.isActive,
+});
+
+/**
+ * EmailTemplatesTab
+ * - Stored email templates per type, scoped to an event, a fest or everything (default).
+ *   Emails use the event's template, else its fest's, else the default, else the built-in one.
+ * - The editor previews drafts with sample values before saving.
+ */
+const EmailTemplatesTab = ({ events = [], setDashboardError }) => {
+	const [templates, setTemplates] = useState([]);
+	const [defaults, setDefaults] = useState([]);
+	const [fests, setFests] = useState([]);
+	const [loading, setLoading] = useState(true);
+	const [draft, setDraft] = useState(null);
+	const [preview, setPreview] = useState(null);
+	const [previewing, setPreviewing] = useState(false);
+	const [saving, setSaving] = useState(false);
+
+	const load = useCallback(async () => {
+		setLoading(true);
+		try {
+			const [list, builtIn] = await Promise.all([
+				getEmailTemplates(),
+				getDefaultEmailTemplates(),
+			]);
+			setTemplates(list);
+			setDefaults(builtIn);
+		} catch (err) {
+			setDashboardError?.(err.message);
+		} finally {
+			setLoading(false);
+		}
+	}, [setDashboardError]);
+
+	useEffect(() => {
+		load();
+		getAllFests({ limit: 50, sortBy: 'year', sortOrder: 'desc' }, { admin: true })
+			.then((result) => setFests(result.docs || []))
+			.catch(() => setFests([]));
+	}, [load]);
+
+	const variables = defaults.find((d) => d.type === draft?.type)?.variables || [];
+
+	const openEditor = async (template) => {
+		setPreview(null);
+		if (!template) {
+			setDraft(toDraft(null, defaults));
+			return;
+		}
+		try {
+			setDraft(toDraft(await getEmailTemplate(template._id), defaults));
+		} catch (err) {
+			toast.error(err.message);
+		}
+	};
+
+	const updateDraft = (changes) => setDraft((prev) => ({ ...prev, ...changes }));
+	const updateBrand = (key, value) =>
+		setDraft((prev) => ({ ...prev, brand: { ...prev.brand, [key]: value } }));
+
+	// A new draft follows the built-in template of the chosen type until it is edited
+	const handleTypeChange = (type) => {
+		const current = defaults.find((d) => d.type === draft.type);
+		const untouched =
+			!draft._id &&
+			draft.subject === current?.subject &&
+			draft.html === (current?.html || '').trim();
+		if (untouched) {
+			const next = toDraft(null, defaults, type);
+			updateDraft({ type, subject: next.subject, html: next.html });
+		} else {
+			updateDraft({ type });
+		}
+		setPreview(null);
+	};
+
+	const handlePreview = async () => {
+		setPreviewing(true);
+		try {
+			const payload = toPayload(draft);
+			setPreview(
+				await previewEmailTemplate({
+					type: payload.type,
+					subject: payload.subject,
+					html: payload.html,
+					text: payload.text,
+					brand: payload.brand,
+					eventId: payload.event || undefined,
+					festId: payload.fest || undefined,
+				})
+			);
+		} catch (err) {
+			toast.error(err.message);
+		} finally {
+			setPreviewing(false);
+		}
+	};
+
+	const handleSave = async () => {
+		if (!draft.name.trim()) return toast.error('Template name is required');
+		if (draft.scope === 'event' && !draft.event) return toast.error('Select an event');
+		if (draft.scope === 'fest' && !draft.fest) return toast.error('Select a fest');
+
+		setSaving(true);
+		try {
+			if (draft._id) {
+				await updateEmailTemplate(draft._id, toPayload(draft));
+				toast.success('Template updated');
+			} else {
+				await createEmailTemplate(toPayload(draft));
+				toast.success('Template created');
+			}
+			setDraft(null);
+			setPreview(null);
+			await load();
+		} catch (err) {
+			toast.error(err.message);
+		} finally {
+			setSaving(false);
+		}
+	};
+
+	const handleDelete = async (template) => {
+		if (!window.confirm(`Delete the template "${template.name}"?`)) return;
+		try {
+			await deleteEmailTemplate(template._id);
+			toast.success('Template deleted');
+			await load();
+		} catch (err) {
+			toast.error(err.message);
+		}
+	};
+
+	if (loading) {
+		return (
+			<div className="flex justify-center py-12">
+				<Loader2 className="h-8 w-8 animate-spin text-blue-500" />
+			</div>
+		);
+	}
+
+	if (draft) {
+		return (
+			<div className="grid grid-cols-1 xl:grid-cols-2 gap-6">
+				<div className="bg-gray-800/60 border border-gray-700 rounded-xl p-5 space-y-4">
+					<h3 className="text-lg font-semibold text-white">
+						{draft._id ? 'Edit template' : 'New template'}
+					</h3>
+
+					<div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+						<div>
+							<label className={LABEL_CLASS}>Name</label>
+							<input
+								value={draft.name}
+								onChange={(e) => updateDraft({ name: e.target.value })}
+								className={INPUT_CLASS}
+								placeholder="e.g. Arvantis ticket email"
+							/>
+						</div>
+						<div>
+							<label className={LABEL_CLASS}>Email</label>
+							<select
+								value={draft.type}
+								onChange={(e) => handleTypeChange(e.target.value)}
+								className={INPUT_CLASS}
+							>
+								{Object.entries(TYPE_LABELS).map(([type, label]) => (
+									<option key={type} value={type}>
+										{label}
+									</option>
+								))}
+							</select>
+						</div>
+						<div>
+							<label className={LABEL_CLASS}>Used for</label>
+							<select
+								value={draft.scope}
+								onChange={(e) => updateDraft({ scope: e.target.value })}
+								className={INPUT_CLASS}
+							>
+								<option value="default">All events (default)</option>
+								<option value="fest">Events of a fest</option>
+								<option value="event">One event</option>
+							</select>
+						</div>
+						{draft.scope === 'event' && (
+							<div>
+								<label className={LABEL_CLASS}>Event</label>
+								<select
+									value={draft.event}
+									onChange={(e) => updateDraft({ event: e.target.value })}
+									className={INPUT_CLASS}
+								>
+									<option value="">Select an event</option>
+									{events.map((event) => (
+										<option key={event._id} value={event._id}>
+											{event.title}
+										</option>
+									))}
+								</select>
+							</div>
+						)}
+						{draft.scope === 'fest' && (
+							<div>
+								<label className={LABEL_CLASS}>Fest</label>
+								<select
+									value={draft.fest}
+									onChange={(e) => updateDraft({ fest: e.target.value })}
+									className={INPUT_CLASS}
+								>
+									<option value="">Select a fest</option>
+									{fests.map((fest) => (
+										<option key={fest._id} value={fest._id}>
+											{fest.name} {fest.year}
+										</option>
+									))}
+								</select>
+							</div>
+						)}
+					</div>
+
+					<fieldset className="border border-gray-700 rounded-lg p-3">
+						<legend className="px-1 text-xs text-gray-400">
+							Branding (empty fields use the fest or club defaults)
+						</legend>
+						<div className="grid grid-cols-1 md:grid-cols-2 gap-3">
+							{[
+								['name', 'Brand name'],
+								['fromName', 'Sender name'],
+								['replyTo', 'Reply-to email'],
+								['primaryColor', 'Primary color (#rrggbb)'],
+								['logoUrl', 'Logo URL'],
+								['footer', 'Footer'],
+							].map(([key, label]) => (
+								<div key={key}>
+									<label className={LABEL_CLASS}>{label}</label>
+									<input
+										value={draft.brand[key]}
+										onChange={(e) => updateBrand(key, e.target.value)}
+										className={INPUT_CLASS}
+									/>
+								</div>
+							))}
+						</div>
+					</fieldset>
+
+					<div>
+						<label className={LABEL_CLASS}>Subject</label>
+						<input
+							value={draft.subject}
+							onChange={(e) => updateDraft({ subject: e.target.value })}
+							className={INPUT_CLASS}
+						/>
+					</div>
+					<div>
+						<label className={LABEL_CLASS}>HTML body</label>
+						<textarea
+							value={draft.html}
+							onChange={(e) => updateDraft({ html: e.target.value })}
+							rows={14}
+							className={`${INPUT_CLASS} font-mono text-xs`}
+						/>
+					</div>
+					<div>
+						<label className={LABEL_CLASS}>
+							Plain-text body (optional, generated from the HTML when empty)
+						</label>
+						<textarea
+							value={draft.text}
+							onChange={(e) => updateDraft({ text: e.target.value })}
+							rows={5}
+							className={`${INPUT_CLASS} font-mono text-xs`}
+						/>
+					</div>
+
+					<div className="text-xs text-gray-400">
+						<p className="mb-1">
+							Variables: <code>{'{{name}}'}</code> is escaped,{' '}
+							<code>{'{{{answersHtml}}}'}</code> is inserted as HTML,{' '}
+							<code>{'{{#if reason}}…{{else}}…{{/if}}'}</code> renders conditionally.
+						</p>
+						<div className="flex flex-wrap gap-1">
+							{variables.map((variable) => (
+								<code
+									key={variable}
+									className="px-1.5 py-0.5 rounded bg-gray-700/60 text-gray-200"
+								>
+									{`{{${variable}}}`}
+								</code>
+							))}
+						</div>
+					</div>
+
+					<label className="inline-flex items-center gap-2 text-sm text-gray-300">
+						<input
+							type="checkbox"
+							checked={draft.isActive}
+							onChange={(e) => updateDraft({ isActive: e.target.checked })}
+						/>
+						Active
+					</label>
+
+					<div className="flex flex-wrap gap-2 justify-end">
+						<button
+							onClick={() => {
+								setDraft(null);
+								setPreview(null);
+							}}
+							className="px-4 py-2 rounded-lg bg-gray-700/50 border border-gray-600 text-white hover:bg-gray-700"
+						>
+							Cancel
+						</button>
+						<button
+							onClick={handlePreview}
+							disabled={previewing}
+							className="inline-flex items-center gap-2 px-4 py-2 rounded-lg bg-indigo-600 text-white hover:bg-indigo-700 disabled:opacity-50"
+						>
+							{previewing ? (
+								<Loader2 className="h-4 w-4 animate-spin" />
+							) : (
+								<Eye className="h-4 w-4" />
+							)}
+							Preview
+						</button>
+						<button
+							onClick={handleSave}
+							disabled={saving}
+							className="px-4 py-2 rounded-lg bg-blue-600 text-white hover:bg-blue-700 disabled:opacity-50"
+						>
+							{saving ? 'Saving...' : 'Save'}
+						</button>
+					</div>
+				</div>
+
+				<div className="bg-gray-800/60 border border-gray-700 rounded-xl p-5 space-y-3">
+					<h3 className="text-lg font-semibold text-white">Preview</h3>
+					{preview ? (
+						<>
+							<div className="text-sm text-gray-300 space-y-1">
+								<p>
+									<span className="text-gray-500">From:</span> {preview.from}
+								</p>
+								<p>
+									<span className="text-gray-500">Subject:</span>{' '}
+									{preview.subject}
+								</p>
+							</div>
+							<iframe
+								title="Email preview"
+								srcDoc={preview.html}
+								sandbox=""
+								className="w-full h-[32rem] rounded-lg bg-white"
+							/>
+							<details className="text-sm text-gray-300">
+								<summary className="cursor-pointer">Plain-text version</summary>
+								<pre className="mt-2 whitespace-pre-wrap text-xs bg-gray-900/60 rounded-lg p-3">
+									{preview.text}
+								</pre>
+							</details>
+						</>
+					) : (
+						<p className="text-sm text-gray-400">
+							Preview renders the draft with sample values. Pick an event or fest to
+							see it with their details and branding.
+						</p>
+					)}
+				</div>
+			</div>
+		);
+	}
+
+	return (
+		<div className="space-y-4">
+			<div className="flex items-center justify-between">
+				<p className="text-sm text-gray-400">
+					Emails use the event&apos;s template, else its fest&apos;s, else the default.
+					Without a stored template the built-in one is sent.
+				</p>
+				<button
+					onClick={() => openEditor(null)}
+					className="inline-flex items-center gap-2 px-4 py-2 rounded-lg bg-blue-600 text-white hover:bg-blue-700"
+				>
+					<Plus className="h-4 w-4" /> New template
+				</button>
+			</div>
+
+			{templates.length === 0 ? (
+				<div className="text-center py-12 bg-gray-700/30 rounded-xl border border-gray-600">
+					<Mail className="h-12 w-12 mx-auto text-gray-500" />
+					<h3 className="text-xl font-bold text-gray-400 mt-4">
+						No custom templates yet
+					</h3>
+					<p className="text-gray-500 mt-2">All emails use the built-in templates.</p>
+				</div>
+			) : (
+				<div className="overflow-x-auto rounded-xl border border-gray-700">
+					<table className="min-w-full text-sm text-left">
+						<thead className="bg-gray-800 text-gray-400">
+							<tr>
+								<th className="px-4 py-3">Name</th>
+								<th className="px-4 py-3">Email</th>
+								<th className="px-4 py-3">Used for</th>
+								<th className="px-4 py-3">Status</th>
+								<th className="px-4 py-3 text-right">Actions</th>
+							</tr>
+						</thead>
+						<tbody className="divide-y divide-gray-700">
+							{templates.map((template) => (
+								<tr key={template._id} className="text-gray-200">
+									<td className="px-4 py-3">{template.name}</td>
+									<td className="px-4 py-3">
+										{TYPE_LABELS[template.type] || template.type}
+									</td>
+									<td className="px-4 py-3">{scopeLabel(template)}</td>
+									<td className="px-4 py-3">
+										<span
+											className={`px-2 py-0.5 rounded-full text-xs ${
+												template.isActive
+													? 'bg-green-900/30 text-green-300'
+													: 'bg-gray-700 text-gray-400'
+											}`}
+										>
+											{template.isActive ? 'Active' : 'Inactive'}
+										</span>
+									</td>
+									<td className="px-4 py-3">
+										<div className="flex justify-end gap-2">
+											<button
+												onClick={() => openEditor(template)}
+												className="p-2 rounded bg-gray-700/60 text-white hover:bg-gray-700"
+												aria-label="Edit template"
+											>
+												<Pencil className="h-4 w-4" />
+											</button>
+											<button
+												onClick={() => handleDelete(template)}
+												className="p-2 rounded bg-red-700/50 text-white hover:bg-red-700"
+												aria-label="Delete template"
+											>
+												<Trash2 className="h-4 w-4" />
+											</button>
+										</div>
+									</td>
+								</tr>
+							))}
+						</tbody>
+					</table>
+				</div>
+			)}
+		</div>
+	);
+};
+
+export default EmailTemplatesTab;
@@ -2,6 +2,8 @@ import React, { useEffect, useRef, useState } from 'react';
 import { X, Trash2, Plus } from 'lucide-react';
 
 const MAX_POSTERS = 5;
+const FIELD_TYPES = ['text', 'select', 'checkbox', 'number', 'file'];
+const EMPTY_FIELD = { key: '', label: '', type: 'text', required: false };
 
 const EventModal = ({
 	isEdit,
@@ -195,6 +197,79 @@ const EventModal = ({
 								onChange={handleChange}
 								className="px-3 py-2 bg-gray-800 rounded"
 							/>
+							{/* The status moves to ongoing at the start and completed at the end */}
+							<input
+								name="durationMinutes"
+								placeholder="Duration in minutes (default 120)"
+								type="number"
+								min="1"
+								value={eventFields.durationMinutes ?? ''}
+								onChange={handleChange}
+								className="px-3 py-2 bg-gray-800 rounded col-span-2"
+							/>
+							{/* A series creates every occurrence now; they share description, posters,
+							    partners and speakers */}
+							{!isEdit && (
+								<select
+									name="repeat"
+									value={eventFields.repeat || ''}
+									onChange={handleChange}
+									className="px-3 py-2 bg-gray-800 rounded col-span-2"
+								>
+									<option value="">Does not repeat</option>
+									<option value="weekly">Repeats weekly</option>
+									<option value="biweekly">Repeats every two weeks</option>
+									<option value="custom">Repeats on custom dates</option>
+								</select>
+							)}
+							{!isEdit && eventFields.repeat && eventFields.repeat !== 'custom' && (
+								<>
+									<label className="text-xs text-gray-400">
+										Repeat until
+										<input
+											type="date"
+											name="repeatUntil"
+											value={eventFields.repeatUntil || ''}
+											onChange={handleChange}
+											className="mt-1 w-full px-3 py-2 bg-gray-800 rounded text-sm text-white"
+										/>
+									</label>
+									<label className="text-xs text-gray-400">
+										Or number of occurrences
+										<input
+											type="number"
+											name="repeatCount"
+											min="2"
+											max="52"
+											value={eventFields.repeatCount ?? ''}
+											onChange={handleChange}
+											className="mt-1 w-full px-3 py-2 bg-gray-800 rounded text-sm text-white"
+										/>
+									</label>
+								</>
+							)}
+							{!isEdit && eventFields.repeat === 'custom' && (
+								<input
+									name="repeatDates"
+									placeholder="Other dates (YYYY-MM-DD, comma separated)"
+									value={eventFields.repeatDates || ''}
+									onChange={handleChange}
+									className="px-3 py-2 bg-gray-800 rounded col-span-2"
+								/>
+							)}
+							{isEdit && eventFields.series && (
+								<select
+									name="editScope"
+									value={eventFields.editScope || 'this'}
+									onChange={handleChange}
+									className="px-3 py-2 bg-gray-800 rounded col-span-2"
+								>
+									<option value="this">Save to this occurrence only</option>
+									<option value="future">
+										Save to this and all later occurrences
+									</option>
+								</select>
+							)}
 							<input
 								name="location"
 								placeholder="Venue"
@@ -257,6 +332,18 @@ const EventModal = ({
 								onChange={handleChange}
 								className="px-3 py-2 bg-gray-800 rounded"
 							/>
+							<select
+								name="paymentGateway"
+								value={eventFields.paymentGateway || ''}
+								onChange={handleChange}
+								className="px-3 py-2 bg-gray-800 rounded"
+								aria-label="Payment gateway"
+							>
+								<option value="">Default payment gateway</option>
+								<option value="cashfree">Cashfree</option>
+								<option value="instamojo">Instamojo</option>
+								<option value="mock">Mock (development)</option>
+							</select>
 							<div className="col-span-2">
 								<label className="text-sm text-gray-400">
 									Tags (comma separated)
@@ -326,6 +413,225 @@ const EventModal = ({
 									className="px-3 py-2 bg-gray-800 rounded"
 								/>
 							</div>
+							{/* Team size: max above 1 makes registrations teams */}
+							<input
+								name="teamMinSize"
+								placeholder="Min team size"
+								type="number"
+								min="1"
+								value={eventFields.teamMinSize ?? ''}
+								onChange={handleChange}
+								className="px-3 py-2 bg-gray-800 rounded"
+							/>
+							<input
+								name="teamMaxSize"
+								placeholder="Max team size (1 = individual)"
+								type="number"
+								min="1"
+								value={eventFields.teamMaxSize ?? ''}
+								onChange={handleChange}
+								className="px-3 py-2 bg-gray-800 rounded"
+							/>
+							{/* Attendees cancel free tickets themselves from My Tickets until the cutoff */}
+							<div className="flex items-center gap-2 col-span-2">
+								<label className="flex items-center gap-2">
+									<input
+										type="checkbox"
+										name="selfServiceCancel"
+										checked={!!eventFields.selfServiceCancel}
+										onChange={handleChange}
+									/>
+									<span className="text-sm">Attendees can cancel</span>
+								</label>
+								<input
+									name="cancelCutoffHours"
+									placeholder="Cancel until (hours before start, default 24)"
+									type="number"
+									min="0"
+									value={eventFields.cancelCutoffHours ?? ''}
+									onChange={handleChange}
+									disabled={!eventFields.selfServiceCancel}
+									className="px-3 py-2 bg-gray-800 rounded flex-1 disabled:opacity-50"
+								/>
+							</div>
+							{/* Emails to ticket holders before the start and when the event changes */}
+							<div className="flex flex-wrap items-center gap-2 col-span-2">
+								<label className="flex items-center gap-2">
+									<input
+										type="checkbox"
+										name="remindersEnabled"
+										checked={!!eventFields.remindersEnabled}
+										onChange={handleChange}
+									/>
+									<span className="text-sm">Send reminders</span>
+								</label>
+								<input
+									name="reminderHours"
+									placeholder="Hours before start, e.g. 24, 1"
+									value={eventFields.reminderHours ?? ''}
+									onChange={handleChange}
+									disabled={!eventFields.remindersEnabled}
+									className="px-3 py-2 bg-gray-800 rounded flex-1 disabled:opacity-50"
+								/>
+								<label className="flex items-center gap-2">
+									<input
+										type="checkbox"
+										name="changeAlerts"
+										checked={!!eventFields.changeAlerts}
+										onChange={handleChange}
+									/>
+									<span className="text-sm">Email attendees about changes</span>
+								</label>
+							</div>
+
+							{/* Extra questions on the registration form, answered per ticket */}
+							<div className="md:col-span-2 space-y-2">
+								<div className="flex items-center justify-between">
+									<label className="text-sm text-gray-400">
+										Registration form fields
+									</label>
+									<button
+										type="button"
+										onClick={() =>
+											handleAddArrayItem('registrationFields', EMPTY_FIELD)
+										}
+										className="inline-flex items-center gap-1 px-2 py-1 rounded bg-gray-800 text-sm"
+									>
+										<Plus className="h-4 w-4" /> Add field
+									</button>
+								</div>
+								{(eventFields.registrationFields || []).map((field, idx) => {
+									const set = (key, value) =>
+										handleArrayChange('registrationFields', idx, key, value);
+									return (
+										<div
+											key={idx}
+											className="grid grid-cols-2 md:grid-cols-4 gap-2 p-2 bg-gray-800/60 rounded"
+										>
+											<input
+												placeholder="Label"
+												value={field.label}
+												onChange={(e) => set('label', e.target.value)}
+												className="px-2 py-1 bg-gray-800 rounded"
+											/>
+											<input
+												placeholder="Key (from label if empty)"
+												value={field.key}
+												onChange={(e) => set('key', e.target.value)}
+												className="px-2 py-1 bg-gray-800 rounded"
+											/>
+											<select
+												value={field.type}
+												onChange={(e) => set('type', e.target.value)}
+												className="px-2 py-1 bg-gray-800 rounded"
+											>
+												{FIELD_TYPES.map((type) => (
+													<option key={type} value={type}>
+														{type}
+													</option>
+												))}
+											</select>
+											<div className="flex items-center justify-between gap-2">
+												<label className="flex items-center gap-1 text-sm">
+													<input
+														type="checkbox"
+														checked={!!field.required}
+														onChange={(e) =>
+															set('required', e.target.checked)
+														}
+													/>
+													Required
+												</label>
+												<button
+													type="button"
+													onClick={() =>
+														handleRemoveArrayItem(
+															'registrationFields',
+															idx
+														)
+													}
+													className="text-red-400 p-1"
+													aria-label="Remove field"
+												>
+													<Trash2 className="h-4 w-4" />
+												</button>
+											</div>
+											{field.type === 'select' && (
+												<input
+													placeholder="Options, comma separated"
+													value={field.options ?? ''}
+													onChange={(e) => set('options', e.target.value)}
+													className="col-span-2 md:col-span-4 px-2 py-1 bg-gray-800 rounded"
+												/>
+											)}
+											{(field.type === 'text' || field.type === 'number') && (
+												<>
+													<input
+														placeholder={
+															field.type === 'text'
+																? 'Min length'
+																: 'Min value'
+														}
+														type="number"
+														value={field.min ?? ''}
+														onChange={(e) => set('min', e.target.value)}
+														className="px-2 py-1 bg-gray-800 rounded"
+													/>
+													<input
+														placeholder={
+															field.type === 'text'
+																? 'Max length'
+																: 'Max value'
+														}
+														type="number"
+														value={field.max ?? ''}
+														onChange={(e) => set('max', e.target.value)}
+														className="px-2 py-1 bg-gray-800 rounded"
+													/>
+												</>
+											)}
+											{field.type === 'text' && (
+												<input
+													placeholder="Pattern (regular expression)"
+													value={field.pattern ?? ''}
+													onChange={(e) => set('pattern', e.target.value)}
+													className="col-span-2 px-2 py-1 bg-gray-800 rounded"
+												/>
+											)}
+											{field.type === 'file' && (
+												<>
+													<input
+														placeholder="Accepted types, e.g. application/pdf"
+														value={field.accept ?? ''}
+														onChange={(e) =>
+															set('accept', e.target.value)
+														}
+														className="col-span-2 px-2 py-1 bg-gray-800 rounded"
+													/>
+													<input
+														placeholder="Max size (MB)"
+														type="number"
+														min="0.1"
+														max="10"
+														step="0.1"
+														value={field.maxSizeMb ?? ''}
+														onChange={(e) =>
+															set('maxSizeMb', e.target.value)
+														}
+														className="col-span-2 px-2 py-1 bg-gray-800 rounded"
+													/>
+												</>
+											)}
+											<input
+												placeholder="Help text (shown under the field)"
+												value={field.helpText ?? ''}
+												onChange={(e) => set('helpText', e.target.value)}
+												className="col-span-2 md:col-span-4 px-2 py-1 bg-gray-800 rounded"
+											/>
+										</div>
+									);
+								})}
+							</div>
 						</div>
 					)}
 
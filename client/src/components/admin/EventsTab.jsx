@@ -15,6 +15,8 @@ import LoadingSpinner from './LoadingSpinner.jsx';
 import EventCard from './EventCard.jsx';
 import EventModal from './EventModal.jsx';
 import ManageModal from './ManageModal.jsx';
+import WaitlistModal from './WaitlistModal.jsx';
+import NotificationsModal from './NotificationsModal.jsx';
 import { useCreateEvent, useUpdateEvent, useDeleteEvent } from '../../hooks/useEvents.js';
 import formatApiError from '../../utils/formatApiError.js';
 
@@ -56,6 +58,7 @@ const initialEventFields = {
 	title: '',
 	date: '',
 	eventTime: '',
+	durationMinutes: '',
 	location: '',
 	room: '',
 	description: '',
@@ -65,18 +68,86 @@ const initialEventFields = {
 	subcategory: '',
 	totalSpots: '',
 	ticketPrice: '',
+	paymentGateway: '',
 	tags: [],
 	posters: [], // File objects for new uploads
 	registrationMode: 'none',
 	externalUrl: '',
 	allowGuests: true,
 	capacityOverride: '',
+	teamMinSize: '',
+	teamMaxSize: '',
+	selfServiceCancel: true,
+	cancelCutoffHours: '',
+	remindersEnabled: true,
+	reminderHours: '24, 1',
+	changeAlerts: true,
+	registrationFields: [],
 	registrationOpenDate: '',
 	registrationCloseDate: '',
+	// new series (create only)
+	repeat: '',
+	repeatUntil: '',
+	repeatCount: '',
+	repeatDates: '',
+	// occurrence of a series being edited, and which occurrences the edit applies to
+	series: null,
+	editScope: 'this',
 };
 
 const MAX_POSTERS = 5;
 
+// Registration form fields are edited with options/accept as comma-separated text
+const splitList = (value) =>
+	String(value || '')
+		.split(',')
+		.map((v) => v.trim())
+		.filter(Boolean);
+
+// Custom series dates (YYYY-MM-DD) at the time of day of the first occurrence
+const toRepeatDates = (fields) => {
+	const time = String(fields.date || '').split('T')[1] || '00:00';
+	return splitList(fields.repeatDates)
+		.map((day) => datetimeLocalToISO(`${day}T${time}`))
+		.filter(Boolean);
+};
+
+const toFieldKey = (field) =>
+	(field.key || field.label || '')
+		.trim()
+		.toLowerCase()
+		.replace(/[^a-z0-9]+/g, '_')
+		.replace(/^[^a-z]+|_+$/g, '')
+		.slice(0, 40);
+
+const toRegistrationFieldsPayload = (fields = []) =>
+	fields.map((field) => ({
+		key: toFieldKey(field),
+		label: field.label.trim(),
+		type: field.type || 'text',
+		required: !!field.required,
+		helpText: field.helpText?.trim() || undefined,
+		options: field.type === 'select' ? splitList(field.options) : undefined,
+		min: field.min === '' || field.min == null ? undefined : Number(field.min),
+		max: field.max === '' || field.max == null ? undefined : Number(field.max),
+		pattern: field.type === 'text' ? field.pattern?.trim() || undefined : undefined,
+		accept: field.type === 'file' ? splitList(field.accept) : undefined,
+		maxSizeMb:
+			field.type === 'file' && field.maxSizeMb !== '' && field.maxSizeMb != null
+				? Number(field.maxSizeMb)
+				: undefined,
+	}));
+
+const fromRegistrationFields = (fields = []) =>
+	fields.map((field) => ({
+		...field,
+		options: (field.options || []).join(', '),
+		accept: (field.accept || []).join(', '),
+		min: field.min ?? '',
+		max: field.max ?? '',
+		maxSizeMb: field.maxSizeMb ?? '',
+	}));
+
 const EventsTab = ({
 	events = [],
 	eventsLoading = false,
@@ -111,6 +182,8 @@ const EventsTab = ({
 	const [formError, setFormError] = useState('');
 	const [actionError, setActionError] = useState('');
 	const [showManageModal, setShowManageModal] = useState(false);
+	const [waitlistEvent, setWaitlistEvent] = useState(null);
+	const [notificationsEvent, setNotificationsEvent] = useState(null);
 	const [manageTargetEvent, setManageTargetEvent] = useState(null);
 
 	const searchTimer = useRef(null);
@@ -263,6 +336,26 @@ const EventsTab = ({
 				return 'Capacity override must be a non-negative integer.';
 		}
 
+		// team size (registration)
+		const teamMin = fields.teamMinSize === '' ? 1 : Number(fields.teamMinSize);
+		const teamMax = fields.teamMaxSize === '' ? 1 : Number(fields.teamMaxSize);
+		if (!Number.isInteger(teamMin) || !Number.isInteger(teamMax) || teamMin < 1 || teamMax < 1)
+			return 'Team sizes must be positive integers.';
+		if (teamMin > teamMax) return 'Minimum team size cannot be above the maximum.';
+
+		// registration form fields
+		const fieldKeys = new Set();
+		for (const field of fields.registrationFields || []) {
+			if (!field.label?.trim()) return 'Every registration field needs a label.';
+			const key = toFieldKey(field);
+			if (!key)
+				return `Registration field "${field.label}" needs a key starting with a letter.`;
+			if (fieldKeys.has(key)) return `Two registration fields use the key "${key}".`;
+			fieldKeys.add(key);
+			if (field.type === 'select' && !splitList(field.options).length)
+				return `Select field "${field.label}" needs at least one option.`;
+		}
+
 		// registration external URL rule
 		const mode =
 			(fields.registration && fields.registration.mode) || fields.registrationMode || 'none';
@@ -282,6 +375,22 @@ const EventsTab = ({
 			if (o > c) return 'Registration open date cannot be after close date.';
 		}
 
+		// series (create only)
+		if (!forEdit && fields.repeat === 'custom') {
+			const dates = toRepeatDates(fields);
+			if (!dates.length) return 'Add the other dates of the series.';
+			if (dates.length !== splitList(fields.repeatDates).length)
+				return 'Series dates must be in YYYY-MM-DD format.';
+			if (dates.some((d) => new Date(d).getTime() <= Date.now()))
+				return 'Series dates must be in the future.';
+		} else if (!forEdit && fields.repeat) {
+			if (!fields.repeatUntil && fields.repeatCount === '')
+				return 'Set when the series ends or how many times it repeats.';
+			const count = Number(fields.repeatCount);
+			if (fields.repeatCount !== '' && (!Number.isInteger(count) || count < 2 || count > 52))
+				return 'A series has between 2 and 52 occurrences.';
+		}
+
 		// Posters client-side guard
 		if (Array.isArray(fields.posters) && fields.posters.length > MAX_POSTERS) {
 			return `You can upload a maximum of ${MAX_POSTERS} posters.`;
@@ -302,6 +411,8 @@ const EventsTab = ({
 			fd.append('description', fields.description.trim());
 			fd.append('date', datetimeLocalToISO(fields.date)); // normalized server-side -> eventDate
 			if (fields.eventTime) fd.append('eventTime', fields.eventTime);
+			if (fields.durationMinutes !== '')
+				fd.append('durationMinutes', String(fields.durationMinutes));
 			fd.append('location', fields.location.trim());
 			if (fields.room) fd.append('room', fields.room.trim());
 			if (fields.organizer) fd.append('organizer', fields.organizer.trim());
@@ -309,6 +420,7 @@ const EventsTab = ({
 			if (fields.subcategory) fd.append('subcategory', fields.subcategory.trim());
 			if (fields.totalSpots !== '') fd.append('totalSpots', String(fields.totalSpots));
 			if (fields.ticketPrice !== '') fd.append('ticketPrice', String(fields.ticketPrice));
+			if (fields.paymentGateway) fd.append('paymentGateway', fields.paymentGateway);
 			fd.append('status', fields.status || 'upcoming');
 			// registration fields (flattened)
 			fd.append('registrationMode', fields.registrationMode || 'none');
@@ -317,6 +429,19 @@ const EventsTab = ({
 				fd.append('allowGuests', fields.allowGuests ? 'true' : 'false');
 			if (fields.capacityOverride !== '')
 				fd.append('capacityOverride', String(fields.capacityOverride));
+			if (fields.teamMinSize !== '') fd.append('teamMinSize', String(fields.teamMinSize));
+			if (fields.teamMaxSize !== '') fd.append('teamMaxSize', String(fields.teamMaxSize));
+			fd.append('selfServiceCancel', fields.selfServiceCancel ? 'true' : 'false');
+			if (fields.cancelCutoffHours !== '')
+				fd.append('cancelCutoffHours', String(fields.cancelCutoffHours));
+			fd.append('remindersEnabled', fields.remindersEnabled ? 'true' : 'false');
+			if (String(fields.reminderHours).trim())
+				fd.append('reminderHours', String(fields.reminderHours));
+			fd.append('changeAlerts', fields.changeAlerts ? 'true' : 'false');
+			fd.append(
+				'registrationFields',
+				JSON.stringify(toRegistrationFieldsPayload(fields.registrationFields))
+			);
 			if (fields.registrationOpenDate)
 				fd.append('registrationOpenDate', datetimeLocalToISO(fields.registrationOpenDate));
 			if (fields.registrationCloseDate)
@@ -330,6 +455,13 @@ const EventsTab = ({
 			} else if (typeof fields.tags === 'string') {
 				fd.append('tags', fields.tags);
 			}
+			if (fields.repeat) {
+				fd.append('repeat', fields.repeat);
+				if (fields.repeatUntil) fd.append('repeatUntil', fields.repeatUntil);
+				if (fields.repeatCount !== '') fd.append('repeatCount', String(fields.repeatCount));
+				if (fields.repeat === 'custom')
+					fd.append('repeatDates', toRepeatDates(fields).join(','));
+			}
 			// files under "posters" (server expects field name "posters" for create)
 			(fields.posters || []).forEach((f) => {
 				if (f instanceof File) fd.append('posters', f);
@@ -343,6 +475,8 @@ const EventsTab = ({
 			description: fields.description.trim(),
 			date: datetimeLocalToISO(fields.date),
 			eventTime: fields.eventTime || undefined,
+			durationMinutes:
+				fields.durationMinutes === '' ? undefined : Number(fields.durationMinutes),
 			location: fields.location.trim(),
 			room: fields.room?.trim(),
 			organizer: fields.organizer?.trim(),
@@ -350,12 +484,25 @@ const EventsTab = ({
 			subcategory: fields.subcategory?.trim(),
 			totalSpots: fields.totalSpots === '' ? undefined : Number(fields.totalSpots),
 			ticketPrice: fields.ticketPrice === '' ? undefined : Number(fields.ticketPrice),
+			paymentGateway: fields.paymentGateway ?? '',
 			status: fields.status || 'upcoming',
 			registrationMode: fields.registrationMode || 'none',
 			externalUrl: fields.externalUrl || undefined,
 			allowGuests: typeof fields.allowGuests === 'boolean' ? fields.allowGuests : undefined,
 			capacityOverride:
 				fields.capacityOverride === '' ? undefined : Number(fields.capacityOverride),
+			teamMinSize: fields.teamMinSize === '' ? undefined : Number(fields.teamMinSize),
+			teamMaxSize: fields.teamMaxSize === '' ? undefined : Number(fields.teamMaxSize),
+			selfServiceCancel:
+				typeof fields.selfServiceCancel === 'boolean'
+					? fields.selfServiceCancel
+					: undefined,
+			cancelCutoffHours:
+				fields.cancelCutoffHours === '' ? undefined : Number(fields.cancelCutoffHours),
+			remindersEnabled: !!fields.remindersEnabled,
+			reminderHours: String(fields.reminderHours).trim() || undefined,
+			changeAlerts: !!fields.changeAlerts,
+			registrationFields: toRegistrationFieldsPayload(fields.registrationFields),
 			registrationOpenDate: fields.registrationOpenDate
 				? datetimeLocalToISO(fields.registrationOpenDate)
 				: undefined,
@@ -364,6 +511,12 @@ const EventsTab = ({
 				: undefined,
 		};
 		if (Array.isArray(fields.tags)) obj.tags = fields.tags;
+		if (fields.repeat) {
+			obj.repeat = fields.repeat;
+			obj.repeatUntil = fields.repeatUntil || undefined;
+			obj.repeatCount = fields.repeatCount === '' ? undefined : Number(fields.repeatCount);
+			obj.repeatDates = fields.repeat === 'custom' ? toRepeatDates(fields) : undefined;
+		}
 		return obj;
 	};
 
@@ -403,7 +556,9 @@ const EventsTab = ({
 		const payload = buildPayload(eventFields);
 		try {
 			// updateEvent in hook expects (id, data) wrapper
-			await updateEvent(editEventId, payload);
+			await updateEvent(editEventId, payload, {
+				scope: eventFields.series ? eventFields.editScope : undefined,
+			});
 			setShowEditEvent(false);
 			resetForm();
 			setEditEventId(null);
@@ -414,11 +569,16 @@ const EventsTab = ({
 		}
 	};
 
-	const handleDeleteEvent = async (id) => {
+	const handleDeleteEvent = async (event) => {
 		setActionError('');
 		if (!window.confirm('Delete this event? This action cannot be undone.')) return;
+		const scope =
+			event.series &&
+			window.confirm('This event is part of a series. Delete its later occurrences too?')
+				? 'future'
+				: undefined;
 		try {
-			await deleteEvent(id);
+			await deleteEvent(event._id, { scope });
 			if (getAllEvents) await getAllEvents();
 		} catch (err) {
 			const msg = formatApiError(err);
@@ -432,6 +592,7 @@ const EventsTab = ({
 			title: event.title || '',
 			date: toDatetimeLocalInput(event.eventDate || event.date),
 			eventTime: event.eventTime || '',
+			durationMinutes: event.durationMinutes ?? '',
 			location: event.venue || event.location || '',
 			room: event.room || '',
 			description: event.description || '',
@@ -441,6 +602,7 @@ const EventsTab = ({
 			subcategory: event.subcategory || '',
 			totalSpots: event.totalSpots ?? '',
 			ticketPrice: event.ticketPrice ?? '',
+			paymentGateway: event.paymentGateway || '',
 			tags: event.tags || [],
 			posters: [], // new uploads only
 			registrationMode: event.registration?.mode || 'none',
@@ -450,12 +612,26 @@ const EventsTab = ({
 					? event.registration.allowGuests
 					: true,
 			capacityOverride: event.registration?.capacityOverride ?? '',
+			teamMinSize: event.registration?.teamSize?.min ?? '',
+			teamMaxSize: event.registration?.teamSize?.max ?? '',
+			selfServiceCancel: event.registration?.selfServiceCancel !== false,
+			cancelCutoffHours: event.registration?.cancelCutoffHours ?? '',
+			remindersEnabled: event.notifications?.reminders !== false,
+			reminderHours: (event.notifications?.reminderHours ?? [24, 1]).join(', '),
+			changeAlerts: event.notifications?.changeAlerts !== false,
+			registrationFields: fromRegistrationFields(event.registrationFields),
 			registrationOpenDate: event.registrationOpenDate
 				? toDatetimeLocalInput(event.registrationOpenDate)
 				: '',
 			registrationCloseDate: event.registrationCloseDate
 				? toDatetimeLocalInput(event.registrationCloseDate)
 				: '',
+			repeat: '',
+			repeatUntil: '',
+			repeatCount: '',
+			repeatDates: '',
+			series: event.series || null,
+			editScope: 'this',
 		});
 		setEditExistingPosters(event.posters || []);
 		setFormError('');
@@ -662,7 +838,7 @@ const EventsTab = ({
 										event={event}
 										compact={compactCards}
 										onEdit={() => openEditEventModal(event)}
-										onDelete={() => handleDeleteEvent(event._id)}
+										onDelete={() => handleDeleteEvent(event)}
 										deleteLoading={deleteLoading}
 									/>
 									{/* Manage button */}
@@ -674,6 +850,22 @@ const EventsTab = ({
 									>
 										Manage
 									</button>
+									<button
+										onClick={() => setWaitlistEvent(event)}
+										title="Waitlist"
+										className="absolute right-3 top-11 z-10 px-2 py-1 rounded bg-black/40 text-xs text-white hover:bg-black/60"
+										aria-label={`Waitlist for ${event.title}`}
+									>
+										Waitlist
+									</button>
+									<button
+										onClick={() => setNotificationsEvent(event)}
+										title="Reminders and change alerts sent to ticket holders"
+										className="absolute right-3 top-[4.75rem] z-10 px-2 py-1 rounded bg-black/40 text-xs text-white hover:bg-black/60"
+										aria-label={`Notifications for ${event.title}`}
+									>
+										Notifications
+									</button>
 								</div>
 							))}
 						</div>
@@ -706,7 +898,7 @@ const EventsTab = ({
 											Edit
 										</button>
 										<button
-											onClick={() => handleDeleteEvent(event._id)}
+											onClick={() => handleDeleteEvent(event)}
 											disabled={deleteLoading}
 											className="px-3 py-1 rounded bg-red-700/60 text-white text-sm disabled:opacity-50"
 										>
@@ -718,6 +910,18 @@ const EventsTab = ({
 										>
 											Manage
 										</button>
+										<button
+											onClick={() => setWaitlistEvent(event)}
+											className="px-3 py-1 rounded bg-black/40 text-white text-sm"
+										>
+											Waitlist
+										</button>
+										<button
+											onClick={() => setNotificationsEvent(event)}
+											className="px-3 py-1 rounded bg-black/40 text-white text-sm"
+										>
+											Notifications
+										</button>
 									</div>
 								</div>
 							))}
@@ -767,6 +971,16 @@ const EventsTab = ({
 					setParentError={setDashboardError}
 				/>
 			)}
+
+			{waitlistEvent && (
+				<WaitlistModal event={waitlistEvent} onClose={() => setWaitlistEvent(null)} />
+			)}
+			{notificationsEvent && (
+				<NotificationsModal
+					event={notificationsEvent}
+					onClose={() => setNotificationsEvent(null)}
+				/>
+			)}
 		</div>
 	);
 };
@@ -1,5 +1,5 @@
 import React, { useEffect, useRef, useState } from 'react';
-import { Trash2, Plus, User } from 'lucide-react';
+import { Trash2, Plus, User, Pencil } from 'lucide-react';
 import { toast } from 'react-hot-toast';
 import {
 	addEventPoster,
@@ -8,6 +8,11 @@ import {
 	removeEventPartner,
 	addEventSpeaker,
 	removeEventSpeaker,
+	addEventSession,
+	updateEventSession,
+	removeEventSession,
+	getSessionAttendance,
+	syncEventSeries,
 	addEventResource,
 	removeEventResource,
 	addEventCoOrganizer,
@@ -18,7 +23,36 @@ import formatApiError from '../../utils/formatApiError.js';
 import { useEvent } from '../../hooks/useEvents.js';
 import { useQueryClient } from '@tanstack/react-query';
 
-const TABS = ['partners', 'speakers', 'resources', 'coOrganizers', 'posters'];
+const TABS = ['partners', 'speakers', 'sessions', 'resources', 'coOrganizers', 'posters'];
+
+const EMPTY_SESSION = {
+	title: '',
+	description: '',
+	start: '',
+	end: '',
+	room: '',
+	track: '',
+	speakers: [],
+	attendance: false,
+};
+
+// Date -> value of a datetime-local input (local time)
+const toLocalInput = (value) => {
+	if (!value) return '';
+	const d = new Date(value);
+	if (Number.isNaN(d.getTime())) return '';
+	return new Date(d.getTime() - d.getTimezoneOffset() * 60000).toISOString().slice(0, 16);
+};
+
+const formatSessionTime = (session) => {
+	const start = new Date(session.start);
+	const end = new Date(session.end);
+	const sameDay = start.toDateString() === end.toDateString();
+	return `${start.toLocaleString([], { dateStyle: 'medium', timeStyle: 'short' })} – ${end.toLocaleString(
+		[],
+		sameDay ? { timeStyle: 'short' } : { dateStyle: 'medium', timeStyle: 'short' }
+	)}`;
+};
 
 /**
  * ManageModal
@@ -26,9 +60,13 @@ const TABS = ['partners', 'speakers', 'resources', 'coOrganizers', 'posters'];
  * - Simpler flow: useEvent to load full event, doAction wrapper for mutations, minimal local state.
  * - Partners: name, website, tier, booth, description, logo
  * - Speakers: name, title, bio, links (twitter/linkedin/website), photo
+ * - Sessions: agenda entries (title, start/end, room, track, speakers picked from the event's,
+ *   attendance toggle) with check-in counts
  * - Resources: title, url
  * - Co-organizers: string array
  * - Posters: file upload (server accepts file only)
+ * - Occurrences of a series: changes here apply to this occurrence; "Copy to later occurrences"
+ *   copies description, posters, partners and speakers to the rest of the series
  */
 const ManageModal = ({ open = true, event, onClose, onDone, setParentError }) => {
 	const [tab, setTab] = useState('partners');
@@ -56,6 +94,11 @@ const ManageModal = ({ open = true, event, onClose, onDone, setParentError }) =>
 		photo: null,
 	});
 
+	const [sessionForm, setSessionForm] = useState(EMPTY_SESSION);
+	// _id of the session being edited, null when adding
+	const [editingSession, setEditingSession] = useState(null);
+	const [attendance, setAttendance] = useState(null);
+
 	const [resourceForm, setResourceForm] = useState({ title: '', url: '' });
 	const [coName, setCoName] = useState('');
 	const [posterFile, setPosterFile] = useState(null);
@@ -99,12 +142,30 @@ const ManageModal = ({ open = true, event, onClose, onDone, setParentError }) =>
 				website: '',
 				photo: null,
 			});
+			setSessionForm(EMPTY_SESSION);
+			setEditingSession(null);
+			setAttendance(null);
 			setResourceForm({ title: '', url: '' });
 			setCoName('');
 			setPosterFile(null);
 		}
 	}, [open, eventId]);
 
+	const loadAttendance = async () => {
+		if (!eventId) return;
+		try {
+			const data = await getSessionAttendance(eventId);
+			if (mountedRef.current) setAttendance(data);
+		} catch {
+			// counts are informational
+		}
+	};
+
+	useEffect(() => {
+		if (open && tab === 'sessions') loadAttendance();
+		// eslint-disable-next-line react-hooks/exhaustive-deps
+	}, [open, tab, eventId]);
+
 	const handleApiError = (err) => {
 		const msg = formatApiError(err);
 		if (mountedRef.current) setError(msg);
@@ -253,6 +314,75 @@ const ManageModal = ({ open = true, event, onClose, onDone, setParentError }) =>
 		await doAction(() => removeEventSpeaker(id, index), 'Speaker removed');
 	};
 
+	// Sessions (title, start and end required)
+	const resetSessionForm = () => {
+		setSessionForm(EMPTY_SESSION);
+		setEditingSession(null);
+	};
+
+	const handleEditSession = (session) => {
+		setError('');
+		setEditingSession(session._id);
+		setSessionForm({
+			title: session.title || '',
+			description: session.description || '',
+			start: toLocalInput(session.start),
+			end: toLocalInput(session.end),
+			room: session.room || '',
+			track: session.track || '',
+			speakers: (session.speakers || []).map((sp) => sp.name),
+			attendance: !!session.attendance,
+		});
+	};
+
+	const handleSaveSession = async () => {
+		const { title, start, end } = sessionForm;
+		if (!title.trim() || !start || !end) return setError('Title, start and end are required');
+		if (new Date(end) <= new Date(start)) return setError('End must be after start');
+		const id = ensureEventId();
+		if (!id) return;
+		const payload = {
+			title: title.trim(),
+			description: sessionForm.description.trim(),
+			start: new Date(start).toISOString(),
+			end: new Date(end).toISOString(),
+			room: sessionForm.room.trim(),
+			track: sessionForm.track.trim(),
+			speakers: sessionForm.speakers.map((name) => ({ name })),
+			attendance: sessionForm.attendance,
+		};
+		const ok = await doAction(
+			() =>
+				editingSession
+					? updateEventSession(id, editingSession, payload)
+					: addEventSession(id, payload),
+			editingSession ? 'Session updated' : 'Session added'
+		);
+		if (ok && mountedRef.current) {
+			resetSessionForm();
+			loadAttendance();
+		}
+	};
+
+	const handleRemoveSession = async (sessionId) => {
+		if (!window.confirm('Remove session? Its check-ins are removed too.')) return;
+		const id = ensureEventId();
+		if (!id) return;
+		const ok = await doAction(() => removeEventSession(id, sessionId), 'Session removed');
+		if (ok && mountedRef.current) {
+			if (editingSession === sessionId) resetSessionForm();
+			loadAttendance();
+		}
+	};
+
+	const toggleSessionSpeaker = (name) =>
+		setSessionForm((v) => ({
+			...v,
+			speakers: v.speakers.includes(name)
+				? v.speakers.filter((n) => n !== name)
+				: [...v.speakers, name],
+		}));
+
 	// Resources
 	const handleAddResource = async () => {
 		if (!resourceForm.title?.trim() || !resourceForm.url?.trim())
@@ -325,12 +455,28 @@ const ManageModal = ({ open = true, event, onClose, onDone, setParentError }) =>
 		await doAction(() => removeEventPoster(id, publicId), 'Poster removed');
 	};
 
+	const handleSyncSeries = async () => {
+		if (
+			!window.confirm(
+				"Copy this occurrence's description, posters, partners and speakers to the later occurrences of the series?"
+			)
+		)
+			return;
+		const id = ensureEventId();
+		if (!id) return;
+		await doAction(() => syncEventSeries(id), 'Copied to later occurrences');
+	};
+
 	if (!open || !event) return null;
 
 	// prefer fullEvent (populated) then fallback to shallow prop
 	const src = fullEvent || event;
 	const partners = Array.isArray(src.partners) ? src.partners : [];
 	const speakers = Array.isArray(src.speakers) ? src.speakers : [];
+	const sessions = Array.isArray(src.sessions) ? src.sessions : [];
+	const checkedInBySession = new Map(
+		(attendance?.sessions || []).map((a) => [String(a._id), a.checkedIn])
+	);
 	const resources = Array.isArray(src.resources) ? src.resources : [];
 	const coOrganizers = Array.isArray(src.coOrganizers) ? src.coOrganizers : [];
 	const posters = Array.isArray(src.posters) ? src.posters : [];
@@ -341,6 +487,16 @@ const ManageModal = ({ open = true, event, onClose, onDone, setParentError }) =>
 				<div className="flex items-center justify-between px-4 py-3 border-b border-gray-800">
 					<h3 className="text-lg font-semibold truncate">Manage: {src.title || '—'}</h3>
 					<div className="flex items-center gap-2">
+						{src.series && (
+							<button
+								type="button"
+								onClick={handleSyncSeries}
+								disabled={loading}
+								className="px-3 py-1 rounded bg-gray-800 text-white"
+							>
+								Copy to later occurrences
+							</button>
+						)}
 						<button
 							type="button"
 							onClick={() => onClose?.()}
@@ -379,6 +535,7 @@ const ManageModal = ({ open = true, event, onClose, onDone, setParentError }) =>
 							>
 								{t === 'partners' && 'Partners'}
 								{t === 'speakers' && 'Speakers'}
+								{t === 'sessions' && 'Sessions'}
 								{t === 'resources' && 'Resources'}
 								{t === 'coOrganizers' && 'Co-organizers'}
 								{t === 'posters' && 'Posters'}
@@ -404,6 +561,7 @@ const ManageModal = ({ open = true, event, onClose, onDone, setParentError }) =>
 								>
 									{t === 'partners' && 'Partners'}
 									{t === 'speakers' && 'Speakers'}
+									{t === 'sessions' && 'Sessions'}
 									{t === 'resources' && 'Resources'}
 									{t === 'coOrganizers' && 'Co-organizers'}
 									{t === 'posters' && 'Posters'}
@@ -701,6 +859,206 @@ const ManageModal = ({ open = true, event, onClose, onDone, setParentError }) =>
 							</div>
 						)}
 
+						{tab === 'sessions' && (
+							<div className="space-y-4">
+								{sessions.length === 0 ? (
+									<div className="text-sm text-gray-400">No sessions</div>
+								) : (
+									sessions.map((session) => (
+										<div
+											key={session._id}
+											className="flex items-center justify-between bg-gray-800 rounded p-2"
+										>
+											<div className="min-w-0">
+												<div className="font-medium text-white truncate">
+													{session.title}
+													{session.track && (
+														<span className="ml-2 text-xs text-blue-300">
+															{session.track}
+														</span>
+													)}
+												</div>
+												<div className="text-xs text-gray-400 truncate">
+													{formatSessionTime(session)}
+													{session.room && ` · ${session.room}`}
+													{session.speakers?.length > 0 &&
+														` · ${session.speakers.map((sp) => sp.name).join(', ')}`}
+												</div>
+												{session.attendance && (
+													<div className="text-xs text-green-400">
+														Attendance:{' '}
+														{checkedInBySession.get(
+															String(session._id)
+														) ?? 0}
+														{attendance &&
+															` / ${attendance.registered} registered`}
+													</div>
+												)}
+											</div>
+											<div className="flex items-center gap-1">
+												<button
+													type="button"
+													onClick={() => handleEditSession(session)}
+													className="text-gray-300 p-1"
+													disabled={loading}
+													aria-label="Edit session"
+												>
+													<Pencil className="h-4 w-4" />
+												</button>
+												<button
+													type="button"
+													onClick={() => handleRemoveSession(session._id)}
+													className="text-red-400 p-1"
+													disabled={loading}
+													aria-label="Remove session"
+												>
+													<Trash2 className="h-4 w-4" />
+												</button>
+											</div>
+										</div>
+									))
+								)}
+								<div className="grid grid-cols-1 md:grid-cols-2 gap-2">
+									<input
+										placeholder="Title"
+										value={sessionForm.title}
+										onChange={(e) =>
+											setSessionForm((v) => ({ ...v, title: e.target.value }))
+										}
+										className="px-3 py-2 bg-gray-800 rounded w-full md:col-span-2"
+										disabled={loading}
+									/>
+									<label className="text-xs text-gray-400">
+										Start
+										<input
+											type="datetime-local"
+											value={sessionForm.start}
+											onChange={(e) =>
+												setSessionForm((v) => ({
+													...v,
+													start: e.target.value,
+												}))
+											}
+											className="mt-1 px-3 py-2 bg-gray-800 rounded w-full text-sm text-white"
+											disabled={loading}
+										/>
+									</label>
+									<label className="text-xs text-gray-400">
+										End
+										<input
+											type="datetime-local"
+											value={sessionForm.end}
+											onChange={(e) =>
+												setSessionForm((v) => ({
+													...v,
+													end: e.target.value,
+												}))
+											}
+											className="mt-1 px-3 py-2 bg-gray-800 rounded w-full text-sm text-white"
+											disabled={loading}
+										/>
+									</label>
+									<input
+										placeholder="Room"
+										value={sessionForm.room}
+										onChange={(e) =>
+											setSessionForm((v) => ({ ...v, room: e.target.value }))
+										}
+										className="px-3 py-2 bg-gray-800 rounded w-full"
+										disabled={loading}
+									/>
+									<input
+										placeholder="Track"
+										value={sessionForm.track}
+										onChange={(e) =>
+											setSessionForm((v) => ({ ...v, track: e.target.value }))
+										}
+										className="px-3 py-2 bg-gray-800 rounded w-full"
+										disabled={loading}
+									/>
+									<textarea
+										placeholder="Description"
+										value={sessionForm.description}
+										onChange={(e) =>
+											setSessionForm((v) => ({
+												...v,
+												description: e.target.value,
+											}))
+										}
+										rows={2}
+										className="px-3 py-2 bg-gray-800 rounded w-full md:col-span-2"
+										disabled={loading}
+									/>
+									{speakers.length > 0 && (
+										<div className="md:col-span-2 flex flex-wrap gap-3 text-sm text-gray-300">
+											<span className="text-xs text-gray-400 w-full">
+												Speakers (add them in the Speakers tab first)
+											</span>
+											{speakers.map((sp) => (
+												<label
+													key={sp.name}
+													className="inline-flex items-center gap-2"
+												>
+													<input
+														type="checkbox"
+														checked={sessionForm.speakers.includes(
+															sp.name
+														)}
+														onChange={() =>
+															toggleSessionSpeaker(sp.name)
+														}
+														disabled={loading}
+													/>
+													{sp.name}
+												</label>
+											))}
+										</div>
+									)}
+									<label className="inline-flex items-center gap-2 text-sm text-gray-300">
+										<input
+											type="checkbox"
+											checked={sessionForm.attendance}
+											onChange={(e) =>
+												setSessionForm((v) => ({
+													...v,
+													attendance: e.target.checked,
+												}))
+											}
+											disabled={loading}
+										/>
+										Take attendance (per-session check-in)
+									</label>
+									<div className="flex justify-end gap-2">
+										{editingSession && (
+											<button
+												type="button"
+												onClick={resetSessionForm}
+												disabled={loading}
+												className="px-3 py-2 bg-gray-800 rounded text-white"
+											>
+												Cancel
+											</button>
+										)}
+										<button
+											type="button"
+											onClick={handleSaveSession}
+											disabled={loading}
+											className="px-3 py-2 bg-blue-600 rounded text-white"
+										>
+											{editingSession ? (
+												'Save'
+											) : (
+												<>
+													<Plus className="inline-block mr-2 h-4 w-4" />{' '}
+													Add
+												</>
+											)}
+										</button>
+									</div>
+								</div>
+							</div>
+						)}
+
 						{tab === 'resources' && (
 							<div className="space-y-4">
 								{resources.length === 0 ? (
@@ -0,0 +1,177 @@
+import React, { useCallback, useEffect, useState } from 'react';
+import { Loader2, RefreshCw, X } from 'lucide-react';
+import { getEventNotifications } from '../../services/eventServices.js';
+
+const STATUS_STYLES = {
+	queueing: 'bg-gray-700 text-gray-200',
+	queued: 'bg-green-800/60 text-green-200',
+	skipped: 'bg-gray-700 text-gray-300',
+	failed: 'bg-red-800/60 text-red-200',
+};
+
+const formatHours = (hours) => (hours >= 24 && hours % 24 === 0 ? `${hours / 24}d` : `${hours}h`);
+
+const describe = (entry) =>
+	entry.kind === 'reminder'
+		? `Reminder ${formatHours(entry.offsetHours)} before the start`
+		: `Change alert: ${entry.changes.map((c) => c.label).join(', ')}`;
+
+// "12 sent · 1 failed" from the email job counts of an entry
+const describeEmails = (emails = {}) =>
+	Object.entries(emails)
+		.map(([status, count]) => `${count} ${status}`)
+		.join(' · ');
+
+/**
+ * NotificationsModal
+ * - Shows an event's reminder settings and the reminders still to come.
+ * - Lists the reminders and change alerts sent to ticket holders, newest first, with how their
+ *   emails are doing.
+ */
+const NotificationsModal = ({ event, onClose }) => {
+	const [data, setData] = useState(null);
+	const [loading, setLoading] = useState(true);
+	const [error, setError] = useState('');
+
+	const load = useCallback(async () => {
+		if (!event?._id) return;
+		setLoading(true);
+		setError('');
+		try {
+			setData(await getEventNotifications(event._id));
+		} catch (err) {
+			setError(err.message);
+		} finally {
+			setLoading(false);
+		}
+	}, [event?._id]);
+
+	useEffect(() => {
+		load();
+	}, [load]);
+
+	if (!event) return null;
+
+	const { settings, upcoming = [], log = [] } = data || {};
+
+	return (
+		<div className="fixed inset-0 z-50 flex items-center justify-center p-4 bg-black/60">
+			<div
+				className="w-full max-w-2xl bg-gray-900 rounded-lg overflow-hidden border border-gray-800 shadow-xl"
+				role="dialog"
+				aria-modal="true"
+			>
+				<div className="flex items-center justify-between px-4 py-3 border-b border-gray-800">
+					<h3 className="text-lg font-semibold text-white truncate">
+						Notifications: {event.title}
+					</h3>
+					<button
+						type="button"
+						onClick={onClose}
+						className="text-gray-400 hover:text-white"
+						aria-label="Close"
+					>
+						<X className="h-5 w-5" />
+					</button>
+				</div>
+
+				<div className="p-4 space-y-4 text-sm max-h-[60vh] overflow-y-auto">
+					{error && (
+						<div className="bg-red-900/40 border border-red-700 text-red-200 rounded p-2">
+							{error}
+						</div>
+					)}
+
+					{loading ? (
+						<div className="flex justify-center py-8">
+							<Loader2 className="h-6 w-6 animate-spin text-gray-400" />
+						</div>
+					) : (
+						data && (
+							<>
+								<div className="text-gray-300 space-y-1">
+									<p>
+										Reminders:{' '}
+										{settings.reminders && settings.reminderHours.length
+											? settings.reminderHours
+													.map((h) => `${formatHours(h)} before`)
+													.join(', ')
+											: 'off'}
+									</p>
+									<p>Change alerts: {settings.changeAlerts ? 'on' : 'off'}</p>
+									{upcoming.length > 0 && (
+										<p className="text-xs text-gray-400">
+											Next:{' '}
+											{upcoming
+												.map((r) => new Date(r.dueAt).toLocaleString())
+												.join(', ')}
+										</p>
+									)}
+								</div>
+
+								{log.length === 0 ? (
+									<p className="text-gray-400 text-center py-6">
+										Nothing has been sent yet.
+									</p>
+								) : (
+									<ul className="space-y-2">
+										{log.map((entry) => (
+											<li
+												key={entry._id}
+												className="bg-gray-800/50 border border-gray-700 rounded-lg px-3 py-2"
+											>
+												<div className="flex items-center justify-between gap-3">
+													<p className="text-white font-medium truncate">
+														{describe(entry)}
+													</p>
+													<span
+														className={`shrink-0 px-2 py-0.5 rounded text-xs ${STATUS_STYLES[entry.status] || ''}`}
+													>
+														{entry.status}
+													</span>
+												</div>
+												{entry.kind === 'change' && (
+													<ul className="text-xs text-gray-300 mt-1">
+														{entry.changes.map((change) => (
+															<li key={change.field}>
+																{change.label}: {change.from || '—'}{' '}
+																→ {change.to || '—'}
+															</li>
+														))}
+													</ul>
+												)}
+												<p className="text-xs text-gray-400 mt-1">
+													{new Date(entry.createdAt).toLocaleString()}
+													{entry.triggeredBy?.fullname &&
+														` · by ${entry.triggeredBy.fullname}`}
+													{entry.recipients > 0 &&
+														` · ${entry.recipients} recipient(s)`}
+													{describeEmails(entry.emails) &&
+														` · ${describeEmails(entry.emails)}`}
+													{entry.note && ` · ${entry.note}`}
+												</p>
+											</li>
+										))}
+									</ul>
+								)}
+							</>
+						)
+					)}
+				</div>
+
+				<div className="flex justify-end gap-2 px-4 py-3 border-t border-gray-800">
+					<button
+						type="button"
+						onClick={load}
+						disabled={loading}
+						className="inline-flex items-center gap-2 px-3 py-2 rounded-lg bg-gray-800 text-white disabled:opacity-60"
+					>
+						<RefreshCw className="h-4 w-4" /> Refresh
+					</button>
+				</div>
+			</div>
+		</div>
+	);
+};
+
+export default NotificationsModal;
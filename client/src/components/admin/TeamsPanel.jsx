@@ -0,0 +1,208 @@
+import React, { useCallback, useEffect, useState } from 'react';
+import { Loader2, RefreshCw, Users, X } from 'lucide-react';
+import toast from 'react-hot-toast';
+import { getEventTeams, revokeTeamInvite } from '../../services/teamServices.js';
+
+const formatDateTime = (value) => (value ? new Date(value).toLocaleString() : 'N/A');
+
+/**
+ * TeamsPanel
+ * - Team view of a team event in TicketsTab: each team with its members' tickets and the invites
+ *   still open, and whether it has reached the minimum team size.
+ * - Pending invites can be revoked, which frees the place they hold.
+ */
+const TeamsPanel = ({ eventId, searchTerm = '' }) => {
+	const [data, setData] = useState(null);
+	const [loading, setLoading] = useState(true);
+	const [error, setError] = useState('');
+	const [revoking, setRevoking] = useState(null);
+
+	const load = useCallback(async () => {
+		if (!eventId) return;
+		setLoading(true);
+		setError('');
+		try {
+			setData(await getEventTeams(eventId));
+		} catch (err) {
+			setError(err.message);
+		} finally {
+			setLoading(false);
+		}
+	}, [eventId]);
+
+	useEffect(() => {
+		load();
+	}, [load]);
+
+	const handleRevoke = async (team, invite) => {
+		const who = invite.email || invite.lpuId;
+		if (!window.confirm(`Revoke the invite for ${who} to ${team.name}?`)) return;
+		setRevoking(invite._id);
+		try {
+			await revokeTeamInvite(team._id, invite._id);
+			toast.success('Invite revoked');
+			await load();
+		} catch (err) {
+			toast.error(err.message);
+		} finally {
+			setRevoking(null);
+		}
+	};
+
+	if (loading) {
+		return (
+			<div className="flex justify-center py-12">
+				<Loader2 className="h-8 w-8 animate-spin text-blue-500" />
+			</div>
+		);
+	}
+	if (error) {
+		return (
+			<div className="bg-red-700/10 border border-red-500 text-red-300 px-4 py-3 rounded">
+				{error}
+			</div>
+		);
+	}
+
+	const term = searchTerm.trim().toLowerCase();
+	const teams = (data?.teams || []).filter((team) => {
+		if (!term) return true;
+		const members = [team.leader, ...team.invites.map((i) => i.ticket)].filter(Boolean);
+		return (
+			team.name.toLowerCase().includes(term) ||
+			team.code.toLowerCase().includes(term) ||
+			members.some((m) =>
+				[m.fullName, m.email, m.lpuId].some((v) => v?.toLowerCase().includes(term))
+			)
+		);
+	});
+	const { min = 1, max = 1 } = data?.teamSize || {};
+
+	return (
+		<div className="space-y-4">
+			<div className="flex items-center justify-between text-sm text-gray-400">
+				<span>
+					{teams.length} team{teams.length === 1 ? '' : 's'} · team size{' '}
+					{min === max ? max : `${min}–${max}`}
+				</span>
+				<button
+					onClick={load}
+					className="inline-flex items-center gap-2 px-3 py-1.5 rounded-lg bg-gray-700/40 border border-gray-600 text-white hover:bg-gray-700"
+				>
+					<RefreshCw className="h-4 w-4" /> Refresh
+				</button>
+			</div>
+
+			{teams.length === 0 ? (
+				<div className="text-center py-12 bg-gray-700/30 rounded-xl border border-gray-600">
+					<Users className="h-12 w-12 mx-auto text-gray-500" />
+					<h3 className="text-xl font-bold text-gray-400 mt-4">
+						{term ? 'No matching teams' : 'No teams yet'}
+					</h3>
+				</div>
+			) : (
+				<div className="grid grid-cols-1 lg:grid-cols-2 gap-4">
+					{teams.map((team) => (
+						<div
+							key={team._id}
+							className="bg-gray-800/60 border border-gray-700 rounded-lg p-4 space-y-3"
+						>
+							<div className="flex items-start justify-between gap-2">
+								<div>
+									<h4 className="font-semibold text-white">{team.name}</h4>
+									<p className="text-xs text-gray-400 font-mono">{team.code}</p>
+								</div>
+								<span
+									className={`px-2 py-0.5 rounded-full text-xs font-medium ${
+										team.isComplete
+											? 'bg-green-900/30 text-green-300'
+											: 'bg-amber-900/30 text-amber-300'
+									}`}
+								>
+									{team.size}/{max} ·{' '}
+									{team.isComplete ? 'Complete' : 'Incomplete'}
+								</span>
+							</div>
+
+							<ul className="space-y-1 text-sm">
+								{[
+									{ ticket: team.leader, role: 'Leader' },
+									...team.invites
+										.filter((i) => i.status === 'joined')
+										.map((i) => ({ ticket: i.ticket, role: 'Member' })),
+								]
+									.filter(({ ticket }) => ticket)
+									.map(({ ticket, role }) => (
+										<li
+											key={ticket._id}
+											className="flex justify-between gap-2 text-gray-200"
+										>
+											<span className="truncate">
+												{ticket.fullName}{' '}
+												<span className="text-gray-500">
+													({ticket.lpuId})
+												</span>
+											</span>
+											<span
+												className={
+													ticket.status === 'cancelled'
+														? 'text-red-300'
+														: 'text-gray-400'
+												}
+											>
+												{role}
+												{ticket.status === 'cancelled' && ' · cancelled'}
+											</span>
+										</li>
+									))}
+							</ul>
+
+							{team.invites.some((i) => i.status === 'pending') && (
+								<div className="border-t border-gray-700 pt-2 space-y-1 text-xs">
+									{team.invites
+										.filter((i) => i.status === 'pending')
+										.map((invite) => {
+											const expired =
+												new Date(invite.expiresAt) <= new Date();
+											return (
+												<div
+													key={invite._id}
+													className="flex items-center justify-between gap-2 text-gray-400"
+												>
+													<span className="truncate">
+														Invited: {invite.email || invite.lpuId}
+													</span>
+													<span className="flex items-center gap-2 shrink-0">
+														<span
+															className={
+																expired ? 'text-red-300' : undefined
+															}
+														>
+															{expired ? 'expired' : 'until'}{' '}
+															{formatDateTime(invite.expiresAt)}
+														</span>
+														<button
+															onClick={() =>
+																handleRevoke(team, invite)
+															}
+															disabled={revoking === invite._id}
+															className="p-1 rounded bg-red-700/50 text-white disabled:opacity-50"
+															aria-label="Revoke invite"
+														>
+															<X className="h-3 w-3" />
+														</button>
+													</span>
+												</div>
+											);
+										})}
+								</div>
+							)}
+						</div>
+					))}
+				</div>
+			)}
+		</div>
+	);
+};
+
+export default TeamsPanel;
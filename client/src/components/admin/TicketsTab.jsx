@@ -20,9 +20,56 @@ import {
 	Grid,
 	List,
 	X,
+	Ban,
+	Send,
 } from 'lucide-react';
-import { useGetTicketsByEvent, useUpdateTicket, useDeleteTicket } from '../../hooks/useTickets';
+import toast from 'react-hot-toast';
+import {
+	useGetTicketsByEvent,
+	useUpdateTicket,
+	useDeleteTicket,
+	useCancelTicket,
+} from '../../hooks/useTickets';
 import TicketStats from './TicketStats';
+import CancelTicketModal from './CancelTicketModal';
+import TeamsPanel from './TeamsPanel';
+import { resendFailedTicketEmails, ticketQrImageUrl } from '../../services/ticketServices.js';
+
+// Registration form answer as text (file answers as their URL)
+const formatAnswer = (field, value) => {
+	if (value === undefined || value === null || value === '') return '';
+	if (field.type === 'checkbox') return value ? 'Yes' : 'No';
+	if (field.type === 'file') return value.url || '';
+	return String(value);
+};
+
+// Answers to the event's registration form fields
+const AnswerList = ({ fields, answers }) => (
+	<dl className="space-y-0.5">
+		{fields.map((field) => {
+			const value = answers?.[field.key];
+			return (
+				<div key={field.key} className="flex gap-1 min-w-0">
+					<dt className="text-gray-500 shrink-0">{field.label}:</dt>
+					<dd className="truncate">
+						{field.type === 'file' && value?.url ? (
+							<a
+								href={value.url}
+								target="_blank"
+								rel="noopener noreferrer"
+								className="text-blue-400 hover:underline"
+							>
+								{value.name || 'File'}
+							</a>
+						) : (
+							formatAnswer(field, value) || '—'
+						)}
+					</dd>
+				</div>
+			);
+		})}
+	</dl>
+);
 
 const formatDate = (dateString) => {
 	if (!dateString) return 'N/A';
@@ -50,6 +97,25 @@ const StatusBadge = ({ status }) => {
 	);
 };
 
+// Ticket emails go through a retrying queue; only show the ones not delivered (yet)
+const EmailStatusBadge = ({ emailStatus }) => {
+	if (emailStatus === 'failed') {
+		return (
+			<span className="px-2 py-0.5 rounded-full text-xs font-medium bg-red-900/30 text-red-300">
+				Email failed
+			</span>
+		);
+	}
+	if (emailStatus === 'pending') {
+		return (
+			<span className="px-2 py-0.5 rounded-full text-xs font-medium bg-amber-900/30 text-amber-300">
+				Email pending
+			</span>
+		);
+	}
+	return null;
+};
+
 const MobileFilterMenu = React.memo(
 	({
 		isOpen,
@@ -133,7 +199,15 @@ const MobileFilterMenu = React.memo(
 );
 
 const TicketRow = React.memo(
-	({ ticket, onToggleIsUsed, onDeleteTicket, updateLoading, deleteLoading }) => {
+	({
+		ticket,
+		fields = [],
+		onToggleIsUsed,
+		onCancelTicket,
+		onDeleteTicket,
+		updateLoading,
+		deleteLoading,
+	}) => {
 		const status =
 			ticket.status || (ticket.isUsed ? 'used' : ticket.isCancelled ? 'cancelled' : 'active');
 
@@ -151,8 +225,18 @@ const TicketRow = React.memo(
 				<td className="px-4 py-3 text-sm text-gray-300">{ticket.phone || '—'}</td>
 				<td className="px-4 py-3 text-sm text-gray-300">{ticket.hostel || '—'}</td>
 				<td className="px-4 py-3 text-sm text-gray-300">{ticket.club || '—'}</td>
+				{fields.length > 0 && (
+					<td className="px-4 py-3 text-xs text-gray-300 max-w-[260px]">
+						<AnswerList fields={fields} answers={ticket.answers} />
+					</td>
+				)}
 				<td className="px-4 py-3 text-sm">
-					<StatusBadge status={status} />
+					<div className="flex flex-wrap gap-1">
+						<StatusBadge status={status} />
+						{status !== 'cancelled' && (
+							<EmailStatusBadge emailStatus={ticket.emailStatus} />
+						)}
+					</div>
 				</td>
 				<td className="px-4 py-3 text-sm text-gray-400">
 					{ticket.createdAt ? formatDate(ticket.createdAt) : '—'}
@@ -176,6 +260,17 @@ const TicketRow = React.memo(
 						</span>
 					</button>
 
+					{status !== 'cancelled' && (
+						<button
+							onClick={() => onCancelTicket(ticket)}
+							className="flex items-center gap-2 hover:underline text-orange-400"
+							title="Cancel Ticket"
+						>
+							<Ban className="h-4 w-4" />
+							<span className="hidden lg:inline text-sm">Cancel</span>
+						</button>
+					)}
+
 					<button
 						onClick={() => onDeleteTicket(ticket)}
 						disabled={deleteLoading}
@@ -196,7 +291,15 @@ const TicketRow = React.memo(
 );
 
 const TicketCard = React.memo(
-	({ ticket, onToggleIsUsed, onDeleteTicket, updateLoading, deleteLoading }) => {
+	({
+		ticket,
+		fields = [],
+		onToggleIsUsed,
+		onCancelTicket,
+		onDeleteTicket,
+		updateLoading,
+		deleteLoading,
+	}) => {
 		const status =
 			ticket.status || (ticket.isUsed ? 'used' : ticket.isCancelled ? 'cancelled' : 'active');
 
@@ -217,8 +320,11 @@ const TicketCard = React.memo(
 						</div>
 					</div>
 
-					<div>
+					<div className="flex flex-col items-end gap-1">
 						<StatusBadge status={status} />
+						{status !== 'cancelled' && (
+							<EmailStatusBadge emailStatus={ticket.emailStatus} />
+						)}
 					</div>
 				</div>
 
@@ -241,6 +347,12 @@ const TicketCard = React.memo(
 					</div>
 				</div>
 
+				{fields.length > 0 && (
+					<div className="mt-3 text-xs text-gray-300">
+						<AnswerList fields={fields} answers={ticket.answers} />
+					</div>
+				)}
+
 				<div className="flex items-center justify-between mt-4 pt-3 border-t border-gray-700">
 					<button
 						onClick={() => onToggleIsUsed(ticket, status === 'used')}
@@ -258,6 +370,15 @@ const TicketCard = React.memo(
 						)}
 						{status === 'used' ? 'Mark Not Used' : 'Mark Used'}
 					</button>
+					{status !== 'cancelled' && (
+						<button
+							onClick={() => onCancelTicket(ticket)}
+							className="flex items-center gap-2 text-sm text-orange-400 hover:underline"
+						>
+							<Ban className="h-4 w-4" />
+							Cancel
+						</button>
+					)}
 					<button
 						onClick={() => onDeleteTicket(ticket)}
 						disabled={deleteLoading}
@@ -282,6 +403,7 @@ const TicketsTab = ({ token, events = [], setDashboardError }) => {
 	const [searchTerm, setSearchTerm] = useState('');
 	const [isMobileMenuOpen, setIsMobileMenuOpen] = useState(false);
 	const [compactView, setCompactView] = useState(false);
+	const [showTeams, setShowTeams] = useState(false);
 
 	const {
 		getTicketsByEvent,
@@ -305,6 +427,9 @@ const TicketsTab = ({ token, events = [], setDashboardError }) => {
 		reset: resetDeleteError,
 	} = useDeleteTicket();
 
+	const { cancelTicket, loading: cancelLoading } = useCancelTicket();
+	const [cancelTarget, setCancelTarget] = useState(null);
+
 	// auto-select first event for convenience
 	useEffect(() => {
 		if (!selectedEventId && events?.length) {
@@ -320,9 +445,28 @@ const TicketsTab = ({ token, events = [], setDashboardError }) => {
 			total: list.length,
 			cancelled: list.filter((t) => t.status === 'cancelled' || t.isCancelled).length,
 			used: list.filter((t) => t.status === 'used' || t.isUsed).length,
+			emailFailed: list.filter((t) => t.status !== 'cancelled' && t.emailStatus === 'failed')
+				.length,
 		};
 	}, [tickets]);
 
+	const [resendingEmails, setResendingEmails] = useState(false);
+	const handleResendFailedEmails = useCallback(async () => {
+		if (!selectedEventId) return;
+		setResendingEmails(true);
+		try {
+			const { queued } = await resendFailedTicketEmails(selectedEventId);
+			toast.success(
+				queued ? `${queued} ticket email(s) queued` : 'No failed ticket emails to resend'
+			);
+			await getTicketsByEvent(selectedEventId, token);
+		} catch (err) {
+			setDashboardError?.(err?.message || 'Failed to resend ticket emails');
+		} finally {
+			setResendingEmails(false);
+		}
+	}, [selectedEventId, getTicketsByEvent, token, setDashboardError]);
+
 	// fetch tickets when selectedEventId changes
 	useEffect(() => {
 		resetTicketsError();
@@ -367,6 +511,22 @@ const TicketsTab = ({ token, events = [], setDashboardError }) => {
 		[deleteTicket, getTicketsByEvent, selectedEventId, token, setDashboardError]
 	);
 
+	const handleConfirmCancel = useCallback(
+		async (payload) => {
+			const identifier = cancelTarget?.ticketId || cancelTarget?._id;
+			if (!identifier) return;
+			try {
+				await cancelTicket(identifier, payload);
+				setCancelTarget(null);
+				await getTicketsByEvent(selectedEventId, token);
+			} catch (err) {
+				const msg = err?.message || 'Ticket cancellation failed';
+				setDashboardError?.(msg);
+			}
+		},
+		[cancelTarget, cancelTicket, getTicketsByEvent, selectedEventId, token, setDashboardError]
+	);
+
 	const handleToggleIsUsed = useCallback(
 		async (ticketOrId, currentlyUsed) => {
 			// accept either ticket doc or id
@@ -399,6 +559,10 @@ const TicketsTab = ({ token, events = [], setDashboardError }) => {
 				return;
 			}
 
+			// One column per registration form field of the selected event
+			const fields =
+				(events || []).find((e) => e._id === selectedEventId)?.registrationFields || [];
+
 			const headers = [
 				'Ticket ID',
 				'Full Name',
@@ -416,6 +580,7 @@ const TicketsTab = ({ token, events = [], setDashboardError }) => {
 				'QR Code URL',
 				'QR Code Public ID',
 				'Created At',
+				...fields.map((field) => field.label),
 			];
 			const rows = list.map((t) => [
 				t.ticketId || t._id || '',
@@ -431,16 +596,17 @@ const TicketsTab = ({ token, events = [], setDashboardError }) => {
 				(t.eventId && (typeof t.eventId === 'object' ? t.eventId._id : t.eventId)) || '',
 				t.eventName || '',
 				t.status || (t.isUsed ? 'used' : t.isCancelled ? 'cancelled' : 'active'),
-				t.qrCode?.url || '',
+				ticketQrImageUrl(t),
 				t.qrCode?.publicId || '',
 				t.createdAt ? new Date(t.createdAt).toLocaleString() : '',
+				...fields.map((field) => formatAnswer(field, t.answers?.[field.key])),
 			]);
 
 			const csvContent = [headers, ...rows]
 				.map((row) =>
 					row
 						.map((cell) =>
-							typeof cell === 'string' && cell.includes(',')
+							typeof cell === 'string' && /[",\n]/.test(cell)
 								? `"${cell.replace(/"/g, '""')}"`
 								: cell
 						)
@@ -464,7 +630,7 @@ const TicketsTab = ({ token, events = [], setDashboardError }) => {
 		} finally {
 			setExportLoading(false);
 		}
-	}, [tickets, selectedEventId]);
+	}, [tickets, events, selectedEventId]);
 
 	const filteredTickets = useMemo(() => {
 		const list = tickets || [];
@@ -498,6 +664,8 @@ const TicketsTab = ({ token, events = [], setDashboardError }) => {
 	};
 
 	const selectedEvent = (events || []).find((e) => e._id === selectedEventId);
+	const isTeamEvent = (selectedEvent?.registration?.teamSize?.max || 1) > 1;
+	const registrationFields = selectedEvent?.registrationFields || [];
 
 	return (
 		<div className="space-y-6">
@@ -575,6 +743,19 @@ const TicketsTab = ({ token, events = [], setDashboardError }) => {
 						<Filter className="h-4 w-4" />
 					</button>
 
+					{isTeamEvent && (
+						<button
+							onClick={() => setShowTeams((v) => !v)}
+							className={`flex items-center gap-2 px-3 py-2 rounded-lg border border-gray-600 text-white ${
+								showTeams ? 'bg-blue-700/60' : 'bg-gray-700/40'
+							}`}
+							title={showTeams ? 'Show tickets' : 'Show teams'}
+						>
+							<Users className="h-4 w-4" />
+							<span className="hidden sm:inline">Teams</span>
+						</button>
+					)}
+
 					<button
 						onClick={() => setCompactView((v) => !v)}
 						className="flex items-center gap-2 px-3 py-2 rounded-lg bg-gray-700/40 border border-gray-600 text-white"
@@ -583,6 +764,24 @@ const TicketsTab = ({ token, events = [], setDashboardError }) => {
 						{compactView ? <Grid className="h-4 w-4" /> : <List className="h-4 w-4" />}
 					</button>
 
+					{ticketStats?.emailFailed > 0 && (
+						<button
+							onClick={handleResendFailedEmails}
+							disabled={resendingEmails}
+							className="flex items-center gap-2 px-3 py-2 rounded-lg bg-amber-700/70 hover:bg-amber-600 text-white disabled:opacity-50"
+							title="Resend failed ticket emails"
+						>
+							{resendingEmails ? (
+								<Loader2 className="h-4 w-4 animate-spin" />
+							) : (
+								<Send className="h-4 w-4" />
+							)}
+							<span className="hidden sm:inline">
+								Resend {ticketStats.emailFailed} failed
+							</span>
+						</button>
+					)}
+
 					<button
 						onClick={handleExportTickets}
 						disabled={exportLoading || !selectedEventId || (tickets || []).length === 0}
@@ -629,7 +828,9 @@ const TicketsTab = ({ token, events = [], setDashboardError }) => {
 			)}
 
 			{/* content */}
-			{ticketsLoading ? (
+			{isTeamEvent && showTeams ? (
+				<TeamsPanel eventId={selectedEventId} searchTerm={searchTerm} />
+			) : ticketsLoading ? (
 				<div className="flex justify-center py-12">
 					<div className="flex flex-col items-center">
 						<Loader2 className="h-8 w-8 animate-spin text-blue-500" />
@@ -660,7 +861,9 @@ const TicketsTab = ({ token, events = [], setDashboardError }) => {
 						<TicketCard
 							key={ticket._id}
 							ticket={ticket}
+							fields={registrationFields}
 							onToggleIsUsed={handleToggleIsUsed}
+							onCancelTicket={setCancelTarget}
 							onDeleteTicket={handleDeleteTicket}
 							updateLoading={updateLoading}
 							deleteLoading={deleteLoading}
@@ -691,6 +894,11 @@ const TicketsTab = ({ token, events = [], setDashboardError }) => {
 									<th className="px-4 py-3 text-left text-xs font-medium text-gray-400 uppercase tracking-wider">
 										Club
 									</th>
+									{registrationFields.length > 0 && (
+										<th className="px-4 py-3 text-left text-xs font-medium text-gray-400 uppercase tracking-wider">
+											Answers
+										</th>
+									)}
 									<th className="px-4 py-3 text-left text-xs font-medium text-gray-400 uppercase tracking-wider">
 										Status
 									</th>
@@ -707,7 +915,9 @@ const TicketsTab = ({ token, events = [], setDashboardError }) => {
 									<TicketRow
 										key={ticket._id}
 										ticket={ticket}
+										fields={registrationFields}
 										onToggleIsUsed={handleToggleIsUsed}
+										onCancelTicket={setCancelTarget}
 										onDeleteTicket={handleDeleteTicket}
 										updateLoading={updateLoading}
 										deleteLoading={deleteLoading}
@@ -722,7 +932,9 @@ const TicketsTab = ({ token, events = [], setDashboardError }) => {
 							<TicketCard
 								key={ticket._id}
 								ticket={ticket}
+								fields={registrationFields}
 								onToggleIsUsed={handleToggleIsUsed}
+								onCancelTicket={setCancelTarget}
 								onDeleteTicket={handleDeleteTicket}
 								updateLoading={updateLoading}
 								deleteLoading={deleteLoading}
@@ -732,6 +944,15 @@ const TicketsTab = ({ token, events = [], setDashboardError }) => {
 				</>
 			)}
 
+			{cancelTarget && (
+				<CancelTicketModal
+					ticket={cancelTarget}
+					loading={cancelLoading}
+					onClose={() => setCancelTarget(null)}
+					onConfirm={handleConfirmCancel}
+				/>
+			)}
+
 			<MobileFilterMenu
 				isOpen={isMobileMenuOpen}
 				onClose={() => setIsMobileMenuOpen(false)}
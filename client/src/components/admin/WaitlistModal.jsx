@@ -0,0 +1,192 @@
+import React, { useCallback, useEffect, useState } from 'react';
+import { ArrowDown, ArrowUp, Gift, Loader2, RefreshCw, Trash2, X } from 'lucide-react';
+import toast from 'react-hot-toast';
+import {
+	getEventWaitlist,
+	reorderWaitlist,
+	offerWaitlistSpots,
+	removeWaitlistEntry,
+} from '../../services/waitlistServices.js';
+
+/**
+ * WaitlistModal
+ * - Shows an event's waitlist in queue order with each entry's status and offer expiry.
+ * - Admins can move entries up or down, remove them, or offer any free places right away.
+ */
+const WaitlistModal = ({ event, onClose }) => {
+	const [entries, setEntries] = useState([]);
+	const [loading, setLoading] = useState(true);
+	const [busy, setBusy] = useState(false);
+	const [error, setError] = useState('');
+
+	const load = useCallback(async () => {
+		if (!event?._id) return;
+		setLoading(true);
+		setError('');
+		try {
+			setEntries(await getEventWaitlist(event._id));
+		} catch (err) {
+			setError(err.message);
+		} finally {
+			setLoading(false);
+		}
+	}, [event?._id]);
+
+	useEffect(() => {
+		load();
+	}, [load]);
+
+	const run = async (action) => {
+		setBusy(true);
+		setError('');
+		try {
+			await action();
+		} catch (err) {
+			setError(err.message);
+		} finally {
+			setBusy(false);
+		}
+	};
+
+	const handleMove = (index, offset) =>
+		run(async () => {
+			const ids = entries.map((e) => e._id);
+			const target = index + offset;
+			[ids[index], ids[target]] = [ids[target], ids[index]];
+			setEntries(await reorderWaitlist(event._id, ids));
+		});
+
+	const handleRemove = (entry) => {
+		if (!window.confirm(`Remove ${entry.fullName} from the waitlist?`)) return;
+		run(async () => {
+			await removeWaitlistEntry(entry._id);
+			toast.success('Removed from waitlist');
+			await load();
+		});
+	};
+
+	const handleOffer = () =>
+		run(async () => {
+			const result = await offerWaitlistSpots(event._id);
+			toast.success(result.message);
+			await load();
+		});
+
+	if (!event) return null;
+
+	return (
+		<div className="fixed inset-0 z-50 flex items-center justify-center p-4 bg-black/60">
+			<div
+				className="w-full max-w-2xl bg-gray-900 rounded-lg overflow-hidden border border-gray-800 shadow-xl"
+				role="dialog"
+				aria-modal="true"
+			>
+				<div className="flex items-center justify-between px-4 py-3 border-b border-gray-800">
+					<h3 className="text-lg font-semibold text-white truncate">
+						Waitlist: {event.title}
+					</h3>
+					<button
+						type="button"
+						onClick={onClose}
+						className="text-gray-400 hover:text-white"
+						aria-label="Close"
+					>
+						<X className="h-5 w-5" />
+					</button>
+				</div>
+
+				<div className="p-4 space-y-3 text-sm max-h-[60vh] overflow-y-auto">
+					{error && (
+						<div className="bg-red-900/40 border border-red-700 text-red-200 rounded p-2">
+							{error}
+						</div>
+					)}
+
+					{loading ? (
+						<div className="flex justify-center py-8">
+							<Loader2 className="h-6 w-6 animate-spin text-gray-400" />
+						</div>
+					) : entries.length === 0 ? (
+						<p className="text-gray-400 text-center py-8">Nobody is on the waitlist.</p>
+					) : (
+						<ol className="space-y-2">
+							{entries.map((entry, index) => (
+								<li
+									key={entry._id}
+									className="flex items-center justify-between gap-3 bg-gray-800/50 border border-gray-700 rounded-lg px-3 py-2"
+								>
+									<div className="min-w-0">
+										<p className="text-white font-medium truncate">
+											{index + 1}. {entry.fullName}
+										</p>
+										<p className="text-xs text-gray-400 truncate">
+											{entry.email} · {entry.lpuId}
+										</p>
+										{entry.status === 'offered' && (
+											<p className="text-xs text-amber-400">
+												Offered, claim before{' '}
+												{new Date(entry.offerExpiresAt).toLocaleString()}
+											</p>
+										)}
+									</div>
+									<div className="flex items-center gap-1 shrink-0">
+										<button
+											onClick={() => handleMove(index, -1)}
+											disabled={busy || index === 0}
+											className="p-1.5 rounded bg-gray-700/40 text-gray-200 disabled:opacity-30"
+											aria-label="Move up"
+										>
+											<ArrowUp className="h-4 w-4" />
+										</button>
+										<button
+											onClick={() => handleMove(index, 1)}
+											disabled={busy || index === entries.length - 1}
+											className="p-1.5 rounded bg-gray-700/40 text-gray-200 disabled:opacity-30"
+											aria-label="Move down"
+										>
+											<ArrowDown className="h-4 w-4" />
+										</button>
+										<button
+											onClick={() => handleRemove(entry)}
+											disabled={busy}
+											className="p-1.5 rounded bg-red-700/50 text-white disabled:opacity-30"
+											aria-label={`Remove ${entry.fullName}`}
+										>
+											<Trash2 className="h-4 w-4" />
+										</button>
+									</div>
+								</li>
+							))}
+						</ol>
+					)}
+				</div>
+
+				<div className="flex justify-between gap-2 px-4 py-3 border-t border-gray-800">
+					<button
+						type="button"
+						onClick={load}
+						disabled={loading || busy}
+						className="inline-flex items-center gap-2 px-3 py-2 rounded-lg bg-gray-800 text-white disabled:opacity-60"
+					>
+						<RefreshCw className="h-4 w-4" /> Refresh
+					</button>
+					<button
+						type="button"
+						onClick={handleOffer}
+						disabled={busy || !entries.some((e) => e.status === 'waiting')}
+						className="inline-flex items-center gap-2 px-3 py-2 rounded-lg bg-blue-700 hover:bg-blue-600 text-white disabled:opacity-60"
+					>
+						{busy ? (
+							<Loader2 className="h-4 w-4 animate-spin" />
+						) : (
+							<Gift className="h-4 w-4" />
+						)}
+						Offer free places
+					</button>
+				</div>
+			</div>
+		</div>
+	);
+};
+
+export default WaitlistModal;
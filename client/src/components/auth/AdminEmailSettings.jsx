@@ -0,0 +1,116 @@
+import { useState } from 'react';
+import { Loader2, Mail } from 'lucide-react';
+import toast from 'react-hot-toast';
+import { useAuth } from '../../hooks/useAuth.js';
+import { updateAdminEmail } from '../../services/authServices.js';
+
+const INPUT_CLASS =
+	'w-full sm:w-64 px-3 py-2 rounded-lg border border-gray-300 dark:border-gray-600 bg-white dark:bg-gray-700/50 text-gray-900 dark:text-white text-sm focus:outline-none focus:ring-2 focus:ring-blue-500';
+const PRIMARY_BUTTON =
+	'inline-flex items-center gap-1.5 px-3 py-2 rounded-lg bg-blue-600 hover:bg-blue-700 text-white text-sm font-medium disabled:opacity-60';
+const SECONDARY_BUTTON =
+	'inline-flex items-center gap-1.5 px-3 py-2 rounded-lg border border-gray-300 dark:border-gray-600 text-gray-700 dark:text-gray-200 text-sm hover:bg-gray-100 dark:hover:bg-gray-700 disabled:opacity-60';
+
+/**
+ * AdminEmailSettings
+ * - The email the signed-in admin's password reset links go to. Without one, a forgotten
+ *   password can't be reset. Changing it asks for the current password.
+ */
+const AdminEmailSettings = () => {
+	const { user } = useAuth();
+	const [savedEmail, setSavedEmail] = useState(user?.email || '');
+	const [editing, setEditing] = useState(false);
+	const [email, setEmail] = useState('');
+	const [password, setPassword] = useState('');
+	const [busy, setBusy] = useState(false);
+	const [error, setError] = useState('');
+
+	const reset = () => {
+		setEditing(false);
+		setPassword('');
+		setError('');
+	};
+
+	const handleSubmit = async (e) => {
+		e.preventDefault();
+		setBusy(true);
+		setError('');
+		try {
+			const admin = await updateAdminEmail(email.trim(), password);
+			setSavedEmail(admin.email);
+			toast.success('Email updated');
+			reset();
+		} catch (err) {
+			setError(err.message);
+		} finally {
+			setBusy(false);
+		}
+	};
+
+	return (
+		<section className="bg-white dark:bg-gray-800 rounded-xl border border-gray-200 dark:border-gray-700 p-6 space-y-4 text-gray-900 dark:text-white">
+			<div>
+				<h3 className="text-lg font-bold flex items-center gap-2">
+					<Mail className="h-5 w-5 text-blue-500" />
+					Recovery email
+				</h3>
+				<p className="text-sm text-gray-500 dark:text-gray-400 mt-1">
+					Password reset links are sent here.{' '}
+					{savedEmail ? (
+						<span className="font-medium text-gray-700 dark:text-gray-200">
+							{savedEmail}
+						</span>
+					) : (
+						"No email set yet, so a forgotten password can't be reset."
+					)}
+				</p>
+			</div>
+
+			{error && <p className="text-sm text-red-500">{error}</p>}
+
+			{editing ? (
+				<form onSubmit={handleSubmit} className="flex flex-col sm:flex-row gap-2">
+					<input
+						type="email"
+						value={email}
+						onChange={(e) => setEmail(e.target.value)}
+						className={INPUT_CLASS}
+						placeholder="you@example.com"
+						autoComplete="email"
+						required
+						autoFocus
+					/>
+					<input
+						type="password"
+						value={password}
+						onChange={(e) => setPassword(e.target.value)}
+						className={INPUT_CLASS}
+						placeholder="Current password"
+						autoComplete="current-password"
+						required
+					/>
+					<button type="submit" disabled={busy} className={PRIMARY_BUTTON}>
+						{busy && <Loader2 className="h-4 w-4 animate-spin" />}
+						Save
+					</button>
+					<button type="button" onClick={reset} className={SECONDARY_BUTTON}>
+						Cancel
+					</button>
+				</form>
+			) : (
+				<button
+					type="button"
+					onClick={() => {
+						setEmail(savedEmail);
+						setEditing(true);
+					}}
+					className={SECONDARY_BUTTON}
+				>
+					{savedEmail ? 'Change email' : 'Add email'}
+				</button>
+			)}
+		</section>
+	);
+};
+
+export default AdminEmailSettings;
@@ -0,0 +1,63 @@
+import { Copy, Download } from 'lucide-react';
+import toast from 'react-hot-toast';
+
+/**
+ * RecoveryCodes
+ * - Shows freshly created 2FA recovery codes. They are only ever shown once, so the user can
+ *   copy or download them; each one signs in once when the authenticator app isn't at hand.
+ */
+const RecoveryCodes = ({ codes = [] }) => {
+	const text = codes.join('\n');
+
+	const copy = async () => {
+		try {
+			await navigator.clipboard.writeText(text);
+			toast.success('Recovery codes copied');
+		} catch {
+			toast.error('Could not copy. Select the codes and copy them instead.');
+		}
+	};
+
+	const download = () => {
+		const url = URL.createObjectURL(new Blob([`${text}\n`], { type: 'text/plain' }));
+		const link = document.createElement('a');
+		link.href = url;
+		link.download = 'recovery-codes.txt';
+		link.click();
+		URL.revokeObjectURL(url);
+	};
+
+	return (
+		<div className="space-y-3">
+			<p className="text-sm opacity-80">
+				Save these recovery codes somewhere safe. Each one works once if you lose access to
+				your authenticator app. They won&apos;t be shown again.
+			</p>
+			<ul className="grid grid-cols-2 gap-2 p-3 rounded-lg border border-gray-500/30 bg-black/10 font-mono text-sm">
+				{codes.map((code) => (
+					<li key={code} className="text-center select-all">
+						{code}
+					</li>
+				))}
+			</ul>
+			<div className="flex gap-2">
+				<button
+					type="button"
+					onClick={copy}
+					className="inline-flex items-center gap-1.5 px-3 py-1.5 rounded-lg border border-gray-500/40 text-sm hover:bg-white/10"
+				>
+					<Copy className="h-4 w-4" /> Copy
+				</button>
+				<button
+					type="button"
+					onClick={download}
+					className="inline-flex items-center gap-1.5 px-3 py-1.5 rounded-lg border border-gray-500/40 text-sm hover:bg-white/10"
+				>
+					<Download className="h-4 w-4" /> Download
+				</button>
+			</div>
+		</div>
+	);
+};
+
+export default RecoveryCodes;
@@ -0,0 +1,174 @@
+import { useCallback, useEffect, useState } from 'react';
+import { Loader2, LogOut, Monitor, Smartphone } from 'lucide-react';
+import toast from 'react-hot-toast';
+import { getSessions, revokeOtherSessions, revokeSession } from '../../services/authServices.js';
+
+const SECONDARY_BUTTON =
+	'inline-flex items-center gap-1.5 px-3 py-2 rounded-lg border border-gray-300 dark:border-gray-600 text-gray-700 dark:text-gray-200 text-sm hover:bg-gray-100 dark:hover:bg-gray-700 disabled:opacity-60';
+
+const BROWSERS = [
+	['Edge', /Edg\//],
+	['Opera', /OPR\//],
+	['Chrome', /Chrome\//],
+	['Firefox', /Firefox\//],
+	['Safari', /Safari\//],
+];
+const SYSTEMS = [
+	['Android', /Android/],
+	['iOS', /iPhone|iPad/],
+	['Windows', /Windows/],
+	['macOS', /Mac OS X/],
+	['Linux', /Linux/],
+];
+
+// "Chrome on Windows" from a user agent string, good enough to tell devices apart
+const describeDevice = (userAgent = '') => {
+	const browser = BROWSERS.find(([, pattern]) => pattern.test(userAgent))?.[0];
+	const system = SYSTEMS.find(([, pattern]) => pattern.test(userAgent))?.[0];
+	if (!browser && !system) return 'Unknown device';
+	return [browser || 'Browser', system].filter(Boolean).join(' on ');
+};
+
+const isMobile = (userAgent = '') => /Mobile|Android|iPhone|iPad/.test(userAgent);
+
+/**
+ * SessionsList
+ * - Devices signed in to the current account (`role`: 'admin' | 'member'), most recently used
+ *   first. Any other device can be signed out, or all of them at once.
+ */
+const SessionsList = ({ role }) => {
+	const [sessions, setSessions] = useState(null);
+	// Session being signed out, or 'others'
+	const [busy, setBusy] = useState(null);
+	const [error, setError] = useState('');
+
+	const load = useCallback(async () => {
+		try {
+			setSessions(await getSessions(role));
+		} catch (err) {
+			setError(err.message);
+		}
+	}, [role]);
+
+	useEffect(() => {
+		load();
+	}, [load]);
+
+	const handleRevoke = async (sessionId) => {
+		setBusy(sessionId);
+		setError('');
+		try {
+			await revokeSession(role, sessionId);
+			toast.success('Device signed out');
+			await load();
+		} catch (err) {
+			setError(err.message);
+		} finally {
+			setBusy(null);
+		}
+	};
+
+	const handleRevokeOthers = async () => {
+		setBusy('others');
+		setError('');
+		try {
+			const count = await revokeOtherSessions(role);
+			toast.success(
+				count === 1 ? 'Signed out 1 other device' : `Signed out ${count} other devices`
+			);
+			await load();
+		} catch (err) {
+			setError(err.message);
+		} finally {
+			setBusy(null);
+		}
+	};
+
+	const others = sessions?.filter((session) => !session.current) || [];
+
+	return (
+		<section className="bg-white dark:bg-gray-800 rounded-xl border border-gray-200 dark:border-gray-700 p-6 space-y-4 text-gray-900 dark:text-white">
+			<div className="flex items-start justify-between gap-4">
+				<div>
+					<h3 className="text-lg font-bold flex items-center gap-2">
+						<Monitor className="h-5 w-5 text-blue-500" />
+						Signed-in devices
+					</h3>
+					<p className="text-sm text-gray-500 dark:text-gray-400 mt-1">
+						Sign out any device you don&apos;t recognise.
+					</p>
+				</div>
+				{others.length > 0 && (
+					<button
+						type="button"
+						onClick={handleRevokeOthers}
+						disabled={!!busy}
+						className={SECONDARY_BUTTON}
+					>
+						{busy === 'others' ? (
+							<Loader2 className="h-4 w-4 animate-spin" />
+						) : (
+							<LogOut className="h-4 w-4" />
+						)}
+						Sign out other devices
+					</button>
+				)}
+			</div>
+
+			{error && <p className="text-sm text-red-500">{error}</p>}
+
+			{!sessions ? (
+				!error && (
+					<div className="flex justify-center py-4">
+						<Loader2 className="h-6 w-6 animate-spin text-blue-500" />
+					</div>
+				)
+			) : (
+				<ul className="divide-y divide-gray-200 dark:divide-gray-700">
+					{sessions.map((session) => {
+						const DeviceIcon = isMobile(session.userAgent) ? Smartphone : Monitor;
+						return (
+							<li
+								key={session._id}
+								className="flex items-center justify-between gap-4 py-3"
+							>
+								<div className="flex items-center gap-3 min-w-0">
+									<DeviceIcon className="h-5 w-5 shrink-0 text-gray-400" />
+									<div className="min-w-0">
+										<p className="text-sm font-medium flex items-center gap-2">
+											{describeDevice(session.userAgent)}
+											{session.current && (
+												<span className="px-2 py-0.5 rounded-full text-xs font-semibold bg-green-100 text-green-700 dark:bg-green-900/30 dark:text-green-300">
+													This device
+												</span>
+											)}
+										</p>
+										<p className="text-xs text-gray-500 dark:text-gray-400 truncate">
+											{session.ip || 'Unknown IP'} · Last active{' '}
+											{new Date(session.lastUsedAt).toLocaleString()}
+										</p>
+									</div>
+								</div>
+								{!session.current && (
+									<button
+										type="button"
+										onClick={() => handleRevoke(session._id)}
+										disabled={!!busy}
+										className={SECONDARY_BUTTON}
+									>
+										{busy === session._id && (
+											<Loader2 className="h-4 w-4 animate-spin" />
+										)}
+										Sign out
+									</button>
+								)}
+							</li>
+						);
+					})}
+				</ul>
+			)}
+		</section>
+	);
+};
+
+export default SessionsList;
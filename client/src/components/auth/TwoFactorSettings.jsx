@@ -0,0 +1,251 @@
+import { useCallback, useEffect, useState } from 'react';
+import { KeyRound, Loader2, ShieldCheck, ShieldOff } from 'lucide-react';
+import toast from 'react-hot-toast';
+import {
+	disableTwoFactor,
+	enableTwoFactor,
+	getTwoFactorStatus,
+	regenerateRecoveryCodes,
+	setupTwoFactor,
+} from '../../services/authServices.js';
+import RecoveryCodes from './RecoveryCodes.jsx';
+
+const INPUT_CLASS =
+	'w-full sm:w-48 px-3 py-2 rounded-lg border border-gray-300 dark:border-gray-600 bg-white dark:bg-gray-700/50 text-gray-900 dark:text-white text-sm tracking-widest focus:outline-none focus:ring-2 focus:ring-blue-500';
+const PRIMARY_BUTTON =
+	'inline-flex items-center gap-1.5 px-3 py-2 rounded-lg bg-blue-600 hover:bg-blue-700 text-white text-sm font-medium disabled:opacity-60';
+const SECONDARY_BUTTON =
+	'inline-flex items-center gap-1.5 px-3 py-2 rounded-lg border border-gray-300 dark:border-gray-600 text-gray-700 dark:text-gray-200 text-sm hover:bg-gray-100 dark:hover:bg-gray-700 disabled:opacity-60';
+
+/**
+ * TwoFactorSettings
+ * - Turns authenticator-app 2FA on and off for the signed-in account (`role`: 'admin' | 'member'),
+ *   and replaces recovery codes. Every change past setup asks for a current code.
+ * - While 2FA is required for the account it can't be turned off here.
+ */
+const TwoFactorSettings = ({ role }) => {
+	const [status, setStatus] = useState(null);
+	const [setup, setSetup] = useState(null);
+	// 'enable' | 'disable' | 'codes' while a code is being asked for
+	const [action, setAction] = useState(null);
+	const [code, setCode] = useState('');
+	const [useRecoveryCode, setUseRecoveryCode] = useState(false);
+	const [recoveryCodes, setRecoveryCodes] = useState(null);
+	const [busy, setBusy] = useState(false);
+	const [error, setError] = useState('');
+
+	const load = useCallback(async () => {
+		try {
+			setStatus(await getTwoFactorStatus(role));
+		} catch (err) {
+			setError(err.message);
+		}
+	}, [role]);
+
+	useEffect(() => {
+		load();
+	}, [load]);
+
+	const reset = () => {
+		setAction(null);
+		setSetup(null);
+		setCode('');
+		setUseRecoveryCode(false);
+		setError('');
+	};
+
+	const startSetup = async () => {
+		setBusy(true);
+		setError('');
+		setRecoveryCodes(null);
+		try {
+			setSetup(await setupTwoFactor(role));
+			setAction('enable');
+		} catch (err) {
+			setError(err.message);
+		} finally {
+			setBusy(false);
+		}
+	};
+
+	const handleSubmit = async (e) => {
+		e.preventDefault();
+		setBusy(true);
+		setError('');
+		try {
+			const value = useRecoveryCode ? code.trim() : code.replace(/\s/g, '');
+			if (action === 'enable') {
+				const { recoveryCodes: codes, ...next } = await enableTwoFactor(role, value);
+				setStatus(next);
+				setRecoveryCodes(codes);
+				toast.success('Two-factor authentication is on');
+			} else if (action === 'disable') {
+				setStatus(
+					await disableTwoFactor(
+						role,
+						useRecoveryCode ? { recoveryCode: value } : { code: value }
+					)
+				);
+				toast.success('Two-factor authentication is off');
+			} else if (action === 'codes') {
+				setRecoveryCodes(await regenerateRecoveryCodes(role, value));
+				await load();
+			}
+			reset();
+		} catch (err) {
+			setError(err.message);
+		} finally {
+			setBusy(false);
+		}
+	};
+
+	if (!status) {
+		return (
+			<div className="flex justify-center py-8">
+				{error ? (
+					<p className="text-sm text-red-500">{error}</p>
+				) : (
+					<Loader2 className="h-6 w-6 animate-spin text-blue-500" />
+				)}
+			</div>
+		);
+	}
+
+	return (
+		<section className="bg-white dark:bg-gray-800 rounded-xl border border-gray-200 dark:border-gray-700 p-6 space-y-4 text-gray-900 dark:text-white">
+			<div className="flex items-start justify-between gap-4">
+				<div>
+					<h3 className="text-lg font-bold flex items-center gap-2">
+						<ShieldCheck className="h-5 w-5 text-blue-500" />
+						Two-factor authentication
+					</h3>
+					<p className="text-sm text-gray-500 dark:text-gray-400 mt-1">
+						Sign in with your password and a code from an authenticator app.
+						{status.required && ' Required for your account.'}
+					</p>
+				</div>
+				<span
+					className={`px-2.5 py-1 rounded-full text-xs font-semibold ${
+						status.enabled
+							? 'bg-green-100 text-green-700 dark:bg-green-900/30 dark:text-green-300'
+							: 'bg-gray-100 text-gray-600 dark:bg-gray-700 dark:text-gray-300'
+					}`}
+				>
+					{status.enabled ? 'On' : 'Off'}
+				</span>
+			</div>
+
+			{status.enabled && !action && (
+				<p className="text-sm text-gray-600 dark:text-gray-300">
+					On since {new Date(status.enabledAt).toLocaleDateString()} ·{' '}
+					{status.recoveryCodesLeft} recovery code
+					{status.recoveryCodesLeft === 1 ? '' : 's'} left
+				</p>
+			)}
+
+			{recoveryCodes && <RecoveryCodes codes={recoveryCodes} />}
+
+			{setup && (
+				<div className="flex flex-col sm:flex-row items-center gap-4">
+					<img
+						src={setup.qrCode}
+						alt="QR code for your authenticator app"
+						className="w-40 h-40 rounded-lg bg-white p-2 border border-gray-200"
+					/>
+					<div className="text-sm space-y-1">
+						<p>
+							Scan the QR code with your authenticator app, then enter the 6-digit
+							code it shows.
+						</p>
+						<p className="text-gray-500 dark:text-gray-400">
+							Can&apos;t scan? Enter this key:
+						</p>
+						<code className="block font-mono text-xs break-all select-all">
+							{setup.secret}
+						</code>
+					</div>
+				</div>
+			)}
+
+			{error && <p className="text-sm text-red-500">{error}</p>}
+
+			{action ? (
+				<form onSubmit={handleSubmit} className="flex flex-col sm:flex-row gap-2">
+					<input
+						type="text"
+						value={code}
+						onChange={(e) => setCode(e.target.value)}
+						className={INPUT_CLASS}
+						placeholder={useRecoveryCode ? 'Recovery code' : '6-digit code'}
+						inputMode={useRecoveryCode ? 'text' : 'numeric'}
+						autoComplete="one-time-code"
+						maxLength={useRecoveryCode ? 20 : 6}
+						required
+						autoFocus
+					/>
+					<button type="submit" disabled={busy} className={PRIMARY_BUTTON}>
+						{busy && <Loader2 className="h-4 w-4 animate-spin" />}
+						{action === 'enable'
+							? 'Turn on'
+							: action === 'disable'
+								? 'Turn off'
+								: 'Create new codes'}
+					</button>
+					{action === 'disable' && (
+						<button
+							type="button"
+							onClick={() => setUseRecoveryCode((v) => !v)}
+							className={SECONDARY_BUTTON}
+						>
+							{useRecoveryCode ? 'Use app code' : 'Use recovery code'}
+						</button>
+					)}
+					<button type="button" onClick={reset} className={SECONDARY_BUTTON}>
+						Cancel
+					</button>
+				</form>
+			) : (
+				<div className="flex flex-wrap gap-2">
+					{status.enabled ? (
+						<>
+							<button
+								type="button"
+								onClick={() => {
+									setRecoveryCodes(null);
+									setAction('codes');
+								}}
+								className={SECONDARY_BUTTON}
+							>
+								<KeyRound className="h-4 w-4" /> New recovery codes
+							</button>
+							{!status.required && (
+								<button
+									type="button"
+									onClick={() => {
+										setRecoveryCodes(null);
+										setAction('disable');
+									}}
+									className={SECONDARY_BUTTON}
+								>
+									<ShieldOff className="h-4 w-4" /> Turn off
+								</button>
+							)}
+						</>
+					) : (
+						<button
+							type="button"
+							onClick={startSetup}
+							disabled={busy}
+							className={PRIMARY_BUTTON}
+						>
+							{busy && <Loader2 className="h-4 w-4 animate-spin" />}
+							Set up authenticator app
+						</button>
+					)}
+				</div>
+			)}
+		</section>
+	);
+};
+
+export default TwoFactorSettings;
@@ -0,0 +1,183 @@
+import { useEffect, useState } from 'react';
+import { Loader2 } from 'lucide-react';
+import { useAuth } from '../../hooks/useAuth.js';
+import { startLoginTwoFactorSetup } from '../../services/authServices.js';
+import RecoveryCodes from './RecoveryCodes.jsx';
+
+/**
+ * TwoFactorStep
+ * - Second step of a sign-in, after the password was accepted and the server answered with a
+ *   2FA challenge (`role` is 'admin' or 'member').
+ * - With 2FA on: asks for a code from the authenticator app, or a recovery code.
+ * - When 2FA is required but not set up yet: shows the QR code and secret for the app, takes the
+ *   first code and then shows the recovery codes once before signing in.
+ * - Input and button classes come from the page, so the step matches its form.
+ */
+const TwoFactorStep = ({
+	role,
+	challenge,
+	onComplete,
+	onCancel,
+	inputClassName,
+	buttonClassName,
+}) => {
+	const { completeTwoFactorLogin, revalidateAuth } = useAuth();
+	const setupRequired = !!challenge.twoFactorSetupRequired;
+	const [setup, setSetup] = useState(null);
+	const [useRecoveryCode, setUseRecoveryCode] = useState(false);
+	const [code, setCode] = useState('');
+	const [recoveryCodes, setRecoveryCodes] = useState(null);
+	const [loading, setLoading] = useState(false);
+	const [error, setError] = useState('');
+
+	useEffect(() => {
+		if (!setupRequired) return undefined;
+		let cancelled = false;
+		startLoginTwoFactorSetup(role, challenge.challengeToken)
+			.then((data) => !cancelled && setSetup(data))
+			.catch((err) => !cancelled && setError(err.message));
+		return () => {
+			cancelled = true;
+		};
+	}, [role, challenge, setupRequired]);
+
+	const handleSubmit = async (e) => {
+		e.preventDefault();
+		setLoading(true);
+		setError('');
+		try {
+			const proof = useRecoveryCode
+				? { recoveryCode: code.trim() }
+				: { code: code.replace(/\s/g, '') };
+			const result = await completeTwoFactorLogin(role, {
+				challengeToken: challenge.challengeToken,
+				...proof,
+			});
+			if (result.recoveryCodes) setRecoveryCodes(result.recoveryCodes);
+			else onComplete();
+		} catch (err) {
+			setError(err.message);
+		} finally {
+			setLoading(false);
+		}
+	};
+
+	const finishSetup = async () => {
+		setLoading(true);
+		await revalidateAuth();
+		onComplete();
+	};
+
+	if (recoveryCodes) {
+		return (
+			<div className="flex flex-col gap-4">
+				<h3 className="text-lg font-semibold">Two-factor authentication is on</h3>
+				<RecoveryCodes codes={recoveryCodes} />
+				<button
+					type="button"
+					onClick={finishSetup}
+					disabled={loading}
+					className={buttonClassName}
+				>
+					{loading ? 'Signing in...' : "I've saved my recovery codes"}
+				</button>
+			</div>
+		);
+	}
+
+	return (
+		<form className="flex flex-col gap-4" onSubmit={handleSubmit}>
+			{setupRequired ? (
+				<>
+					<h3 className="text-lg font-semibold">Set up two-factor authentication</h3>
+					<p className="text-sm opacity-80">
+						Your account needs a code from an authenticator app to sign in. Scan the QR
+						code with Google Authenticator, Authy, 1Password or a similar app, then
+						enter the 6-digit code it shows.
+					</p>
+					{setup ? (
+						<div className="flex flex-col items-center gap-2">
+							<img
+								src={setup.qrCode}
+								alt="QR code for your authenticator app"
+								className="w-44 h-44 rounded-lg bg-white p-2"
+							/>
+							<p className="text-xs opacity-70">Can&apos;t scan? Enter this key:</p>
+							<code className="text-xs font-mono break-all select-all">
+								{setup.secret}
+							</code>
+						</div>
+					) : (
+						!error && (
+							<div className="flex justify-center py-4">
+								<Loader2 className="h-6 w-6 animate-spin" />
+							</div>
+						)
+					)}
+				</>
+			) : (
+				<>
+					<h3 className="text-lg font-semibold">Two-factor authentication</h3>
+					<p className="text-sm opacity-80">
+						{useRecoveryCode
+							? 'Enter one of your recovery codes. Each code works once.'
+							: 'Enter the 6-digit code from your authenticator app.'}
+					</p>
+				</>
+			)}
+
+			{error && (
+				<p className="text-sm text-red-400" role="alert">
+					{error}
+				</p>
+			)}
+
+			<input
+				type="text"
+				name="code"
+				required
+				value={code}
+				onChange={(e) => setCode(e.target.value)}
+				className={inputClassName}
+				placeholder={useRecoveryCode ? 'xxxxx-xxxxx' : '123456'}
+				inputMode={useRecoveryCode ? 'text' : 'numeric'}
+				autoComplete="one-time-code"
+				maxLength={useRecoveryCode ? 20 : 6}
+				autoFocus
+			/>
+
+			<button
+				type="submit"
+				disabled={loading || (setupRequired && !setup)}
+				className={buttonClassName}
+			>
+				{loading ? 'Verifying...' : setupRequired ? 'Turn on and sign in' : 'Verify'}
+			</button>
+
+			<div className="flex justify-between text-xs">
+				{!setupRequired && (
+					<button
+						type="button"
+						onClick={() => {
+							setUseRecoveryCode((v) => !v);
+							setCode('');
+							setError('');
+						}}
+						className="underline underline-offset-4 opacity-80 hover:opacity-100"
+					>
+						{useRecoveryCode ? 'Use a code from the app' : 'Use a recovery code'}
+					</button>
+				)}
+				<button
+					type="button"
+					onClick={onCancel}
+					className="underline underline-offset-4 opacity-80 hover:opacity-100 ml-auto"
+				>
+					Back to login
+				</button>
+			</div>
+		</form>
+	);
+};
+
+export default TwoFactorStep;
@@ -18,6 +18,12 @@ const safeFormatDate = (dateInput) => {
 	}).format(date);
 };
 
+const SERIES_LABELS = {
+	weekly: 'Repeats weekly',
+	biweekly: 'Repeats every two weeks',
+	custom: 'Repeats',
+};
+
 const EventCard = ({ event }) => {
 	const [imageError, setImageError] = useState(false);
 	const navigate = useNavigate();
@@ -102,6 +108,13 @@ const EventCard = ({ event }) => {
 							</svg>
 							<span className="font-medium">{safeFormatDate(event.eventDate)}</span>
 						</div>
+						{/* Series are listed once, at their next occurrence */}
+						{event.series && event.seriesOccurrences > 1 && (
+							<div className="text-xs font-medium text-[var(--accent-1)]">
+								{SERIES_LABELS[event.seriesFrequency] || 'Repeats'} ·{' '}
+								{event.seriesOccurrences} dates
+							</div>
+						)}
 						<div className="flex items-center gap-2 text-[var(--accent-1)]">
 							<svg
 								className="w-4 h-4 shrink-0"
@@ -5,6 +5,8 @@ import { Lock, Eye, EyeOff, X } from 'lucide-react';
 const PasswordResetModal = ({
 	isOpen,
 	onClose,
+	currentPassword,
+	setCurrentPassword,
 	newPassword,
 	setNewPassword,
 	confirmPassword,
@@ -36,7 +38,7 @@ const PasswordResetModal = ({
 				<div className="flex justify-between items-center mb-4">
 					<h3 className="text-xl font-semibold text-gray-800 dark:text-white flex items-center gap-2">
 						<Lock className="w-5 h-5 text-violet-500" />
-						Reset Password
+						Change Password
 					</h3>
 					<button
 						onClick={onClose}
@@ -47,6 +49,21 @@ const PasswordResetModal = ({
 				</div>
 
 				<form onSubmit={onSubmit} className="space-y-4">
+					<div>
+						<label className="block text-gray-700 dark:text-gray-300 mb-2 text-sm">
+							Current Password
+						</label>
+						<input
+							type="password"
+							value={currentPassword}
+							onChange={(e) => setCurrentPassword(e.target.value)}
+							className="w-full px-3 py-2 bg-gray-50 dark:bg-gray-700 border border-gray-200 dark:border-gray-600 text-gray-800 dark:text-white rounded-lg focus:ring-2 focus:ring-violet-500 focus:border-violet-500 transition-all text-sm"
+							placeholder="Enter current password"
+							autoComplete="current-password"
+							required
+						/>
+					</div>
+
 					<div>
 						<label className="block text-gray-700 dark:text-gray-300 mb-2 text-sm">
 							New Password
@@ -119,10 +136,10 @@ const PasswordResetModal = ({
 							{isLoading ? (
 								<div className="flex items-center justify-center gap-2">
 									<div className="w-4 h-4 border-2 border-white/30 border-t-white rounded-full animate-spin" />
-									Resetting...
+									Saving...
 								</div>
 							) : (
-								'Reset Password'
+								'Change Password'
 							)}
 						</button>
 					</div>
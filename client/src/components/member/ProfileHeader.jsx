@@ -157,7 +157,7 @@ const ProfileHeader = ({
 									className="flex items-center justify-center gap-1 px-2 py-2 bg-purple-600 hover:bg-purple-700 text-white rounded-lg transition-all duration-200 text-xs font-semibold shadow-md"
 								>
 									<Lock className="w-3 h-3" />
-									<span className="xs:inline">Reset</span>
+									<span className="xs:inline">Password</span>
 								</button>
 
 								<div className="relative">
@@ -249,7 +249,7 @@ const ProfileHeader = ({
 										className="flex items-center gap-2 px-4 py-2.5 bg-purple-600 hover:bg-purple-700 text-white rounded-xl transition-all duration-200 text-sm font-semibold shadow-lg hover:shadow-xl hover:scale-105 justify-center"
 									>
 										<Lock className="w-4 h-4" />
-										Reset Password
+										Change Password
 									</button>
 
 									<div className="relative">
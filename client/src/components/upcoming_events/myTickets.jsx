@@ -0,0 +1,572 @@
+import React, { useCallback, useEffect, useState } from 'react';
+import { Link } from 'react-router-dom';
+import toast from 'react-hot-toast';
+import {
+	getAttendeeSession,
+	clearAttendeeSession,
+	requestLoginCode,
+	verifyLoginCode,
+	getMyTickets,
+	updateMyTicket,
+	cancelMyTicket,
+	downloadTicketCalendar,
+	getCalendarFeed,
+} from '../../services/attendeeServices.js';
+import {
+	downloadTicketPdf,
+	downloadTicketPass,
+	ticketQrImageUrl,
+} from '../../services/ticketServices.js';
+import RegistrationFields from './registrationFields.jsx';
+
+const INPUT_CLASS =
+	'w-full border border-red-700 bg-black/60 text-red-100 rounded-lg px-3 py-2 placeholder:text-red-400 focus:outline-none focus:ring-2 focus:ring-red-600 transition';
+const LABEL_CLASS = 'block text-xs font-semibold mb-1 text-red-200 tracking-wide';
+const BUTTON_CLASS =
+	'px-3 py-1.5 rounded-lg text-sm font-medium transition disabled:opacity-50 disabled:cursor-not-allowed';
+
+const STATUS_STYLES = {
+	active: 'bg-green-900/50 text-green-300 border-green-700/60',
+	used: 'bg-blue-900/50 text-blue-300 border-blue-700/60',
+	cancelled: 'bg-zinc-800 text-zinc-400 border-zinc-600',
+};
+
+const formatDateTime = (value) =>
+	value
+		? new Date(value).toLocaleString('en-IN', {
+				dateStyle: 'medium',
+				timeStyle: 'short',
+			})
+		: '—';
+
+const saveBlob = (blob, filename) => {
+	const url = URL.createObjectURL(blob);
+	const a = document.createElement('a');
+	a.href = url;
+	a.download = filename;
+	document.body.appendChild(a);
+	a.click();
+	a.remove();
+	URL.revokeObjectURL(url);
+};
+
+// Sign-in: email or LPU ID, then the code emailed to the attendee
+const SignIn = ({ onSignedIn }) => {
+	const [identifier, setIdentifier] = useState('');
+	const [code, setCode] = useState('');
+	const [codeSent, setCodeSent] = useState(false);
+	const [loading, setLoading] = useState(false);
+	const [error, setError] = useState('');
+
+	const handleSendCode = async (e) => {
+		e.preventDefault();
+		setError('');
+		setLoading(true);
+		try {
+			toast.success(await requestLoginCode(identifier.trim()));
+			setCodeSent(true);
+		} catch (err) {
+			setError(err.message);
+		} finally {
+			setLoading(false);
+		}
+	};
+
+	const handleVerify = async (e) => {
+		e.preventDefault();
+		setError('');
+		setLoading(true);
+		try {
+			onSignedIn(await verifyLoginCode(identifier.trim(), code.trim()));
+		} catch (err) {
+			setError(err.message);
+		} finally {
+			setLoading(false);
+		}
+	};
+
+	return (
+		<form
+			onSubmit={codeSent ? handleVerify : handleSendCode}
+			className="max-w-md w-full mx-auto bg-gradient-to-br from-red-900/40 to-black/70 backdrop-blur-sm border border-red-600/50 rounded-xl p-8 space-y-4"
+		>
+			<h1 className="text-2xl font-bold text-red-400 text-center">My tickets</h1>
+			<p className="text-sm text-red-200 text-center">
+				{codeSent
+					? 'Enter the 6-digit code we emailed you. It is valid for 10 minutes.'
+					: 'Enter the email address or LPU ID you registered with and we will email you a login code.'}
+			</p>
+
+			<div>
+				<label htmlFor="identifier" className={LABEL_CLASS}>
+					Email or LPU ID
+				</label>
+				<input
+					id="identifier"
+					value={identifier}
+					onChange={(e) => setIdentifier(e.target.value)}
+					disabled={codeSent}
+					required
+					autoComplete="email"
+					className={INPUT_CLASS}
+				/>
+			</div>
+
+			{codeSent && (
+				<div>
+					<label htmlFor="code" className={LABEL_CLASS}>
+						Login code
+					</label>
+					<input
+						id="code"
+						value={code}
+						onChange={(e) => setCode(e.target.value.replace(/\D/g, '').slice(0, 6))}
+						inputMode="numeric"
+						autoComplete="one-time-code"
+						required
+						className={`${INPUT_CLASS} tracking-[0.5em] text-center text-lg`}
+					/>
+				</div>
+			)}
+
+			{error && <div className="text-sm text-red-400 bg-red-900/30 rounded p-2">{error}</div>}
+
+			<button
+				type="submit"
+				disabled={loading || (codeSent && code.length !== 6)}
+				className="w-full py-2 bg-gradient-to-r from-red-600 to-red-800 hover:from-red-700 hover:to-red-900 rounded-lg font-medium text-white disabled:opacity-50 transition"
+			>
+				{loading ? 'Please wait...' : codeSent ? 'Sign in' : 'Email me a code'}
+			</button>
+
+			{codeSent && (
+				<button
+					type="button"
+					onClick={() => {
+						setCodeSent(false);
+						setCode('');
+						setError('');
+					}}
+					className="w-full text-sm text-red-300 hover:text-white transition"
+				>
+					Use a different email or LPU ID
+				</button>
+			)}
+		</form>
+	);
+};
+
+// Attendee details and answers, editable until the event starts
+const EditTicketForm = ({ ticket, onSaved, onCancel }) => {
+	const [form, setForm] = useState({
+		fullName: ticket.fullName || '',
+		phone: ticket.phone || '',
+		course: ticket.course || '',
+		hosteler: !!ticket.hosteler,
+		hostel: ticket.hostel || '',
+		answers: ticket.answers || {},
+	});
+	const [saving, setSaving] = useState(false);
+	const [error, setError] = useState('');
+
+	const setField = (name, value) => setForm((prev) => ({ ...prev, [name]: value }));
+
+	const handleSubmit = async (e) => {
+		e.preventDefault();
+		setError('');
+		setSaving(true);
+		try {
+			const updates = { ...form, hostel: form.hosteler ? form.hostel : '' };
+			if (!ticket.event?.registrationFields?.length) delete updates.answers;
+			onSaved(await updateMyTicket(ticket.ticketId, updates));
+			toast.success('Ticket updated.');
+		} catch (err) {
+			setError(err.message);
+		} finally {
+			setSaving(false);
+		}
+	};
+
+	return (
+		<form onSubmit={handleSubmit} className="mt-4 space-y-4 border-t border-red-800/50 pt-4">
+			<div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+				{[
+					['fullName', 'Full name'],
+					['phone', 'Phone'],
+					['course', 'Course'],
+				].map(([name, label]) => (
+					<div key={name}>
+						<label htmlFor={`${ticket.ticketId}-${name}`} className={LABEL_CLASS}>
+							{label}
+						</label>
+						<input
+							id={`${ticket.ticketId}-${name}`}
+							value={form[name]}
+							onChange={(e) => setField(name, e.target.value)}
+							required
+							className={INPUT_CLASS}
+						/>
+					</div>
+				))}
+				<div>
+					<label className="inline-flex items-center gap-2 text-sm text-red-200 mt-6">
+						<input
+							type="checkbox"
+							checked={form.hosteler}
+							onChange={(e) => setField('hosteler', e.target.checked)}
+							className="accent-red-600"
+						/>
+						I live in a hostel
+					</label>
+				</div>
+				{form.hosteler && (
+					<div>
+						<label htmlFor={`${ticket.ticketId}-hostel`} className={LABEL_CLASS}>
+							Hostel
+						</label>
+						<input
+							id={`${ticket.ticketId}-hostel`}
+							value={form.hostel}
+							onChange={(e) => setField('hostel', e.target.value)}
+							required
+							className={INPUT_CLASS}
+						/>
+					</div>
+				)}
+			</div>
+
+			<RegistrationFields
+				fields={ticket.event?.registrationFields}
+				eventId={ticket.eventId}
+				answers={form.answers}
+				onChange={(key, value) =>
+					setForm((prev) => ({ ...prev, answers: { ...prev.answers, [key]: value } }))
+				}
+			/>
+
+			{error && <div className="text-sm text-red-400 bg-red-900/30 rounded p-2">{error}</div>}
+
+			<div className="flex gap-2 justify-end">
+				<button
+					type="button"
+					onClick={onCancel}
+					className={`${BUTTON_CLASS} bg-zinc-800 hover:bg-zinc-700 text-zinc-200`}
+				>
+					Discard
+				</button>
+				<button
+					type="submit"
+					disabled={saving}
+					className={`${BUTTON_CLASS} bg-red-700 hover:bg-red-600 text-white`}
+				>
+					{saving ? 'Saving...' : 'Save changes'}
+				</button>
+			</div>
+		</form>
+	);
+};
+
+const TicketCard = ({ ticket, onChange, onSessionExpired }) => {
+	const [editing, setEditing] = useState(false);
+	const [busy, setBusy] = useState(false);
+	const event = ticket.event;
+	const qrUrl = ticketQrImageUrl(ticket);
+	const showQr = ticket.status === 'active' && qrUrl;
+
+	const handleError = (err) => {
+		if (err.status === 401) onSessionExpired();
+		toast.error(err.message);
+	};
+
+	const handleDownloadQr = async () => {
+		try {
+			const response = await fetch(qrUrl);
+			saveBlob(await response.blob(), `${ticket.ticketId}.png`);
+		} catch {
+			// Cross-origin download refused; open the image instead
+			window.open(qrUrl, '_blank', 'noopener');
+		}
+	};
+
+	const handleDownloadPdf = async () => {
+		try {
+			saveBlob(await downloadTicketPdf(ticket), `${ticket.ticketId}.pdf`);
+		} catch (err) {
+			toast.error(err.message);
+		}
+	};
+
+	const handleDownloadPass = async () => {
+		try {
+			const { blob, filename } = await downloadTicketPass(ticket);
+			saveBlob(blob, filename);
+		} catch (err) {
+			toast.error(err.message);
+		}
+	};
+
+	const handleCalendar = async () => {
+		try {
+			saveBlob(await downloadTicketCalendar(ticket.ticketId), `${ticket.ticketId}.ics`);
+		} catch (err) {
+			handleError(err);
+		}
+	};
+
+	const handleCancel = async () => {
+		if (
+			!window.confirm(
+				`Cancel your ticket for ${event?.title}? Your place will be given to someone else.`
+			)
+		) {
+			return;
+		}
+		setBusy(true);
+		try {
+			onChange(await cancelMyTicket(ticket.ticketId));
+			toast.success('Your ticket has been cancelled.');
+		} catch (err) {
+			handleError(err);
+		} finally {
+			setBusy(false);
+		}
+	};
+
+	return (
+		<div className="bg-gradient-to-br from-red-900/30 to-black/70 border border-red-700/50 rounded-xl p-5">
+			<div className="flex flex-col md:flex-row gap-5">
+				<div className="flex-1 min-w-0 space-y-1">
+					<div className="flex items-center gap-2 flex-wrap">
+						<h2 className="text-lg font-bold text-white">
+							{event?.title || ticket.eventName}
+						</h2>
+						<span
+							className={`text-xs px-2 py-0.5 rounded border capitalize ${STATUS_STYLES[ticket.status] || ''}`}
+						>
+							{ticket.status}
+						</span>
+					</div>
+					{event && (
+						<p className="text-sm text-red-200">
+							{formatDateTime(event.startsAt)} · {event.venue}
+							{event.room ? `, ${event.room}` : ''}
+						</p>
+					)}
+					<p className="text-xs text-red-300">Ticket {ticket.ticketId}</p>
+					<p className="text-xs text-red-300">
+						{ticket.fullName} · {ticket.email}
+					</p>
+					{ticket.status === 'active' && ticket.canCancel && ticket.cancelBefore && (
+						<p className="text-xs text-red-300">
+							You can cancel until {formatDateTime(ticket.cancelBefore)}.
+						</p>
+					)}
+					{ticket.status === 'active' &&
+						!ticket.canCancel &&
+						ticket.cancelBlockedReason && (
+							<p className="text-xs text-zinc-400">{ticket.cancelBlockedReason}</p>
+						)}
+
+					<div className="flex flex-wrap gap-2 pt-3">
+						{ticket.status === 'active' && ticket.googleCalendarUrl && (
+							<a
+								href={ticket.googleCalendarUrl}
+								target="_blank"
+								rel="noopener noreferrer"
+								className={`${BUTTON_CLASS} bg-zinc-800 hover:bg-zinc-700 text-zinc-200`}
+							>
+								Add to Google Calendar
+							</a>
+						)}
+						{ticket.status === 'active' && event && (
+							<button
+								onClick={handleCalendar}
+								className={`${BUTTON_CLASS} bg-zinc-800 hover:bg-zinc-700 text-zinc-200`}
+							>
+								Download .ics
+							</button>
+						)}
+						{ticket.canEdit && !editing && (
+							<button
+								onClick={() => setEditing(true)}
+								className={`${BUTTON_CLASS} bg-zinc-800 hover:bg-zinc-700 text-zinc-200`}
+							>
+								Edit details
+							</button>
+						)}
+						{ticket.canCancel && (
+							<button
+								onClick={handleCancel}
+								disabled={busy}
+								className={`${BUTTON_CLASS} bg-red-900/80 hover:bg-red-800 text-red-100`}
+							>
+								{busy ? 'Cancelling...' : 'Cancel registration'}
+							</button>
+						)}
+					</div>
+				</div>
+
+				{showQr && (
+					<div className="flex flex-col items-center gap-2">
+						<img
+							src={qrUrl}
+							alt={`QR code for ticket ${ticket.ticketId}`}
+							className="w-40 h-40 bg-white rounded-lg p-1"
+						/>
+						<button
+							onClick={handleDownloadPdf}
+							className={`${BUTTON_CLASS} bg-red-700 hover:bg-red-600 text-white w-full`}
+						>
+							Download PDF
+						</button>
+						<div className="flex gap-2">
+							<button
+								onClick={handleDownloadQr}
+								className={`${BUTTON_CLASS} bg-zinc-800 hover:bg-zinc-700 text-zinc-200`}
+							>
+								QR image
+							</button>
+							<button
+								onClick={handleDownloadPass}
+								className={`${BUTTON_CLASS} bg-zinc-800 hover:bg-zinc-700 text-zinc-200`}
+							>
+								Wallet pass
+							</button>
+						</div>
+					</div>
+				)}
+			</div>
+
+			{editing && (
+				<EditTicketForm
+					ticket={ticket}
+					onSaved={(updated) => {
+						onChange(updated);
+						setEditing(false);
+					}}
+					onCancel={() => setEditing(false)}
+				/>
+			)}
+		</div>
+	);
+};
+
+// Attendee self-service: find tickets by email or LPU ID, then view, edit or cancel them
+const MyTickets = () => {
+	const [session, setSession] = useState(getAttendeeSession);
+	const [tickets, setTickets] = useState([]);
+	const [loading, setLoading] = useState(false);
+	const [error, setError] = useState('');
+
+	const signOut = useCallback(() => {
+		clearAttendeeSession();
+		setSession(null);
+		setTickets([]);
+	}, []);
+
+	useEffect(() => {
+		if (!session) return undefined;
+		let cancelled = false;
+		setLoading(true);
+		setError('');
+		getMyTickets()
+			.then((data) => {
+				if (!cancelled) setTickets(data);
+			})
+			.catch((err) => {
+				if (cancelled) return;
+				if (err.status === 401) {
+					toast.error(err.message);
+					signOut();
+				} else {
+					setError(err.message);
+				}
+			})
+			.finally(() => {
+				if (!cancelled) setLoading(false);
+			});
+		return () => {
+			cancelled = true;
+		};
+	}, [session, signOut]);
+
+	// Subscribing keeps every ticket's event in the attendee's calendar app, updated as they change
+	const handleSubscribe = async () => {
+		try {
+			const { url, webcalUrl } = await getCalendarFeed();
+			try {
+				await navigator.clipboard.writeText(url);
+				toast.success('Calendar feed link copied. Opening your calendar app...');
+			} catch {
+				/* ignore */
+			}
+			window.location.href = webcalUrl;
+		} catch (err) {
+			if (err.status === 401) signOut();
+			toast.error(err.message);
+		}
+	};
+
+	const replaceTicket = (updated) =>
+		setTickets((prev) => prev.map((t) => (t.ticketId === updated.ticketId ? updated : t)));
+
+	return (
+		<div className="min-h-screen bg-black text-white px-4 py-24">
+			{!session ? (
+				<SignIn onSignedIn={setSession} />
+			) : (
+				<div className="max-w-3xl mx-auto space-y-4">
+					<div className="flex items-center justify-between gap-4">
+						<div>
+							<h1 className="text-2xl font-bold text-red-400">My tickets</h1>
+							<p className="text-sm text-red-300">
+								Signed in as {session.identifier}
+							</p>
+						</div>
+						<div className="flex flex-wrap justify-end gap-2">
+							{tickets.length > 0 && (
+								<button
+									onClick={handleSubscribe}
+									className={`${BUTTON_CLASS} bg-zinc-800 hover:bg-zinc-700 text-zinc-200`}
+								>
+									Subscribe in calendar
+								</button>
+							)}
+							<button
+								onClick={signOut}
+								className={`${BUTTON_CLASS} bg-zinc-800 hover:bg-zinc-700 text-zinc-200`}
+							>
+								Sign out
+							</button>
+						</div>
+					</div>
+
+					{loading && <p className="text-red-200">Loading your tickets...</p>}
+					{error && (
+						<div className="text-sm text-red-400 bg-red-900/30 rounded p-3">
+							{error}
+						</div>
+					)}
+					{!loading && !error && tickets.length === 0 && (
+						<div className="text-center text-red-200 py-12">
+							<p>No tickets found for {session.identifier}.</p>
+							<Link to="/event" className="text-red-400 hover:text-white underline">
+								Browse events
+							</Link>
+						</div>
+					)}
+					{tickets.map((ticket) => (
+						<TicketCard
+							key={ticket.ticketId}
+							ticket={ticket}
+							onChange={replaceTicket}
+							onSessionExpired={signOut}
+						/>
+					))}
+				</div>
+			)}
+		</div>
+	);
+};
+
+export default MyTickets;
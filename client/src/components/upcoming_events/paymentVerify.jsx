@@ -2,6 +2,7 @@ import React, { useEffect, useState } from 'react';
 import { useSearchParams, useNavigate } from 'react-router-dom';
 import { motion } from 'framer-motion';
 import { publicClient } from '../../services/api.js';
+import { ticketQrImageUrl } from '../../services/ticketServices.js';
 
 const CONTACT_EMAIL = 'vibranta.helpdesk@gmail.com';
 const CONTACT_PHONE = '+91-9771072294';
@@ -25,8 +26,12 @@ const PaymentSuccess = () => {
 				return;
 			}
 
-			// Call verify payment endpoint
-			const response = await publicClient.post(`api/cashfree/verify?order_id=${orderId}`);
+			// Call verify payment endpoint (Instamojo appends payment_id to the return URL)
+			const paymentId = searchParams.get('payment_id');
+			const response = await publicClient.post(
+				`/api/v1/payments/orders/${encodeURIComponent(orderId)}/verify`,
+				paymentId ? { payment_id: paymentId } : {}
+			);
 			const { data } = response.data;
 
 			if (!data || !data.transaction) {
@@ -234,6 +239,14 @@ const PaymentSuccess = () => {
 									{ticketData.lpuId || transactionData?.lpuId || 'N/A'}
 								</span>
 							</div>
+							{ticketData.team?.code && (
+								<div className="flex justify-between">
+									<span className="text-green-300">Team code:</span>
+									<span className="text-white font-mono">
+										{ticketData.team.name} · {ticketData.team.code}
+									</span>
+								</div>
+							)}
 							<div className="flex justify-between">
 								<span className="text-green-300">Status:</span>
 								<span className="text-green-400 font-bold">CONFIRMED</span>
@@ -241,7 +254,7 @@ const PaymentSuccess = () => {
 							{ticketData.qrCode?.url && (
 								<div className="flex flex-col items-center mt-4">
 									<img
-										src={ticketData.qrCode.url}
+										src={ticketQrImageUrl(ticketData)}
 										alt="QR Code"
 										className="w-32 h-32 rounded-lg border-4 border-green-400 bg-white"
 									/>
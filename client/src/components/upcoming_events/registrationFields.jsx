@@ -0,0 +1,154 @@
+import React, { useState } from 'react';
+import { uploadRegistrationFile } from '../../services/ticketServices.js';
+
+const INPUT_CLASS =
+	'w-full border border-red-700 bg-black/60 text-red-100 rounded-lg px-3 py-2 placeholder:text-red-400 focus:outline-none focus:ring-2 focus:ring-red-600 transition';
+const LABEL_CLASS = 'block text-xs font-semibold mb-1 text-red-200 tracking-wide';
+
+/**
+ * RegistrationFields
+ * - Renders an event's extra registration questions (event.registrationFields) into
+ *   `answers`, keyed by field key. The server validates the answers again.
+ * - File fields are uploaded as soon as they are picked; the upload result is the answer.
+ * - Styled for the public ticket form; pass inputClassName/labelClassName to restyle.
+ */
+const RegistrationFields = ({
+	fields = [],
+	eventId,
+	answers = {},
+	onChange,
+	inputClassName = INPUT_CLASS,
+	labelClassName = LABEL_CLASS,
+}) => {
+	const [uploading, setUploading] = useState(null);
+	const [uploadErrors, setUploadErrors] = useState({});
+
+	if (!fields.length) return null;
+
+	const handleFile = async (field, file) => {
+		setUploadErrors((prev) => ({ ...prev, [field.key]: '' }));
+		if (!file) {
+			onChange(field.key, undefined);
+			return;
+		}
+		setUploading(field.key);
+		try {
+			onChange(field.key, await uploadRegistrationFile(eventId, field.key, file));
+		} catch (err) {
+			onChange(field.key, undefined);
+			setUploadErrors((prev) => ({ ...prev, [field.key]: err.message }));
+		} finally {
+			setUploading(null);
+		}
+	};
+
+	const renderInput = (field) => {
+		const id = `answer-${field.key}`;
+		const value = answers[field.key];
+
+		switch (field.type) {
+			case 'select':
+				return (
+					<select
+						id={id}
+						value={value ?? ''}
+						onChange={(e) => onChange(field.key, e.target.value)}
+						required={field.required}
+						className={inputClassName}
+					>
+						<option value="">Select an option</option>
+						{(field.options || []).map((option) => (
+							<option key={option} value={option}>
+								{option}
+							</option>
+						))}
+					</select>
+				);
+			case 'checkbox':
+				return (
+					<label className="inline-flex items-center gap-2">
+						<input
+							id={id}
+							type="checkbox"
+							checked={value === true}
+							onChange={(e) => onChange(field.key, e.target.checked)}
+							required={field.required}
+							className="accent-red-600"
+						/>
+						<span className="text-sm">{field.helpText || 'Yes'}</span>
+					</label>
+				);
+			case 'number':
+				return (
+					<input
+						id={id}
+						type="number"
+						value={value ?? ''}
+						onChange={(e) => onChange(field.key, e.target.value)}
+						min={field.min ?? undefined}
+						max={field.max ?? undefined}
+						required={field.required}
+						className={inputClassName}
+					/>
+				);
+			case 'file':
+				return (
+					<>
+						<input
+							id={id}
+							type="file"
+							accept={field.accept?.join(',') || undefined}
+							onChange={(e) => handleFile(field, e.target.files?.[0])}
+							required={field.required && !value}
+							disabled={uploading === field.key}
+							className={`${inputClassName} file:mr-3 file:rounded file:border-0 file:px-2 file:py-1`}
+						/>
+						{uploading === field.key && <p className="text-xs mt-1">Uploading...</p>}
+						{value?.name && uploading !== field.key && (
+							<p className="text-xs text-green-400 mt-1">Uploaded {value.name}</p>
+						)}
+						{uploadErrors[field.key] && (
+							<p className="text-xs text-red-400 mt-1">{uploadErrors[field.key]}</p>
+						)}
+					</>
+				);
+			default:
+				return (
+					<input
+						id={id}
+						type="text"
+						value={value ?? ''}
+						onChange={(e) => onChange(field.key, e.target.value)}
+						minLength={field.min ?? undefined}
+						maxLength={field.max ?? undefined}
+						required={field.required}
+						className={inputClassName}
+					/>
+				);
+		}
+	};
+
+	return (
+		<div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+			{fields.map((field) => (
+				<div
+					key={field.key}
+					className={
+						field.type === 'checkbox' || field.type === 'file' ? 'md:col-span-2' : ''
+					}
+				>
+					<label htmlFor={`answer-${field.key}`} className={labelClassName}>
+						{field.label}
+						{field.required && <span className="text-red-400"> *</span>}
+					</label>
+					{renderInput(field)}
+					{field.helpText && field.type !== 'checkbox' && (
+						<p className="text-xs opacity-70 mt-1">{field.helpText}</p>
+					)}
+				</div>
+			))}
+		</div>
+	);
+};
+
+export default RegistrationFields;
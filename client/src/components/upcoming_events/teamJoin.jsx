@@ -0,0 +1,175 @@
+import React, { useCallback, useEffect, useState } from 'react';
+import { useParams, useNavigate } from 'react-router-dom';
+import TicketForm from './ticketForm.jsx';
+import { getTeamByCode } from '../../services/teamServices.js';
+import { registerForEvent } from '../../services/ticketServices.js';
+import handlePayment from '../../utils/paymentHandler.js';
+
+// Landing page of the link in team invite emails. Invited members register here with the team
+// code; paid events go through the normal checkout.
+const TeamJoin = () => {
+	const { code } = useParams();
+	const navigate = useNavigate();
+	const [status, setStatus] = useState('loading');
+	const [message, setMessage] = useState('');
+	const [teamData, setTeamData] = useState(null);
+	const [showForm, setShowForm] = useState(false);
+	const [loading, setLoading] = useState(false);
+	const [error, setError] = useState('');
+	const [formData, setFormData] = useState({
+		fullName: '',
+		email: '',
+		phone: '',
+		lpuId: '',
+		gender: '',
+		hosteler: '',
+		hostel: '',
+		course: '',
+		club: '',
+		amount: '0',
+		teamMode: 'join',
+		teamCode: code,
+	});
+
+	useEffect(() => {
+		let cancelled = false;
+		getTeamByCode(code)
+			.then((data) => {
+				if (cancelled) return;
+				setTeamData(data);
+				setFormData((prev) => ({ ...prev, amount: String(data.event?.ticketPrice || 0) }));
+				setStatus('ready');
+			})
+			.catch((err) => {
+				if (cancelled) return;
+				setStatus('failed');
+				setMessage(err.message);
+			});
+		return () => {
+			cancelled = true;
+		};
+	}, [code]);
+
+	const team = teamData?.team;
+	const event = teamData?.event;
+	const price = Number(event?.ticketPrice) || 0;
+
+	const handleSubmit = useCallback(async () => {
+		if (price > 0) {
+			handlePayment({
+				formData,
+				eventData: event,
+				setLoading,
+				setError,
+				setShowPaymentForm: setShowForm,
+			});
+			return;
+		}
+
+		setLoading(true);
+		setError('');
+		try {
+			const hosteler = formData.hosteler === true || formData.hosteler === 'true';
+			await registerForEvent({
+				eventId: event._id,
+				fullName: formData.fullName,
+				email: formData.email,
+				phone: formData.phone,
+				lpuId: formData.lpuId?.trim(),
+				gender: formData.gender,
+				course: formData.course,
+				hosteler,
+				hostel: hosteler ? formData.hostel : undefined,
+				teamCode: formData.teamCode,
+				answers: event.registrationFields?.length ? formData.answers || {} : undefined,
+			});
+			setShowForm(false);
+			setStatus('joined');
+			setMessage('You are on the team. Check your email for your ticket.');
+		} catch (err) {
+			setError(err.message);
+		} finally {
+			setLoading(false);
+		}
+	}, [formData, event, price]);
+
+	return (
+		<div className="min-h-screen bg-black text-white flex items-center justify-center p-4">
+			<div className="max-w-md w-full bg-gradient-to-br from-red-900/40 to-black/70 backdrop-blur-sm border border-red-600/50 rounded-xl p-8 text-center">
+				<div className="text-6xl mb-6">
+					{status === 'loading' && '🔄'}
+					{status === 'ready' && '🤝'}
+					{status === 'joined' && '✅'}
+					{status === 'failed' && '❌'}
+				</div>
+
+				<h1 className="text-2xl font-bold mb-4 text-red-400">
+					{status === 'loading' && 'Loading team...'}
+					{status === 'ready' && `Join team ${team?.name}`}
+					{status === 'joined' && 'Welcome to the team!'}
+					{status === 'failed' && 'Team not found'}
+				</h1>
+
+				{message && <p className="text-red-300 mb-6">{message}</p>}
+
+				{status === 'ready' && (
+					<>
+						<div className="bg-black/30 rounded-lg p-4 mb-6 text-left space-y-1 text-sm">
+							<div className="flex justify-between">
+								<span className="text-red-300">Event:</span>
+								<span className="text-white">{event?.title}</span>
+							</div>
+							<div className="flex justify-between">
+								<span className="text-red-300">Leader:</span>
+								<span className="text-white">{team?.leader}</span>
+							</div>
+							<div className="flex justify-between">
+								<span className="text-red-300">Members:</span>
+								<span className="text-white">
+									{team?.members} joined, {team?.pendingInvites} invited
+								</span>
+							</div>
+							<div className="flex justify-between">
+								<span className="text-red-300">Price:</span>
+								<span className="text-white">
+									{price > 0 ? `₹${price}` : 'Free'}
+								</span>
+							</div>
+						</div>
+
+						<button
+							onClick={() => setShowForm(true)}
+							className="w-full py-2 bg-gradient-to-r from-red-600 to-red-800 hover:from-red-700 hover:to-red-900 rounded-lg font-medium text-white transition"
+						>
+							Register and join
+						</button>
+						<div id="cashfree-dropin-container" className="w-full"></div>
+					</>
+				)}
+
+				{status !== 'ready' && status !== 'loading' && (
+					<button
+						onClick={() => navigate('/event')}
+						className="w-full py-2 bg-red-900/80 hover:bg-red-800 rounded-lg font-medium text-red-200 hover:text-white transition"
+					>
+						Back to events
+					</button>
+				)}
+			</div>
+
+			{showForm && (
+				<TicketForm
+					eventData={event}
+					formData={formData}
+					setFormData={setFormData}
+					loading={loading}
+					error={error}
+					onClose={() => setShowForm(false)}
+					onSubmit={handleSubmit}
+				/>
+			)}
+		</div>
+	);
+};
+
+export default TeamJoin;
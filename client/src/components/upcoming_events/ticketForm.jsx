@@ -1,7 +1,21 @@
-import React, { useRef, useEffect, useCallback } from 'react';
+import React, { useRef, useEffect, useCallback, useState } from 'react';
+import { validateCoupon } from '../../services/couponServices.js';
+import RegistrationFields from './registrationFields.jsx';
 
-const TicketForm = ({ formData, setFormData, loading, error, onClose, onSubmit }) => {
+const TicketForm = ({
+	eventData,
+	formData,
+	setFormData,
+	loading,
+	error,
+	waitlistMode = false,
+	onClose,
+	onSubmit,
+}) => {
 	const modalRef = useRef(null);
+	const [coupon, setCoupon] = useState(null);
+	const [couponError, setCouponError] = useState('');
+	const [checkingCoupon, setCheckingCoupon] = useState(false);
 
 	useEffect(() => {
 		const handleKeyDown = (e) => {
@@ -30,6 +44,11 @@ const TicketForm = ({ formData, setFormData, loading, error, onClose, onSubmit }
 	const handleInputChange = useCallback(
 		(e) => {
 			const { name, value } = e.target;
+			if (name === 'couponCode') {
+				// An edited code has to be applied again
+				setCoupon(null);
+				setCouponError('');
+			}
 			setFormData((prev) => {
 				if (name === 'hosteler' && value !== 'true') {
 					const { hostel, ...rest } = prev;
@@ -41,6 +60,36 @@ const TicketForm = ({ formData, setFormData, loading, error, onClose, onSubmit }
 		[setFormData]
 	);
 
+	const handleApplyCoupon = useCallback(async () => {
+		const code = formData.couponCode?.trim().toUpperCase();
+		if (!code) return;
+		setCheckingCoupon(true);
+		setCouponError('');
+		try {
+			const result = await validateCoupon({ code, eventId: eventData?._id });
+			setCoupon(result);
+			setFormData((prev) => ({ ...prev, couponCode: result.code }));
+		} catch (err) {
+			setCoupon(null);
+			setCouponError(err.message);
+		} finally {
+			setCheckingCoupon(false);
+		}
+	}, [formData.couponCode, eventData, setFormData]);
+
+	const handleAnswerChange = useCallback(
+		(key, value) =>
+			setFormData((prev) => ({ ...prev, answers: { ...prev.answers, [key]: value } })),
+		[setFormData]
+	);
+
+	// Team events (max team size > 1): create a team with invites or join one with its code
+	const teamSize = eventData?.registration?.teamSize;
+	const isTeamEvent = (teamSize?.max || 1) > 1;
+	const teamMode = formData.teamMode || (formData.teamCode ? 'join' : 'create');
+
+	const payableAmount = coupon?.pricing ? coupon.pricing.amount : Number(formData.amount || 0);
+
 	const handleSubmit = useCallback(
 		(e) => {
 			e.preventDefault();
@@ -94,11 +143,13 @@ const TicketForm = ({ formData, setFormData, loading, error, onClose, onSubmit }
 							WebkitTextFillColor: 'transparent',
 						}}
 					>
-						Ticket Purchase
+						{waitlistMode ? 'Join Waitlist' : 'Ticket Purchase'}
 					</h2>
 					<div className="w-1/2 h-1.5 bg-gradient-to-r from-red-800 via-red-600 to-red-800 rounded-full mb-2" />
 					<p className="text-red-300 text-center mb-2 text-base">
-						Fill in your details to continue
+						{waitlistMode
+							? 'This event is full. We will email you a claim link if a place opens up.'
+							: 'Fill in your details to continue'}
 					</p>
 				</div>
 				<form
@@ -320,19 +371,145 @@ const TicketForm = ({ formData, setFormData, loading, error, onClose, onSubmit }
 							</div>
 						</div>
 					</div>
-					<div>
-						<label className="block text-xs font-semibold mb-1 text-red-200 tracking-wide">
-							Amount
-						</label>
-						<div className="flex items-center justify-between">
-							<span className="text-lg font-bold text-red-100">
-								₹{formData.amount || 0}
-							</span>
-							<span className="text-xs bg-red-900/60 px-2 py-1 rounded text-red-200">
-								Fixed Price
-							</span>
+					<RegistrationFields
+						fields={eventData?.registrationFields}
+						eventId={eventData?._id}
+						answers={formData.answers}
+						onChange={handleAnswerChange}
+					/>
+					{isTeamEvent && !waitlistMode && (
+						<div>
+							<label className="block text-xs font-semibold mb-1 text-red-200 tracking-wide">
+								Team (
+								{teamSize.min === teamSize.max
+									? teamSize.max
+									: `${teamSize.min || 1}–${teamSize.max}`}{' '}
+								members)
+							</label>
+							<div className="flex gap-2 mb-2">
+								{[
+									['create', 'Create a team'],
+									['join', 'Join a team'],
+								].map(([mode, label]) => (
+									<button
+										key={mode}
+										type="button"
+										onClick={() =>
+											setFormData((prev) => ({ ...prev, teamMode: mode }))
+										}
+										className={`flex-1 py-1.5 rounded-lg text-sm font-medium transition ${
+											teamMode === mode
+												? 'bg-red-700 text-white'
+												: 'bg-red-900/60 text-red-200 hover:bg-red-800'
+										}`}
+									>
+										{label}
+									</button>
+								))}
+							</div>
+							{teamMode === 'join' ? (
+								<input
+									type="text"
+									name="teamCode"
+									value={formData.teamCode || ''}
+									onChange={handleInputChange}
+									maxLength={8}
+									required
+									className="w-full border border-red-700 bg-black/60 text-red-100 rounded-lg px-3 py-2 uppercase placeholder:text-red-400 focus:outline-none focus:ring-2 focus:ring-red-600 transition"
+									placeholder="Team code from your leader"
+									autoComplete="off"
+								/>
+							) : (
+								<div className="space-y-2">
+									<input
+										type="text"
+										name="teamName"
+										value={formData.teamName || ''}
+										onChange={handleInputChange}
+										maxLength={50}
+										required
+										className="w-full border border-red-700 bg-black/60 text-red-100 rounded-lg px-3 py-2 placeholder:text-red-400 focus:outline-none focus:ring-2 focus:ring-red-600 transition"
+										placeholder="Team name"
+									/>
+									<textarea
+										name="teamInvites"
+										value={formData.teamInvites || ''}
+										onChange={handleInputChange}
+										rows={3}
+										className="w-full border border-red-700 bg-black/60 text-red-100 rounded-lg px-3 py-2 placeholder:text-red-400 focus:outline-none focus:ring-2 focus:ring-red-600 transition"
+										placeholder="Invite members: one email or LPU ID per line"
+									/>
+									<p className="text-xs text-red-300">
+										Members join with the team code you get after registering,
+										each with their own ticket.
+									</p>
+								</div>
+							)}
 						</div>
-					</div>
+					)}
+					{!waitlistMode && (
+						<>
+							<div>
+								<label
+									htmlFor="couponCode"
+									className="block text-xs font-semibold mb-1 text-red-200 tracking-wide"
+								>
+									Coupon Code (optional)
+								</label>
+								<div className="flex gap-2">
+									<input
+										id="couponCode"
+										type="text"
+										name="couponCode"
+										value={formData.couponCode || ''}
+										onChange={handleInputChange}
+										maxLength={4}
+										className="flex-1 border border-red-700 bg-black/60 text-red-100 rounded-lg px-3 py-2 uppercase placeholder:text-red-400 focus:outline-none focus:ring-2 focus:ring-red-600 transition"
+										placeholder="e.g. AB12"
+										autoComplete="off"
+									/>
+									<button
+										type="button"
+										onClick={handleApplyCoupon}
+										disabled={
+											checkingCoupon ||
+											loading ||
+											!formData.couponCode?.trim()
+										}
+										className="px-4 py-2 bg-red-900/80 hover:bg-red-800 rounded-lg font-medium text-red-200 hover:text-white disabled:opacity-50 transition"
+									>
+										{checkingCoupon ? 'Checking...' : 'Apply'}
+									</button>
+								</div>
+								{couponError && (
+									<p className="text-xs text-red-400 mt-1">{couponError}</p>
+								)}
+								{coupon && (
+									<p className="text-xs text-green-400 mt-1">
+										Coupon {coupon.code} applied: {coupon.discount}% off
+									</p>
+								)}
+							</div>
+							<div>
+								<label className="block text-xs font-semibold mb-1 text-red-200 tracking-wide">
+									Amount
+								</label>
+								<div className="flex items-center justify-between">
+									<span className="text-lg font-bold text-red-100">
+										{coupon?.pricing && (
+											<span className="line-through text-red-400 text-sm mr-2">
+												₹{coupon.pricing.originalAmount}
+											</span>
+										)}
+										₹{payableAmount}
+									</span>
+									<span className="text-xs bg-red-900/60 px-2 py-1 rounded text-red-200">
+										{coupon ? 'Discounted' : 'Fixed Price'}
+									</span>
+								</div>
+							</div>
+						</>
+					)}
 					<div className="flex gap-3 pt-4 sticky bottom-0 bg-gradient-to-t from-black/95 to-transparent pb-2 pointer-events-none z-10">
 						<button
 							type="button"
@@ -354,7 +531,13 @@ const TicketForm = ({ formData, setFormData, loading, error, onClose, onSubmit }
 								</span>
 							) : (
 								<span className="flex items-center justify-center gap-1.5">
-									<span>Pay Now</span>
+									<span>
+										{waitlistMode
+											? 'Join Waitlist'
+											: payableAmount === 0
+												? 'Get Ticket'
+												: 'Pay Now'}
+									</span>
 									<span className="text-lg">🔥</span>
 								</span>
 							)}
@@ -1,8 +1,10 @@
 import React, { useState, useEffect, useCallback } from 'react';
 import { motion, AnimatePresence } from 'framer-motion';
+import toast from 'react-hot-toast';
 import { publicClient } from '../../services/api.js';
 import TicketForm from './ticketForm.jsx';
 import handlePayment from '../../utils/paymentHandler.js';
+import { joinWaitlist } from '../../services/waitlistServices.js';
 import logo1 from '../../assets/smp.png';
 import logo2 from '../../assets/whiteHeaven.png';
 import logo3 from '../../assets/cabNest.png';
@@ -77,6 +79,8 @@ const HorrorRaveYardPage = () => {
 	const [showStartingSoon, setShowStartingSoon] = useState(false);
 	const [loading, setLoading] = useState(false);
 	const [error, setError] = useState('');
+	// Set once checkout reports the event as full: the form then joins the waitlist instead
+	const [waitlistMode, setWaitlistMode] = useState(false);
 	const [isMobile, setIsMobile] = useState(false);
 
 	const [formData, setFormData] = useState({
@@ -90,6 +94,7 @@ const HorrorRaveYardPage = () => {
 		hostel: '',
 		course: '',
 		club: '',
+		couponCode: '',
 		eventId: '68859a199ec482166f0e8523',
 	});
 
@@ -271,8 +276,41 @@ const HorrorRaveYardPage = () => {
 		setShowPaymentForm(true);
 	}, []);
 
+	// Join the waitlist with the details already entered in the form
+	const onJoinWaitlist = useCallback(async () => {
+		setLoading(true);
+		setError('');
+		try {
+			const hosteler = formData.hosteler === true || formData.hosteler === 'true';
+			const result = await joinWaitlist({
+				eventId: eventData?._id,
+				fullName: formData.fullName,
+				email: formData.email,
+				phone: formData.phone,
+				lpuId: formData.lpuId?.trim(),
+				gender: formData.gender,
+				course: formData.course,
+				hosteler,
+				hostel: hosteler ? formData.hostel : undefined,
+				club: formData.club || '',
+				answers: eventData?.registrationFields?.length ? formData.answers || {} : undefined,
+			});
+			toast.success(result.message || 'You are on the waitlist.');
+			setShowPaymentForm(false);
+			setWaitlistMode(false);
+		} catch (err) {
+			setError(err.message);
+		} finally {
+			setLoading(false);
+		}
+	}, [formData, eventData]);
+
 	// Payment submit handler
 	const onPaymentSubmit = useCallback(() => {
+		if (waitlistMode) {
+			onJoinWaitlist();
+			return;
+		}
 		handlePayment({
 			formData,
 			eventData,
@@ -280,13 +318,28 @@ const HorrorRaveYardPage = () => {
 			setError,
 			setShowPaymentForm,
 			onSuccess: (orderData) => {
+				if (orderData?.checkout?.type === 'none') {
+					toast.success(
+						orderData.team
+							? `Ticket issued! Share team code ${orderData.team.code} with your members.`
+							: 'Ticket issued! Check your email for the QR code.'
+					);
+					return;
+				}
 				console.log('Payment initiated successfully:', orderData);
 			},
 			onFailure: (error) => {
+				if (error?.response?.data?.details?.waitlist) {
+					setWaitlistMode(true);
+					setError(
+						'This event is full. Join the waitlist and we will email you if a place opens up.'
+					);
+					return;
+				}
 				console.error('Payment failed:', error);
 			},
 		});
-	}, [formData, eventData]);
+	}, [formData, eventData, waitlistMode, onJoinWaitlist]);
 
 	// Rust particles and flakes state
 	const [rustParticles] = useState(
@@ -1126,6 +1179,7 @@ const HorrorRaveYardPage = () => {
 							setFormData={setFormData}
 							loading={loading}
 							error={error}
+							waitlistMode={waitlistMode}
 							onClose={() => setShowPaymentForm(false)}
 							onSubmit={onPaymentSubmit}
 						/>
@@ -0,0 +1,144 @@
+import React, { useEffect, useState } from 'react';
+import { useParams, useNavigate } from 'react-router-dom';
+import { getWaitlistOffer, claimWaitlistOffer } from '../../services/waitlistServices.js';
+import handlePayment from '../../utils/paymentHandler.js';
+
+// Landing page of the claim link in waitlist offer emails. Free events are claimed here
+// directly; paid events go through the normal checkout with the claim token attached.
+const WaitlistClaim = () => {
+	const { token } = useParams();
+	const navigate = useNavigate();
+	const [status, setStatus] = useState('loading');
+	const [message, setMessage] = useState('');
+	const [offerData, setOfferData] = useState(null);
+	const [loading, setLoading] = useState(false);
+	const [error, setError] = useState('');
+
+	useEffect(() => {
+		let cancelled = false;
+		getWaitlistOffer(token)
+			.then((data) => {
+				if (cancelled) return;
+				setOfferData(data);
+				setStatus('ready');
+			})
+			.catch((err) => {
+				if (cancelled) return;
+				setStatus('failed');
+				setMessage(err.message);
+			});
+		return () => {
+			cancelled = true;
+		};
+	}, [token]);
+
+	const event = offerData?.event;
+	const offer = offerData?.offer;
+	const price = Number(event?.ticketPrice) || 0;
+
+	const handleClaim = async () => {
+		setError('');
+		if (price > 0) {
+			handlePayment({
+				formData: { ...offer, waitlistToken: token },
+				eventData: event,
+				setLoading,
+				setError,
+				setShowPaymentForm: () => {},
+			});
+			return;
+		}
+
+		setLoading(true);
+		try {
+			await claimWaitlistOffer(token);
+			setStatus('success');
+			setMessage('Your ticket has been issued. Check your email for the QR code.');
+		} catch (err) {
+			setError(err.message);
+		} finally {
+			setLoading(false);
+		}
+	};
+
+	return (
+		<div className="min-h-screen bg-black text-white flex items-center justify-center p-4">
+			<div className="max-w-md w-full bg-gradient-to-br from-red-900/40 to-black/70 backdrop-blur-sm border border-red-600/50 rounded-xl p-8 text-center">
+				<div className="text-6xl mb-6">
+					{status === 'loading' && '🔄'}
+					{status === 'ready' && '🎟️'}
+					{status === 'success' && '✅'}
+					{status === 'failed' && '❌'}
+				</div>
+
+				<h1 className="text-2xl font-bold mb-4 text-red-400">
+					{status === 'loading' && 'Loading your offer...'}
+					{status === 'ready' && 'A place is waiting for you'}
+					{status === 'success' && 'Ticket claimed!'}
+					{status === 'failed' && 'Offer unavailable'}
+				</h1>
+
+				{message && <p className="text-red-300 mb-6">{message}</p>}
+
+				{status === 'ready' && (
+					<>
+						<div className="bg-black/30 rounded-lg p-4 mb-6 text-left space-y-1 text-sm">
+							<div className="flex justify-between">
+								<span className="text-red-300">Event:</span>
+								<span className="text-white">{event?.title}</span>
+							</div>
+							<div className="flex justify-between">
+								<span className="text-red-300">Name:</span>
+								<span className="text-white">{offer?.fullName}</span>
+							</div>
+							<div className="flex justify-between">
+								<span className="text-red-300">Price:</span>
+								<span className="text-white">
+									{price > 0 ? `₹${price}` : 'Free'}
+								</span>
+							</div>
+							<div className="flex justify-between">
+								<span className="text-red-300">Claim before:</span>
+								<span className="text-white">
+									{offer?.offerExpiresAt
+										? new Date(offer.offerExpiresAt).toLocaleString()
+										: '—'}
+								</span>
+							</div>
+						</div>
+
+						{error && (
+							<div className="mb-4 text-sm text-red-400 bg-red-900/30 rounded p-2">
+								{error}
+							</div>
+						)}
+
+						<button
+							onClick={handleClaim}
+							disabled={loading}
+							className="w-full py-2 bg-gradient-to-r from-red-600 to-red-800 hover:from-red-700 hover:to-red-900 rounded-lg font-medium text-white disabled:opacity-50 transition"
+						>
+							{loading
+								? 'Processing...'
+								: price > 0
+									? `Pay ₹${price} and claim`
+									: 'Claim my ticket'}
+						</button>
+						<div id="cashfree-dropin-container" className="w-full"></div>
+					</>
+				)}
+
+				{status !== 'ready' && status !== 'loading' && (
+					<button
+						onClick={() => navigate('/event')}
+						className="w-full py-2 bg-red-900/80 hover:bg-red-800 rounded-lg font-medium text-red-200 hover:text-white transition"
+					>
+						Back to events
+					</button>
+				)}
+			</div>
+		</div>
+	);
+};
+
+export default WaitlistClaim;
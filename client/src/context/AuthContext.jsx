@@ -8,6 +8,7 @@ import {
 	getCurrentAdmin,
 	getCurrentMember,
 	refreshAccessToken,
+	verifyLoginTwoFactor,
 } from '../services/authServices.js';
 import {
 	getToken,
@@ -36,24 +37,19 @@ export const AuthProvider = ({ children }) => {
 
 	// Try to refresh the access token using the refresh token
 	const attemptRefreshAndFetch = async () => {
-		// Try admin refresh first, then member
-		try {
-			const newAccess = await refreshAccessToken('admin');
-			if (newAccess) {
-				setLocalToken(newAccess);
-				return { accessToken: newAccess, role: 'admin' };
-			}
-		} catch (e) {
-			/* ignore */
-		}
-		try {
-			const newAccess = await refreshAccessToken('members');
-			if (newAccess) {
-				setLocalToken(newAccess);
-				return { accessToken: newAccess, role: 'member' };
+		// The expired access token says whose refresh cookie it is; without one try both
+		const staleRole = decodeToken(getToken()?.accessToken)?.role;
+		const roles = staleRole === 'member' ? ['member', 'admin'] : ['admin', 'member'];
+		for (const role of roles) {
+			try {
+				const newAccess = await refreshAccessToken(role);
+				if (newAccess) {
+					setLocalToken(newAccess);
+					return { accessToken: newAccess, role };
+				}
+			} catch (e) {
+				/* ignore */
 			}
-		} catch (e) {
-			/* ignore */
 		}
 		return null;
 	};
@@ -115,7 +111,9 @@ export const AuthProvider = ({ children }) => {
 				}
 				delete loginData.identifier;
 			}
-			await memberLogin(loginData);
+			const result = await memberLogin(loginData);
+			// 2FA challenge: the page asks for a code and finishes with completeTwoFactorLogin
+			if (result?.challengeToken) return result;
 			await checkAuthStatus(); // Fetch fresh user data after login
 		},
 		[checkAuthStatus]
@@ -135,12 +133,27 @@ export const AuthProvider = ({ children }) => {
 	// Admin Login
 	const loginAdmin = useCallback(
 		async (credentials) => {
-			await adminLogin(credentials);
+			const result = await adminLogin(credentials);
+			// 2FA challenge: the page asks for a code and finishes with completeTwoFactorLogin
+			if (result?.challengeToken) return result;
 			await checkAuthStatus(); // Fetch fresh user data after login
 		},
 		[checkAuthStatus]
 	);
 
+	// Second sign-in step (role: 'admin' | 'member'). When the code just turned 2FA on, the
+	// recovery codes are returned and the session is only loaded once the page calls
+	// revalidateAuth, so they can be shown before any redirect.
+	const completeTwoFactorLogin = useCallback(
+		async (role, proof) => {
+			const { recoveryCodes } = await verifyLoginTwoFactor(role, proof);
+			if (recoveryCodes?.length) return { recoveryCodes };
+			await checkAuthStatus();
+			return {};
+		},
+		[checkAuthStatus]
+	);
+
 	// Admin Register
 	const registerAdmin = useCallback(
 		async (details) => {
@@ -171,6 +184,7 @@ export const AuthProvider = ({ children }) => {
 				loginMember,
 				logoutMember,
 				loginAdmin,
+				completeTwoFactorLogin,
 				registerAdmin,
 				logoutAdmin,
 				revalidateAuth: checkAuthStatus, // Expose the unified check function
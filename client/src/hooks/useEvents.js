@@ -94,7 +94,7 @@ const useCreateEvent = () => {
 const useUpdateEvent = () => {
 	const queryClient = useQueryClient();
 	const { mutateAsync, isLoading } = useMutation({
-		mutationFn: ({ id, data }) => updateEventDetails(id, data),
+		mutationFn: ({ id, data, scope }) => updateEventDetails(id, data, { scope }),
 		onSuccess: (_data, variables) => {
 			toast.success('Event updated successfully!');
 			queryClient.invalidateQueries({ queryKey: ['events'] });
@@ -106,8 +106,8 @@ const useUpdateEvent = () => {
 		},
 	});
 
-	// compatibility: accept updateEvent(id, data)
-	const updateEvent = (id, data) => mutateAsync({ id, data });
+	// compatibility: accept updateEvent(id, data); { scope: 'future' } updates later occurrences too
+	const updateEvent = (id, data, { scope } = {}) => mutateAsync({ id, data, scope });
 
 	return { updateEvent, loading: isLoading };
 };
@@ -116,7 +116,7 @@ const useUpdateEvent = () => {
 const useDeleteEvent = () => {
 	const queryClient = useQueryClient();
 	const { mutateAsync, isLoading } = useMutation({
-		mutationFn: (id) => deleteEvent(id),
+		mutationFn: ({ id, scope }) => deleteEvent(id, { scope }),
 		onSuccess: () => {
 			toast.success('Event deleted.');
 			queryClient.invalidateQueries({ queryKey: ['events'] });
@@ -127,7 +127,10 @@ const useDeleteEvent = () => {
 		},
 	});
 
-	return { deleteEvent: mutateAsync, loading: isLoading };
+	// deleteEvent(id); { scope: 'future' } deletes later occurrences too
+	const remove = (id, { scope } = {}) => mutateAsync({ id, scope });
+
+	return { deleteEvent: remove, loading: isLoading };
 };
 
 /* Backwards-compatible grouping */
@@ -1,10 +1,23 @@
-import { useState, useCallback } from 'react';
+import { useState, useCallback, useEffect } from 'react';
 import { toast } from 'react-hot-toast';
 import {
 	getTicketsByEvent as getTicketsByEventService,
 	updateTicketStatus as updateTicketStatusService,
 	deleteTicket as deleteTicketService,
+	cancelTicket as cancelTicketService,
+	checkInTicket as checkInTicketService,
+	getCheckInSnapshot,
+	syncOfflineCheckIns,
 } from '../services/ticketServices.js';
+import {
+	saveSnapshot,
+	loadSnapshot,
+	enqueueCheckIn,
+	getQueuedCheckIns,
+	removeQueuedCheckIns,
+	createClientId,
+	validateOffline,
+} from '../utils/offlineCheckIn.js';
 
 // Hook for admins to get tickets for a specific event (imperative fetch)
 export const useGetTicketsByEvent = () => {
@@ -136,3 +149,218 @@ export const useDeleteTicket = () => {
 
 	return { deleteTicket, loading, error, reset };
 };
+
+// Hook to cancel (and optionally refund) a ticket (admin). Exposes cancelTicket(ticketId, payload)
+export const useCancelTicket = () => {
+	const [loading, setLoading] = useState(false);
+	const [error, setError] = useState(null);
+
+	const reset = useCallback(() => {
+		setError(null);
+	}, []);
+
+	const cancelTicket = useCallback(async (ticketId, payload = {}) => {
+		if (!ticketId) {
+			throw new Error('Missing ticket id');
+		}
+		setLoading(true);
+		setError(null);
+		try {
+			const data = await cancelTicketService(ticketId, payload);
+			const refundStatus = data?.transaction?.refund?.status;
+			toast.success(
+				payload.refund && payload.refund !== 'none'
+					? refundStatus === 'PENDING'
+						? 'Ticket cancelled. Refund initiated.'
+						: 'Ticket cancelled and refunded.'
+					: 'Ticket cancelled.'
+			);
+			return data;
+		} catch (err) {
+			const msg = err?.message || String(err);
+			setError(msg);
+			toast.error(msg || 'Failed to cancel ticket');
+			throw err;
+		} finally {
+			setLoading(false);
+		}
+	}, []);
+
+	return { cancelTicket, loading, error, reset };
+};
+
+// Hook to check in a scanned ticket (admin). Exposes checkIn({ qrData | ticketId, eventId })
+// Errors are returned to the caller (not toasted) so the scanner can show its own result card.
+export const useCheckInTicket = () => {
+	const [loading, setLoading] = useState(false);
+	const [error, setError] = useState(null);
+
+	const reset = useCallback(() => {
+		setError(null);
+	}, []);
+
+	const checkIn = useCallback(async (payload = {}) => {
+		if (!payload.qrData && !payload.ticketId) {
+			throw new Error('Missing ticket QR data');
+		}
+		setLoading(true);
+		setError(null);
+		try {
+			const data = await checkInTicketService(payload);
+			return data?.ticket ?? null;
+		} catch (err) {
+			setError(err?.message || String(err));
+			throw err;
+		} finally {
+			setLoading(false);
+		}
+	}, []);
+
+	return { checkIn, loading, error, reset };
+};
+
+// Hook for offline door scanning of one event: keeps the downloaded snapshot and the queue of
+// pending check-ins in IndexedDB. Exposes download(), recordScan({ qrData | ticketId }, gate) and sync().
+export const useOfflineCheckIn = (eventId) => {
+	const [snapshot, setSnapshot] = useState(null);
+	const [queue, setQueue] = useState([]);
+	const [loading, setLoading] = useState(false);
+	const [syncing, setSyncing] = useState(false);
+	const [error, setError] = useState(null);
+
+	const refresh = useCallback(async () => {
+		if (!eventId) {
+			setSnapshot(null);
+			setQueue([]);
+			return;
+		}
+		try {
+			const [stored, pending] = await Promise.all([
+				loadSnapshot(eventId),
+				getQueuedCheckIns(eventId),
+			]);
+			setSnapshot(stored || null);
+			setQueue(pending);
+		} catch (err) {
+			setError(err?.message || String(err));
+		}
+	}, [eventId]);
+
+	useEffect(() => {
+		refresh();
+	}, [refresh]);
+
+	const download = useCallback(async () => {
+		if (!eventId) throw new Error('Select an event first');
+		setLoading(true);
+		setError(null);
+		try {
+			const data = await getCheckInSnapshot(eventId);
+			const next = {
+				eventId,
+				eventTitle: data?.event?.title,
+				tickets: data?.tickets || [],
+				snapshotToken: data?.snapshotToken,
+				generatedAt: data?.generatedAt,
+				expiresAt: data?.expiresAt,
+			};
+			await saveSnapshot(next);
+			setSnapshot(next);
+			toast.success(`Offline snapshot saved (${next.tickets.length} tickets).`);
+			return next;
+		} catch (err) {
+			const msg = err?.message || String(err);
+			setError(msg);
+			toast.error(msg);
+			throw err;
+		} finally {
+			setLoading(false);
+		}
+	}, [eventId]);
+
+	// Validate locally and queue admitted scans; returns the same shape as the online scanner result
+	const recordScan = useCallback(
+		async ({ qrData, ticketId } = {}, gate) => {
+			const result = validateOffline(snapshot, queue, { qrData, ticketId });
+			if (result.kind !== 'success') return result;
+
+			const entry = {
+				clientId: createClientId(),
+				eventId,
+				ticketId: result.ticket.ticketId,
+				// Tag from the signed snapshot proving the ticket was admissible when downloaded
+				admit: result.ticket.admit,
+				qrData: ticketId ? undefined : qrData,
+				manual: Boolean(ticketId),
+				gate: gate || undefined,
+				scannedAt: new Date().toISOString(),
+			};
+			await enqueueCheckIn(entry);
+			setQueue((prev) => [...prev, entry]);
+			return { ...result, ticket: { ...result.ticket, checkedInAt: entry.scannedAt } };
+		},
+		[eventId, snapshot, queue]
+	);
+
+	// Push queued scans to the server; synced, conflicting and rejected entries all leave the queue
+	const sync = useCallback(async () => {
+		if (!snapshot?.snapshotToken || !queue.length) return null;
+		setSyncing(true);
+		setError(null);
+		try {
+			const data = await syncOfflineCheckIns({
+				eventId,
+				snapshotToken: snapshot.snapshotToken,
+				checkIns: queue.map((entry) => ({
+					clientId: entry.clientId,
+					scannedAt: entry.scannedAt,
+					gate: entry.gate,
+					admit: entry.admit,
+					...(entry.manual ? { ticketId: entry.ticketId } : { qrData: entry.qrData }),
+				})),
+			});
+			const results = data?.results || [];
+			await removeQueuedCheckIns(results.map((r) => r.clientId));
+
+			// Keep admitted tickets marked as used so a later offline scan is still a duplicate
+			const admitted = new Map(
+				results.filter((r) => r.status !== 'rejected').map((r) => [r.ticketId, r])
+			);
+			if (admitted.size) {
+				await saveSnapshot({
+					...snapshot,
+					tickets: snapshot.tickets.map((t) =>
+						admitted.has(t.ticketId)
+							? {
+									...t,
+									status: 'used',
+									checkedInAt: admitted.get(t.ticketId).checkedInAt,
+								}
+							: t
+					),
+				});
+			}
+			await refresh();
+			const summary = data?.summary || {};
+			if (summary.conflicts || summary.rejected) {
+				toast.error(
+					`Synced ${summary.synced || 0}; ${summary.conflicts || 0} conflicts, ${
+						summary.rejected || 0
+					} rejected.`
+				);
+			} else {
+				toast.success(`Synced ${summary.synced || 0} check-ins.`);
+			}
+			return data;
+		} catch (err) {
+			const msg = err?.message || String(err);
+			setError(msg);
+			toast.error(msg);
+			throw err;
+		} finally {
+			setSyncing(false);
+		}
+	}, [eventId, snapshot, queue, refresh]);
+
+	return { snapshot, queue, download, recordScan, sync, loading, syncing, error };
+};
@@ -12,8 +12,9 @@ import {
 	CheckCircle,
 	Share2,
 	Globe,
+	CalendarPlus,
 } from 'lucide-react';
-import { getEventById } from '../services/eventServices.js';
+import { getEventById, getEventCalendarFileUrl } from '../services/eventServices.js';
 import LoadingBlock from '../components/Arvantis/LoadingBlock.jsx';
 import '../arvantis.css';
 
@@ -37,6 +38,116 @@ const DetailRow = ({ Icon, label, value }) => (
 	</div>
 );
 
+const sessionTime = (d) =>
+	new Date(d).toLocaleTimeString(undefined, { hour: 'numeric', minute: '2-digit' });
+
+// Agenda grouped by day, sessions in start order
+const groupSessionsByDay = (sessions) => {
+	const days = new Map();
+	[...sessions]
+		.sort((a, b) => new Date(a.start) - new Date(b.start))
+		.forEach((session) => {
+			const key = new Date(session.start).toDateString();
+			if (!days.has(key)) days.set(key, []);
+			days.get(key).push(session);
+		});
+	return [...days.values()];
+};
+
+const AgendaTimeline = ({ sessions }) => {
+	const days = groupSessionsByDay(sessions);
+	return (
+		<div className="glass-card p-6">
+			<h3 className="text-lg font-semibold mb-4">Agenda</h3>
+			<div className="space-y-6">
+				{days.map((daySessions, dayIdx) => (
+					<div key={daySessions[0]._id || dayIdx}>
+						{days.length > 1 && (
+							<div className="text-sm font-semibold mb-3">
+								Day {dayIdx + 1} · {prettyDate(daySessions[0].start)}
+							</div>
+						)}
+						<ol className="relative border-l border-indigo-500/40 ml-2 space-y-4">
+							{daySessions.map((session, i) => (
+								<li key={session._id || i} className="pl-5 relative">
+									<span className="absolute -left-[7px] top-1.5 w-3 h-3 rounded-full bg-indigo-500" />
+									<div className="text-xs mono text-[var(--text-secondary)]">
+										{sessionTime(session.start)} – {sessionTime(session.end)}
+										{session.room && ` · ${session.room}`}
+									</div>
+									<div className="font-semibold mt-0.5">
+										{session.title}
+										{session.track && (
+											<span className="ml-2 text-xs font-normal px-2 py-0.5 rounded bg-indigo-500/15 text-indigo-500">
+												{session.track}
+											</span>
+										)}
+									</div>
+									{session.speakers?.length > 0 && (
+										<div className="text-sm text-[var(--text-secondary)]">
+											{session.speakers
+												.map((sp) =>
+													sp.title ? `${sp.name}, ${sp.title}` : sp.name
+												)
+												.join(' · ')}
+										</div>
+									)}
+									{session.description && (
+										<p className="mt-1 text-sm text-[var(--text-secondary)] whitespace-pre-wrap">
+											{session.description}
+										</p>
+									)}
+								</li>
+							))}
+						</ol>
+					</div>
+				))}
+			</div>
+		</div>
+	);
+};
+
+const SERIES_LABELS = {
+	weekly: 'Every week',
+	biweekly: 'Every two weeks',
+	custom: 'On several dates',
+};
+
+// Every occurrence of a recurring event, linking to the others
+const SeriesDates = ({ series, currentId }) => (
+	<div className="glass-card p-6">
+		<h3 className="text-lg font-semibold">All dates</h3>
+		<p className="text-sm text-[var(--text-secondary)] mt-1">
+			{SERIES_LABELS[series.frequency] || 'Recurring'} · {series.occurrences.length} dates
+		</p>
+		<ul className="mt-4 flex flex-wrap gap-2">
+			{series.occurrences.map((o) =>
+				String(o._id) === String(currentId) ? (
+					<li
+						key={o._id}
+						className="px-3 py-1.5 rounded-md text-sm bg-indigo-600 text-white"
+						aria-current="page"
+					>
+						{prettyDate(o.eventDate)}
+					</li>
+				) : (
+					<li key={o._id}>
+						<Link
+							to={`/events/${o._id}`}
+							className={`block px-3 py-1.5 rounded-md text-sm border hover:border-indigo-500 ${
+								['completed', 'cancelled'].includes(o.status) ? 'opacity-50' : ''
+							}`}
+						>
+							{prettyDate(o.eventDate)}
+							{o.status === 'cancelled' && ' (cancelled)'}
+						</Link>
+					</li>
+				)
+			)}
+		</ul>
+	</div>
+);
+
 const EventDetailPage = () => {
 	const { id } = useParams();
 	const navigate = useNavigate();
@@ -67,25 +178,36 @@ const EventDetailPage = () => {
 	const coOrganizers = Array.isArray(event.coOrganizers)
 		? event.coOrganizers
 		: event.coOrganizers
-		? [event.coOrganizers]
-		: [];
+			? [event.coOrganizers]
+			: [];
 	const category = event.category || '—';
 	const subcategory = event.subcategory || '—';
 	const partners = Array.isArray(event.partners) ? event.partners : [];
 	const speakers = Array.isArray(event.speakers) ? event.speakers : [];
+	const sessions = Array.isArray(event.sessions) ? event.sessions : [];
 	const resources = Array.isArray(event.resources) ? event.resources : [];
 	const ticketPriceRaw =
-		typeof event.ticketPrice === 'number' ? event.ticketPrice : event.ticketPrice ?? null;
+		typeof event.ticketPrice === 'number' ? event.ticketPrice : (event.ticketPrice ?? null);
 	const ticketPriceLabel =
 		ticketPriceRaw === 0
 			? 'Free'
 			: typeof ticketPriceRaw === 'number'
-			? `₹${new Intl.NumberFormat().format(ticketPriceRaw)}`
-			: ticketPriceRaw ?? 'TBD';
+				? `₹${new Intl.NumberFormat().format(ticketPriceRaw)}`
+				: (ticketPriceRaw ?? 'TBD');
 	const status = event.status || 'upcoming';
+	const googleCalendarUrl = event.calendar?.googleCalendarUrl || null;
+	const calendarFileUrl = getEventCalendarFileUrl(event);
+	const showCalendarLinks = status !== 'cancelled' && status !== 'completed';
 	const registrationInfo = useMemo(() => {
-		return event.registrationInfo ||
-			event.registration || { mode: 'none', isOpen: false, actionUrl: null, actionLabel: null };
+		return (
+			event.registrationInfo ||
+			event.registration || {
+				mode: 'none',
+				isOpen: false,
+				actionUrl: null,
+				actionLabel: null,
+			}
+		);
 	}, [event.registrationInfo, event.registration]);
 
 	useEffect(() => {
@@ -164,6 +286,25 @@ const EventDetailPage = () => {
 							>
 								<Share2 size={14} /> Share
 							</button>
+							{showCalendarLinks && googleCalendarUrl && (
+								<a
+									href={googleCalendarUrl}
+									target="_blank"
+									rel="noreferrer"
+									className="btn-ghost small inline-flex items-center gap-2"
+								>
+									<CalendarPlus size={14} /> Google Calendar
+								</a>
+							)}
+							{showCalendarLinks && calendarFileUrl && (
+								<a
+									href={calendarFileUrl}
+									download
+									className="btn-ghost small inline-flex items-center gap-2"
+								>
+									<Calendar size={14} /> Add to calendar (.ics)
+								</a>
+							)}
 							{event.website && (
 								<a
 									href={event.website}
@@ -297,6 +438,12 @@ const EventDetailPage = () => {
 							</p>
 						</div>
 
+						{sessions.length > 0 && <AgendaTimeline sessions={sessions} />}
+
+						{event.series?.occurrences?.length > 1 && (
+							<SeriesDates series={event.series} currentId={event._id} />
+						)}
+
 						{speakers.length > 0 && (
 							<div className="glass-card p-6">
 								<h3 className="text-lg font-semibold mb-4">Speakers</h3>
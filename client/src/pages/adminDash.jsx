@@ -10,6 +10,10 @@ import {
 	X,
 	Search as SearchIcon,
 	Plus,
+	ScanLine,
+	Mail,
+	UserCog,
+	KeyRound,
 } from 'lucide-react';
 import { useAuth } from '../hooks/useAuth.js';
 import { useGetAllEvents } from '../hooks/useEvents.js';
@@ -18,16 +22,57 @@ import DashboardTab from '../components/admin/DashboardTab.jsx';
 import MembersTab from '../components/admin/MembersTab.jsx';
 import EventsTab from '../components/admin/EventsTab.jsx';
 import TicketsTab from '../components/admin/TicketsTab.jsx';
+import CheckInTab from '../components/admin/CheckInTab.jsx';
+import EmailTemplatesTab from '../components/admin/EmailTemplatesTab.jsx';
+import AdminsTab from '../components/admin/AdminsTab.jsx';
+import TwoFactorSettings from '../components/auth/TwoFactorSettings.jsx';
+import SessionsList from '../components/auth/SessionsList.jsx';
+import AdminEmailSettings from '../components/auth/AdminEmailSettings.jsx';
 import CreateTicket from '../components/admin/CreateTicket.jsx';
 import ErrorMessage from '../components/admin/ErrorMessage.jsx';
 import Modal from '../components/admin/Modal.jsx';
 import { useTheme } from '../hooks/useTheme.js';
 
+// Tabs and the permissions that show them (any one of them); the server checks each request
 const TABS = [
 	{ key: 'dashboard', label: 'Dashboard', icon: <LayoutDashboard className="h-5 w-5" /> },
-	{ key: 'members', label: 'Members', icon: <Users className="h-5 w-5" /> },
-	{ key: 'events', label: 'Events', icon: <CalendarDays className="h-5 w-5" /> },
-	{ key: 'tickets', label: 'Tickets', icon: <Ticket className="h-5 w-5" /> },
+	{
+		key: 'members',
+		label: 'Members',
+		icon: <Users className="h-5 w-5" />,
+		permissions: ['members:write', 'members:ban'],
+	},
+	{
+		key: 'events',
+		label: 'Events',
+		icon: <CalendarDays className="h-5 w-5" />,
+		permissions: ['events:read', 'events:write'],
+	},
+	{
+		key: 'tickets',
+		label: 'Tickets',
+		icon: <Ticket className="h-5 w-5" />,
+		permissions: ['tickets:read'],
+	},
+	{
+		key: 'checkin',
+		label: 'Check-in',
+		icon: <ScanLine className="h-5 w-5" />,
+		permissions: ['tickets:checkin'],
+	},
+	{
+		key: 'emails',
+		label: 'Emails',
+		icon: <Mail className="h-5 w-5" />,
+		permissions: ['content:write'],
+	},
+	{
+		key: 'admins',
+		label: 'Admins',
+		icon: <UserCog className="h-5 w-5" />,
+		permissions: ['admins:manage'],
+	},
+	{ key: 'security', label: 'Security', icon: <KeyRound className="h-5 w-5" /> },
 ];
 
 const AdminDash = () => {
@@ -41,6 +86,16 @@ const AdminDash = () => {
 	const [sidebarOpen, setSidebarOpen] = useState(false);
 	const [query, setQuery] = useState('');
 
+	const tabs = useMemo(
+		() =>
+			TABS.filter(
+				(tab) =>
+					!tab.permissions ||
+					tab.permissions.some((permission) => user?.permissions?.includes(permission))
+			),
+		[user]
+	);
+
 	// Events
 	const {
 		getAllEvents,
@@ -157,7 +212,7 @@ const AdminDash = () => {
 								</button>
 							</div>
 							<nav className="flex-1 py-4 overflow-y-auto">
-								{TABS.map((tab) => (
+								{tabs.map((tab) => (
 									<button
 										key={tab.key}
 										className={`w-full flex items-center gap-3 px-6 py-3 text-lg font-medium transition text-left ${
@@ -212,7 +267,7 @@ const AdminDash = () => {
 					</span>
 				</div>
 				<nav className="flex-1 py-4 overflow-y-auto">
-					{TABS.map((tab) => (
+					{tabs.map((tab) => (
 						<button
 							key={tab.key}
 							className={`w-full flex items-center gap-3 px-6 py-3 text-lg font-medium transition text-left ${
@@ -221,12 +276,12 @@ const AdminDash = () => {
 											isDark
 												? 'bg-blue-900/30 text-blue-400'
 												: 'bg-blue-100 text-blue-700'
-									  }`
+										}`
 									: `${
 											isDark
 												? 'text-gray-300 hover:bg-gray-800 hover:text-white'
 												: 'text-gray-700 hover:bg-gray-100 hover:text-gray-900'
-									  }`
+										}`
 							} rounded-lg`}
 							onClick={() => setActiveTab(tab.key)}
 						>
@@ -260,7 +315,7 @@ const AdminDash = () => {
 			>
 				<div className="flex items-center gap-4 w-full max-w-3xl">
 					<div className="text-xl font-bold truncate">
-						{TABS.find((t) => t.key === activeTab)?.label || 'Dashboard'}
+						{tabs.find((t) => t.key === activeTab)?.label || 'Dashboard'}
 					</div>
 					{/* search (desktop & mobile compact) */}
 					<div className="ml-4 flex-1">
@@ -379,6 +434,25 @@ const AdminDash = () => {
 								setDashboardError={setDashboardError}
 							/>
 						)}
+						{activeTab === 'checkin' && (
+							<CheckInTab events={events} setDashboardError={setDashboardError} />
+						)}
+						{activeTab === 'emails' && (
+							<EmailTemplatesTab
+								events={events}
+								setDashboardError={setDashboardError}
+							/>
+						)}
+						{activeTab === 'admins' && (
+							<AdminsTab setDashboardError={setDashboardError} />
+						)}
+						{activeTab === 'security' && (
+							<div className="space-y-6">
+								<AdminEmailSettings />
+								<TwoFactorSettings role="admin" />
+								<SessionsList role="admin" />
+							</div>
+						)}
 					</div>
 				</div>
 			</main>
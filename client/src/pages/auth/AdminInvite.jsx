@@ -0,0 +1,181 @@
+import React, { useEffect, useState } from 'react';
+import { useNavigate, useParams } from 'react-router-dom';
+import { useAuth } from '../../hooks/useAuth.js';
+import { acceptAdminInvite, getAdminInvite } from '../../services/authServices.js';
+
+const INPUT_CLASS =
+	'w-full px-4 py-3 rounded-lg border border-white/10 bg-white/5 text-white text-sm transition-all focus:outline-none focus:ring-2 focus:ring-cyan-400/50 focus:border-transparent';
+
+/**
+ * AdminInvitePage
+ * - Landing page of an admin invite link: shows the role on offer, then the invitee picks the
+ *   name they sign in with and a password. The link works once.
+ */
+const AdminInvitePage = () => {
+	const { token } = useParams();
+	const navigate = useNavigate();
+	const { revalidateAuth } = useAuth();
+	const [invite, setInvite] = useState(null);
+	const [checking, setChecking] = useState(true);
+	const [formData, setFormData] = useState({
+		fullname: '',
+		email: '',
+		password: '',
+		confirm: '',
+	});
+	const [loading, setLoading] = useState(false);
+	const [error, setError] = useState('');
+
+	useEffect(() => {
+		let cancelled = false;
+		getAdminInvite(token)
+			.then((data) => {
+				if (cancelled) return;
+				setInvite(data);
+				setFormData((prev) => ({ ...prev, fullname: data.name || '' }));
+			})
+			.catch((err) => !cancelled && setError(err.message))
+			.finally(() => !cancelled && setChecking(false));
+		return () => {
+			cancelled = true;
+		};
+	}, [token]);
+
+	const handleChange = (e) =>
+		setFormData((prev) => ({ ...prev, [e.target.name]: e.target.value }));
+
+	const handleSubmit = async (e) => {
+		e.preventDefault();
+		setError('');
+		if (formData.password.length < 8) {
+			setError('Password must be at least 8 characters.');
+			return;
+		}
+		if (formData.password !== formData.confirm) {
+			setError('Passwords do not match.');
+			return;
+		}
+		setLoading(true);
+		try {
+			await acceptAdminInvite(token, {
+				fullname: formData.fullname.trim(),
+				email: formData.email.trim(),
+				password: formData.password,
+			});
+			await revalidateAuth();
+			navigate('/admin/dashboard', { replace: true });
+		} catch (err) {
+			setError(err.message);
+		} finally {
+			setLoading(false);
+		}
+	};
+
+	return (
+		<div className="min-h-screen w-full bg-transparent flex items-center justify-center py-8 px-4 sm:px-6">
+			<div className="w-full max-w-lg rounded-2xl border border-white/10 shadow-2xl overflow-hidden bg-white/5 backdrop-blur-xl">
+				<div className="p-6 sm:p-8">
+					<div className="text-center mb-6">
+						<h1 className="text-2xl sm:text-3xl font-extrabold tracking-tight bg-gradient-to-r from-cyan-300 via-blue-300 to-purple-300 bg-clip-text text-transparent">
+							Admin Invite
+						</h1>
+						{invite && (
+							<p className="text-sm text-gray-300/80 mt-2">
+								You&apos;ve been invited to join as{' '}
+								<span className="font-semibold text-white">{invite.roleLabel}</span>
+								. Pick the name you&apos;ll sign in with and a password.
+							</p>
+						)}
+					</div>
+
+					{error && (
+						<div className="mb-5 px-4 py-3 rounded-lg bg-red-900/25 border border-red-700/40 text-red-200 text-sm">
+							{error}
+						</div>
+					)}
+
+					{checking ? (
+						<div className="flex justify-center py-6">
+							<div className="w-8 h-8 border-4 border-cyan-400 border-t-transparent rounded-full animate-spin" />
+						</div>
+					) : invite ? (
+						<form className="flex flex-col gap-5" onSubmit={handleSubmit}>
+							<div>
+								<label className="block mb-2 text-sm font-medium text-gray-300">
+									Full Name
+								</label>
+								<input
+									type="text"
+									name="fullname"
+									required
+									value={formData.fullname}
+									onChange={handleChange}
+									className={INPUT_CLASS}
+									placeholder="Enter your full name"
+									autoComplete="username"
+								/>
+							</div>
+							<div>
+								<label className="block mb-2 text-sm font-medium text-gray-300">
+									Email (optional)
+								</label>
+								<input
+									type="email"
+									name="email"
+									value={formData.email}
+									onChange={handleChange}
+									className={INPUT_CLASS}
+									placeholder="For password reset links"
+									autoComplete="email"
+								/>
+							</div>
+							<div>
+								<label className="block mb-2 text-sm font-medium text-gray-300">
+									Password
+								</label>
+								<input
+									type="password"
+									name="password"
+									required
+									value={formData.password}
+									onChange={handleChange}
+									className={INPUT_CLASS}
+									placeholder="At least 8 characters"
+									autoComplete="new-password"
+								/>
+							</div>
+							<div>
+								<label className="block mb-2 text-sm font-medium text-gray-300">
+									Confirm Password
+								</label>
+								<input
+									type="password"
+									name="confirm"
+									required
+									value={formData.confirm}
+									onChange={handleChange}
+									className={INPUT_CLASS}
+									placeholder="Repeat your password"
+									autoComplete="new-password"
+								/>
+							</div>
+							<button
+								type="submit"
+								disabled={loading}
+								className="w-full py-3.5 rounded-lg btn-primary text-white font-medium text-sm shadow-lg disabled:opacity-70 disabled:cursor-not-allowed"
+							>
+								{loading ? 'Creating your account...' : 'Create Admin Account'}
+							</button>
+						</form>
+					) : (
+						<p className="text-center text-sm text-gray-300">
+							Ask a super admin for a new invite link.
+						</p>
+					)}
+				</div>
+			</div>
+		</div>
+	);
+};
+
+export default AdminInvitePage;
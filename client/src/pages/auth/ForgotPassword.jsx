@@ -0,0 +1,103 @@
+import { useState } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { requestPasswordReset } from '../../services/authServices.js';
+
+const INPUT_CLASS =
+	'w-full px-4 py-3 rounded-lg border border-white/10 bg-white/5 text-white text-sm transition-all focus:outline-none focus:ring-2 focus:ring-cyan-400/50 focus:border-transparent';
+
+/**
+ * ForgotPasswordPage
+ * - Asks for the account's email and sends a reset link there (`role`: 'admin' | 'member').
+ * - The answer is the same whether or not the email belongs to an account.
+ */
+const ForgotPasswordPage = ({ role = 'member' }) => {
+	const navigate = useNavigate();
+	const [email, setEmail] = useState('');
+	const [sent, setSent] = useState('');
+	const [loading, setLoading] = useState(false);
+	const [error, setError] = useState('');
+	const loginPath = role === 'admin' ? '/admin/secret/auth' : '/login';
+
+	const handleSubmit = async (e) => {
+		e.preventDefault();
+		setError('');
+		setLoading(true);
+		try {
+			setSent(await requestPasswordReset(role, email.trim()));
+		} catch (err) {
+			setError(err.message);
+		} finally {
+			setLoading(false);
+		}
+	};
+
+	return (
+		<div className="min-h-screen w-full bg-transparent flex items-center justify-center py-8 px-4 sm:px-6">
+			<div className="w-full max-w-lg rounded-2xl border border-white/10 shadow-2xl overflow-hidden bg-white/5 backdrop-blur-xl">
+				<div className="p-6 sm:p-8">
+					<div className="text-center mb-6">
+						<h1 className="text-2xl sm:text-3xl font-extrabold tracking-tight bg-gradient-to-r from-cyan-300 via-blue-300 to-purple-300 bg-clip-text text-transparent">
+							Forgot Password
+						</h1>
+						<p className="text-sm text-gray-300/80 mt-2">
+							{role === 'admin'
+								? 'Enter the email saved on your admin account.'
+								: 'Enter the email of your member account.'}{' '}
+							We&apos;ll send you a link to pick a new password.
+						</p>
+					</div>
+
+					{error && (
+						<div className="mb-5 px-4 py-3 rounded-lg bg-red-900/25 border border-red-700/40 text-red-200 text-sm">
+							{error}
+						</div>
+					)}
+
+					{sent ? (
+						<div className="px-4 py-3 rounded-lg bg-green-900/25 border border-green-700/40 text-green-200 text-sm">
+							{sent}. The link works for 15 minutes.
+						</div>
+					) : (
+						<form className="flex flex-col gap-5" onSubmit={handleSubmit}>
+							<div>
+								<label className="block mb-2 text-sm font-medium text-gray-300">
+									Email
+								</label>
+								<input
+									type="email"
+									name="email"
+									required
+									value={email}
+									onChange={(e) => setEmail(e.target.value)}
+									className={INPUT_CLASS}
+									placeholder="you@example.com"
+									autoComplete="email"
+									autoFocus
+								/>
+							</div>
+							<button
+								type="submit"
+								disabled={loading}
+								className="w-full py-3.5 rounded-lg btn-primary text-white font-medium text-sm shadow-lg disabled:opacity-70 disabled:cursor-not-allowed"
+							>
+								{loading ? 'Sending...' : 'Send Reset Link'}
+							</button>
+						</form>
+					)}
+
+					<div className="text-center pt-5">
+						<button
+							type="button"
+							onClick={() => navigate(loginPath)}
+							className="text-xs text-gray-300 hover:text-white underline underline-offset-4 transition-colors"
+						>
+							Back to login
+						</button>
+					</div>
+				</div>
+			</div>
+		</div>
+	);
+};
+
+export default ForgotPasswordPage;
@@ -3,6 +3,7 @@ import { useAuth } from '../../hooks/useAuth.js';
 import { useNavigate } from 'react-router-dom';
 import { User, Lock, Eye, EyeOff, ArrowRight, XCircle } from 'lucide-react';
 import { useTheme } from '../../hooks/useTheme.js';
+import TwoFactorStep from '../../components/auth/TwoFactorStep.jsx';
 import './login.css'; // new stylesheet for improved theme & responsiveness
 
 // Reusable, lightweight form components
@@ -68,6 +69,8 @@ const LoginPage = () => {
 	const [loading, setLoading] = useState(false);
 	const [serverError, setServerError] = useState('');
 	const [showPassword, setShowPassword] = useState(false);
+	// Set when the password was accepted and the leader's account needs a 2FA code
+	const [challenge, setChallenge] = useState(null);
 
 	const validate = () => {
 		const newErrors = {};
@@ -90,7 +93,11 @@ const LoginPage = () => {
 		setLoading(true);
 		setServerError('');
 		try {
-			await loginMember(loginData);
+			const result = await loginMember(loginData);
+			if (result?.challengeToken) {
+				setChallenge(result);
+				return;
+			}
 			navigate('/member/dashboard', { replace: true });
 		} catch (err) {
 			setServerError(
@@ -147,57 +154,71 @@ const LoginPage = () => {
 						</div>
 					)}
 
-					<form onSubmit={handleSubmit} className="form-stack" noValidate>
-						<InputField
-							icon={<User size={18} />}
-							type="text"
-							name="identifier"
-							placeholder="LPU ID or Email"
-							value={loginData.identifier}
-							onChange={handleChange}
-							error={errors.identifier}
+					{challenge ? (
+						<TwoFactorStep
+							role="member"
+							challenge={challenge}
+							onComplete={() => navigate('/member/dashboard', { replace: true })}
+							onCancel={() => {
+								setChallenge(null);
+								setLoginData((prev) => ({ ...prev, password: '' }));
+							}}
+							inputClassName="input-field pl-3! text-center tracking-widest"
+							buttonClassName="btn-primary w-full justify-center"
 						/>
-
-						<div className="input-wrap">
-							<div className="input-icon">
-								<Lock size={18} />
-							</div>
-							<input
-								aria-label="password"
-								type={showPassword ? 'text' : 'password'}
-								name="password"
-								placeholder="Password"
-								value={loginData.password}
+					) : (
+						<form onSubmit={handleSubmit} className="form-stack" noValidate>
+							<InputField
+								icon={<User size={18} />}
+								type="text"
+								name="identifier"
+								placeholder="LPU ID or Email"
+								value={loginData.identifier}
 								onChange={handleChange}
-								className={`input-field ${errors.password ? 'input-error' : ''}`}
+								error={errors.identifier}
 							/>
-							<button
-								type="button"
-								onClick={() => setShowPassword(!showPassword)}
-								className="password-toggle"
-								aria-label={showPassword ? 'Hide password' : 'Show password'}
-							>
-								{showPassword ? <EyeOff size={18} /> : <Eye size={18} />}
-							</button>
-							{errors.password && (
-								<p className="input-error-text" role="alert">
-									<XCircle size={14} /> {errors.password}
-								</p>
-							)}
-						</div>
 
-						<div className="form-actions">
-							<button
-								type="button"
-								className="link-muted"
-								onClick={() => navigate('/forgot')}
-							>
-								Forgot Password?
-							</button>
+							<div className="input-wrap">
+								<div className="input-icon">
+									<Lock size={18} />
+								</div>
+								<input
+									aria-label="password"
+									type={showPassword ? 'text' : 'password'}
+									name="password"
+									placeholder="Password"
+									value={loginData.password}
+									onChange={handleChange}
+									className={`input-field ${errors.password ? 'input-error' : ''}`}
+								/>
+								<button
+									type="button"
+									onClick={() => setShowPassword(!showPassword)}
+									className="password-toggle"
+									aria-label={showPassword ? 'Hide password' : 'Show password'}
+								>
+									{showPassword ? <EyeOff size={18} /> : <Eye size={18} />}
+								</button>
+								{errors.password && (
+									<p className="input-error-text" role="alert">
+										<XCircle size={14} /> {errors.password}
+									</p>
+								)}
+							</div>
+
+							<div className="form-actions">
+								<button
+									type="button"
+									className="link-muted"
+									onClick={() => navigate('/forgot')}
+								>
+									Forgot Password?
+								</button>
 
-							<GradientButton isLoading={loading}>Member Login</GradientButton>
-						</div>
-					</form>
+								<GradientButton isLoading={loading}>Member Login</GradientButton>
+							</div>
+						</form>
+					)}
 
 					<footer className="auth-footer">
 						Not a member yet?{' '}
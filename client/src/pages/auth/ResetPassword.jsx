@@ -0,0 +1,152 @@
+import { useEffect, useState } from 'react';
+import { useNavigate, useParams } from 'react-router-dom';
+import { checkResetLink, resetPasswordWithToken } from '../../services/authServices.js';
+
+const INPUT_CLASS =
+	'w-full px-4 py-3 rounded-lg border border-white/10 bg-white/5 text-white text-sm transition-all focus:outline-none focus:ring-2 focus:ring-cyan-400/50 focus:border-transparent';
+
+/**
+ * ResetPasswordPage
+ * - Landing page of an emailed reset link (`role`: 'admin' | 'member'): checks the link, then
+ *   takes the new password. The link works once, and every device is signed out afterwards.
+ */
+const ResetPasswordPage = ({ role = 'member' }) => {
+	const { token } = useParams();
+	const navigate = useNavigate();
+	const [valid, setValid] = useState(false);
+	const [checking, setChecking] = useState(true);
+	const [formData, setFormData] = useState({ password: '', confirm: '' });
+	const [done, setDone] = useState(false);
+	const [loading, setLoading] = useState(false);
+	const [error, setError] = useState('');
+	const loginPath = role === 'admin' ? '/admin/secret/auth' : '/login';
+	const forgotPath = role === 'admin' ? '/admin/secret/forgot' : '/forgot';
+
+	useEffect(() => {
+		let cancelled = false;
+		checkResetLink(role, token)
+			.then(() => !cancelled && setValid(true))
+			.catch((err) => !cancelled && setError(err.message))
+			.finally(() => !cancelled && setChecking(false));
+		return () => {
+			cancelled = true;
+		};
+	}, [role, token]);
+
+	const handleChange = (e) =>
+		setFormData((prev) => ({ ...prev, [e.target.name]: e.target.value }));
+
+	const handleSubmit = async (e) => {
+		e.preventDefault();
+		setError('');
+		if (formData.password.length < 8) {
+			setError('Password must be at least 8 characters.');
+			return;
+		}
+		if (formData.password !== formData.confirm) {
+			setError('Passwords do not match.');
+			return;
+		}
+		setLoading(true);
+		try {
+			await resetPasswordWithToken(role, token, formData.password);
+			setDone(true);
+		} catch (err) {
+			setError(err.message);
+		} finally {
+			setLoading(false);
+		}
+	};
+
+	return (
+		<div className="min-h-screen w-full bg-transparent flex items-center justify-center py-8 px-4 sm:px-6">
+			<div className="w-full max-w-lg rounded-2xl border border-white/10 shadow-2xl overflow-hidden bg-white/5 backdrop-blur-xl">
+				<div className="p-6 sm:p-8">
+					<div className="text-center mb-6">
+						<h1 className="text-2xl sm:text-3xl font-extrabold tracking-tight bg-gradient-to-r from-cyan-300 via-blue-300 to-purple-300 bg-clip-text text-transparent">
+							Reset Password
+						</h1>
+					</div>
+
+					{error && (
+						<div className="mb-5 px-4 py-3 rounded-lg bg-red-900/25 border border-red-700/40 text-red-200 text-sm">
+							{error}
+						</div>
+					)}
+
+					{checking ? (
+						<div className="flex justify-center py-6">
+							<div className="w-8 h-8 border-4 border-cyan-400 border-t-transparent rounded-full animate-spin" />
+						</div>
+					) : done ? (
+						<div className="flex flex-col gap-5">
+							<div className="px-4 py-3 rounded-lg bg-green-900/25 border border-green-700/40 text-green-200 text-sm">
+								Your password has been reset and all your devices were signed out.
+							</div>
+							<button
+								type="button"
+								onClick={() => navigate(loginPath, { replace: true })}
+								className="w-full py-3.5 rounded-lg btn-primary text-white font-medium text-sm shadow-lg"
+							>
+								Go to Login
+							</button>
+						</div>
+					) : valid ? (
+						<form className="flex flex-col gap-5" onSubmit={handleSubmit}>
+							<div>
+								<label className="block mb-2 text-sm font-medium text-gray-300">
+									New Password
+								</label>
+								<input
+									type="password"
+									name="password"
+									required
+									value={formData.password}
+									onChange={handleChange}
+									className={INPUT_CLASS}
+									placeholder="At least 8 characters"
+									autoComplete="new-password"
+									autoFocus
+								/>
+							</div>
+							<div>
+								<label className="block mb-2 text-sm font-medium text-gray-300">
+									Confirm Password
+								</label>
+								<input
+									type="password"
+									name="confirm"
+									required
+									value={formData.confirm}
+									onChange={handleChange}
+									className={INPUT_CLASS}
+									placeholder="Repeat your password"
+									autoComplete="new-password"
+								/>
+							</div>
+							<button
+								type="submit"
+								disabled={loading}
+								className="w-full py-3.5 rounded-lg btn-primary text-white font-medium text-sm shadow-lg disabled:opacity-70 disabled:cursor-not-allowed"
+							>
+								{loading ? 'Saving...' : 'Set New Password'}
+							</button>
+						</form>
+					) : (
+						<p className="text-center text-sm text-gray-300">
+							<button
+								type="button"
+								onClick={() => navigate(forgotPath)}
+								className="underline underline-offset-4 hover:text-white"
+							>
+								Request a new reset link
+							</button>
+						</p>
+					)}
+				</div>
+			</div>
+		</div>
+	);
+};
+
+export default ResetPasswordPage;
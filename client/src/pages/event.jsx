@@ -10,16 +10,18 @@ const pickDate = (e) => {
 	return isNaN(parsed.getTime()) ? null : parsed;
 };
 
+// The server sends each event's current status (upcoming -> ongoing -> completed by time)
 const categorize = (events) => {
 	const now = new Date();
 	return events.reduce(
 		(acc, ev) => {
 			if (ev.status === 'cancelled') return acc;
 			const dt = pickDate(ev);
-			if (ev.status === 'ongoing' || (dt && dt.toDateString() === now.toDateString()))
-				acc.ongoing.push(ev);
-			else if (dt && dt > now) acc.upcoming.push(ev);
-			else acc.past.push(ev);
+			if (ev.status === 'ongoing') acc.ongoing.push(ev);
+			else if (ev.status === 'completed') acc.past.push(ev);
+			else if (['upcoming', 'postponed'].includes(ev.status)) acc.upcoming.push(ev);
+			else if (dt && dt < now) acc.past.push(ev);
+			else acc.upcoming.push(ev);
 			return acc;
 		},
 		{ ongoing: [], upcoming: [], past: [] }
@@ -110,6 +112,8 @@ const EventPage = () => {
 			limit,
 			sortBy: 'eventDate',
 			sortOrder: 'desc',
+			// one card per recurring series
+			groupSeries: true,
 		};
 		if (filter && filter !== 'all') p.period = filter;
 		return p;
@@ -117,7 +121,7 @@ const EventPage = () => {
 
 	const { data, isLoading, isError, error, refetch, isFetching } = useEvents(queryParams);
 
-	const events = data?.docs || [];
+	const events = useMemo(() => data?.docs || [], [data]);
 	const { totalDocs = events.length, totalPages = 1 } = data || {};
 
 	// categorize returned events
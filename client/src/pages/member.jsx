@@ -6,7 +6,7 @@ import {
 	updateMyProfile,
 	uploadProfilePicture as svcUploadProfilePicture,
 	uploadResume as svcUploadResume,
-	resetPassword as svcResetPassword,
+	changePassword as svcChangePassword,
 } from '../services/memberServices.js';
 import ImageEditor from '../components/member/ImageEditor.jsx';
 import UploadProgress from '../components/member/UploadProgress.jsx';
@@ -14,6 +14,8 @@ import ProfileHeader from '../components/member/ProfileHeader.jsx';
 import ProfileForm from '../components/member/ProfileForm.jsx';
 import ProfileDisplay from '../components/member/ProfileDisplay.jsx';
 import PasswordResetModal from '../components/member/PasswordResetModal.jsx';
+import TwoFactorSettings from '../components/auth/TwoFactorSettings.jsx';
+import SessionsList from '../components/auth/SessionsList.jsx';
 import MessageNotification from '../components/member/MessageNotification.jsx';
 import { validateFile, simulateProgress } from '../utils/fileUtils.js';
 import { useNavigate } from 'react-router-dom';
@@ -96,7 +98,8 @@ const MemberProfile = () => {
 		isLoading: resetLoading,
 		error: resetError,
 	} = useMutation({
-		mutationFn: ({ LpuId, password }) => svcResetPassword({ LpuId, password }),
+		mutationFn: ({ currentPassword, newPassword }) =>
+			svcChangePassword({ currentPassword, newPassword }),
 	});
 
 	// --- STATE ---
@@ -115,6 +118,7 @@ const MemberProfile = () => {
 	});
 	const [message, setMessage] = useState('');
 	const [showPasswordReset, setShowPasswordReset] = useState(false);
+	const [currentPassword, setCurrentPassword] = useState('');
 	const [newPassword, setNewPassword] = useState('');
 	const [confirmPassword, setConfirmPassword] = useState('');
 	const [showPassword, setShowPassword] = useState(false);
@@ -339,11 +343,6 @@ const MemberProfile = () => {
 		async (e) => {
 			e.preventDefault();
 
-			if (!member?.LpuId) {
-				setMessage('Unable to reset password. Please refresh and try again.');
-				return;
-			}
-
 			if (newPassword !== confirmPassword) {
 				setMessage('Passwords do not match');
 				return;
@@ -355,17 +354,18 @@ const MemberProfile = () => {
 			}
 
 			try {
-				await resetPasswordMut({ LpuId: member.LpuId, password: newPassword });
-				setMessage('Password reset successfully!');
+				await resetPasswordMut({ currentPassword, newPassword });
+				setMessage('Password changed. Your other devices were signed out.');
 				setShowPasswordReset(false);
+				setCurrentPassword('');
 				setNewPassword('');
 				setConfirmPassword('');
 			} catch (error) {
 				console.error('Password reset error:', error);
-				setMessage(error?.message || 'Failed to reset password. Please try again.');
+				setMessage(error?.message || 'Failed to change password. Please try again.');
 			}
 		},
-		[member?.LpuId, newPassword, confirmPassword, resetPasswordMut]
+		[currentPassword, newPassword, confirmPassword, resetPasswordMut]
 	);
 
 	const handleInputChange = useCallback((e) => {
@@ -591,6 +591,11 @@ const MemberProfile = () => {
 								/>
 							)}
 						</AnimatePresence>
+
+						{/* Leaders can protect their account with an authenticator app */}
+						{member.isLeader && <TwoFactorSettings role="member" />}
+
+						<SessionsList role="member" />
 					</div>
 				)}
 
@@ -598,6 +603,8 @@ const MemberProfile = () => {
 				<PasswordResetModal
 					isOpen={showPasswordReset}
 					onClose={handlePasswordResetClose}
+					currentPassword={currentPassword}
+					setCurrentPassword={setCurrentPassword}
 					newPassword={newPassword}
 					setNewPassword={setNewPassword}
 					confirmPassword={confirmPassword}
@@ -18,6 +18,9 @@ import Home from '../pages/home.jsx';
 const LoginPage = lazy(() => import('../pages/auth/Login.jsx'));
 const JoinPage = lazy(() => import('../pages/auth/Join.jsx'));
 const AdminAuthPage = lazy(() => import('../pages/auth/adminAuth.jsx'));
+const AdminInvitePage = lazy(() => import('../pages/auth/AdminInvite.jsx'));
+const ForgotPasswordPage = lazy(() => import('../pages/auth/ForgotPassword.jsx'));
+const ResetPasswordPage = lazy(() => import('../pages/auth/ResetPassword.jsx'));
 const AdminDashboard = lazy(() => import('../pages/adminDash.jsx'));
 const MemberDashboard = lazy(() => import('../pages/member.jsx'));
 const ArvantisPage = lazy(() => import('../pages/arvantis/arvantis.jsx'));
@@ -32,6 +35,10 @@ const CookiePolicy = lazy(() => import('../pages/policies/cookie.jsx'));
 const PrivacyPolicy = lazy(() => import('../pages/policies/privacy.jsx'));
 const TermsPolicy = lazy(() => import('../pages/policies/terms.jsx'));
 const RefundPolicy = lazy(() => import('../pages/policies/refund.jsx'));
+const PaymentVerifyPage = lazy(() => import('../components/upcoming_events/paymentVerify.jsx'));
+const WaitlistClaimPage = lazy(() => import('../components/upcoming_events/waitlistClaim.jsx'));
+const TeamJoinPage = lazy(() => import('../components/upcoming_events/teamJoin.jsx'));
+const MyTicketsPage = lazy(() => import('../components/upcoming_events/myTickets.jsx'));
 
 const AppRoutes = () => {
 	return (
@@ -49,6 +56,16 @@ const AppRoutes = () => {
 				<Route path="/policies/privacy" element={<PrivacyPolicy />} />
 				<Route path="/policies/terms" element={<TermsPolicy />} />
 				<Route path="/policies/refund" element={<RefundPolicy />} />
+				<Route path="/payment/verify" element={<PaymentVerifyPage />} />
+				<Route path="/waitlist/claim/:token" element={<WaitlistClaimPage />} />
+				<Route path="/teams/join/:code" element={<TeamJoinPage />} />
+				<Route path="/my-tickets" element={<MyTicketsPage />} />
+				<Route path="/admin/invite/:token" element={<AdminInvitePage />} />
+				<Route path="/reset-password/:token" element={<ResetPasswordPage />} />
+				<Route
+					path="/admin/reset-password/:token"
+					element={<ResetPasswordPage role="admin" />}
+				/>
 
 				{/* Auth routes */}
 				<Route path="/auth" element={<Navigate to="/login" replace />} />
@@ -56,6 +73,11 @@ const AppRoutes = () => {
 					<Route path="/login" element={<LoginPage />} />
 					<Route path="/join" element={<JoinPage />} />
 					<Route path="/admin/secret/auth" element={<AdminAuthPage />} />
+					<Route path="/forgot" element={<ForgotPasswordPage />} />
+					<Route
+						path="/admin/secret/forgot"
+						element={<ForgotPasswordPage role="admin" />}
+					/>
 				</Route>
 
 				{/* Protected Member Routes */}
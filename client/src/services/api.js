@@ -1,5 +1,5 @@
 import axios from 'axios';
-import { getToken, setToken, removeToken } from '../utils/handleTokens.js';
+import { getToken, setToken, removeToken, decodeToken } from '../utils/handleTokens.js';
 
 const API_BASE_URL = import.meta.env.VITE_BACKEND_URL || 'https://api.orgsyntax.xyz';
 
@@ -41,6 +41,12 @@ apiClient.interceptors.request.use(
 	(error) => Promise.reject(error)
 );
 
+// Admins and members refresh at their own endpoint; the (expired) access token tells which
+const refreshPath = () => {
+	const role = decodeToken(getToken()?.accessToken)?.role;
+	return role === 'member' ? '/api/v1/members/refresh-token' : '/api/v1/admin/refresh-token';
+};
+
 // Simple refresh-token flow (keeps existing behavior, avoids infinite loops)
 let isRefreshing = false;
 let failedQueue = [];
@@ -56,8 +62,8 @@ apiClient.interceptors.response.use(
 		const originalRequest = error?.config;
 		if (!originalRequest) return Promise.reject(error);
 
-		// If unauthorized, try token refresh once
-		if (error.response?.status === 401 && !originalRequest._retry) {
+		// If unauthorized, try token refresh once (only when signed in: a failed login is a 401 too)
+		if (error.response?.status === 401 && !originalRequest._retry && getToken()?.accessToken) {
 			if (isRefreshing) {
 				// queue the request
 				return new Promise((resolve, reject) => {
@@ -74,14 +80,13 @@ apiClient.interceptors.response.use(
 			isRefreshing = true;
 
 			try {
-				// Call your refresh endpoint - adjust path if different
-				const resp = await publicClient.post('/api/v1/auth/refresh');
-				const newTokens = resp.data?.data;
-				if (newTokens?.accessToken) {
-					setToken(newTokens);
-				}
-				processQueue(null, newTokens?.accessToken);
-				originalRequest.headers['Authorization'] = `Bearer ${newTokens?.accessToken}`;
+				// The server rotates the httpOnly refresh cookie and returns a new access token
+				const resp = await publicClient.post(refreshPath());
+				const accessToken = resp.data?.data?.accessToken;
+				if (!accessToken) throw new Error('Refresh did not return access token');
+				setToken(accessToken);
+				processQueue(null, accessToken);
+				originalRequest.headers['Authorization'] = `Bearer ${accessToken}`;
 				return axios(originalRequest);
 			} catch (err) {
 				processQueue(err, null);
@@ -0,0 +1,112 @@
+import { publicClient } from './api.js';
+
+// Attendee portal session (sign-in with an emailed code). Kept for the browser tab only.
+const SESSION_KEY = 'attendeeSession';
+
+export const getAttendeeSession = () => {
+	try {
+		const session = JSON.parse(sessionStorage.getItem(SESSION_KEY));
+		if (!session?.token || new Date(session.expiresAt) <= new Date()) return null;
+		return session;
+	} catch {
+		return null;
+	}
+};
+
+export const clearAttendeeSession = () => sessionStorage.removeItem(SESSION_KEY);
+
+const authHeaders = () => ({ Authorization: `Bearer ${getAttendeeSession()?.token || ''}` });
+
+// Errors keep the status so the page can send expired sessions back to sign-in
+const toError = (error, fallback) => {
+	const err = new Error(error.response?.data?.message || fallback);
+	err.status = error.response?.status;
+	return err;
+};
+
+// Emails a one-time login code for an email address or LPU ID. Returns the server message.
+export const requestLoginCode = async (identifier) => {
+	try {
+		const response = await publicClient.post('/api/v1/attendee/login-code', { identifier });
+		return response.data.message;
+	} catch (error) {
+		throw toError(error, 'Failed to send the login code.');
+	}
+};
+
+// Checks the code and stores the session. Returns { token, expiresAt, identifier }.
+export const verifyLoginCode = async (identifier, code) => {
+	try {
+		const response = await publicClient.post('/api/v1/attendee/verify', { identifier, code });
+		const session = { ...response.data.data, identifier };
+		sessionStorage.setItem(SESSION_KEY, JSON.stringify(session));
+		return session;
+	} catch (error) {
+		throw toError(error, 'Failed to verify the code.');
+	}
+};
+
+// Fetches the signed-in attendee's tickets.
+export const getMyTickets = async () => {
+	try {
+		const response = await publicClient.get('/api/v1/attendee/tickets', {
+			headers: authHeaders(),
+		});
+		return response.data.data.tickets;
+	} catch (error) {
+		throw toError(error, 'Failed to fetch your tickets.');
+	}
+};
+
+// Updates the attendee's details or answers on a ticket. Returns the updated ticket.
+export const updateMyTicket = async (ticketId, updates) => {
+	try {
+		const response = await publicClient.patch(`/api/v1/attendee/tickets/${ticketId}`, updates, {
+			headers: authHeaders(),
+		});
+		return response.data.data;
+	} catch (error) {
+		throw toError(error, 'Failed to update the ticket.');
+	}
+};
+
+// Cancels a ticket. Returns the cancelled ticket.
+export const cancelMyTicket = async (ticketId) => {
+	try {
+		const response = await publicClient.post(
+			`/api/v1/attendee/tickets/${ticketId}/cancel`,
+			null,
+			{ headers: authHeaders() }
+		);
+		return response.data.data;
+	} catch (error) {
+		throw toError(error, 'Failed to cancel the ticket.');
+	}
+};
+
+// Downloads the .ics calendar file of a ticket's event as a Blob.
+export const downloadTicketCalendar = async (ticketId) => {
+	try {
+		const response = await publicClient.get(
+			`/api/v1/attendee/tickets/${ticketId}/calendar.ics`,
+			{ headers: authHeaders(), responseType: 'blob' }
+		);
+		return response.data;
+	} catch (error) {
+		throw toError(error, 'Failed to download the calendar file.');
+	}
+};
+
+// Fetches the URLs of the attendee's calendar feed: { url, webcalUrl }.
+export const getCalendarFeed = async () => {
+	try {
+		const response = await publicClient.get('/api/v1/attendee/calendar-feed', {
+			headers: authHeaders(),
+		});
+		// The server may return the URL relative to the API
+		const url = new URL(response.data.data.url, publicClient.defaults.baseURL).href;
+		return { url, webcalUrl: url.replace(/^https?:/, 'webcal:') };
+	} catch (error) {
+		throw toError(error, 'Failed to get your calendar feed.');
+	}
+};
@@ -15,6 +15,8 @@ const getApiError = (error, fallbackMessage) => {
 export const memberLogin = async (credentials) => {
 	try {
 		const response = await publicClient.post('/api/v1/members/login', credentials);
+		// Leaders with 2FA get a challenge for the code step instead of tokens
+		if (response.data.data.challengeToken) return response.data.data;
 		// Server sets refresh token as httpOnly cookie and returns accessToken + user
 		const { accessToken, user } = response.data.data;
 		// Persist only the access token client-side — refresh token is cookie-only
@@ -55,6 +57,8 @@ export const getCurrentMember = async () => {
 export const adminLogin = async (credentials) => {
 	try {
 		const response = await publicClient.post('/api/v1/admin/login', credentials);
+		// Admins with 2FA get a challenge for the code step instead of tokens
+		if (response.data.data.challengeToken) return response.data.data;
 		const { accessToken, user } = response.data.data;
 		setToken(accessToken);
 		return user;
@@ -102,6 +106,172 @@ export const refreshAccessToken = async (role = 'admin') => {
 	}
 };
 
+// =================================================================
+// Two-Factor Authentication Services (role: 'admin' | 'member')
+// =================================================================
+
+const accountBase = (role) => (role === 'admin' ? '/api/v1/admin' : '/api/v1/members');
+
+// Starts 2FA setup during sign-in, for accounts that must have it: returns the secret and QR code.
+export const startLoginTwoFactorSetup = async (role, challengeToken) => {
+	try {
+		const response = await publicClient.post(`${accountBase(role)}/login/2fa/setup`, {
+			challengeToken,
+		});
+		return response.data.data;
+	} catch (error) {
+		throw getApiError(error, 'Failed to start two-factor setup.');
+	}
+};
+
+// Finishes sign-in with a code from the app or a recovery code. Returns the user, plus the
+// recovery codes when the code just turned 2FA on.
+export const verifyLoginTwoFactor = async (role, { challengeToken, code, recoveryCode }) => {
+	try {
+		const response = await publicClient.post(`${accountBase(role)}/login/2fa`, {
+			challengeToken,
+			...(recoveryCode ? { recoveryCode } : { code }),
+		});
+		const { accessToken, user, recoveryCodes } = response.data.data;
+		setToken(accessToken);
+		return { user, recoveryCodes };
+	} catch (error) {
+		throw getApiError(error, 'Verification failed. Please try again.');
+	}
+};
+
+// Fetches the signed-in account's 2FA status.
+export const getTwoFactorStatus = async (role) => {
+	try {
+		const response = await apiClient.get(`${accountBase(role)}/2fa`);
+		return response.data.data;
+	} catch (error) {
+		throw getApiError(error, 'Failed to fetch two-factor status.');
+	}
+};
+
+// Starts 2FA setup: returns the secret and QR code for the authenticator app.
+export const setupTwoFactor = async (role) => {
+	try {
+		const response = await apiClient.post(`${accountBase(role)}/2fa/setup`);
+		return response.data.data;
+	} catch (error) {
+		throw getApiError(error, 'Failed to start two-factor setup.');
+	}
+};
+
+// Turns 2FA on with the first code from the app; the response carries the recovery codes.
+export const enableTwoFactor = async (role, code) => {
+	try {
+		const response = await apiClient.post(`${accountBase(role)}/2fa/enable`, { code });
+		return response.data.data;
+	} catch (error) {
+		throw getApiError(error, 'Failed to turn on two-factor authentication.');
+	}
+};
+
+// Turns 2FA off with a code from the app or a recovery code.
+export const disableTwoFactor = async (role, { code, recoveryCode }) => {
+	try {
+		const response = await apiClient.post(
+			`${accountBase(role)}/2fa/disable`,
+			recoveryCode ? { recoveryCode } : { code }
+		);
+		return response.data.data;
+	} catch (error) {
+		throw getApiError(error, 'Failed to turn off two-factor authentication.');
+	}
+};
+
+// Replaces the recovery codes; the old ones stop working.
+export const regenerateRecoveryCodes = async (role, code) => {
+	try {
+		const response = await apiClient.post(`${accountBase(role)}/2fa/recovery-codes`, { code });
+		return response.data.data.recoveryCodes;
+	} catch (error) {
+		throw getApiError(error, 'Failed to create new recovery codes.');
+	}
+};
+
+// =================================================================
+// Password Reset Services (role: 'admin' | 'member')
+// =================================================================
+
+// Emails a reset link; the server answers the same whether or not the email is known.
+export const requestPasswordReset = async (role, email) => {
+	try {
+		const response = await publicClient.post(`${accountBase(role)}/send-reset-email`, {
+			email,
+		});
+		return response.data.message;
+	} catch (error) {
+		throw getApiError(error, 'Failed to send the reset email.');
+	}
+};
+
+// Checks a reset link before asking for the new password.
+export const checkResetLink = async (role, token) => {
+	try {
+		const response = await publicClient.get(`${accountBase(role)}/reset-password/${token}`);
+		return response.data.data;
+	} catch (error) {
+		throw getApiError(error, 'This reset link is invalid, used or expired.');
+	}
+};
+
+// Sets a new password through a reset link; every session of the account is signed out.
+export const resetPasswordWithToken = async (role, token, newPassword) => {
+	try {
+		await publicClient.post(`${accountBase(role)}/reset-password`, { token, newPassword });
+		removeToken();
+	} catch (error) {
+		throw getApiError(error, 'Failed to reset your password.');
+	}
+};
+
+// Sets the email an admin's reset links go to; needs their current password.
+export const updateAdminEmail = async (email, password) => {
+	try {
+		const response = await apiClient.put('/api/v1/admin/me/email', { email, password });
+		return response.data.data;
+	} catch (error) {
+		throw getApiError(error, 'Failed to update your email.');
+	}
+};
+
+// =================================================================
+// Session Services: the signed-in account's devices (role: 'admin' | 'member')
+// =================================================================
+
+// Fetches the active sessions; the one of this browser has `current: true`.
+export const getSessions = async (role) => {
+	try {
+		const response = await apiClient.get(`${accountBase(role)}/sessions`);
+		return response.data.data.sessions;
+	} catch (error) {
+		throw getApiError(error, 'Failed to fetch your sessions.');
+	}
+};
+
+// Signs one device out.
+export const revokeSession = async (role, sessionId) => {
+	try {
+		await apiClient.delete(`${accountBase(role)}/sessions/${sessionId}`);
+	} catch (error) {
+		throw getApiError(error, 'Failed to sign out the session.');
+	}
+};
+
+// Signs out every device except this one; returns how many were signed out.
+export const revokeOtherSessions = async (role) => {
+	try {
+		const response = await apiClient.delete(`${accountBase(role)}/sessions`);
+		return response.data.data.count;
+	} catch (error) {
+		throw getApiError(error, 'Failed to sign out other sessions.');
+	}
+};
+
 // Registers a new admin.
 export const adminRegister = async (adminDetails) => {
 	try {
@@ -114,6 +284,119 @@ export const adminRegister = async (adminDetails) => {
 	}
 };
 
+// Fetches the roles admins can be given and the permissions behind them (super admins).
+export const getAdminRoles = async () => {
+	try {
+		const response = await apiClient.get('/api/v1/admin/roles');
+		return response.data.data;
+	} catch (error) {
+		throw getApiError(error, 'Failed to fetch admin roles.');
+	}
+};
+
+// Fetches all admins with their roles (super admins).
+export const getAdmins = async () => {
+	try {
+		const response = await apiClient.get('/api/v1/admin/admins');
+		return response.data.data;
+	} catch (error) {
+		throw getApiError(error, 'Failed to fetch admins.');
+	}
+};
+
+// Replaces an admin's roles (super admins).
+export const updateAdminRoles = async (adminId, roles) => {
+	try {
+		const response = await apiClient.put(`/api/v1/admin/admins/${adminId}/roles`, { roles });
+		return response.data.data;
+	} catch (error) {
+		throw getApiError(error, 'Failed to update admin roles.');
+	}
+};
+
+// Disables an admin or enables them again (super admins).
+export const updateAdminStatus = async (adminId, status) => {
+	try {
+		const response = await apiClient.patch(`/api/v1/admin/admins/${adminId}/status`, {
+			status,
+		});
+		return response.data.data;
+	} catch (error) {
+		throw getApiError(error, 'Failed to update the admin.');
+	}
+};
+
+// Revokes an admin's account (super admins).
+export const removeAdmin = async (adminId) => {
+	try {
+		await apiClient.delete(`/api/v1/admin/admins/${adminId}`);
+	} catch (error) {
+		throw getApiError(error, 'Failed to remove the admin.');
+	}
+};
+
+// Clears another admin's 2FA after they lost their device (super admins).
+export const resetAdminTwoFactor = async (adminId) => {
+	try {
+		const response = await apiClient.delete(`/api/v1/admin/admins/${adminId}/2fa`);
+		return response.data.data;
+	} catch (error) {
+		throw getApiError(error, 'Failed to reset two-factor authentication.');
+	}
+};
+
+// Fetches admin invites, newest first (super admins).
+export const getAdminInvites = async () => {
+	try {
+		const response = await apiClient.get('/api/v1/admin/invites');
+		return response.data.data;
+	} catch (error) {
+		throw getApiError(error, 'Failed to fetch invites.');
+	}
+};
+
+// Creates an admin invite; the returned inviteUrl is only available here (super admins).
+export const createAdminInvite = async (details) => {
+	try {
+		const response = await apiClient.post('/api/v1/admin/invites', details);
+		return response.data.data;
+	} catch (error) {
+		throw getApiError(error, 'Failed to create the invite.');
+	}
+};
+
+// Revokes an invite that has not been accepted (super admins).
+export const revokeAdminInvite = async (inviteId) => {
+	try {
+		const response = await apiClient.delete(`/api/v1/admin/invites/${inviteId}`);
+		return response.data.data;
+	} catch (error) {
+		throw getApiError(error, 'Failed to revoke the invite.');
+	}
+};
+
+// Checks an invite link before signing up through it.
+export const getAdminInvite = async (token) => {
+	try {
+		const response = await publicClient.get(`/api/v1/admin/invite/${token}`);
+		return response.data.data;
+	} catch (error) {
+		throw getApiError(error, 'This invite link is invalid, used or expired.');
+	}
+};
+
+// Creates the invitee's admin account and signs them in.
+export const acceptAdminInvite = async (token, details) => {
+	try {
+		const response = await publicClient.post(`/api/v1/admin/invite/${token}/accept`, details);
+		const { accessToken, user } = response.data.data;
+		setToken(accessToken);
+		return user;
+	} catch (error) {
+		throw getApiError(error, 'Failed to accept the invite.');
+	}
+};
+
 // Registers a new member (Admin only).
 export const memberRegister = async (memberDetails) => {
 	try {
@@ -0,0 +1,11 @@
+import { publicClient } from './api.js';
+
+// Checks a coupon code; with an eventId the result includes the discounted ticket price.
+export const validateCoupon = async ({ code, eventId }) => {
+	try {
+		const response = await publicClient.post('/api/v1/coupons/validate', { code, eventId });
+		return response.data.data;
+	} catch (error) {
+		throw new Error(error.response?.data?.message || 'Failed to validate coupon.');
+	}
+};
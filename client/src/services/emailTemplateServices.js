@@ -0,0 +1,71 @@
+import { apiClient } from './api.js';
+
+// Fetches stored email templates, optionally filtered by type/event/fest (Admin only).
+export const getEmailTemplates = async (params = {}) => {
+	try {
+		const response = await apiClient.get('/api/v1/email-templates', { params });
+		return response.data.data;
+	} catch (error) {
+		throw new Error(error.response?.data?.message || 'Failed to fetch email templates.');
+	}
+};
+
+// Fetches the built-in templates with the variables of each type (Admin only).
+export const getDefaultEmailTemplates = async () => {
+	try {
+		const response = await apiClient.get('/api/v1/email-templates/defaults');
+		return response.data.data;
+	} catch (error) {
+		throw new Error(error.response?.data?.message || 'Failed to fetch default templates.');
+	}
+};
+
+// Fetches one template including its HTML and text bodies (Admin only).
+export const getEmailTemplate = async (id) => {
+	try {
+		const response = await apiClient.get(`/api/v1/email-templates/${id}`);
+		return response.data.data;
+	} catch (error) {
+		throw new Error(error.response?.data?.message || 'Failed to fetch the email template.');
+	}
+};
+
+// Creates an email template (Admin only).
+export const createEmailTemplate = async (data) => {
+	try {
+		const response = await apiClient.post('/api/v1/email-templates', data);
+		return response.data.data;
+	} catch (error) {
+		throw new Error(error.response?.data?.message || 'Failed to create the email template.');
+	}
+};
+
+// Updates an email template (Admin only).
+export const updateEmailTemplate = async (id, data) => {
+	try {
+		const response = await apiClient.patch(`/api/v1/email-templates/${id}`, data);
+		return response.data.data;
+	} catch (error) {
+		throw new Error(error.response?.data?.message || 'Failed to update the email template.');
+	}
+};
+
+// Deletes an email template (Admin only).
+export const deleteEmailTemplate = async (id) => {
+	try {
+		const response = await apiClient.delete(`/api/v1/email-templates/${id}`);
+		return response.data.data;
+	} catch (error) {
+		throw new Error(error.response?.data?.message || 'Failed to delete the email template.');
+	}
+};
+
+// Renders a draft template with sample values: { from, subject, html, text } (Admin only).
+export const previewEmailTemplate = async (data) => {
+	try {
+		const response = await apiClient.post('/api/v1/email-templates/preview', data);
+		return response.data.data;
+	} catch (error) {
+		throw new Error(error.response?.data?.message || 'Failed to render the preview.');
+	}
+};
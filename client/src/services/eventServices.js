@@ -58,7 +58,7 @@ const normalizePagination = (axiosResponse) => {
 				: Math.ceil(
 						(meta.totalDocs || meta.total || docs.length) /
 							(meta.limit || docs.length || 1)
-				  ),
+					),
 		hasPrevPage: !!meta.hasPrevPage,
 		hasNextPage: !!meta.hasNextPage,
 		prevPage: meta.prevPage ?? null,
@@ -71,7 +71,16 @@ const normalizePagination = (axiosResponse) => {
 
 // Sanitize and validate query parameters for event listing
 const sanitizeParams = (params = {}) => {
-	const allowed = ['page', 'limit', 'search', 'status', 'period', 'sortBy', 'sortOrder'];
+	const allowed = [
+		'page',
+		'limit',
+		'search',
+		'status',
+		'period',
+		'sortBy',
+		'sortOrder',
+		'groupSeries',
+	];
 	const out = {};
 	for (const k of allowed) {
 		if (typeof params[k] !== 'undefined' && params[k] !== null && params[k] !== '') {
@@ -114,6 +123,13 @@ const getPublicEventDetails = async (id, { signal } = {}) => {
 	return request(() => publicClient.get(url, { signal })).then((res) => res.data?.data ?? null);
 };
 
+// Absolute URL of an event's .ics file; the server returns it relative to the API unless it
+// knows its public URL
+const getEventCalendarFileUrl = (event) =>
+	event?.calendar?.icsUrl
+		? new URL(event.calendar.icsUrl, publicClient.defaults.baseURL).href
+		: null;
+
 // POST /events (admin) - accepts FormData OR plain object
 const createEvent = async (payload, { signal } = {}) => {
 	if (!payload) throw new Error('Payload is required');
@@ -129,12 +145,12 @@ const createEvent = async (payload, { signal } = {}) => {
 	);
 };
 
-// PATCH /events/:id/details (admin)
-const updateEventDetails = async (id, updateData, { signal } = {}) => {
+// PATCH /events/:id/details (admin); scope 'future' also updates the later occurrences of a series
+const updateEventDetails = async (id, updateData, { signal, scope } = {}) => {
 	if (!id) throw new Error('Event id is required');
 	if (!updateData) throw new Error('updateData is required');
 	const url = `/api/v1/events/${encodeSegment(id)}/details`;
-	const config = { signal };
+	const config = { signal, params: scope ? { scope } : undefined };
 
 	// If sending JSON ensure proper header; if FormData, allow axios to set header
 	if (!(updateData instanceof FormData)) config.headers = { 'Content-Type': 'application/json' };
@@ -144,12 +160,13 @@ const updateEventDetails = async (id, updateData, { signal } = {}) => {
 	);
 };
 
-// DELETE /events/:id (admin)
-const deleteEvent = async (id, { signal } = {}) => {
+// DELETE /events/:id (admin); scope 'future' also deletes the later occurrences of a series
+const deleteEvent = async (id, { signal, scope } = {}) => {
 	if (!id) throw new Error('Event id is required');
 	const url = `/api/v1/events/${encodeSegment(id)}`;
-	return request(() => apiClient.delete(url, { signal })).then((res) =>
-		res.status === 204 ? null : res.data ?? null
+	const params = scope ? { scope } : undefined;
+	return request(() => apiClient.delete(url, { signal, params })).then((res) =>
+		res.status === 204 ? null : (res.data ?? null)
 	);
 };
 
@@ -167,6 +184,13 @@ const getEventRegistrations = async (id, { signal } = {}) => {
 	return request(() => apiClient.get(url, { signal })).then((res) => res.data?.data ?? []);
 };
 
+// GET /events/:id/notifications (admin) - reminder settings, upcoming reminders and the log
+const getEventNotifications = async (id, { signal } = {}) => {
+	if (!id) throw new Error('Event id is required');
+	const url = `/api/v1/events/${encodeSegment(id)}/notifications`;
+	return request(() => apiClient.get(url, { signal })).then((res) => res.data?.data ?? null);
+};
+
 // POST /events/:id/posters (admin) - single file field "poster" (FormData)
 const addEventPoster = async (id, formData, { signal } = {}) => {
 	if (!id) throw new Error('Event id is required');
@@ -227,6 +251,50 @@ const removeEventSpeaker = async (id, index, { signal } = {}) => {
 	return request(() => apiClient.delete(url, { signal })).then((res) => res.data?.data ?? null);
 };
 
+// POST /events/:id/series/sync (admin): copy description, posters, partners and speakers to the
+// later occurrences of the event's series
+const syncEventSeries = async (id, { signal } = {}) => {
+	if (!id) throw new Error('Event id is required');
+	const url = `/api/v1/events/${encodeSegment(id)}/series/sync`;
+	return request(() => apiClient.post(url, null, { signal })).then(
+		(res) => res.data?.data ?? null
+	);
+};
+
+// Sessions (agenda)
+
+const addEventSession = async (id, payload, { signal } = {}) => {
+	if (!id) throw new Error('Event id is required');
+	if (!payload) throw new Error('payload is required');
+	const url = `/api/v1/events/${encodeSegment(id)}/sessions`;
+	return request(() => apiClient.post(url, payload, { signal })).then(
+		(res) => res.data?.data ?? null
+	);
+};
+
+const updateEventSession = async (id, sessionId, payload, { signal } = {}) => {
+	if (!id) throw new Error('Event id is required');
+	if (!sessionId) throw new Error('session id is required');
+	const url = `/api/v1/events/${encodeSegment(id)}/sessions/${encodeSegment(sessionId)}`;
+	return request(() => apiClient.patch(url, payload, { signal })).then(
+		(res) => res.data?.data ?? null
+	);
+};
+
+const removeEventSession = async (id, sessionId, { signal } = {}) => {
+	if (!id) throw new Error('Event id is required');
+	if (!sessionId) throw new Error('session id is required');
+	const url = `/api/v1/events/${encodeSegment(id)}/sessions/${encodeSegment(sessionId)}`;
+	return request(() => apiClient.delete(url, { signal })).then((res) => res.data?.data ?? null);
+};
+
+// { registered, sessions: [{ _id, title, start, end, checkedIn, lastCheckInAt }] }
+const getSessionAttendance = async (id, { signal } = {}) => {
+	if (!id) throw new Error('Event id is required');
+	const url = `/api/v1/events/${encodeSegment(id)}/sessions/attendance`;
+	return request(() => apiClient.get(url, { signal })).then((res) => res.data?.data ?? null);
+};
+
 // Resources
 
 const addEventResource = async (id, { title, url }, { signal } = {}) => {
@@ -276,17 +344,24 @@ export {
 	getAllEvents,
 	getEventById,
 	getPublicEventDetails,
+	getEventCalendarFileUrl,
 	createEvent,
 	updateEventDetails,
 	deleteEvent,
 	getEventStats,
 	getEventRegistrations,
+	getEventNotifications,
+	syncEventSeries,
 	addEventPoster,
 	removeEventPoster,
 	addEventPartner,
 	removeEventPartner,
 	addEventSpeaker,
 	removeEventSpeaker,
+	addEventSession,
+	updateEventSession,
+	removeEventSession,
+	getSessionAttendance,
 	addEventResource,
 	removeEventResource,
 	addEventCoOrganizer,
@@ -33,30 +33,23 @@ export const getLeaders = async () => {
 	}
 };
 
-// Sends a password reset email to the user.
-export const sendResetPasswordEmail = async (data) => {
-	try {
-		const response = await publicClient.post('/api/v1/members/send-reset-email', data);
-		return response.data;
-	} catch (error) {
-		throw new Error(error.response?.data?.message || 'Failed to send password reset email.');
-	}
-};
+// ==================================================
+// Authenticated Member Services
+// ==================================================
 
-// Resets a member's password using their LPU ID.
-export const resetPassword = async (data) => {
+// Changes the signed-in member's password; their other devices are signed out.
+export const changePassword = async ({ currentPassword, newPassword }) => {
 	try {
-		const response = await publicClient.post('/api/v1/members/reset-password', data);
+		const response = await apiClient.post('/api/v1/members/change-password', {
+			currentPassword,
+			newPassword,
+		});
 		return response.data;
 	} catch (error) {
-		throw new Error(error.response?.data?.message || 'Failed to reset password.');
+		throw new Error(error.response?.data?.message || 'Failed to change password.');
 	}
 };
 
-// ==================================================
-// Authenticated Member Services
-// ==================================================
-
 // Updates the profile of the currently logged-in member.
 export const updateMyProfile = async (memberId, data) => {
 	try {
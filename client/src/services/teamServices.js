@@ -0,0 +1,31 @@
+import { apiClient, publicClient } from './api.js';
+
+// Fetches the team behind a join code: { team, event }.
+export const getTeamByCode = async (code) => {
+	try {
+		const response = await publicClient.get(`/api/v1/teams/code/${code}`);
+		return response.data.data;
+	} catch (error) {
+		throw new Error(error.response?.data?.message || 'Failed to load the team.');
+	}
+};
+
+// Fetches an event's teams with their members: { teamSize, teams } (Admin only).
+export const getEventTeams = async (eventId) => {
+	try {
+		const response = await apiClient.get('/api/v1/teams', { params: { eventId } });
+		return response.data.data;
+	} catch (error) {
+		throw new Error(error.response?.data?.message || 'Failed to fetch teams.');
+	}
+};
+
+// Withdraws a pending team invite (Admin only).
+export const revokeTeamInvite = async (teamId, inviteId) => {
+	try {
+		const response = await apiClient.delete(`/api/v1/teams/${teamId}/invites/${inviteId}`);
+		return response.data.data;
+	} catch (error) {
+		throw new Error(error.response?.data?.message || 'Failed to revoke the invite.');
+	}
+};
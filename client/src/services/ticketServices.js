@@ -1,5 +1,10 @@
 import { apiClient, publicClient } from './api.js';
 
+// URL of a ticket's QR image. The server may return it relative to the API (QR images are
+// rendered by the API); uploaded legacy images are absolute already.
+export const ticketQrImageUrl = (ticket) =>
+	ticket?.qrCode?.url ? new URL(ticket.qrCode.url, publicClient.defaults.baseURL).href : '';
+
 // Registers a user for an event and creates a ticket.
 export const registerForEvent = async (registrationData) => {
 	try {
@@ -10,6 +15,23 @@ export const registerForEvent = async (registrationData) => {
 	}
 };
 
+// Uploads a file answer for one of an event's file registration fields. Resolves with
+// { url, publicId, name }, which is sent back as the field's answer when registering.
+export const uploadRegistrationFile = async (eventId, fieldKey, file) => {
+	try {
+		const formData = new FormData();
+		formData.append('file', file);
+		const response = await publicClient.post(
+			`/api/v1/events/${eventId}/registration-files/${fieldKey}`,
+			formData,
+			{ timeout: 60000 }
+		);
+		return response.data.data;
+	} catch (error) {
+		throw new Error(error.response?.data?.message || 'Failed to upload file.');
+	}
+};
+
 // Checks if an email or LPU ID is already registered for a specific event.
 export const checkTicketAvailability = async (checkData) => {
 	try {
@@ -30,6 +52,33 @@ export const getTicketById = async (ticketId) => {
 	}
 };
 
+// Downloads a ticket as a PDF (Blob), through the signed link the server sent with the ticket.
+export const downloadTicketPdf = async (ticket) => {
+	try {
+		const response = await publicClient.get(ticket.links.pdf, {
+			responseType: 'blob',
+		});
+		return response.data;
+	} catch (error) {
+		throw new Error(error.response?.data?.message || 'Failed to download the ticket.');
+	}
+};
+
+// Downloads a ticket as a wallet pass through its signed link. Returns { blob, filename }.
+export const downloadTicketPass = async (ticket) => {
+	try {
+		const response = await publicClient.get(ticket.links.pass, {
+			responseType: 'blob',
+		});
+		const filename = /filename="([^"]+)"/.exec(
+			response.headers['content-disposition'] || ''
+		)?.[1];
+		return { blob: response.data, filename: filename || `${ticket.ticketId}.json` };
+	} catch (error) {
+		throw new Error(error.response?.data?.message || 'Failed to download the wallet pass.');
+	}
+};
+
 // Fetches tickets with filtering by event (Admin only).
 export const getTicketsByEvent = async (params = {}) => {
 	try {
@@ -55,6 +104,28 @@ export const updateTicketStatus = async (ticketId, status) => {
 	}
 };
 
+// Cancels a ticket and optionally refunds it (Admin only).
+// payload: { refund: 'gateway' | 'manual' | 'none', reason?, reference? }
+export const cancelTicket = async (ticketId, payload) => {
+	try {
+		const response = await apiClient.post(`/api/v1/tickets/${ticketId}/cancel`, payload);
+		return response.data.data;
+	} catch (error) {
+		throw new Error(error.response?.data?.message || 'Failed to cancel ticket.');
+	}
+};
+
+// Queues the ticket email again for every ticket of the event whose email failed (Admin only).
+// Returns { queued, alreadyQueued }.
+export const resendFailedTicketEmails = async (eventId) => {
+	try {
+		const response = await apiClient.post('/api/v1/email-jobs/resend-failed', { eventId });
+		return response.data.data;
+	} catch (error) {
+		throw new Error(error.response?.data?.message || 'Failed to resend ticket emails.');
+	}
+};
+
 // Deletes a ticket (Admin only).
 export const deleteTicket = async (ticketId) => {
 	try {
@@ -64,3 +135,40 @@ export const deleteTicket = async (ticketId) => {
 		throw new Error(error.message || 'Failed to delete ticket.');
 	}
 };
+
+// Checks in a scanned ticket at the door (Admin only).
+// Accepts { qrData } (raw scanned text) or { ticketId }, optionally scoped to an eventId.
+export const checkInTicket = async (payload) => {
+	try {
+		const response = await apiClient.post('/api/v1/tickets/check-in', payload);
+		return response.data.data;
+	} catch (error) {
+		// Keep the server's details (e.g. original check-in time) for the scanner UI
+		const err = new Error(error.response?.data?.message || 'Failed to check in ticket.');
+		err.status = error.response?.status;
+		err.details = error.response?.data?.details || null;
+		throw err;
+	}
+};
+
+// Downloads a signed snapshot of an event's tickets for offline scanning (Admin only).
+export const getCheckInSnapshot = async (eventId) => {
+	try {
+		const response = await apiClient.get(`/api/v1/tickets/check-in/snapshot/${eventId}`);
+		return response.data.data;
+	} catch (error) {
+		throw new Error(error.response?.data?.message || 'Failed to download check-in snapshot.');
+	}
+};
+
+// Syncs check-ins recorded offline (Admin only). Resolves with { results, summary }.
+export const syncOfflineCheckIns = async (payload) => {
+	try {
+		const response = await apiClient.post('/api/v1/tickets/check-in/sync', payload);
+		return response.data.data;
+	} catch (error) {
+		const err = new Error(error.response?.data?.message || 'Failed to sync offline check-ins.');
+		err.status = error.response?.status;
+		throw err;
+	}
+};
@@ -0,0 +1,75 @@
+import { apiClient, publicClient } from './api.js';
+
+// Joins the waitlist of a full event. Returns { entryId, ahead }.
+export const joinWaitlist = async (registrationData) => {
+	try {
+		const response = await publicClient.post('/api/v1/waitlist', registrationData);
+		return { ...response.data.data, message: response.data.message };
+	} catch (error) {
+		throw new Error(error.response?.data?.message || 'Failed to join the waitlist.');
+	}
+};
+
+// Fetches the offer behind a claim link: { offer, event }.
+export const getWaitlistOffer = async (token) => {
+	try {
+		const response = await publicClient.get(`/api/v1/waitlist/claim/${token}`);
+		return response.data.data;
+	} catch (error) {
+		const err = new Error(error.response?.data?.message || 'Failed to load the offer.');
+		err.status = error.response?.status;
+		throw err;
+	}
+};
+
+// Claims the offered place of a free event. Returns { ticket }.
+export const claimWaitlistOffer = async (token) => {
+	try {
+		const response = await publicClient.post(`/api/v1/waitlist/claim/${token}`);
+		return response.data.data;
+	} catch (error) {
+		throw new Error(error.response?.data?.message || 'Failed to claim the offer.');
+	}
+};
+
+// Fetches an event's waitlist in queue order (Admin only).
+export const getEventWaitlist = async (eventId) => {
+	try {
+		const response = await apiClient.get(`/api/v1/waitlist/event/${eventId}`);
+		return response.data.data;
+	} catch (error) {
+		throw new Error(error.response?.data?.message || 'Failed to fetch the waitlist.');
+	}
+};
+
+// Saves a new queue order (Admin only).
+export const reorderWaitlist = async (eventId, entryIds) => {
+	try {
+		const response = await apiClient.put(`/api/v1/waitlist/event/${eventId}/order`, {
+			entryIds,
+		});
+		return response.data.data;
+	} catch (error) {
+		throw new Error(error.response?.data?.message || 'Failed to reorder the waitlist.');
+	}
+};
+
+// Offers any free places to the next people in the queue (Admin only).
+export const offerWaitlistSpots = async (eventId) => {
+	try {
+		const response = await apiClient.post(`/api/v1/waitlist/event/${eventId}/offer`);
+		return { ...response.data.data, message: response.data.message };
+	} catch (error) {
+		throw new Error(error.response?.data?.message || 'Failed to offer places.');
+	}
+};
+
+// Removes someone from the waitlist (Admin only).
+export const removeWaitlistEntry = async (entryId) => {
+	try {
+		const response = await apiClient.delete(`/api/v1/waitlist/${entryId}`);
+		return response.data;
+	} catch (error) {
+		throw new Error(error.response?.data?.message || 'Failed to remove the entry.');
+	}
+};
@@ -0,0 +1,190 @@
+import { jwtDecode } from 'jwt-decode';
+
+// IndexedDB storage for offline door scanning: one snapshot per event + a queue of pending check-ins
+const DB_NAME = 'syntax_checkin';
+const DB_VERSION = 1;
+const SNAPSHOTS = 'snapshots';
+const QUEUE = 'queue';
+
+// Must match SIGNED_QR_PREFIX in server/src/services/qrcode.service.js
+const SIGNED_QR_PREFIX = 'SYNTAX1:';
+
+let dbPromise = null;
+
+const openDb = () => {
+	if (dbPromise) return dbPromise;
+	dbPromise = new Promise((resolve, reject) => {
+		if (typeof indexedDB === 'undefined') {
+			reject(new Error('Offline storage is not supported in this browser.'));
+			return;
+		}
+		const request = indexedDB.open(DB_NAME, DB_VERSION);
+		request.onupgradeneeded = () => {
+			const db = request.result;
+			if (!db.objectStoreNames.contains(SNAPSHOTS)) {
+				db.createObjectStore(SNAPSHOTS, { keyPath: 'eventId' });
+			}
+			if (!db.objectStoreNames.contains(QUEUE)) {
+				const queue = db.createObjectStore(QUEUE, { keyPath: 'clientId' });
+				queue.createIndex('eventId', 'eventId');
+			}
+		};
+		request.onsuccess = () => resolve(request.result);
+		request.onerror = () => {
+			dbPromise = null;
+			reject(request.error);
+		};
+	});
+	return dbPromise;
+};
+
+// Run a single request against a store and resolve with its result
+const withStore = async (storeName, mode, fn) => {
+	const db = await openDb();
+	return new Promise((resolve, reject) => {
+		const tx = db.transaction(storeName, mode);
+		const request = fn(tx.objectStore(storeName));
+		tx.oncomplete = () => resolve(request?.result);
+		tx.onerror = () => reject(tx.error);
+		tx.onabort = () => reject(tx.error);
+	});
+};
+
+export const saveSnapshot = (snapshot) =>
+	withStore(SNAPSHOTS, 'readwrite', (store) => store.put(snapshot));
+
+export const loadSnapshot = (eventId) =>
+	withStore(SNAPSHOTS, 'readonly', (store) => store.get(eventId));
+
+export const enqueueCheckIn = (entry) => withStore(QUEUE, 'readwrite', (store) => store.put(entry));
+
+export const getQueuedCheckIns = async (eventId) => {
+	const entries = await withStore(QUEUE, 'readonly', (store) =>
+		store.index('eventId').getAll(eventId)
+	);
+	return (entries || []).sort((a, b) => new Date(a.scannedAt) - new Date(b.scannedAt));
+};
+
+export const removeQueuedCheckIns = async (clientIds = []) => {
+	if (!clientIds.length) return;
+	const db = await openDb();
+	await new Promise((resolve, reject) => {
+		const tx = db.transaction(QUEUE, 'readwrite');
+		const store = tx.objectStore(QUEUE);
+		clientIds.forEach((id) => store.delete(id));
+		tx.oncomplete = () => resolve();
+		tx.onerror = () => reject(tx.error);
+	});
+};
+
+export const createClientId = () =>
+	typeof crypto !== 'undefined' && crypto.randomUUID
+		? crypto.randomUUID()
+		: `${Date.now()}-${Math.random().toString(36).slice(2)}`;
+
+// Read the ticket identity out of a scanned code. Signatures cannot be checked on the device;
+// the server re-verifies every queued scan when it is synced.
+const readScannedCode = (qrData) => {
+	const value = String(qrData || '').trim();
+	if (!value) return null;
+	if (value.startsWith(SIGNED_QR_PREFIX)) {
+		try {
+			const decoded = jwtDecode(value.slice(SIGNED_QR_PREFIX.length));
+			if (!decoded?.ticketId) return null;
+			return {
+				ticketId: decoded.ticketId,
+				eventId: decoded.eventId || null,
+				issuedAt: decoded.iat ?? null,
+				legacy: false,
+			};
+		} catch {
+			return null;
+		}
+	}
+	try {
+		const parsed = JSON.parse(value);
+		if (parsed && typeof parsed.ticketId === 'string') {
+			return {
+				ticketId: parsed.ticketId.trim(),
+				eventId: null,
+				issuedAt: null,
+				legacy: true,
+			};
+		}
+		return null;
+	} catch {
+		return { ticketId: value, eventId: null, issuedAt: null, legacy: true };
+	}
+};
+
+/**
+ * Validate a scan against a downloaded snapshot and the local queue.
+ * Returns `{ kind: 'success' | 'duplicate' | 'error', message, ticket }` like the online scanner.
+ */
+export const validateOffline = (snapshot, queued = [], { qrData, ticketId }) => {
+	if (!snapshot) {
+		return { kind: 'error', message: 'Download the offline snapshot first.', ticket: {} };
+	}
+	if (new Date(snapshot.expiresAt) < new Date()) {
+		return {
+			kind: 'error',
+			message: 'Offline snapshot expired. Reconnect and download it again.',
+			ticket: {},
+		};
+	}
+
+	const scanned = ticketId
+		? { ticketId: String(ticketId).trim(), eventId: null, issuedAt: null, legacy: false }
+		: readScannedCode(qrData);
+	if (!scanned?.ticketId) {
+		return { kind: 'error', message: 'Unrecognised ticket QR code.', ticket: {} };
+	}
+	if (scanned.eventId && scanned.eventId !== snapshot.eventId) {
+		return {
+			kind: 'error',
+			message: 'This ticket belongs to a different event.',
+			ticket: { ticketId: scanned.ticketId },
+		};
+	}
+
+	const ticket = snapshot.tickets.find((t) => t.ticketId === scanned.ticketId);
+	if (!ticket) {
+		return {
+			kind: 'error',
+			message: 'Ticket not found for this event.',
+			ticket: { ticketId: scanned.ticketId },
+		};
+	}
+
+	if (!ticketId && ticket.qrIssuedAt) {
+		const currentIssuedAt = Math.floor(new Date(ticket.qrIssuedAt).getTime() / 1000);
+		if (scanned.legacy || scanned.issuedAt !== currentIssuedAt) {
+			return {
+				kind: 'error',
+				message: 'This ticket QR code has been replaced by a newer one.',
+				ticket,
+			};
+		}
+	}
+	if (ticket.status === 'cancelled') {
+		return { kind: 'error', message: 'This ticket has been cancelled.', ticket };
+	}
+	if (ticket.status === 'used') {
+		return {
+			kind: 'duplicate',
+			message: 'Already checked in before the snapshot was taken.',
+			ticket,
+		};
+	}
+
+	const earlier = queued.find((entry) => entry.ticketId === ticket.ticketId);
+	if (earlier) {
+		return {
+			kind: 'duplicate',
+			message: 'Already checked in on this device.',
+			ticket: { ...ticket, checkedInAt: earlier.scannedAt },
+		};
+	}
+
+	return { kind: 'success', message: 'Entry granted (offline, pending sync).', ticket };
+};
@@ -1,6 +1,13 @@
 import { publicClient } from '../services/api.js';
 import { load } from '@cashfreepayments/cashfree-js';
 
+// Team invites are typed one per line (commas also work)
+const toInviteList = (text) =>
+	String(text || '')
+		.split(/[\n,]+/)
+		.map((value) => value.trim())
+		.filter(Boolean);
+
 export const handlePayment = async ({
 	formData,
 	eventData,
@@ -15,8 +22,24 @@ export const handlePayment = async ({
 
 	try {
 		// Validate form data
-		const { fullName, email, phone, lpuId, gender, hosteler, hostel, course, club, amount } =
-			formData;
+		const {
+			fullName,
+			email,
+			phone,
+			lpuId,
+			gender,
+			hosteler,
+			hostel,
+			course,
+			club,
+			couponCode,
+			waitlistToken,
+			teamMode,
+			teamName,
+			teamInvites,
+			teamCode,
+			answers,
+		} = formData;
 		if (
 			!fullName ||
 			!email ||
@@ -47,6 +70,9 @@ export const handlePayment = async ({
 			return;
 		}
 
+		// Team events: join with a code, or create a team (only sent when a name is given)
+		const joiningTeam = teamMode ? teamMode === 'join' : Boolean(teamCode);
+
 		// Prepare payload for backend
 		const payload = {
 			fullName,
@@ -58,34 +84,48 @@ export const handlePayment = async ({
 			hostel: hostelerBool ? hostel : undefined,
 			course,
 			club: club || '',
-			amount: Number(amount),
+			couponCode: couponCode?.trim() || undefined,
+			// Claims a waitlist offer (see components/upcoming_events/waitlistClaim.jsx)
+			waitlistToken: waitlistToken || undefined,
+			teamCode: joiningTeam ? teamCode?.trim() || undefined : undefined,
+			teamName: !joiningTeam ? teamName?.trim() || undefined : undefined,
+			teamInvites: !joiningTeam && teamName?.trim() ? toInviteList(teamInvites) : undefined,
+			// Answers to the event's own registration fields
+			answers: eventData?.registrationFields?.length ? answers || {} : undefined,
 			eventId: eventData?._id,
 		};
 
-		// Create payment order
-		const response = await publicClient.post('api/cashfree/create-order', payload);
+		// Create payment order (the server charges the event's ticket price, less any coupon,
+		// with the event's gateway)
+		const response = await publicClient.post('/api/v1/payments/orders', payload);
 
 		const orderData = response.data?.data;
-		if (!orderData?.payment_session_id) {
+		const checkout = orderData?.checkout;
+		if (!checkout) {
 			throw new Error('Invalid order response from server.');
 		}
 
-		// Load and initialize Cashfree
-		const cashfree = await load({
-			mode: import.meta.env.VITE_CASHFREE_MODE || 'sandbox',
-		});
+		if (checkout.type === 'none') {
+			// Fully discounted: the server has already issued the ticket
+			setShowPaymentForm(false);
+		} else if (checkout.type === 'redirect' && checkout.url) {
+			// Instamojo / mock: the gateway page sends the buyer back to /payment/verify
+			window.location.href = checkout.url;
+		} else if (checkout.type === 'cashfree' && checkout.paymentSessionId) {
+			// Load and initialize Cashfree
+			const cashfree = await load({
+				mode: import.meta.env.VITE_CASHFREE_MODE || 'sandbox',
+			});
 
-		// Close the payment form before redirecting
-		// if (setShowPaymentForm) {
-		// 	setShowPaymentForm(false);
-		// }
-
-		// Initiate payment
-		await cashfree.checkout({
-			paymentSessionId: orderData.payment_session_id,
-			container: 'cashfree-dropin-container',
-			redirectTarget: '_self',
-		});
+			// Initiate payment
+			await cashfree.checkout({
+				paymentSessionId: checkout.paymentSessionId,
+				container: 'cashfree-dropin-container',
+				redirectTarget: '_self',
+			});
+		} else {
+			throw new Error('Unsupported payment checkout.');
+		}
 
 		// Call success callback if provided
 		if (onSuccess) {
@@ -15,13 +15,30 @@ import eventRoutes from './routes/event.routes.js';
 import memberRoutes from './routes/member.routes.js';
 import socialRouter from './routes/socials.routes.js';
 import ticketRouter from './routes/ticket.routes.js';
+import paymentRouter from './routes/payment.routes.js';
+import couponRouter from './routes/coupon.routes.js';
+import waitlistRouter from './routes/waitlist.routes.js';
+import teamRouter from './routes/team.routes.js';
+import emailTemplateRouter from './routes/emailTemplate.routes.js';
+import emailJobRouter from './routes/emailJob.routes.js';
+import attendeeRouter from './routes/attendee.routes.js';
 
 const app = express();
 
 // --- Core Middlewares ---
 app.use(helmet()); // Set security HTTP headers
 app.use(applyCors); // Apply custom CORS policy
-app.use(express.json({ limit: '16kb' }));
+// Email templates carry whole HTML documents; parsed here, the global parser below skips them
+app.use('/api/v1/email-templates', express.json({ limit: '256kb' }));
+app.use(
+	express.json({
+		limit: '16kb',
+		// Payment webhooks are signed over the exact request bytes
+		verify: (req, _res, buf) => {
+			if (req.originalUrl.startsWith('/api/v1/payments/')) req.rawBody = buf;
+		},
+	})
+);
 app.use(express.urlencoded({ extended: true, limit: '16kb' }));
 app.use(cookieParser());
 
@@ -62,6 +79,13 @@ app.use('/api/v1/events', eventRoutes);
 app.use('/api/v1/members', memberRoutes);
 app.use('/api/v1/socials', socialRouter);
 app.use('/api/v1/tickets', ticketRouter);
+app.use('/api/v1/payments', paymentRouter);
+app.use('/api/v1/coupons', couponRouter);
+app.use('/api/v1/waitlist', waitlistRouter);
+app.use('/api/v1/teams', teamRouter);
+app.use('/api/v1/email-templates', emailTemplateRouter);
+app.use('/api/v1/email-jobs', emailJobRouter);
+app.use('/api/v1/attendee', attendeeRouter);
 
 // --- Health Check Route ---
 app.get('/api/v1/health', (req, res) => {
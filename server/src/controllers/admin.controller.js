@@ -2,70 +2,155 @@ import Admin from '../models/admin.model.js';
 import { ApiError } from '../utils/ApiError.js';
 import { ApiResponse } from '../utils/ApiResponse.js';
 import { asyncHandler } from '../utils/asyncHandler.js';
-import jwt from 'jsonwebtoken';
 import { getHeroMedia } from '../utils/arvantisMedia.js';
+import { PERMISSIONS, ROLES } from '../utils/permissions.js';
+import AdminInvite from '../models/adminInvite.model.js';
+import {
+	createAdminInvite,
+	findUsableInvite,
+	acceptAdminInvite,
+	inviteStatus,
+	conflictOnDuplicateAdmin,
+} from '../services/adminInvite.service.js';
+import {
+	startTwoFactorLogin,
+	readLoginChallenge,
+	completeTwoFactorLogin,
+	startEnrollment,
+	resetTwoFactor,
+} from '../services/twoFactor.service.js';
+import {
+	startSession,
+	rotateSession,
+	endSession,
+	endAllSessions,
+} from '../services/session.service.js';
+import {
+	requestPasswordReset,
+	findResetAccount,
+	resetPasswordWithToken,
+} from '../services/passwordReset.service.js';
 
-const generateAndSendTokens = async (admin, res, message, statusCode) => {
-	const accessToken = admin.generateAuthToken();
-	const refreshToken = admin.generateRefreshToken();
-
-	// Save the new refresh token to the database
-	admin.refreshToken = refreshToken;
-	await admin.save({ validateBeforeSave: false });
+// Same options to set and clear the refresh token cookie
+const cookieOptions = () => ({
+	httpOnly: true,
+	secure: process.env.NODE_ENV === 'production',
+	sameSite: 'strict',
+});
 
-	const options = {
-		httpOnly: true,
-		secure: process.env.NODE_ENV === 'production',
-		sameSite: 'strict',
-	};
+// Sign the admin in on this device: a new session, its refresh token in a cookie
+const generateAndSendTokens = async (req, res, admin, message, statusCode, extra = {}) => {
+	const { accessToken, refreshToken } = await startSession(admin, req);
 
 	return ApiResponse.success(
-		res.cookie('refreshToken', refreshToken, options),
-		{ user: admin, accessToken },
+		res.cookie('refreshToken', refreshToken, cookieOptions()),
+		{ user: admin, accessToken, ...extra },
 		message,
 		statusCode
 	);
 };
 
-// Create Admin (for initial setup, should be protected)
+const INVITE_ONLY_MESSAGE = 'Admins join by invitation. Ask a super admin for an invite link.';
+
+// Create the first admin, a super admin. Everyone after joins through an invite.
+// The firstAdmin index lets only one of several concurrent sign-ups through.
 const createAdmin = asyncHandler(async (req, res) => {
-	const { fullname, password } = req.body;
+	const { fullname, password, email } = req.body;
 
 	if (!fullname || !password) {
 		throw ApiError.BadRequest('Fullname and password are required');
 	}
 
-	const existing = await Admin.findOne({ fullname });
-	if (existing) {
-		throw ApiError.Conflict('Admin with this fullname already exists');
+	if (await Admin.exists({})) {
+		throw ApiError.Forbidden(INVITE_ONLY_MESSAGE);
 	}
 
-	const admin = await Admin.create({ fullname, password });
+	const admin = await Admin.create({
+		fullname,
+		password,
+		email: email || undefined,
+		roles: ['super-admin'],
+		firstAdmin: true,
+	}).catch((err) => {
+		if (err?.code === 11000 && err.keyValue && 'firstAdmin' in err.keyValue) {
+			throw ApiError.Forbidden(INVITE_ONLY_MESSAGE);
+		}
+		return conflictOnDuplicateAdmin(err);
+	});
 
-	return generateAndSendTokens(admin, res, 'Admin created successfully', 201);
+	return generateAndSendTokens(req, res, admin, 'Admin created successfully', 201);
 });
 
 // Login Admin
 const loginAdmin = asyncHandler(async (req, res) => {
-	const { fullname, password, secret } = req.body;
+	const { fullname, password } = req.body;
 
 	if (!fullname || !password) {
 		throw ApiError.BadRequest('Fullname and password are required');
 	}
 
-	if (!secret || secret !== process.env.ADMIN_SECRET) {
-		throw ApiError.Forbidden('Invalid admin secret');
-	}
-
 	const admin = await Admin.findOne({ fullname });
 	if (!admin || !(await admin.comparePassword(password))) {
 		throw ApiError.Unauthorized('Invalid credentials');
 	}
 
-	return generateAndSendTokens(admin, res, 'Login successful', 200);
+	if (admin.status === 'disabled') {
+		throw ApiError.Forbidden('Your admin account is disabled.');
+	}
+
+	// With 2FA on (or required), the password only earns a challenge for the code step
+	const challenge = startTwoFactorLogin(admin);
+	if (challenge) {
+		return ApiResponse.success(res, challenge, 'Enter the code from your authenticator app');
+	}
+
+	return generateAndSendTokens(req, res, admin, 'Login successful', 200);
 });
 
-// Logout Admin
+const findChallengedAdmin = async (challengeToken) => {
+	const challenge = await readLoginChallenge(Admin, challengeToken);
+	if (challenge.account.status === 'disabled') {
+		throw ApiError.Forbidden('Your admin account is disabled.');
+	}
+	return challenge;
+};
+
+// Sign-in of an admin who must set up 2FA first: the secret and QR code for their app
+const startLoginTwoFactorSetup = asyncHandler(async (req, res) => {
+	const { account: admin, purpose } = await findChallengedAdmin(req.body.challengeToken);
+	if (purpose !== 'setup') {
+		throw ApiError.BadRequest('Two-factor authentication is already set up for this account.');
+	}
+
+	const setup = await startEnrollment(admin);
+	return ApiResponse.success(res, setup, 'Scan the QR code with your authenticator app');
+});
+
+// Second sign-in step: a code from the app or a recovery code. For an admin setting up 2FA the
+// first code turns it on, and the recovery codes come back with the tokens.
+const verifyLoginTwoFactor = asyncHandler(async (req, res) => {
+	const { challengeToken, code, recoveryCode } = req.body;
+	const { account, purpose } = await findChallengedAdmin(challengeToken);
+	const { recoveryCodes } = await completeTwoFactorLogin(account, purpose, {
+		code,
+		recoveryCode,
+	});
+
+	const admin = await Admin.findById(account._id);
+	if (recoveryCodes) {
+		return generateAndSendTokens(
+			req,
+			res,
+			admin,
+			'Two-factor authentication is on. Save your recovery codes.',
+			200,
+			{ recoveryCodes }
+		);
+	}
+	return generateAndSendTokens(req, res, admin, 'Login successful', 200);
+});
+
+// Logout Admin: ends the session of this device only
 const logoutAdmin = asyncHandler(async (req, res) => {
 	const adminId = req.user?._id;
 
@@ -73,16 +158,62 @@ const logoutAdmin = asyncHandler(async (req, res) => {
 		throw ApiError.Unauthorized('No admin to logout');
 	}
 
-	// Clear the refresh token from the database
-	await Admin.findByIdAndUpdate(adminId, { $unset: { refreshToken: 1 } }, { new: true });
+	if (req.sessionId) {
+		await endSession(req.sessionId, 'logout', req.user);
+	}
+
+	return ApiResponse.success(
+		res.clearCookie('refreshToken', cookieOptions()),
+		null,
+		'Logout successful'
+	);
+});
 
-	const options = {
-		httpOnly: true,
-		secure: process.env.NODE_ENV === 'production',
-		sameSite: 'strict',
-	};
+// Set or change the email reset links are sent to; needs the current password
+const updateAdminEmail = asyncHandler(async (req, res) => {
+	const { email, password } = req.body;
+	const admin = await Admin.findById(req.user._id).select('+password');
 
-	return ApiResponse.success(res.clearCookie('refreshToken', options), null, 'Logout successful');
+	if (!(await admin.comparePassword(password))) {
+		throw ApiError.Unauthorized('Password is incorrect');
+	}
+	if (await Admin.exists({ email, _id: { $ne: admin._id } })) {
+		throw ApiError.Conflict('Another admin already uses this email.');
+	}
+
+	admin.email = email;
+	await admin.save().catch(conflictOnDuplicateAdmin);
+
+	return ApiResponse.success(res, admin, 'Email updated successfully');
+});
+
+// Email a reset link; the answer is the same whether or not the email is known
+const sendResetPasswordEmail = asyncHandler(async (req, res) => {
+	requestPasswordReset(Admin, req.body.email);
+
+	return ApiResponse.success(
+		res,
+		null,
+		'If an admin uses this email, a password reset link is on its way'
+	);
+});
+
+// Check a reset link before showing the new password form
+const verifyResetToken = asyncHandler(async (req, res) => {
+	const admin = await findResetAccount(Admin, req.params.token);
+	return ApiResponse.success(
+		res,
+		{ expiresAt: admin.resetPasswordExpires },
+		'Reset link is valid'
+	);
+});
+
+// Set a new password through the emailed link; signs the admin out everywhere
+const resetPassword = asyncHandler(async (req, res) => {
+	const { token, newPassword } = req.body;
+	await resetPasswordWithToken(Admin, token, newPassword);
+
+	return ApiResponse.success(res, null, 'Password reset successfully. Please log in.');
 });
 
 // Get current admin
@@ -95,7 +226,7 @@ const currentAdmin = asyncHandler(async (req, res) => {
 	return ApiResponse.success(res, admin, 'Current admin retrieved successfully');
 });
 
-// Add this improved refreshAccessToken
+// Trade the refresh token for a new access token; the refresh token rotates with it
 const refreshAccessToken = asyncHandler(async (req, res) => {
 	const incomingRefreshToken = req.body?.refreshToken || req.cookies?.refreshToken;
 
@@ -104,28 +235,211 @@ const refreshAccessToken = asyncHandler(async (req, res) => {
 		throw ApiError.Unauthorized('Refresh token is required');
 	}
 
-	let decoded;
-	try {
-		decoded = jwt.verify(incomingRefreshToken, process.env.REFRESH_TOKEN_SECRET);
-	} catch (err) {
-		throw ApiError.Unauthorized('Invalid or expired refresh token');
+	const { accessToken, refreshToken } = await rotateSession(Admin, incomingRefreshToken, req);
+
+	// A parallel refresh already sent the browser its next refresh token
+	if (refreshToken) {
+		res.cookie('refreshToken', refreshToken, cookieOptions());
 	}
 
-	// refresh tokens are signed with { id: this._id, role: ... }
-	const admin = await Admin.findById(decoded.id).select('+refreshToken');
+	return ApiResponse.success(res, { accessToken }, 'Access token refreshed successfully');
+});
+
+// Roles admins can be given and the permissions behind them
+const getRoles = asyncHandler(async (req, res) => {
+	return ApiResponse.success(
+		res,
+		{
+			roles: Object.entries(ROLES).map(([name, role]) => ({ name, ...role })),
+			permissions: Object.entries(PERMISSIONS).map(([name, description]) => ({
+				name,
+				description,
+			})),
+		},
+		'Roles retrieved successfully'
+	);
+});
+
+// All admins with their roles
+const listAdmins = asyncHandler(async (req, res) => {
+	const admins = await Admin.find().sort({ createdAt: 1 });
+	return ApiResponse.success(res, admins, 'Admins retrieved successfully');
+});
+
+// There must always be an active super admin left to manage the others
+const ensureOtherSuperAdmin = async (admin) => {
+	if (!admin.roles?.includes('super-admin') || admin.status === 'disabled') return;
+	const others = await Admin.countDocuments({
+		_id: { $ne: admin._id },
+		roles: 'super-admin',
+		status: { $ne: 'disabled' },
+	});
+	if (!others) {
+		throw ApiError.Conflict('At least one active super admin is required');
+	}
+};
+
+const findOtherAdmin = async (req) => {
+	const admin = await Admin.findById(req.params.id);
+	if (!admin) {
+		throw ApiError.NotFound('Admin not found');
+	}
+	if (admin._id.equals(req.user._id)) {
+		throw ApiError.BadRequest('You cannot disable or remove your own account');
+	}
+	return admin;
+};
+
+// Replace an admin's roles
+const updateAdminRoles = asyncHandler(async (req, res) => {
+	const roles = [...new Set(req.body.roles)];
+
+	const admin = await Admin.findById(req.params.id);
 	if (!admin) {
-		throw ApiError.Unauthorized('Invalid refresh token');
+		throw ApiError.NotFound('Admin not found');
 	}
 
-	// Ensure stored token matches (single-session token)
-	if (admin.refreshToken !== incomingRefreshToken) {
-		throw ApiError.Unauthorized('Refresh token is expired or has been used');
+	if (!roles.includes('super-admin')) {
+		await ensureOtherSuperAdmin(admin);
 	}
 
-	// Generate a fresh access token (do not rotate refresh token here)
-	const accessToken = admin.generateAuthToken();
+	admin.roles = roles;
+	await admin.save();
 
-	return ApiResponse.success(res, { accessToken }, 'Access token refreshed successfully');
+	return ApiResponse.success(res, admin, 'Admin roles updated successfully');
+});
+
+// Disable an admin (signed out everywhere, can't sign in) or enable them again
+const updateAdminStatus = asyncHandler(async (req, res) => {
+	const { status } = req.body;
+	const admin = await findOtherAdmin(req);
+
+	if (status === 'disabled') {
+		await ensureOtherSuperAdmin(admin);
+		admin.status = 'disabled';
+		admin.disabledAt = new Date();
+	} else {
+		admin.status = 'active';
+		admin.disabledAt = undefined;
+	}
+	await admin.save();
+	if (status === 'disabled') {
+		await endAllSessions(admin, { reason: 'disabled' });
+	}
+
+	return ApiResponse.success(
+		res,
+		admin,
+		status === 'disabled' ? 'Admin disabled successfully' : 'Admin enabled successfully'
+	);
+});
+
+// Revoke an admin's account for good
+const removeAdmin = asyncHandler(async (req, res) => {
+	const admin = await findOtherAdmin(req);
+	await ensureOtherSuperAdmin(admin);
+	await admin.deleteOne();
+	await endAllSessions(admin, { reason: 'removed' });
+
+	return ApiResponse.success(res, null, 'Admin removed successfully');
+});
+
+// Clear another admin's 2FA when they lost their device; they set it up again if it's required
+const resetAdminTwoFactor = asyncHandler(async (req, res) => {
+	const admin = await Admin.findById(req.params.id);
+	if (!admin) {
+		throw ApiError.NotFound('Admin not found');
+	}
+	if (admin._id.equals(req.user._id)) {
+		throw ApiError.BadRequest('Manage your own two-factor authentication from your settings');
+	}
+
+	await resetTwoFactor(admin);
+
+	return ApiResponse.success(
+		res,
+		await Admin.findById(admin._id),
+		'Two-factor authentication reset successfully'
+	);
+});
+
+// ------------------------------ Invites ------------------------------
+
+const withStatus = (invite) => {
+	const { tokenHash, ...rest } = invite.toObject();
+	return { ...rest, status: inviteStatus(invite) };
+};
+
+// Invite someone to become an admin with a role; the link is only shown in this response
+const createInvite = asyncHandler(async (req, res) => {
+	const { role, name, expiresInHours } = req.body;
+	const { invite, inviteUrl } = await createAdminInvite({
+		role,
+		name,
+		expiresInHours,
+		adminId: req.user._id,
+	});
+
+	return ApiResponse.success(
+		res,
+		{ invite: withStatus(invite), inviteUrl },
+		'Invite created successfully',
+		201
+	);
+});
+
+// All invites, newest first
+const listInvites = asyncHandler(async (req, res) => {
+	const invites = await AdminInvite.find()
+		.sort({ createdAt: -1 })
+		.populate('createdBy', 'fullname')
+		.populate('acceptedBy', 'fullname');
+
+	return ApiResponse.success(res, invites.map(withStatus), 'Invites retrieved successfully');
+});
+
+// Revoke an invite that has not been accepted yet
+const revokeInvite = asyncHandler(async (req, res) => {
+	const invite = await AdminInvite.findOneAndUpdate(
+		{ _id: req.params.id, acceptedAt: null, revokedAt: null },
+		{ $set: { revokedAt: new Date(), revokedBy: req.user._id } },
+		{ new: true }
+	);
+	if (!invite) {
+		throw ApiError.NotFound('No open invite with this ID');
+	}
+
+	return ApiResponse.success(res, withStatus(invite), 'Invite revoked successfully');
+});
+
+// What an invite link is for, before the invitee signs up (public)
+const getInvite = asyncHandler(async (req, res) => {
+	const invite = await findUsableInvite(req.params.token);
+
+	return ApiResponse.success(
+		res,
+		{
+			role: invite.role,
+			roleLabel: ROLES[invite.role]?.label || invite.role,
+			name: invite.name,
+			expiresAt: invite.expiresAt,
+		},
+		'Invite is valid'
+	);
+});
+
+// Accept an invite: create the account and sign it in (public)
+const acceptInvite = asyncHandler(async (req, res) => {
+	const { fullname, password, email } = req.body;
+	const admin = await acceptAdminInvite(req.params.token, { fullname, password, email });
+
+	return generateAndSendTokens(
+		req,
+		res,
+		admin,
+		'Welcome aboard! Your admin account is ready.',
+		201
+	);
 });
 
 // Example: when exporting or listing fests in admin tools
@@ -143,4 +457,27 @@ const exportHandler = asyncHandler(async (req, res) => {
 	// ...existing export logic...
 });
 
-export { createAdmin, loginAdmin, logoutAdmin, currentAdmin, refreshAccessToken };
+export {
+	createAdmin,
+	loginAdmin,
+	startLoginTwoFactorSetup,
+	verifyLoginTwoFactor,
+	logoutAdmin,
+	currentAdmin,
+	updateAdminEmail,
+	refreshAccessToken,
+	sendResetPasswordEmail,
+	verifyResetToken,
+	resetPassword,
+	getRoles,
+	listAdmins,
+	updateAdminRoles,
+	updateAdminStatus,
+	removeAdmin,
+	resetAdminTwoFactor,
+	createInvite,
+	listInvites,
+	revokeInvite,
+	getInvite,
+	acceptInvite,
+};
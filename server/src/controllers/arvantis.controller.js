@@ -7,6 +7,7 @@ import { uploadFile, deleteFile, deleteFiles } from '../utils/cloudinary.js';
 import mongoose from 'mongoose';
 import { Parser } from 'json2csv';
 import { getHeroMedia, getFirstPoster } from '../utils/arvantisMedia.js';
+import { buildFestCalendar } from '../services/calendar.service.js';
 
 /* helpers */
 const slugify = (str = '') =>
@@ -197,6 +198,15 @@ const getFestDetails = asyncHandler(async (req, res) => {
 	return ApiResponse.success(res, fest, 'Fest details retrieved successfully');
 });
 
+/* Calendar feed of a fest and its events */
+const getFestCalendar = asyncHandler(async (req, res) => {
+	const fest = await findFestBySlugOrYear(req.params.identifier);
+
+	res.set('Content-Type', 'text/calendar; charset=utf-8');
+	res.set('Cache-Control', 'public, max-age=300');
+	return res.send(await buildFestCalendar(fest));
+});
+
 /* Update fest details (admin) */
 const updateFestDetails = asyncHandler(async (req, res) => {
 	const fest = await findFestBySlugOrYear(req.params.identifier);
@@ -1276,6 +1286,7 @@ export {
 	createFest,
 	getAllFests,
 	getFestDetails,
+	getFestCalendar,
 	updateFestDetails,
 	deleteFest,
 	addPartner,
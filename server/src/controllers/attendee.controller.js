@@ -0,0 +1,193 @@
+import Ticket from '../models/ticket.model.js';
+import { ApiError } from '../utils/ApiError.js';
+import { ApiResponse } from '../utils/ApiResponse.js';
+import { asyncHandler } from '../utils/asyncHandler.js';
+import {
+	requestLoginCode,
+	verifyLoginCode,
+	attendeeTicketFilter,
+	getTicketPermissions,
+	isPaidTicket,
+	createCalendarFeedToken,
+	verifyCalendarFeedToken,
+} from '../services/attendeePortal.service.js';
+import { cancelTicket } from '../services/ticket.service.js';
+import { releaseSpotsToWaitlist } from '../services/waitlist.service.js';
+import { queueEmail } from '../services/emailQueue.service.js';
+import { validateAnswers } from '../services/registrationForm.service.js';
+import { buildCalendar, googleCalendarUrl, getEventStart } from '../utils/ical.js';
+import { getEffectiveStatus } from '../services/eventStatus.service.js';
+import { withTicketLinks } from '../services/qrcode.service.js';
+import {
+	ticketCalendarEntry,
+	buildAttendeeCalendar,
+	attendeeCalendarFeedUrl,
+} from '../services/calendar.service.js';
+
+const EVENT_FIELDS =
+	'title description eventDate eventTime durationMinutes sessions.end venue room posters status registration registrationFields';
+
+// Fields attendees may change on their own ticket
+const EDITABLE_FIELDS = ['fullName', 'phone', 'course', 'hosteler', 'hostel'];
+
+// Ticket as the attendee sees it: event details, QR code and what they can still do
+const toPortalTicket = async (ticket) => {
+	const event = ticket.eventId;
+	const plain = withTicketLinks(ticket);
+	if (!event || typeof event !== 'object' || !event.title) {
+		return { ...plain, event: null, canEdit: false, canCancel: false };
+	}
+	const paid = await isPaidTicket(ticket);
+	return {
+		...plain,
+		eventId: event._id,
+		event: {
+			_id: event._id,
+			title: event.title,
+			eventDate: event.eventDate,
+			eventTime: event.eventTime,
+			venue: event.venue,
+			room: event.room,
+			status: getEffectiveStatus(event),
+			poster: event.posters?.[0]?.url || null,
+			registrationFields: event.registrationFields,
+			startsAt: getEventStart(event),
+		},
+		paid,
+		googleCalendarUrl: googleCalendarUrl(ticketCalendarEntry(ticket, event)),
+		...getTicketPermissions(ticket, event, { paid }),
+	};
+};
+
+const findAttendeeTicket = async (req) => {
+	const ticket = await Ticket.findOne({
+		ticketId: req.params.ticketId,
+		...attendeeTicketFilter(req.attendee),
+	}).populate('eventId', EVENT_FIELDS);
+	if (!ticket) throw ApiError.NotFound('Ticket not found.');
+	return ticket;
+};
+
+// Email a one-time login code; the reply is the same whether or not tickets exist
+const sendLoginCode = asyncHandler(async (req, res) => {
+	await requestLoginCode(req.body.identifier);
+	return ApiResponse.success(
+		res,
+		null,
+		'If we have tickets for you, a login code is on its way to your email.'
+	);
+});
+
+const verifyCode = asyncHandler(async (req, res) => {
+	const session = await verifyLoginCode(req.body.identifier, req.body.code);
+	return ApiResponse.success(res, session, 'Signed in.');
+});
+
+// All tickets of the signed-in attendee, upcoming events first
+const getMyTickets = asyncHandler(async (req, res) => {
+	const tickets = await Ticket.find(attendeeTicketFilter(req.attendee))
+		.populate('eventId', EVENT_FIELDS)
+		.sort({ createdAt: -1 });
+
+	const result = await Promise.all(tickets.map(toPortalTicket));
+	const now = Date.now();
+	const startOf = (t) => t.event?.startsAt?.getTime() ?? 0;
+	result.sort((a, b) => {
+		const aPast = startOf(a) < now;
+		const bPast = startOf(b) < now;
+		if (aPast !== bPast) return aPast ? 1 : -1;
+		return aPast ? startOf(b) - startOf(a) : startOf(a) - startOf(b);
+	});
+
+	return ApiResponse.success(res, { tickets: result }, 'Tickets retrieved successfully.');
+});
+
+// Calendar file for one ticket's event
+const getTicketCalendar = asyncHandler(async (req, res) => {
+	const ticket = await findAttendeeTicket(req);
+	const event = ticket.eventId;
+	if (!event?.title) throw ApiError.NotFound('Event not found.');
+
+	res.set('Content-Type', 'text/calendar; charset=utf-8');
+	res.set('Content-Disposition', `attachment; filename="${ticket.ticketId}.ics"`);
+	return res.send(buildCalendar([ticketCalendarEntry(ticket, event)]));
+});
+
+// Subscription URL of the attendee's calendar feed
+const getCalendarFeed = asyncHandler(async (req, res) => {
+	const url = attendeeCalendarFeedUrl(createCalendarFeedToken(req.attendee));
+	return ApiResponse.success(res, { url }, 'Calendar feed retrieved successfully.');
+});
+
+// Calendar feed of the events the attendee holds tickets for (polled by calendar apps)
+const getAttendeeCalendar = asyncHandler(async (req, res) => {
+	const who = verifyCalendarFeedToken(req.params.token);
+	const tickets = await Ticket.find(attendeeTicketFilter(who)).populate('eventId', EVENT_FIELDS);
+
+	res.set('Content-Type', 'text/calendar; charset=utf-8');
+	res.set('Cache-Control', 'private, max-age=300');
+	return res.send(buildAttendeeCalendar(tickets));
+});
+
+// Update the attendee's details and answers before the event starts
+const updateMyTicket = asyncHandler(async (req, res) => {
+	const ticket = await findAttendeeTicket(req);
+	const event = ticket.eventId;
+	if (!event?.title || !getTicketPermissions(ticket, event).canEdit) {
+		throw ApiError.Forbidden('This ticket can no longer be changed.');
+	}
+
+	for (const field of EDITABLE_FIELDS) {
+		if (typeof req.body[field] !== 'undefined') ticket[field] = req.body[field];
+	}
+	if (!ticket.hosteler) ticket.hostel = undefined;
+	if (typeof req.body.answers !== 'undefined') {
+		// Answers not sent keep their current value
+		ticket.answers = validateAnswers(event, { ...(ticket.answers || {}), ...req.body.answers });
+		ticket.markModified('answers');
+	}
+	await ticket.save();
+
+	return ApiResponse.success(res, await toPortalTicket(ticket), 'Ticket updated successfully.');
+});
+
+// Cancel a free ticket before the event's cutoff; the place goes to the waitlist
+const cancelMyTicket = asyncHandler(async (req, res) => {
+	const ticket = await findAttendeeTicket(req);
+	const event = ticket.eventId;
+	const { canCancel, cancelBlockedReason } = event?.title
+		? getTicketPermissions(ticket, event, { paid: await isPaidTicket(ticket) })
+		: { canCancel: false, cancelBlockedReason: 'This ticket can no longer be cancelled.' };
+	if (!canCancel) throw ApiError.Forbidden(cancelBlockedReason);
+
+	const reason = 'Cancelled by the attendee';
+	const cancelled = await cancelTicket(ticket.depopulate('eventId'), { reason });
+	releaseSpotsToWaitlist(event._id);
+
+	try {
+		await queueEmail('ticketCancellation', cancelled.email, {
+			eventId: event._id,
+			eventName: cancelled.eventName,
+			name: cancelled.fullName,
+			ticketId: cancelled.ticketId,
+			reason,
+			refund: null,
+		});
+	} catch (err) {
+		console.error('Failed to queue the cancellation email', err?.message || err);
+	}
+
+	await cancelled.populate('eventId', EVENT_FIELDS);
+	return ApiResponse.success(res, await toPortalTicket(cancelled), 'Ticket cancelled.');
+});
+
+export {
+	sendLoginCode,
+	verifyCode,
+	getMyTickets,
+	getTicketCalendar,
+	getCalendarFeed,
+	getAttendeeCalendar,
+	updateMyTicket,
+	cancelMyTicket,
+};
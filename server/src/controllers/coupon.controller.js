@@ -1,137 +1,161 @@
 import Coupon from '../models/coupon.model.js';
+import Event from '../models/event.model.js';
 import { ApiError } from '../utils/ApiError.js';
 import { ApiResponse } from '../utils/ApiResponse.js';
-import {asyncHandler} from '../utils/asyncHandler.js';
+import { asyncHandler } from '../utils/asyncHandler.js';
+
+// Make sure every event a coupon is scoped to exists; returns the de-duplicated ids
+const resolveCouponEvents = async (events = []) => {
+	const ids = [...new Set(events.map(String))];
+	if (!ids.length) return ids;
+
+	const found = await Event.countDocuments({ _id: { $in: ids } });
+	if (found !== ids.length) {
+		throw ApiError.BadRequest('One or more events for this coupon do not exist');
+	}
+	return ids;
+};
+
+const findCouponOrThrow = async (code) => {
+	const coupon = await Coupon.findOne({ code: code.toUpperCase() });
+	if (!coupon) {
+		throw ApiError.NotFound('Coupon not found');
+	}
+	return coupon;
+};
 
 // Create a new coupon
 const createCoupon = asyncHandler(async (req, res) => {
-    const { discount, expiryDate, maxUsage } = req.body;
-
-    // Validate discount
-    if (discount % 5 !== 0 || discount < 5 || discount > 100) {
-        throw new ApiError(400, 'Discount must be a multiple of 5 between 5% and 100%');
-    }
-
-    // Validate expiryDate
-    const expiry = new Date(expiryDate);
-    if (isNaN(expiry) || expiry <= new Date()) {
-        throw new ApiError(400, 'Valid future expiry date is required');
-    }
-
-    // Create coupon with validated data
-    const coupon = await Coupon.create({
-        discount,
-        expiryDate: expiry,
-        ...(maxUsage !== undefined && { maxUsage })
-    });
-
-    return res
-        .status(201)
-        .json(
-            new ApiResponse(
-                201,
-                coupon,
-                'Coupon created successfully'
-            )
-        );
+	const { discount, expiryDate, maxUsage, events } = req.body;
+
+	// Validate discount
+	if (discount % 5 !== 0 || discount < 5 || discount > 100) {
+		throw ApiError.BadRequest('Discount must be a multiple of 5 between 5% and 100%');
+	}
+
+	// Validate expiryDate
+	const expiry = new Date(expiryDate);
+	if (isNaN(expiry) || expiry <= new Date()) {
+		throw ApiError.BadRequest('Valid future expiry date is required');
+	}
+
+	// Create coupon with validated data
+	const coupon = await Coupon.create({
+		discount,
+		expiryDate: expiry,
+		events: await resolveCouponEvents(events),
+		...(maxUsage !== undefined && { maxUsage }),
+	});
+
+	return ApiResponse.success(res, coupon, 'Coupon created successfully', 201);
 });
 
-// Get all coupons
+// Get all coupons, optionally only those usable for one event
 const getAllCoupons = asyncHandler(async (req, res) => {
-    const coupons = await Coupon.find().sort({ createdAt: -1 });
-    return res
-        .json(
-            new ApiResponse(
-                200,
-                coupons,
-                'Coupons retrieved successfully'
-            )
-        );
+	const { eventId } = req.query;
+	const filter = eventId ? { $or: [{ events: { $size: 0 } }, { events: eventId }] } : {};
+
+	const coupons = await Coupon.find(filter)
+		.populate('events', 'title eventDate')
+		.sort({ createdAt: -1 });
+	return ApiResponse.success(res, coupons, 'Coupons retrieved successfully');
 });
 
 // Get coupon by code
 const getCouponByCode = asyncHandler(async (req, res) => {
-    const { code } = req.params;
-    const coupon = await Coupon.findOne({ code: code.toUpperCase() });
-
-    if (!coupon) {
-        throw new ApiError(404, 'Coupon not found');
-    }
-
-    return res
-        .json(
-            new ApiResponse(
-                200,
-                coupon,
-                'Coupon retrieved successfully'
-            )
-        );
+	const coupon = await findCouponOrThrow(req.params.code);
+	await coupon.populate('events', 'title eventDate');
+	return ApiResponse.success(res, coupon, 'Coupon retrieved successfully');
+});
+
+// Update a coupon's status, limits or event scope
+const updateCoupon = asyncHandler(async (req, res) => {
+	const coupon = await findCouponOrThrow(req.params.code);
+	const { isActive, expiryDate, maxUsage, events } = req.body;
+
+	if (maxUsage !== undefined) {
+		if (maxUsage < coupon.usageCount) {
+			throw ApiError.BadRequest(
+				`Usage limit cannot be lower than the ${coupon.usageCount} uses already redeemed`
+			);
+		}
+		coupon.maxUsage = maxUsage;
+	}
+	if (expiryDate !== undefined) coupon.expiryDate = new Date(expiryDate);
+	if (isActive !== undefined) coupon.isActive = isActive;
+	if (events !== undefined) coupon.events = await resolveCouponEvents(events);
+
+	await coupon.save();
+	return ApiResponse.success(res, coupon, 'Coupon updated successfully');
 });
 
-// Validate coupon
+// Validate coupon (public). With an eventId, also checks the event scope and prices the ticket.
 const validateCoupon = asyncHandler(async (req, res) => {
-    const { code } = req.body;
-    
-    if (!code || typeof code !== 'string') {
-        throw new ApiError(400, 'Valid coupon code is required');
-    }
-
-    try {
-        const coupon = await Coupon.validateCoupon(code.toUpperCase());
-        return res.json(new ApiResponse(200, coupon, 'Coupon is valid'));
-    } catch (error) {
-        throw new ApiError(400, error.message);
-    }
+	const { code, eventId } = req.body;
+
+	let coupon;
+	try {
+		coupon = await Coupon.validateCoupon(code, { eventId });
+	} catch (error) {
+		throw ApiError.BadRequest(error.message);
+	}
+
+	let pricing = null;
+	if (eventId) {
+		const event = await Event.findById(eventId).select('ticketPrice').lean();
+		if (!event) {
+			throw ApiError.NotFound('The specified event does not exist.');
+		}
+		pricing = {
+			originalAmount: event.ticketPrice || 0,
+			amount: coupon.applyTo(event.ticketPrice || 0),
+			currency: 'INR',
+		};
+	}
+
+	return ApiResponse.success(
+		res,
+		{ code: coupon.code, discount: coupon.discount, expiryDate: coupon.expiryDate, pricing },
+		'Coupon is valid'
+	);
 });
 
-// Redeem coupon
+// Redeem coupon manually (e.g. for an offline sale); uses the same atomic check as checkout
 const redeemCoupon = asyncHandler(async (req, res) => {
-    const { code } = req.body;
-
-    if (!code || typeof code !== 'string') {
-        throw new ApiError(400, 'Valid coupon code is required');
-    }
-
-    try {
-        const coupon = await Coupon.validateCoupon(code.toUpperCase());
-        await coupon.incrementUsage();
-        return res
-            .json(
-                new ApiResponse(
-                    200,
-                    coupon,
-                    'Coupon redeemed successfully'
-                )
-            );
-    } catch (error) {
-        throw new ApiError(400, error.message);
-    }
+	const { eventId } = req.body;
+	const code = req.params.code.toUpperCase();
+
+	const coupon = await Coupon.redeem(code, { eventId });
+	if (!coupon) {
+		// Explain why using the read-only checks
+		try {
+			await Coupon.validateCoupon(code, { eventId });
+		} catch (error) {
+			throw ApiError.BadRequest(error.message);
+		}
+		throw ApiError.BadRequest('Coupon could not be redeemed');
+	}
+
+	return ApiResponse.success(res, coupon, 'Coupon redeemed successfully');
 });
 
 // Delete coupon
 const deleteCoupon = asyncHandler(async (req, res) => {
-    const { code } = req.params;
-    const coupon = await Coupon.findOneAndDelete({ code: code.toUpperCase() });
-
-    if (!coupon) {
-        throw new ApiError(404, 'Coupon not found');
-    }
-
-    return res
-        .json(
-            new ApiResponse(
-                200,
-                coupon,
-                'Coupon deleted successfully'
-            )
-        );
+	const coupon = await Coupon.findOneAndDelete({ code: req.params.code.toUpperCase() });
+
+	if (!coupon) {
+		throw ApiError.NotFound('Coupon not found');
+	}
+
+	return ApiResponse.success(res, coupon, 'Coupon deleted successfully');
 });
 
 export {
-    createCoupon,
-    getAllCoupons,
-    getCouponByCode,
-    validateCoupon,
-    redeemCoupon,
-    deleteCoupon
-};
\ No newline at end of file
+	createCoupon,
+	getAllCoupons,
+	getCouponByCode,
+	updateCoupon,
+	validateCoupon,
+	redeemCoupon,
+	deleteCoupon,
+};
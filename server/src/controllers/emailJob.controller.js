@@ -0,0 +1,93 @@
+import mongoose from 'mongoose';
+import EmailJob, { EMAIL_JOB_STATUSES } from '../models/emailJob.model.js';
+import Event from '../models/event.model.js';
+import Ticket from '../models/ticket.model.js';
+import { ApiError } from '../utils/ApiError.js';
+import { ApiResponse } from '../utils/ApiResponse.js';
+import { asyncHandler } from '../utils/asyncHandler.js';
+import { resendFailedTicketEmails, retryEmailJob } from '../services/emailQueue.service.js';
+
+// List queued and sent emails, newest first
+const getEmailJobs = asyncHandler(async (req, res) => {
+	const { page = 1, limit = 20, status, type, eventId, ticket } = req.query;
+
+	const filter = {};
+	if (status) filter.status = status;
+	if (type) filter.type = type;
+	if (eventId) filter.eventId = eventId;
+	if (ticket) filter.ticket = ticket;
+
+	const pageNum = parseInt(page, 10);
+	const limitNum = parseInt(limit, 10);
+	const [docs, totalDocs] = await Promise.all([
+		EmailJob.find(filter)
+			.select('-payload')
+			.populate('ticket', 'ticketId fullName')
+			.sort({ createdAt: -1 })
+			.skip((pageNum - 1) * limitNum)
+			.limit(limitNum),
+		EmailJob.countDocuments(filter),
+	]);
+
+	return ApiResponse.paginated(
+		res,
+		docs,
+		{
+			totalDocs,
+			totalPages: Math.ceil(totalDocs / limitNum),
+			currentPage: pageNum,
+			limit: limitNum,
+		},
+		'Email jobs retrieved successfully'
+	);
+});
+
+// Jobs per status, and tickets per emailStatus, optionally for one event
+const getEmailJobStats = asyncHandler(async (req, res) => {
+	const { eventId } = req.query;
+	const match = eventId ? { eventId: new mongoose.Types.ObjectId(String(eventId)) } : {};
+
+	const [jobCounts, ticketCounts] = await Promise.all([
+		EmailJob.aggregate([{ $match: match }, { $group: { _id: '$status', count: { $sum: 1 } } }]),
+		Ticket.aggregate([
+			{ $match: { ...match, status: { $ne: 'cancelled' } } },
+			{ $group: { _id: '$emailStatus', count: { $sum: 1 } } },
+		]),
+	]);
+
+	const jobs = Object.fromEntries(EMAIL_JOB_STATUSES.map((s) => [s, 0]));
+	for (const { _id, count } of jobCounts) jobs[_id] = count;
+	const tickets = { sent: 0, pending: 0, failed: 0 };
+	for (const { _id, count } of ticketCounts) tickets[_id || 'pending'] += count;
+
+	return ApiResponse.success(res, { jobs, tickets }, 'Email queue stats retrieved');
+});
+
+// Send a failed or skipped email again
+const retryEmail = asyncHandler(async (req, res) => {
+	const job = await retryEmailJob(req.params.id);
+	if (!job) {
+		const exists = await EmailJob.exists({ _id: req.params.id });
+		if (!exists) throw ApiError.NotFound('Email job not found');
+		throw ApiError.Conflict('Only failed or skipped emails can be retried');
+	}
+	return ApiResponse.success(res, job, 'Email queued for another attempt');
+});
+
+// Queue the ticket email again for every ticket of the event whose email failed
+const resendFailedEmails = asyncHandler(async (req, res) => {
+	const { eventId } = req.body;
+	if (!(await Event.exists({ _id: eventId }))) {
+		throw ApiError.NotFound('Event not found');
+	}
+	const result = await resendFailedTicketEmails(eventId);
+	return ApiResponse.success(
+		res,
+		result,
+		result.queued
+			? `${result.queued} ticket email(s) queued for resending`
+			: 'No failed ticket emails to resend'
+	);
+});
+
+export { getEmailJobs, getEmailJobStats, retryEmail, resendFailedEmails };
@@ -0,0 +1,128 @@
+import Arvantis from '../models/arvantis.model.js';
+import EmailTemplate from '../models/emailTemplate.model.js';
+import Event from '../models/event.model.js';
+import { ApiError } from '../utils/ApiError.js';
+import { ApiResponse } from '../utils/ApiResponse.js';
+import { asyncHandler } from '../utils/asyncHandler.js';
+import { getDefaultTemplates, previewTemplate } from '../services/emailTemplate.service.js';
+
+const EDITABLE_FIELDS = [
+	'name',
+	'type',
+	'event',
+	'fest',
+	'brand',
+	'subject',
+	'html',
+	'text',
+	'isActive',
+];
+
+const POPULATE = [
+	{ path: 'event', select: 'title eventDate' },
+	{ path: 'fest', select: 'name year' },
+];
+
+// Make sure the event or fest a template is scoped to exists
+const checkScope = async ({ event, fest }) => {
+	if (event && fest) {
+		throw ApiError.BadRequest('A template is scoped to an event or a fest, not both');
+	}
+	if (event && !(await Event.exists({ _id: event }))) {
+		throw ApiError.NotFound('Event not found');
+	}
+	if (fest && !(await Arvantis.exists({ _id: fest }))) {
+		throw ApiError.NotFound('Fest not found');
+	}
+};
+
+const conflictOnDuplicate = (err) => {
+	if (err?.code === 11000) {
+		throw ApiError.Conflict(
+			'An active template of this type already exists for this scope. Deactivate it first.'
+		);
+	}
+	throw err;
+};
+
+// List stored templates, optionally of one type or scope
+const getEmailTemplates = asyncHandler(async (req, res) => {
+	const { type, event, fest } = req.query;
+	const filter = {
+		...(type && { type }),
+		...(event && { event }),
+		...(fest && { fest }),
+	};
+	const templates = await EmailTemplate.find(filter)
+		.select('-html -text')
+		.populate(POPULATE)
+		.sort({ type: 1, updatedAt: -1 });
+	return ApiResponse.success(res, templates, 'Email templates retrieved successfully');
+});
+
+// Built-in templates and the variables of each type, as a starting point for new templates
+const getEmailTemplateDefaults = asyncHandler(async (_req, res) => {
+	return ApiResponse.success(res, getDefaultTemplates(), 'Default email templates retrieved');
+});
+
+const getEmailTemplateById = asyncHandler(async (req, res) => {
+	const template = await EmailTemplate.findById(req.params.id).populate(POPULATE);
+	if (!template) {
+		throw ApiError.NotFound('Email template not found');
+	}
+	return ApiResponse.success(res, template, 'Email template retrieved successfully');
+});
+
+const createEmailTemplate = asyncHandler(async (req, res) => {
+	const data = Object.fromEntries(
+		EDITABLE_FIELDS.filter((field) => req.body[field] !== undefined).map((field) => [
+			field,
+			req.body[field],
+		])
+	);
+	await checkScope(data);
+
+	const template = await EmailTemplate.create(data).catch(conflictOnDuplicate);
+	return ApiResponse.success(res, template, 'Email template created successfully', 201);
+});
+
+const updateEmailTemplate = asyncHandler(async (req, res) => {
+	const template = await EmailTemplate.findById(req.params.id);
+	if (!template) {
+		throw ApiError.NotFound('Email template not found');
+	}
+
+	for (const field of EDITABLE_FIELDS) {
+		if (req.body[field] !== undefined) template[field] = req.body[field];
+	}
+	if (req.body.event !== undefined || req.body.fest !== undefined) {
+		await checkScope(template);
+	}
+
+	await template.save().catch(conflictOnDuplicate);
+	return ApiResponse.success(res, template, 'Email template updated successfully');
+});
+
+const deleteEmailTemplate = asyncHandler(async (req, res) => {
+	const template = await EmailTemplate.findByIdAndDelete(req.params.id);
+	if (!template) {
+		throw ApiError.NotFound('Email template not found');
+	}
+	return ApiResponse.success(res, template, 'Email template deleted successfully');
+});
+
+// Render a (possibly unsaved) template with sample values, branded for the given event or fest
+const previewEmailTemplate = asyncHandler(async (req, res) => {
+	const preview = await previewTemplate(req.body);
+	return ApiResponse.success(res, preview, 'Email template preview rendered');
+});
+
+export {
+	getEmailTemplates,
+	getEmailTemplateDefaults,
+	getEmailTemplateById,
+	createEmailTemplate,
+	updateEmailTemplate,
+	deleteEmailTemplate,
+	previewEmailTemplate,
+};
@@ -1,10 +1,39 @@
 import mongoose from 'mongoose';
-import Event from '../models/event.model.js';
+import Event, { MAX_SESSIONS } from '../models/event.model.js';
+import Ticket from '../models/ticket.model.js';
+import EventSeries from '../models/eventSeries.model.js';
 import { ApiError } from '../utils/ApiError.js';
 import { ApiResponse } from '../utils/ApiResponse.js';
 import { asyncHandler } from '../utils/asyncHandler.js';
 import { uploadFile, deleteFile, deleteFiles } from '../utils/cloudinary.js';
 import { getHeroMedia } from '../utils/arvantisMedia.js';
+import { getEffectiveCapacity } from '../services/ticket.service.js';
+import { releaseSpotsToWaitlist } from '../services/waitlist.service.js';
+import { getEffectiveStatus, effectiveStatusExpression } from '../services/eventStatus.service.js';
+import {
+	snapshotEvent,
+	notifyEventChanges,
+	getEventNotificationLog,
+} from '../services/eventNotification.service.js';
+import {
+	getRegistrationFileField,
+	uploadRegistrationFile,
+} from '../services/registrationForm.service.js';
+import {
+	createEventSeries,
+	findFutureOccurrences,
+	updateForOccurrence,
+	getSeriesSummary,
+	eventMedia,
+	deleteUnusedMedia,
+	syncSeriesContent,
+} from '../services/eventSeries.service.js';
+import {
+	EVENT_CALENDAR_FIELDS,
+	eventCalendarLinks,
+	buildEventCalendar,
+	buildUpcomingEventsCalendar,
+} from '../services/calendar.service.js';
 
 /**
  * Helper: validate ObjectId and load event populateTickets: boolean - if true populate tickets
@@ -30,6 +59,7 @@ const createEvent = asyncHandler(async (req, res) => {
 		description,
 		eventDate: eventDateRaw,
 		eventTime,
+		durationMinutes,
 		venue,
 		room,
 		organizer,
@@ -38,9 +68,13 @@ const createEvent = asyncHandler(async (req, res) => {
 		tags,
 		totalSpots = 0,
 		ticketPrice = 0,
+		paymentGateway,
 		registrationOpenDate,
 		registrationCloseDate,
 		registration,
+		registrationFields,
+		notifications,
+		recurrence,
 		status,
 	} = req.body;
 
@@ -123,6 +157,7 @@ const createEvent = asyncHandler(async (req, res) => {
 		description: description.trim(),
 		eventDate,
 		eventTime: eventTime || undefined,
+		durationMinutes: durationMinutes ? Number(durationMinutes) : undefined,
 		venue: venue.trim(),
 		room: room?.trim(),
 		organizer: organizer?.trim(),
@@ -132,6 +167,7 @@ const createEvent = asyncHandler(async (req, res) => {
 		tags: normalizedTags,
 		totalSpots: Number(totalSpots) || 0,
 		ticketPrice: Number(ticketPrice) || 0,
+		paymentGateway: paymentGateway || undefined,
 		registrationOpenDate: registrationOpenDate ? new Date(registrationOpenDate) : undefined,
 		registrationCloseDate: registrationCloseDate ? new Date(registrationCloseDate) : undefined,
 		registration: {
@@ -142,13 +178,29 @@ const createEvent = asyncHandler(async (req, res) => {
 				typeof regObj.capacityOverride !== 'undefined'
 					? regObj.capacityOverride
 					: undefined,
+			teamSize: regObj.teamSize,
+			selfServiceCancel: regObj.selfServiceCancel,
+			cancelCutoffHours: regObj.cancelCutoffHours,
 		},
+		registrationFields: Array.isArray(registrationFields) ? registrationFields : [],
+		notifications:
+			notifications && typeof notifications === 'object' ? notifications : undefined,
 		status: status || 'upcoming',
 	};
 
 	let created;
+	let occurrences = 1;
 	try {
-		created = await Event.create(eventDoc);
+		if (recurrence?.frequency) {
+			// A recurring event: every occurrence is created now, sharing the uploaded posters
+			const { events } = await createEventSeries(eventDoc, recurrence, {
+				adminId: req.user?._id,
+			});
+			[created] = events;
+			occurrences = events.length;
+		} else {
+			created = await Event.create(eventDoc);
+		}
 	} catch (err) {
 		// If creation fails, ensure uploaded posters are deleted from Cloudinary
 		if (posters.length) {
@@ -165,7 +217,11 @@ const createEvent = asyncHandler(async (req, res) => {
 		throw err;
 	}
 
-	return ApiResponse.success(res, created, 'Event created successfully', 201);
+	const message =
+		occurrences > 1
+			? `Event series created with ${occurrences} occurrences`
+			: 'Event created successfully';
+	return ApiResponse.success(res, created, message, 201);
 });
 
 // Get all events (public/admin) with filtering, pagination, sorting
@@ -179,18 +235,60 @@ const getAllEvents = asyncHandler(async (req, res) => {
 		sortBy = 'eventDate',
 		sortOrder = 'asc',
 	} = req.query;
+	// Express 5 keeps the raw query string values, so 'false' has to be read as false here
+	const groupSeries = ['true', '1'].includes(req.query.groupSeries);
 
 	const pipeline = [];
 	const match = {};
 	const now = new Date();
 
 	if (search) match.$text = { $search: search.trim() };
-	if (status) match.status = status;
 	if (period === 'upcoming') match.eventDate = { $gte: now };
 	if (period === 'past') match.eventDate = { $lt: now };
 
 	if (Object.keys(match).length) pipeline.push({ $match: match });
 
+	// The status an event has now, which the stored one may lag behind; filter on that
+	pipeline.push({ $addFields: { status: effectiveStatusExpression(now) } });
+	if (status) pipeline.push({ $match: { status } });
+
+	// One entry per series: its next occurrence still to come (the latest one once all are over),
+	// with how many occurrences match
+	if (groupSeries) {
+		const over = { $in: ['$status', ['completed', 'cancelled']] };
+		const time = { $toLong: '$eventDate' };
+		pipeline.push(
+			{
+				$addFields: {
+					seriesOver: over,
+					seriesOrder: { $cond: [over, { $multiply: [-1, time] }, time] },
+				},
+			},
+			{ $sort: { seriesOver: 1, seriesOrder: 1, _id: 1 } },
+			{
+				$group: {
+					_id: { $ifNull: ['$series', '$_id'] },
+					event: { $first: '$$ROOT' },
+					occurrences: { $sum: 1 },
+				},
+			},
+			{
+				$replaceRoot: {
+					newRoot: { $mergeObjects: ['$event', { seriesOccurrences: '$occurrences' }] },
+				},
+			},
+			{
+				$lookup: {
+					from: EventSeries.collection.name,
+					localField: 'series',
+					foreignField: '_id',
+					as: 'seriesInfo',
+				},
+			},
+			{ $addFields: { seriesFrequency: { $arrayElemAt: ['$seriesInfo.frequency', 0] } } }
+		);
+	}
+
 	// Add lightweight fields for listing
 	pipeline.push({
 		$addFields: {
@@ -236,6 +334,10 @@ const getAllEvents = asyncHandler(async (req, res) => {
 			title: 1,
 			eventDate: 1,
 			eventTime: 1,
+			durationMinutes: 1,
+			series: 1,
+			seriesOccurrences: 1,
+			seriesFrequency: 1,
 			venue: 1,
 			category: 1,
 			status: 1,
@@ -244,6 +346,8 @@ const getAllEvents = asyncHandler(async (req, res) => {
 			ticketCount: 1,
 			'registration.mode': 1,
 			'registration.externalUrl': 1,
+			'registration.teamSize': 1,
+			registrationFields: 1,
 			isRegistrationOpen: 1,
 		},
 	});
@@ -261,12 +365,41 @@ const getAllEvents = asyncHandler(async (req, res) => {
 // NOTE: do NOT populate tickets for public endpoint
 const getEventById = asyncHandler(async (req, res) => {
 	const event = await findEventById(req.params.id, { populateTickets: false });
-	return ApiResponse.success(res, event.toObject(), 'Event retrieved successfully');
+	return ApiResponse.success(
+		res,
+		{
+			...event.toObject(),
+			status: getEffectiveStatus(event),
+			calendar: eventCalendarLinks(event),
+			series: await getSeriesSummary(event),
+		},
+		'Event retrieved successfully'
+	);
 });
 
-// Update event details (admin)
-const updateEventDetails = asyncHandler(async (req, res) => {
-	const ev = await findEventById(req.params.id);
+// Calendar file of one event (public)
+const getEventCalendar = asyncHandler(async (req, res) => {
+	const event = await Event.findById(req.params.id).select(EVENT_CALENDAR_FIELDS).lean();
+	if (!event) throw ApiError.NotFound('Event not found.');
+	if (!event.eventDate) throw ApiError.NotFound('This event has no date yet.');
+
+	res.set('Content-Type', 'text/calendar; charset=utf-8');
+	res.set('Content-Disposition', `attachment; filename="event-${event._id}.ics"`);
+	return res.send(buildEventCalendar(event));
+});
+
+// Calendar feed of upcoming events (public, for subscribing)
+const getUpcomingEventsCalendar = asyncHandler(async (req, res) => {
+	res.set('Content-Type', 'text/calendar; charset=utf-8');
+	res.set('Cache-Control', 'public, max-age=300');
+	return res.send(await buildUpcomingEventsCalendar());
+});
+
+// Apply a details update to an event and save it, then offer new places to the waitlist and tell
+// ticket holders what changed
+const saveEventDetails = async (ev, body, adminId) => {
+	const previousCapacity = getEffectiveCapacity(ev);
+	const previous = snapshotEvent(ev);
 
 	// Merge registration updates carefully - support subdocument toObject and plain objects
 	const existingRegistration =
@@ -276,26 +409,35 @@ const updateEventDetails = asyncHandler(async (req, res) => {
 				: ev.registration
 			: {};
 
-	if (req.body.registration) {
-		ev.registration = { ...existingRegistration, ...req.body.registration };
+	if (body.registration) {
+		ev.registration = { ...existingRegistration, ...body.registration };
 	}
 
 	// convenience flat fields
-	if (typeof req.body.registrationMode !== 'undefined') {
+	if (typeof body.registrationMode !== 'undefined') {
 		ev.registration = ev.registration || {};
-		ev.registration.mode = req.body.registrationMode;
+		ev.registration.mode = body.registrationMode;
 	}
-	if (typeof req.body.externalUrl !== 'undefined') {
+	if (typeof body.externalUrl !== 'undefined') {
 		ev.registration = ev.registration || {};
-		ev.registration.externalUrl = req.body.externalUrl;
+		ev.registration.externalUrl = body.externalUrl;
 	}
-	if (typeof req.body.capacityOverride !== 'undefined') {
+	if (typeof body.capacityOverride !== 'undefined') {
 		ev.registration = ev.registration || {};
-		ev.registration.capacityOverride = req.body.capacityOverride;
+		ev.registration.capacityOverride = body.capacityOverride;
 	}
-	if (typeof req.body.allowGuests !== 'undefined') {
+	if (typeof body.allowGuests !== 'undefined') {
 		ev.registration = ev.registration || {};
-		ev.registration.allowGuests = req.body.allowGuests;
+		ev.registration.allowGuests = body.allowGuests;
+	}
+
+	// notification settings: only the keys sent change
+	if (body.notifications && typeof body.notifications === 'object') {
+		for (const key of ['reminders', 'reminderHours', 'changeAlerts']) {
+			if (typeof body.notifications[key] !== 'undefined') {
+				ev.set(`notifications.${key}`, body.notifications[key]);
+			}
+		}
 	}
 
 	// Prevent setting registration.mode to non-internal when tickets exist
@@ -316,6 +458,7 @@ const updateEventDetails = asyncHandler(async (req, res) => {
 		'description',
 		'eventDate',
 		'eventTime',
+		'durationMinutes',
 		'venue',
 		'room',
 		'organizer',
@@ -323,29 +466,33 @@ const updateEventDetails = asyncHandler(async (req, res) => {
 		'subcategory',
 		'totalSpots',
 		'ticketPrice',
+		'paymentGateway',
 		'registrationOpenDate',
 		'registrationCloseDate',
 		'status',
 		'tags',
+		'registrationFields',
 	];
 	updatable.forEach((k) => {
-		if (typeof req.body[k] !== 'undefined') {
+		if (typeof body[k] !== 'undefined') {
 			// normalize strings
 			if (k === 'tags') {
 				// normalize tags array or comma string
-				if (Array.isArray(req.body.tags)) {
-					ev.tags = req.body.tags.map((t) => String(t).trim()).filter(Boolean);
-				} else if (typeof req.body.tags === 'string') {
-					ev.tags = req.body.tags
+				if (Array.isArray(body.tags)) {
+					ev.tags = body.tags.map((t) => String(t).trim()).filter(Boolean);
+				} else if (typeof body.tags === 'string') {
+					ev.tags = body.tags
 						.split(',')
 						.map((t) => t.trim())
 						.filter(Boolean);
 				}
 			} else {
-				ev[k] = typeof req.body[k] === 'string' ? req.body[k].trim() : req.body[k];
+				ev[k] = typeof body[k] === 'string' ? body[k].trim() : body[k];
 			}
 		}
 	});
+	// empty gateway falls back to the default one
+	if (ev.paymentGateway === '') ev.paymentGateway = undefined;
 
 	// Validate registration.externalUrl when mode is external (model also enforces)
 	if (ev.registration?.mode === 'external' && !ev.registration?.externalUrl) {
@@ -355,28 +502,84 @@ const updateEventDetails = asyncHandler(async (req, res) => {
 	}
 
 	const updated = await ev.save();
-	return ApiResponse.success(res, updated, 'Event updated successfully');
+
+	// More places (or no limit any more): offer them to the waitlist
+	const capacity = getEffectiveCapacity(updated);
+	if (previousCapacity > 0 && (capacity === 0 || capacity > previousCapacity)) {
+		releaseSpotsToWaitlist(updated._id);
+	}
+	// Tell ticket holders about a new date, venue or status in the background
+	notifyEventChanges(previous, updated, { adminId }).catch((err) =>
+		console.error(`Change alert failed for event ${updated._id}:`, err?.message || err)
+	);
+	return updated;
+};
+
+// Update event details (admin). With ?scope=future on an occurrence of a series, the change is
+// applied to the later occurrences too, their dates moved by the same amount.
+const updateEventDetails = asyncHandler(async (req, res) => {
+	const ev = await findEventById(req.params.id);
+	const future = req.query.scope === 'future' ? await findFutureOccurrences(ev) : [];
+	const original = { eventDate: ev.eventDate };
+
+	const updated = await saveEventDetails(ev, req.body, req.user?._id);
+	if (!future.length) return ApiResponse.success(res, updated, 'Event updated successfully');
+
+	const failed = [];
+	for (const occurrence of future) {
+		try {
+			await saveEventDetails(
+				occurrence,
+				updateForOccurrence(req.body, original, occurrence),
+				req.user?._id
+			);
+		} catch (err) {
+			failed.push(`${occurrence.eventDate.toISOString().slice(0, 10)}: ${err.message}`);
+		}
+	}
+	const message = failed.length
+		? `Event updated; ${failed.length} later occurrence(s) could not be: ${failed.join('; ')}`
+		: `Event and ${future.length} later occurrence(s) updated successfully`;
+	return ApiResponse.success(res, updated, message);
+});
+
+// Reminder settings, upcoming reminders and the log of notifications sent (admin)
+const getEventNotifications = asyncHandler(async (req, res) => {
+	const ev = await findEventById(req.params.id);
+	return ApiResponse.success(
+		res,
+		await getEventNotificationLog(ev),
+		'Event notifications retrieved successfully'
+	);
+});
+
+// Copy an occurrence's description, posters, partners and speakers to the later occurrences of
+// its series (admin)
+const syncEventSeries = asyncHandler(async (req, res) => {
+	const ev = await findEventById(req.params.id);
+	if (!ev.series) throw ApiError.BadRequest('This event is not part of a series.');
+	const updated = await syncSeriesContent(ev);
+	return ApiResponse.success(
+		res,
+		{ updated },
+		`Copied to ${updated} later occurrence(s)`
+	);
 });
 
-// Delete event (admin)
+// Delete event (admin). With ?scope=future on an occurrence of a series, the later occurrences
+// are deleted too.
 const deleteEvent = asyncHandler(async (req, res) => {
 	const ev = await findEventById(req.params.id);
+	const future = req.query.scope === 'future' ? await findFutureOccurrences(ev) : [];
+	const events = [ev, ...future];
 
-	// collect poster public_ids
-	const mediaToDelete = (ev.posters || [])
-		.map((p) =>
-			p.publicId || p.public_id
-				? {
-						public_id: p.publicId || p.public_id,
-						resource_type: p.resource_type || 'image',
-					}
-				: null
-		)
-		.filter(Boolean);
-
-	if (mediaToDelete.length) await deleteFiles(mediaToDelete);
-
-	await Event.findByIdAndDelete(ev._id);
+	await Event.deleteMany({ _id: { $in: events.map((e) => e._id) } });
+	// Files other occurrences of the series still use are kept
+	try {
+		await deleteUnusedMedia(events.flatMap(eventMedia));
+	} catch (err) {
+		console.warn('Failed to delete event media from cloudinary', err.message);
+	}
 	return res.status(204).send();
 });
 
@@ -429,13 +632,13 @@ const removeEventPoster = asyncHandler(async (req, res) => {
 	if (idx === -1) throw ApiError.NotFound('Poster not found on this event.');
 
 	const [removed] = ev.posters.splice(idx, 1);
-	if (removed && (removed.publicId || removed.public_id)) {
-		await deleteFile({
-			public_id: removed.publicId || removed.public_id,
-			resource_type: removed.resource_type || 'image',
-		});
-	}
 	await ev.save();
+	// delete the file unless another occurrence of the series uses it
+	try {
+		await deleteUnusedMedia(eventMedia({ posters: [removed] }));
+	} catch (err) {
+		console.warn('Failed to delete poster from cloudinary', err.message);
+	}
 	return ApiResponse.success(res, null, 'Poster removed');
 });
 
@@ -517,21 +720,15 @@ const removeEventPartner = asyncHandler(async (req, res) => {
 	if (idx === -1) throw ApiError.NotFound('Partner not found on this event.');
 
 	const [removed] = ev.partners.splice(idx, 1);
+	await ev.save();
 
-	// delete logo from cloud if present
-	if (removed && removed.logo && (removed.logo.publicId || removed.logo.public_id)) {
-		try {
-			await deleteFile({
-				public_id: removed.logo.publicId || removed.logo.public_id,
-				resource_type: removed.logo.resource_type || 'image',
-			});
-		} catch (err) {
-			// log, but continue to save DB state
-			console.warn('Failed to delete partner logo from cloudinary', err.message);
-		}
+	// delete logo from cloud unless another occurrence of the series uses it
+	try {
+		await deleteUnusedMedia(eventMedia({ partners: [removed] }));
+	} catch (err) {
+		console.warn('Failed to delete partner logo from cloudinary', err.message);
 	}
 
-	await ev.save();
 	return ApiResponse.success(res, null, 'Partner removed');
 });
 
@@ -544,6 +741,8 @@ const getEventRegistrations = asyncHandler(async (req, res) => {
 // Get event statistics (admin)
 const getEventStats = asyncHandler(async (_req, res) => {
 	const stats = await Event.aggregate([
+		// Count events by the status they have now
+		{ $addFields: { status: effectiveStatusExpression(new Date()) } },
 		{
 			$facet: {
 				byStatus: [{ $group: { _id: '$status', count: { $sum: 1 } } }],
@@ -613,21 +812,121 @@ const removeEventSpeaker = asyncHandler(async (req, res) => {
 	const idx = Number.isFinite(Number(index)) ? parseInt(index, 10) : -1;
 	if (idx < 0 || idx >= (ev.speakers || []).length) throw ApiError.NotFound('Speaker not found.');
 	const [removed] = ev.speakers.splice(idx, 1);
-	// delete photo if present
-	if (removed && removed.photo && (removed.photo.publicId || removed.photo.public_id)) {
-		try {
-			await deleteFile({
-				public_id: removed.photo.publicId || removed.photo.public_id,
-				resource_type: removed.photo.resource_type || 'image',
-			});
-		} catch (e) {
-			console.warn('Failed to delete speaker photo from cloud', e.message);
-		}
-	}
 	await ev.save();
+	// delete photo unless a session or another occurrence of the series still shows it
+	try {
+		await deleteUnusedMedia(eventMedia({ speakers: [removed] }));
+	} catch (e) {
+		console.warn('Failed to delete speaker photo from cloud', e.message);
+	}
 	return ApiResponse.success(res, ev.speakers, 'Speaker removed');
 });
 
+// Sessions (agenda)
+
+// Session speakers: one of the event's speakers by name (photo and bio included), or a new one
+const sessionSpeakers = (ev, speakers = []) =>
+	speakers.map((speaker) => {
+		const name = String(speaker.name).trim();
+		const known = (ev.speakers || []).find((s) => s.name.toLowerCase() === name.toLowerCase());
+		if (known) return known.toObject();
+		return {
+			name,
+			title: speaker.title ? String(speaker.title).trim() : undefined,
+			bio: speaker.bio ? String(speaker.bio).trim() : undefined,
+			links: speaker.links,
+		};
+	});
+
+const SESSION_FIELDS = ['title', 'description', 'start', 'end', 'room', 'track', 'attendance'];
+
+// Copy the session fields present in the body onto `session`, checking the times still make sense
+const applySessionFields = (ev, session, body) => {
+	for (const field of SESSION_FIELDS) {
+		if (typeof body[field] !== 'undefined') session[field] = body[field];
+	}
+	if (Array.isArray(body.speakers)) session.speakers = sessionSpeakers(ev, body.speakers);
+	if (!session.title || !session.start || !session.end) {
+		throw ApiError.BadRequest('Session title, start and end are required.');
+	}
+	if (new Date(session.end) <= new Date(session.start)) {
+		throw ApiError.BadRequest('Session end must be after its start.');
+	}
+};
+
+const findSession = (ev, sessionId) => {
+	const session = mongoose.Types.ObjectId.isValid(sessionId) && ev.sessions.id(sessionId);
+	if (!session) throw ApiError.NotFound('Session not found.');
+	return session;
+};
+
+// Add a session to the agenda (admin)
+const addEventSession = asyncHandler(async (req, res) => {
+	const ev = await findEventById(req.params.id);
+	if (ev.sessions.length >= MAX_SESSIONS) {
+		throw ApiError.BadRequest(`An event can have at most ${MAX_SESSIONS} sessions.`);
+	}
+	const session = {};
+	applySessionFields(ev, session, req.body);
+	ev.sessions.push(session);
+	await ev.save();
+	return ApiResponse.success(res, ev.sessions, 'Session added', 201);
+});
+
+// Update a session (admin)
+const updateEventSession = asyncHandler(async (req, res) => {
+	const ev = await findEventById(req.params.id);
+	const session = findSession(ev, req.params.sessionId);
+	applySessionFields(ev, session, req.body);
+	await ev.save();
+	return ApiResponse.success(res, ev.sessions, 'Session updated');
+});
+
+// Remove a session (admin), along with the check-ins to it
+const removeEventSession = asyncHandler(async (req, res) => {
+	const ev = await findEventById(req.params.id);
+	const session = findSession(ev, req.params.sessionId);
+	session.deleteOne();
+	await ev.save();
+	await Ticket.updateMany(
+		{ eventId: ev._id, 'sessionCheckIns.session': session._id },
+		{ $pull: { sessionCheckIns: { session: session._id } } }
+	);
+	return ApiResponse.success(res, ev.sessions, 'Session removed');
+});
+
+// Check-in counts of each session that takes attendance (admin)
+const getSessionAttendance = asyncHandler(async (req, res) => {
+	const ev = await findEventById(req.params.id);
+	const counts = await Ticket.aggregate([
+		{ $match: { eventId: ev._id, 'sessionCheckIns.0': { $exists: true } } },
+		{ $unwind: '$sessionCheckIns' },
+		{
+			$group: {
+				_id: '$sessionCheckIns.session',
+				checkedIn: { $sum: 1 },
+				lastCheckInAt: { $max: '$sessionCheckIns.checkedInAt' },
+			},
+		},
+	]);
+	const countOf = new Map(counts.map((c) => [String(c._id), c]));
+	const registered = await Ticket.countDocuments({
+		eventId: ev._id,
+		status: { $ne: 'cancelled' },
+	});
+	const sessions = ev.sessions
+		.filter((session) => session.attendance)
+		.map((session) => ({
+			_id: session._id,
+			title: session.title,
+			start: session.start,
+			end: session.end,
+			checkedIn: countOf.get(String(session._id))?.checkedIn || 0,
+			lastCheckInAt: countOf.get(String(session._id))?.lastCheckInAt || null,
+		}));
+	return ApiResponse.success(res, { registered, sessions }, 'Session attendance retrieved');
+});
+
 // Resources (title + url) management (index-based)
 const addEventResource = asyncHandler(async (req, res) => {
 	const ev = await findEventById(req.params.id);
@@ -691,6 +990,8 @@ const getPublicEventDetails = asyncHandler(async (req, res) => {
 		description: ev.description,
 		eventDate: ev.eventDate,
 		eventTime: ev.eventTime,
+		durationMinutes: ev.durationMinutes,
+		sessions: ev.sessions,
 		venue: ev.venue,
 		room: ev.room,
 		category: ev.category,
@@ -699,25 +1000,49 @@ const getPublicEventDetails = asyncHandler(async (req, res) => {
 		gallery: ev.gallery,
 		tags: ev.tags,
 		ticketPrice: ev.ticketPrice,
+		registrationFields: ev.registrationFields,
 		registrationInfo: ev.registrationInfo, // virtual
 		registrationStatus: ev.registrationStatus, // virtual
 		ticketCount: ev.ticketCount,
-		status: ev.status,
+		status: getEffectiveStatus(ev),
+		calendar: eventCalendarLinks(ev),
+		series: await getSeriesSummary(ev),
 	};
 	return ApiResponse.success(res, publicObj, 'Public event details retrieved');
 });
 
+// Check the event takes a file for this registration field before anything is uploaded (public)
+const checkRegistrationFileField = asyncHandler(async (req, res, next) => {
+	const ev = await findEventById(req.params.id);
+	req.event = ev;
+	req.registrationField = getRegistrationFileField(ev, req.params.key);
+	next();
+});
+
+// Upload a file answer for one of the event's file registration fields (public)
+const uploadRegistrationFieldFile = asyncHandler(async (req, res) => {
+	const file = req.files?.[0];
+	if (!file) throw ApiError.BadRequest('A file is required.');
+
+	const uploaded = await uploadRegistrationFile(req.event, req.registrationField, file);
+	return ApiResponse.success(res, uploaded, 'File uploaded', 201);
+});
+
 // Example: when preparing event response that included fest.poster previously:
 const someHandler = asyncHandler(async (req, res) => {
 	// const poster = fest.poster || null;    // old
-	const poster = getHeroMedia(fest); 
+	const poster = getHeroMedia(fest);
 });
 
 export {
 	createEvent,
 	getAllEvents,
 	getEventById,
+	getEventCalendar,
+	getUpcomingEventsCalendar,
 	updateEventDetails,
+	getEventNotifications,
+	syncEventSeries,
 	deleteEvent,
 	addEventPoster,
 	removeEventPoster,
@@ -727,9 +1052,15 @@ export {
 	getEventStats,
 	addEventSpeaker,
 	removeEventSpeaker,
+	addEventSession,
+	updateEventSession,
+	removeEventSession,
+	getSessionAttendance,
 	addEventResource,
 	removeEventResource,
 	addEventCoOrganizer,
 	removeEventCoOrganizer,
 	getPublicEventDetails,
+	checkRegistrationFileField,
+	uploadRegistrationFieldFile,
 };
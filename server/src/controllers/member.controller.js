@@ -3,8 +3,25 @@ import { asyncHandler } from '../utils/asyncHandler.js';
 import { ApiResponse } from '../utils/ApiResponse.js';
 import { ApiError } from '../utils/ApiError.js';
 import { uploadFile, uploadResume as resumeUpload, deleteFile } from '../utils/cloudinary.js';
-import { sendPasswordResetEmail } from '../services/email.service.js';
-import jwt from 'jsonwebtoken';
+import {
+	startTwoFactorLogin,
+	readLoginChallenge,
+	completeTwoFactorLogin,
+	startEnrollment,
+	resetTwoFactor,
+} from '../services/twoFactor.service.js';
+import {
+	startSession,
+	rotateSession,
+	endSession,
+	endAllSessions,
+} from '../services/session.service.js';
+import {
+	requestPasswordReset,
+	findResetAccount,
+	resetPasswordWithToken,
+} from '../services/passwordReset.service.js';
+import { hasPermission } from '../utils/permissions.js';
 
 // central cookie options helper so set / clear use the same shape
 const cookieOptions = () => {
@@ -18,19 +35,19 @@ const cookieOptions = () => {
 	};
 };
 
-// Helper function to generate tokens and set cookies
-const generateAndSendTokens = async (member, res, message, statusCode) => {
-	const accessToken = member.generateAuthToken();
-	const refreshToken = member.generateRefreshToken();
-
-	// Save refresh token to database
-	member.refreshToken = refreshToken;
-	await member.save({ validateBeforeSave: false });
+// Helper function to start a session for this device and set cookies
+const generateAndSendTokens = async (req, res, member, message, statusCode, extra = {}) => {
+	const { accessToken, refreshToken } = await startSession(member, req);
 
 	// Set cookie using central options
 	res.cookie('refreshToken', refreshToken, cookieOptions());
 
-	return ApiResponse.success(res, { user: member.toJSON(), accessToken }, message, statusCode);
+	return ApiResponse.success(
+		res,
+		{ user: member.toJSON(), accessToken, ...extra },
+		message,
+		statusCode
+	);
 };
 
 // Register a new member
@@ -58,7 +75,13 @@ const registerMember = asyncHandler(async (req, res) => {
 		joinedAt: joinedAt || Date.now(),
 	});
 
-	return generateAndSendTokens(member, res, 'Member registered successfully', 201);
+	// Registered by an admin, so no session is started for the new member here
+	return ApiResponse.success(
+		res,
+		{ user: member.toJSON() },
+		'Member registered successfully',
+		201
+	);
 });
 
 // Login member
@@ -70,7 +93,7 @@ const loginMember = asyncHandler(async (req, res) => {
 	}
 
 	const query = LpuId ? { LpuId } : { email };
-	const member = await Member.findOne(query).select('+password +refreshToken');
+	const member = await Member.findOne(query).select('+password');
 
 	if (!member) {
 		throw ApiError.NotFound('Member not found');
@@ -97,7 +120,78 @@ const loginMember = asyncHandler(async (req, res) => {
 		throw ApiError.Unauthorized('Invalid credentials');
 	}
 
-	return generateAndSendTokens(member, res, 'Login successful', 200);
+	// Leaders with 2FA on (or required) continue with the code step
+	const challenge = startTwoFactorLogin(member);
+	if (challenge) {
+		return ApiResponse.success(res, challenge, 'Enter the code from your authenticator app');
+	}
+
+	return generateAndSendTokens(req, res, member, 'Login successful', 200);
+});
+
+const findChallengedMember = async (challengeToken) => {
+	const challenge = await readLoginChallenge(Member, challengeToken);
+	if (challenge.account.status !== 'active') {
+		throw ApiError.Forbidden(`Your account is currently ${challenge.account.status}.`);
+	}
+	return challenge;
+};
+
+// Sign-in of a leader who must set up 2FA first: the secret and QR code for their app
+const startLoginTwoFactorSetup = asyncHandler(async (req, res) => {
+	const { account: member, purpose } = await findChallengedMember(req.body.challengeToken);
+	if (purpose !== 'setup') {
+		throw ApiError.BadRequest('Two-factor authentication is already set up for this account.');
+	}
+
+	const setup = await startEnrollment(member);
+	return ApiResponse.success(res, setup, 'Scan the QR code with your authenticator app');
+});
+
+// Second sign-in step: a code from the app or a recovery code (or the first code, when setting up)
+const verifyLoginTwoFactor = asyncHandler(async (req, res) => {
+	const { challengeToken, code, recoveryCode } = req.body;
+	const { account, purpose } = await findChallengedMember(challengeToken);
+	const { recoveryCodes } = await completeTwoFactorLogin(account, purpose, {
+		code,
+		recoveryCode,
+	});
+
+	const member = await Member.findById(account._id);
+	if (recoveryCodes) {
+		return generateAndSendTokens(
+			req,
+			res,
+			member,
+			'Two-factor authentication is on. Save your recovery codes.',
+			200,
+			{ recoveryCodes }
+		);
+	}
+	return generateAndSendTokens(req, res, member, 'Login successful', 200);
+});
+
+// Clear a member's 2FA when they lost their device (admin only)
+const resetMemberTwoFactor = asyncHandler(async (req, res) => {
+	const member = await Member.findById(req.params.id);
+
+	if (!member) {
+		throw ApiError.NotFound('Member not found');
+	}
+	// Leaders outrank anyone who only moderates members; their second factor is for admin managers
+	if (member.isLeader && !hasPermission(req.user, 'admins:manage')) {
+		throw ApiError.Forbidden(
+			"Only admins who manage admins can reset a leader's two-factor authentication"
+		);
+	}
+
+	await resetTwoFactor(member);
+
+	return ApiResponse.success(
+		res,
+		{ user: (await Member.findById(member._id)).toJSON() },
+		'Two-factor authentication reset successfully'
+	);
 });
 
 // Ban member (admin only)
@@ -110,6 +204,7 @@ const banMember = asyncHandler(async (req, res) => {
 	}
 
 	await member.ban(reason, reviewTime);
+	await endAllSessions(member, { reason: 'banned' });
 
 	return ApiResponse.success(res, { user: member.toJSON() }, 'Member banned successfully');
 });
@@ -124,6 +219,7 @@ const removeMember = asyncHandler(async (req, res) => {
 	}
 
 	await member.removeMember(reason, reviewTime);
+	await endAllSessions(member, { reason: 'removed' });
 
 	return ApiResponse.success(res, { user: member.toJSON() }, 'Member removed successfully');
 });
@@ -149,8 +245,10 @@ const logoutMember = asyncHandler(async (req, res) => {
 		throw ApiError.Unauthorized('Unauthorized access');
 	}
 
-	// Clear refresh token from database
-	await Member.findByIdAndUpdate(member._id, { $unset: { refreshToken: 1 } }, { new: true });
+	// End the session of this device only
+	if (req.sessionId) {
+		await endSession(req.sessionId, 'logout', member);
+	}
 
 	// Clear cookie using the same options (path/sameSite/secure should match)
 	res.clearCookie('refreshToken', cookieOptions());
@@ -158,24 +256,38 @@ const logoutMember = asyncHandler(async (req, res) => {
 	return ApiResponse.success(res, null, 'Logout successful');
 });
 
-// Reset password
+// Check a reset link before showing the new password form
+const verifyResetToken = asyncHandler(async (req, res) => {
+	const member = await findResetAccount(Member, req.params.token);
+	return ApiResponse.success(
+		res,
+		{ expiresAt: member.resetPasswordExpires },
+		'Reset link is valid'
+	);
+});
+
+// Set a new password through the emailed reset link; signs the member out everywhere
 const resetPassword = asyncHandler(async (req, res) => {
-	const { LpuId, newPassword } = req.body;
+	const { token, newPassword } = req.body;
+	await resetPasswordWithToken(Member, token, newPassword);
 
-	if (!LpuId || !newPassword) {
-		throw ApiError.BadRequest('LPU ID and new password are required');
-	}
+	return ApiResponse.success(res, null, 'Password reset successfully. Please log in.');
+});
 
-	const member = await Member.findOne({ LpuId });
+// Change the signed-in member's password; their other sessions end
+const changePassword = asyncHandler(async (req, res) => {
+	const { currentPassword, newPassword } = req.body;
+	const member = await Member.findById(req.user._id).select('+password');
 
-	if (!member) {
-		throw ApiError.NotFound('Member not found');
+	if (!(await member.comparePassword(currentPassword))) {
+		throw ApiError.Unauthorized('Current password is incorrect');
 	}
 
 	member.password = newPassword;
 	await member.save();
+	await endAllSessions(member, { reason: 'password-change', except: req.sessionId });
 
-	return ApiResponse.success(res, { user: member.toJSON() }, 'Password reset successfully');
+	return ApiResponse.success(res, null, 'Password changed successfully');
 });
 
 // Update member profile
@@ -323,7 +435,7 @@ const getLeaders = asyncHandler(async (req, res) => {
 	return ApiResponse.success(res, { members: leaders }, 'Club leaders retrieved successfully');
 });
 
-// Add this new controller function
+// Trade the refresh token for a new access token and refresh token
 const refreshAccessToken = asyncHandler(async (req, res) => {
 	// Accept refresh token from body, cookie, or explicit header (fallbacks)
 	const incomingRefreshToken =
@@ -335,58 +447,29 @@ const refreshAccessToken = asyncHandler(async (req, res) => {
 		throw ApiError.Unauthorized('Refresh token is required');
 	}
 
-	let decodedToken;
-	try {
-		decodedToken = jwt.verify(incomingRefreshToken, process.env.REFRESH_TOKEN_SECRET);
-	} catch (err) {
-		throw ApiError.Unauthorized('Invalid refresh token');
+	// Rotates the refresh token; a reused one ends its session
+	const { accessToken, refreshToken } = await rotateSession(Member, incomingRefreshToken, req);
+	if (refreshToken) {
+		res.cookie('refreshToken', refreshToken, cookieOptions());
 	}
 
-	// When refresh tokens are created we sign { id: this._id, role: ... }
-	// so read decodedToken.id (not _id).
-	const member = await Member.findById(decodedToken.id).select('+refreshToken');
-
-	if (!member) {
-		throw ApiError.Unauthorized('Invalid refresh token');
-	}
-
-	// Verify the token matches stored refresh token (single-use/session token)
-	if (incomingRefreshToken !== member.refreshToken) {
-		throw ApiError.Unauthorized('Refresh token is expired or has been used');
-	}
-
-	const accessToken = member.generateAuthToken();
-
 	return ApiResponse.success(res, { accessToken }, 'Access token refreshed successfully');
 });
 
-// Send password reset email
+// Send password reset email; the answer is the same whether or not the email is known
 const sendResetPasswordEmail = asyncHandler(async (req, res) => {
-	const { email } = req.body;
-
-	if (!email) {
-		throw ApiError.BadRequest('Email is required');
-	}
-
-	const member = await Member.findOne({ email });
-
-	if (!member) {
-		throw ApiError.NotFound('Member not found');
-	}
-
-	// Generate reset token
-	const resetToken = member.generateResetToken();
-	await member.save({ validateBeforeSave: false });
+	requestPasswordReset(Member, req.body.email);
 
-	// Send the reset email
-	await sendPasswordResetEmail(email, resetToken);
-
-	return ApiResponse.success(res, null, 'Password reset email sent successfully');
+	return ApiResponse.success(
+		res,
+		null,
+		'If an account uses this email, a password reset link is on its way'
+	);
 });
 
 // Get all members
 const getAllMembers = asyncHandler(async (req, res) => {
-	const members = await Member.find().select('-password -refreshToken');
+	const members = await Member.find().select('-password');
 	const totalMembers = await Member.countDocuments();
 
 	return ApiResponse.success(res, { members, totalMembers }, 'Members retrieved successfully');
@@ -395,8 +478,13 @@ const getAllMembers = asyncHandler(async (req, res) => {
 export {
 	registerMember,
 	loginMember,
+	startLoginTwoFactorSetup,
+	verifyLoginTwoFactor,
+	resetMemberTwoFactor,
 	logoutMember,
+	verifyResetToken,
 	resetPassword,
+	changePassword,
 	updateProfile,
 	updateMemberByAdmin,
 	uploadProfilePicture,
@@ -0,0 +1,445 @@
+import Transaction from '../models/Transaction.js';
+import Ticket from '../models/ticket.model.js';
+import Event from '../models/event.model.js';
+import Coupon from '../models/coupon.model.js';
+import {
+	getPaymentGateway,
+	toPaise,
+	DEFAULT_PAYMENT_GATEWAY,
+} from '../services/paymentGateway.service.js';
+import {
+	reserveTicket,
+	deliverTicket,
+	getEffectiveCapacity,
+	countTakenSpots,
+} from '../services/ticket.service.js';
+import { getActiveOffer } from '../services/waitlist.service.js';
+import { isTeamEvent, resolveTeamRegistration, sendTeamInvites } from '../services/team.service.js';
+import { refundTransaction } from '../services/refund.service.js';
+import { validateAnswers } from '../services/registrationForm.service.js';
+import { withTicketLinks } from '../services/qrcode.service.js';
+import { asyncHandler } from '../utils/asyncHandler.js';
+import { ApiError } from '../utils/ApiError.js';
+import { ApiResponse } from '../utils/ApiResponse.js';
+import { v4 as uuidv4 } from 'uuid';
+
+/**
+ * Mark a paid order as successful and issue its ticket exactly once, whichever of the
+ * verify call or the webhook arrives first. A later success also overrides a failed attempt,
+ * since the money has been taken.
+ */
+const fulfillPaidOrder = async (orderId, { amount, paymentId }) => {
+	const existing = await Transaction.findOne({ orderId });
+	if (!existing) throw ApiError.NotFound('Transaction not found');
+	if (existing.status === 'SUCCESS' || existing.status === 'REFUNDED') return existing;
+
+	if (toPaise(amount) !== toPaise(existing.amount)) {
+		console.error(
+			`Payment amount mismatch for ${orderId}: paid ${amount}, expected ${existing.amount}`
+		);
+		return (
+			(await Transaction.findOneAndUpdate(
+				{ orderId, status: { $in: ['PENDING', 'FAILED'] } },
+				{
+					$set: {
+						status: 'FAILED',
+						failureReason: `Amount mismatch: paid ${amount}, expected ${existing.amount}`,
+					},
+				},
+				{ new: true }
+			)) || existing
+		);
+	}
+
+	// Atomic claim: only one caller gets to issue the ticket
+	const transaction = await Transaction.findOneAndUpdate(
+		{ orderId, status: { $in: ['PENDING', 'FAILED'] } },
+		{
+			$set: { status: 'SUCCESS', paymentTime: new Date(), gatewayPaymentId: paymentId },
+			$unset: { failureReason: '' },
+		},
+		{ new: true }
+	);
+	if (!transaction) return Transaction.findOne({ orderId });
+
+	try {
+		const ticket = await reserveTicket(transaction.eventId, transaction.user, {
+			paymentDetails: {
+				paymentId,
+				amount: transaction.amount,
+				currency: transaction.currency,
+				method: transaction.gateway,
+			},
+			couponCode: transaction.coupon?.code,
+			waitlistEntryId: transaction.waitlistEntry,
+			answers: transaction.answers,
+			...teamOptionsOf(transaction),
+		});
+		transaction.ticket = ticket._id;
+		await transaction.save();
+
+		await deliverTicket(ticket);
+		await sendTeamInvites(ticket);
+	} catch (err) {
+		// Paid but no ticket (sold out or coupon used up meanwhile, duplicate registration):
+		// keep SUCCESS so it can be refunded
+		console.error(`Ticket issue failed for paid order ${orderId}:`, err?.message || err);
+		transaction.failureReason = `Ticket could not be issued: ${err?.message || 'unknown error'}`;
+		await transaction.save();
+	}
+	return transaction;
+};
+
+// Apply a normalized gateway result ({ status, amount, paymentId, reason }) to an order
+const applyPaymentResult = async (transaction, result) => {
+	if (result?.status === 'PAID') {
+		return fulfillPaidOrder(transaction.orderId, result);
+	}
+	if (result?.status === 'FAILED') {
+		return (
+			(await Transaction.findOneAndUpdate(
+				{ orderId: transaction.orderId, status: 'PENDING' },
+				{ $set: { status: 'FAILED', failureReason: result.reason || 'Payment failed' } },
+				{ new: true }
+			)) || transaction
+		);
+	}
+	return transaction;
+};
+
+// reserveTicket team options stored on an order (see createOrder)
+const teamOptionsOf = (transaction) => {
+	const team = transaction.team;
+	if (team?.teamId) return { teamInvite: { teamId: team.teamId, inviteId: team.inviteId } };
+	if (team?.name) {
+		return {
+			createTeam: {
+				name: team.name,
+				invites: team.invites.map(({ email, lpuId }) => ({ email, lpuId })),
+			},
+		};
+	}
+	return {};
+};
+
+// Look up a coupon for checkout and turn model validation errors into 400s
+const resolveCoupon = async (code, eventId) => {
+	try {
+		return await Coupon.validateCoupon(code, { eventId });
+	} catch (err) {
+		throw ApiError.BadRequest(err.message);
+	}
+};
+
+// Create a payment order for a paid event with the event's gateway.
+// The amount always comes from the event's ticketPrice, less any coupon discount. A coupon that
+// covers the whole price issues the ticket straight away without a gateway. With `waitlistToken`
+// the order claims a waitlist offer: the attendee details come from the waitlist entry and the
+// place held for it is used. Team events take `teamName` + `teamInvites` or `teamCode`, as for
+// free registration; each member pays for their own ticket. `answers` are checked against the
+// event's registration fields before any payment is taken.
+const createOrder = asyncHandler(async (req, res) => {
+	const { eventId, couponCode, waitlistToken, teamName, teamInvites, teamCode, answers } =
+		req.body;
+
+	const event = await Event.findById(eventId);
+	if (!event) {
+		throw ApiError.NotFound('The specified event does not exist.');
+	}
+
+	const waitlistEntry = waitlistToken ? await getActiveOffer(waitlistToken) : null;
+	if (waitlistEntry && String(waitlistEntry.eventId) !== String(event._id)) {
+		throw ApiError.BadRequest('This waitlist offer is for a different event.');
+	}
+	const {
+		fullName,
+		email,
+		phone,
+		lpuId,
+		gender,
+		hosteler = false,
+		hostel,
+		course,
+		club,
+	} = waitlistEntry || req.body;
+
+	if (event.registration?.mode !== 'internal') {
+		throw ApiError.BadRequest('Registration for this event is not available here.', {
+			externalUrl: event.registration?.externalUrl || null,
+		});
+	}
+	// Waitlist offers stay claimable after registration closes
+	if (!event.isRegistrationOpen && !waitlistEntry) {
+		throw ApiError.BadRequest('Registration is currently not open.');
+	}
+	if (!(event.ticketPrice > 0)) {
+		throw ApiError.BadRequest('This event is free. Register without payment.');
+	}
+
+	const coupon = couponCode ? await resolveCoupon(couponCode, event._id) : null;
+	const originalAmount = event.ticketPrice;
+	const amount = coupon ? coupon.applyTo(originalAmount) : originalAmount;
+	const currency = 'INR';
+
+	const gateway =
+		amount > 0 ? getPaymentGateway(event.paymentGateway || DEFAULT_PAYMENT_GATEWAY) : null;
+
+	// Check for duplicate ticket by email/lpuId for this event
+	const normalizedEmail = String(email).toLowerCase().trim();
+	const existingTicket = await Ticket.findOne({
+		eventId: event._id,
+		$or: [{ email: normalizedEmail }, { lpuId: String(lpuId).trim() }],
+	});
+	if (existingTicket) {
+		throw ApiError.Conflict(
+			'A ticket has already been purchased with this email address or LPU ID for this event'
+		);
+	}
+
+	const attendee = {
+		fullName,
+		email: normalizedEmail,
+		phone,
+		lpuId,
+		gender,
+		hosteler,
+		hostel,
+		course,
+		club,
+	};
+	// Waitlist entries were checked when they joined the queue
+	const validAnswers = waitlistEntry ? waitlistEntry.answers : validateAnswers(event, answers);
+	const teamOptions = await resolveTeamRegistration(event, attendee, {
+		teamName,
+		teamInvites,
+		teamCode,
+	});
+
+	// Fail fast when sold out; reserveTicket re-checks inside its transaction after payment
+	const capacity = getEffectiveCapacity(event);
+	if (capacity > 0) {
+		const seats = 1 + (teamOptions.createTeam?.invites.length || 0);
+		const taken = await countTakenSpots(event._id, {
+			excludeEntryId: waitlistEntry?._id,
+			excludeInviteId: teamOptions.teamInvite?.inviteId,
+		});
+		if (taken + seats > capacity) {
+			throw ApiError.BadRequest(
+				seats > 1 ? 'Not enough places left for the whole team.' : 'Event is full.',
+				{ waitlist: !waitlistEntry && !isTeamEvent(event) }
+			);
+		}
+	}
+	const appliedCoupon = coupon ? { code: coupon.code, discount: coupon.discount } : undefined;
+
+	if (!gateway) {
+		const ticket = await reserveTicket(event._id, attendee, {
+			paymentDetails: { amount: 0, currency, method: 'coupon', paymentId: coupon.code },
+			couponCode: coupon.code,
+			waitlistEntryId: waitlistEntry?._id,
+			answers: validAnswers,
+			...teamOptions,
+		});
+		await deliverTicket(ticket);
+		const team = await sendTeamInvites(ticket);
+		return ApiResponse.success(
+			res,
+			{
+				orderId: null,
+				gateway: null,
+				amount,
+				originalAmount,
+				currency,
+				coupon: appliedCoupon,
+				checkout: { type: 'none' },
+				ticket: withTicketLinks(ticket),
+				...(team && { team: { name: team.name, code: team.code } }),
+			},
+			'Ticket issued with coupon',
+			201
+		);
+	}
+
+	const orderId = `${uuidv4()}-${Date.now()}`;
+
+	let order;
+	try {
+		order = await gateway.createOrder({
+			orderId,
+			amount,
+			currency,
+			description: `${process.env.PAYMENT_BUSINESS_NAME || process.env.CASHFREE_BUSINESS_NAME || 'Vibranta'} - ${event.title} - LPU ID: ${lpuId}`,
+			customer: { name: fullName, email: normalizedEmail, phone },
+		});
+	} catch (err) {
+		console.error(`${gateway.name} order error:`, err?.message || err);
+		throw new ApiError(502, `Failed to create order with ${gateway.name}`);
+	}
+
+	await Transaction.create({
+		orderId,
+		gateway: gateway.name,
+		gatewayOrderId: order.gatewayOrderId,
+		user: attendee,
+		amount,
+		originalAmount,
+		coupon: appliedCoupon,
+		waitlistEntry: waitlistEntry?._id,
+		team: teamOptions.createTeam || teamOptions.teamInvite,
+		answers: validAnswers,
+		currency,
+		status: 'PENDING',
+		paymentMethod: gateway.name === 'cashfree' ? 'UPI' : 'MULTIPLE_OPTIONS',
+		eventId: String(event._id),
+		eventName: event.title,
+	});
+
+	return ApiResponse.success(
+		res,
+		{
+			orderId,
+			gateway: gateway.name,
+			amount,
+			originalAmount,
+			currency,
+			coupon: appliedCoupon,
+			checkout: order.checkout,
+		},
+		'Order created successfully',
+		201
+	);
+});
+
+// Verify an order with its gateway (called from the return URL) and issue the ticket if it is paid.
+// Gateway-specific return parameters (e.g. Instamojo's payment_id) are passed in the body.
+const verifyPayment = asyncHandler(async (req, res) => {
+	const { orderId } = req.params;
+
+	let transaction = await Transaction.findOne({ orderId });
+	if (!transaction) throw ApiError.NotFound('Transaction not found');
+
+	if (transaction.status === 'PENDING' || transaction.status === 'FAILED') {
+		const gateway = getPaymentGateway(transaction.gateway);
+		let result;
+		try {
+			result = await gateway.verifyOrder({
+				orderId,
+				gatewayOrderId: transaction.gatewayOrderId,
+				amount: transaction.amount,
+				params: req.body || {},
+			});
+		} catch (err) {
+			throw new ApiError(
+				502,
+				`Failed to verify payment with ${gateway.name}: ${err.response?.data?.message || err.message}`
+			);
+		}
+		transaction = await applyPaymentResult(transaction, result);
+	}
+
+	// Team name and code are shown to the buyer so a leader can share the code
+	const ticket = transaction.ticket
+		? await Ticket.findById(transaction.ticket).populate('team', 'name code')
+		: null;
+
+	const messages = {
+		SUCCESS: ticket ? 'Payment verified and ticket issued' : 'Payment verified',
+		PENDING: 'Payment is still processing. Try again shortly.',
+		FAILED: 'Payment failed or expired',
+		REFUNDED: 'Payment was refunded',
+	};
+	return ApiResponse.success(
+		res,
+		{ transaction, ticket: ticket && withTicketLinks(ticket) },
+		messages[transaction.status]
+	);
+});
+
+// Orders from before gateways were recorded have no `gateway` and were all Cashfree
+const ownOrders = (gateway) =>
+	gateway.name === 'cashfree' ? { $in: ['cashfree', null] } : gateway.name;
+
+// Server-to-server notifications; each gateway checks its own signature
+const handleWebhook = asyncHandler(async (req, res) => {
+	const gateway = getPaymentGateway(req.params.gateway);
+	const notification = await gateway.parseWebhook(req);
+
+	// Acknowledge anything we cannot act on so the gateway stops retrying it. Orders only take
+	// webhooks from their own gateway, so one gateway's webhook can't settle another's order.
+	const lookup = notification?.orderId
+		? { gateway: ownOrders(gateway), orderId: notification.orderId }
+		: notification?.gatewayOrderId
+			? { gateway: gateway.name, gatewayOrderId: notification.gatewayOrderId }
+			: null;
+	const transaction = lookup ? await Transaction.findOne(lookup) : null;
+	if (!transaction) {
+		return ApiResponse.success(res, null, 'Webhook ignored: transaction not found');
+	}
+
+	await applyPaymentResult(transaction, notification);
+	return ApiResponse.success(res, null, 'Webhook processed successfully');
+});
+
+// List payment orders (admin). `unfulfilled=true` returns paid orders that never got a ticket,
+// i.e. the ones waiting for a refund.
+const getTransactions = asyncHandler(async (req, res) => {
+	const { page = 1, limit = 20, eventId, status, unfulfilled } = req.query;
+
+	const filter = {};
+	if (eventId) filter.eventId = String(eventId);
+	if (status) filter.status = status;
+	if (unfulfilled === 'true') {
+		filter.status = 'SUCCESS';
+		filter.ticket = { $exists: false };
+	}
+
+	const pageNum = parseInt(page, 10);
+	const limitNum = parseInt(limit, 10);
+	const [docs, totalDocs] = await Promise.all([
+		Transaction.find(filter)
+			.sort({ createdAt: -1 })
+			.skip((pageNum - 1) * limitNum)
+			.limit(limitNum),
+		Transaction.countDocuments(filter),
+	]);
+
+	return ApiResponse.paginated(
+		res,
+		docs,
+		{
+			totalDocs,
+			totalPages: Math.ceil(totalDocs / limitNum),
+			currentPage: pageNum,
+			limit: limitNum,
+		},
+		'Transactions retrieved successfully'
+	);
+});
+
+// Refund a paid order that has no active ticket (admin). Orders with a ticket are refunded by
+// cancelling the ticket, so the attendee cannot keep both.
+const refundOrder = asyncHandler(async (req, res) => {
+	const { method = 'gateway', reason, reference } = req.body;
+
+	const transaction = await Transaction.findOne({ orderId: req.params.orderId });
+	if (!transaction) throw ApiError.NotFound('Transaction not found');
+
+	if (transaction.ticket) {
+		const ticket = await Ticket.findById(transaction.ticket).select('status ticketId').lean();
+		if (ticket && ticket.status !== 'cancelled') {
+			throw ApiError.BadRequest(
+				`This order has an active ticket (${ticket.ticketId}). Cancel the ticket to refund it.`
+			);
+		}
+	}
+
+	const refunded = await refundTransaction(transaction, {
+		method,
+		reason,
+		reference,
+		refundedBy: req.user?._id,
+	});
+	return ApiResponse.success(res, { transaction: refunded }, 'Refund recorded');
+});
+
+export { createOrder, verifyPayment, handleWebhook, getTransactions, refundOrder };
@@ -0,0 +1,32 @@
+import { asyncHandler } from '../utils/asyncHandler.js';
+import { ApiResponse } from '../utils/ApiResponse.js';
+import { ApiError } from '../utils/ApiError.js';
+import { listSessions, endSession, endAllSessions } from '../services/session.service.js';
+
+// Signed-in devices of the current account; shared by the admin and member routes
+
+const listMySessions = asyncHandler(async (req, res) => {
+	const sessions = await listSessions(req.user, req.sessionId);
+	return ApiResponse.success(res, { sessions }, 'Sessions retrieved successfully');
+});
+
+// Sign one device out; revoking the current session works like logging out
+const revokeMySession = asyncHandler(async (req, res) => {
+	const ended = await endSession(req.params.id, 'revoked', req.user);
+	if (!ended) {
+		throw ApiError.NotFound('Session not found');
+	}
+	return ApiResponse.success(res, null, 'Session revoked successfully');
+});
+
+// Sign out everywhere except this device
+const revokeOtherSessions = asyncHandler(async (req, res) => {
+	const count = await endAllSessions(req.user, { reason: 'revoked', except: req.sessionId });
+	return ApiResponse.success(
+		res,
+		{ count },
+		count === 1 ? '1 other session signed out' : `${count} other sessions signed out`
+	);
+});
+
+export { listMySessions, revokeMySession, revokeOtherSessions };
@@ -0,0 +1,79 @@
+import Team from '../models/team.model.js';
+import Event from '../models/event.model.js';
+import { ApiError } from '../utils/ApiError.js';
+import { ApiResponse } from '../utils/ApiResponse.js';
+import { asyncHandler } from '../utils/asyncHandler.js';
+import { getTeamSize } from '../services/team.service.js';
+
+const isActive = (ticket) => ticket && ticket.status !== 'cancelled';
+
+// Team behind a join code, for the join page (public). Member details are not exposed.
+const getTeamByCode = asyncHandler(async (req, res) => {
+	const team = await Team.findOne({ code: req.params.code })
+		.populate('leader', 'fullName')
+		.populate(
+			'eventId',
+			'title eventDate venue ticketPrice registration.teamSize registrationFields'
+		)
+		.lean();
+	if (!team) throw ApiError.NotFound('No team with this code exists.');
+
+	return ApiResponse.success(
+		res,
+		{
+			team: {
+				name: team.name,
+				code: team.code,
+				leader: team.leader?.fullName,
+				members: 1 + team.invites.filter((i) => i.status === 'joined').length,
+				pendingInvites: team.invites.filter((i) => i.status === 'pending').length,
+			},
+			event: team.eventId,
+		},
+		'Team retrieved'
+	);
+});
+
+// Teams of an event with their members and open invites (admin)
+const getEventTeams = asyncHandler(async (req, res) => {
+	const { eventId } = req.query;
+	const event = await Event.findById(eventId).select('title registration.teamSize').lean();
+	if (!event) throw ApiError.NotFound('Event not found');
+
+	const teamSize = getTeamSize(event);
+	const teams = await Team.find({ eventId })
+		.sort({ createdAt: -1 })
+		.populate('leader', 'ticketId fullName email lpuId status')
+		.populate('invites.ticket', 'ticketId fullName email lpuId status')
+		.lean();
+
+	const data = teams.map((team) => {
+		const members = [
+			team.leader,
+			...team.invites.filter((i) => i.status === 'joined').map((i) => i.ticket),
+		].filter(isActive);
+		return {
+			...team,
+			size: members.length,
+			pendingInvites: team.invites.filter((i) => i.status === 'pending').length,
+			isComplete: members.length >= teamSize.min,
+		};
+	});
+
+	return ApiResponse.success(res, { teamSize, teams: data }, 'Teams retrieved');
+});
+
+// Withdraw a pending invite (admin); its held place is freed
+const revokeTeamInvite = asyncHandler(async (req, res) => {
+	const { teamId, inviteId } = req.params;
+	const team = await Team.findOneAndUpdate(
+		{ _id: teamId, invites: { $elemMatch: { _id: inviteId, status: 'pending' } } },
+		{ $set: { 'invites.$.status': 'revoked' } },
+		{ new: true }
+	);
+	if (!team) throw ApiError.NotFound('Pending invite not found.');
+
+	return ApiResponse.success(res, team, 'Invite revoked');
+});
+
+export { getTeamByCode, getEventTeams, revokeTeamInvite };
@@ -1,12 +1,29 @@
 import Event from '../models/event.model.js';
 import Ticket from '../models/ticket.model.js';
+import Transaction from '../models/Transaction.js';
 import { ApiError } from '../utils/ApiError.js';
 import { ApiResponse } from '../utils/ApiResponse.js';
 import { asyncHandler } from '../utils/asyncHandler.js';
 import mongoose from 'mongoose';
-import { generateTicketQR } from '../services/qrcode.service.js';
-import { sendRegistrationEmail } from '../services/email.service.js';
+import {
+	issueTicketQR,
+	getTicketQrImage,
+	verifyTicketQR,
+	verifyTicketLink,
+	withTicketLinks,
+	signCheckInSnapshot,
+	verifyCheckInSnapshot,
+} from '../services/qrcode.service.js';
+import { queueEmail, queueTicketEmail } from '../services/emailQueue.service.js';
+import { reserveTicket, deliverTicket, cancelTicket } from '../services/ticket.service.js';
+import { refundTransaction } from '../services/refund.service.js';
+import { releaseSpotsToWaitlist } from '../services/waitlist.service.js';
+import { resolveTeamRegistration, sendTeamInvites } from '../services/team.service.js';
+import { validateAnswers } from '../services/registrationForm.service.js';
 import { deleteFile } from '../utils/cloudinary.js';
+import { hasPermission } from '../utils/permissions.js';
+import { renderTicketPdf, ticketPdfFilename } from '../services/ticketPdf.service.js';
+import { buildTicketPass } from '../services/walletPass.service.js';
 
 // Register for an event (internal registration -> creates a Ticket)
 const registerForEvent = asyncHandler(async (req, res) => {
@@ -60,120 +77,36 @@ const registerForEvent = asyncHandler(async (req, res) => {
 		return ApiResponse.error(res, 'Hostel is required for hosteler attendees.', 400);
 	}
 
-	// Use transaction to avoid race conditions (overbooking) and to atomically create ticket + update event
-	const session = await mongoose.startSession();
-	let createdTicket = null;
-	try {
-		await session.withTransaction(async () => {
-			// Re-load event inside transaction
-			const ev = await Event.findById(eventId).session(session);
-			if (!ev) throw ApiError.NotFound('Event not found during registration.');
-
-			// Capacity: respect capacityOverride > 0 else totalSpots (0 = unlimited)
-			const effectiveCap =
-				ev.registration?.capacityOverride && ev.registration.capacityOverride > 0
-					? ev.registration.capacityOverride
-					: ev.totalSpots || 0;
-
-			if (effectiveCap > 0) {
-				// Count active tickets (exclude cancelled)
-				const soldCount = await Ticket.countDocuments({
-					eventId,
-					status: { $ne: 'cancelled' },
-				})
-					.session(session)
-					.exec();
-				if (soldCount >= effectiveCap) {
-					throw ApiError.BadRequest('Event is full.');
-				}
-			}
-
-			// Build ticket (no user account required)
-			const ticketPayload = {
-				eventId: ev._id,
-				eventName: ev.title || ev.name || 'Event',
-				fullName: String(fullName).trim(),
-				email: String(email).toLowerCase().trim(),
-				phone: String(phone).trim(),
-				lpuId: String(lpuId).trim(),
-				gender,
-				course: String(course).trim(),
-				hosteler: !!hosteler,
-				hostel: hosteler ? String(hostel).trim() : undefined,
-				paymentDetails: paymentDetails || undefined,
-			};
-
-			// Create ticket within transaction (unique indexes will be enforced)
-			createdTicket = await Ticket.create([ticketPayload], { session }).then((arr) => arr[0]);
-
-			// Link ticket to event.tickets (keeps event document in sync)
-			await Event.findByIdAndUpdate(
-				ev._id,
-				{ $addToSet: { tickets: createdTicket._id } },
-				{ session }
-			);
-		});
-	} catch (err) {
-		// Translate duplicate key into friendly message
-		if (err && err.code === 11000) {
-			return ApiResponse.conflict(
-				res,
-				'You have already registered for this event with this Email or LPU ID.',
-				{ detail: err.keyValue || null }
-			);
-		}
-		// ApiError instances should be forwarded with proper messages
-		if (err instanceof ApiError) {
-			return ApiResponse.error(
-				res,
-				err.message || 'Registration failed',
-				err.statusCode || 400
-			);
-		}
-		console.error('Registration transaction failed', err);
-		return ApiResponse.error(res, 'Registration failed due to server error', 500);
-	} finally {
-		session.endSession();
-	}
-
-	// Post-transaction side effects (QR + email) — run outside transaction
-	try {
-		const qrCode = await generateTicketQR(createdTicket.ticketId);
-		createdTicket.qrCode = { url: qrCode.url, publicId: qrCode.public_id };
-		// attempt to send email (best-effort)
-		await sendRegistrationEmail({
-			to: createdTicket.email,
-			name: createdTicket.fullName,
-			eventName: createdTicket.eventName,
-			eventDate: event.eventDate || event.startDate || null,
-			qrUrl: createdTicket.qrCode.url,
-		});
-		createdTicket.emailStatus = 'sent';
-	} catch (sideEffectError) {
-		console.error(
-			'Post-registration side effects failed',
-			sideEffectError?.message || sideEffectError
-		);
-		createdTicket.emailStatus = 'failed';
-	}
-
-	// Persist side-effect changes (non-transactional)
-	try {
-		await Ticket.findByIdAndUpdate(
-			createdTicket._id,
-			{ qrCode: createdTicket.qrCode, emailStatus: createdTicket.emailStatus },
-			{ new: true, runValidators: true }
-		);
-	} catch (persistErr) {
-		console.error('Failed to persist ticket side-effects', persistErr);
-	}
+	// Transaction avoids overbooking; QR + email run afterwards and are best-effort
+	const createdTicket = await reserveTicket(
+		eventId,
+		{ fullName, email, phone, lpuId, gender, course, hosteler, hostel },
+		{ paymentDetails }
+	);
+	await deliverTicket(createdTicket);
 
 	return ApiResponse.success(res, { ticket: createdTicket }, 'Ticket created', 201);
 });
 
-// Create a new ticket (event registration)
+// Create a new ticket (event registration). Team events take `teamName` + `teamInvites` to
+// register a new team, or `teamCode` to join one. `answers` holds the answers to the event's
+// registration fields, keyed by field key.
 const createTicket = asyncHandler(async (req, res) => {
-	const { eventId, fullName, email, phone, lpuId, gender, course, hosteler, hostel } = req.body;
+	const {
+		eventId,
+		fullName,
+		email,
+		phone,
+		lpuId,
+		gender,
+		course,
+		hosteler,
+		hostel,
+		teamName,
+		teamInvites,
+		teamCode,
+		answers,
+	} = req.body;
 
 	// 1. Find the event and validate its status
 	const event = await Event.findById(eventId);
@@ -196,29 +129,28 @@ const createTicket = asyncHandler(async (req, res) => {
 		);
 	}
 
-	// Start a transaction to avoid race conditions
-	// Post-create side effects (QR + email) — run outside transaction
-	try {
-		const qrCode = await generateTicketQR(ticket.ticketId);
-		ticket.qrCode = { url: qrCode.url, publicId: qrCode.public_id };
-		await ticket.save();
-		await sendRegistrationEmail({
-			to: ticket.email,
-			name: ticket.fullName,
-			eventName: ticket.eventName,
-			eventDate: (await Event.findById(eventId)).eventDate,
-			qrUrl: ticket.qrCode.url,
-		});
-		ticket.emailStatus = 'sent';
-	} catch (sideEffectError) {
-		console.error('Post-creation error (QR/Email):', sideEffectError.message);
-		ticket.emailStatus = 'failed';
-		await ticket.save();
-	}
+	const attendee = { fullName, email, phone, lpuId, gender, course, hosteler, hostel };
+	const validAnswers = validateAnswers(event, answers);
+	const teamOptions = await resolveTeamRegistration(event, attendee, {
+		teamName,
+		teamInvites,
+		teamCode,
+	});
+
+	// Start a transaction to avoid race conditions, then send the QR + email outside of it
+	const ticket = await reserveTicket(event._id, attendee, {
+		...teamOptions,
+		answers: validAnswers,
+	});
+	await deliverTicket(ticket);
+	const team = await sendTeamInvites(ticket);
 
 	return ApiResponse.success(
 		res,
-		{ ticket },
+		{
+			ticket: withTicketLinks(ticket),
+			...(team && { team: { name: team.name, code: team.code } }),
+		},
 		'Registration successful! Your ticket will be sent to your email.',
 		201
 	);
@@ -236,6 +168,71 @@ const getTicketById = asyncHandler(async (req, res) => {
 	return ApiResponse.success(res, { ticket }, 'Ticket retrieved successfully.');
 });
 
+// Ticket with its event for the downloadable documents; cancelled tickets have none
+const findTicketForDownload = async (ticketId) => {
+	const ticket = await Ticket.findOne({ ticketId }).populate(
+		'eventId',
+		'title eventDate eventTime venue room'
+	);
+	if (!ticket) {
+		throw ApiError.NotFound('Ticket not found.');
+	}
+	if (ticket.status === 'cancelled') {
+		throw new ApiError(410, 'This ticket has been cancelled.');
+	}
+	return ticket;
+};
+
+// Download a ticket as a printable PDF (rendered on the server, QR included); needs a signed link
+const getTicketPdf = asyncHandler(async (req, res) => {
+	verifyTicketLink('pdf', req.params.ticketId, req.query);
+	const ticket = await findTicketForDownload(req.params.ticketId);
+	const pdf = await renderTicketPdf(ticket, ticket.eventId);
+
+	res.set('Content-Type', 'application/pdf');
+	res.set('Content-Disposition', `attachment; filename="${ticketPdfFilename(ticket)}"`);
+	res.set('Cache-Control', 'private, no-store');
+	return res.send(pdf);
+});
+
+// A ticket's QR code as a PNG, rendered on demand. Clients revalidate with the ETag, so a
+// re-issued or cancelled ticket never keeps showing a stale code. Needs a signed link.
+const getTicketQr = asyncHandler(async (req, res) => {
+	verifyTicketLink('qr', req.params.ticketId, req.query);
+	const ticket = await Ticket.findOne({ ticketId: req.params.ticketId }).select(
+		'ticketId eventId status qrIssuedAt createdAt'
+	);
+	if (!ticket) {
+		throw ApiError.NotFound('Ticket not found.');
+	}
+	if (ticket.status === 'cancelled') {
+		throw new ApiError(410, 'This ticket has been cancelled.');
+	}
+
+	const { etag, png } = await getTicketQrImage(ticket);
+	res.set('ETag', etag);
+	res.set('Cache-Control', 'private, no-cache');
+	// Shown as an <img> on the website and in webmail, which are other origins
+	res.set('Cross-Origin-Resource-Policy', 'cross-origin');
+	if (req.fresh) {
+		return res.status(304).end();
+	}
+	res.set('Content-Type', 'image/png');
+	return res.send(png);
+});
+
+// Download a ticket as a wallet pass (format depends on WALLET_PASS_PROVIDER); needs a signed link
+const getTicketPass = asyncHandler(async (req, res) => {
+	verifyTicketLink('pass', req.params.ticketId, req.query);
+	const ticket = await findTicketForDownload(req.params.ticketId);
+	const { content, contentType, filename } = await buildTicketPass(ticket, ticket.eventId);
+
+	res.set('Content-Type', contentType);
+	res.set('Content-Disposition', `attachment; filename="${filename}"`);
+	res.set('Cache-Control', 'private, no-store');
+	return res.send(content);
+});
+
 // Get tickets with filtering, sorting, and pagination
 const getTicketsByEvent = asyncHandler(async (req, res) => {
 	const { page = 1, limit = 10, eventId, status } = req.query;
@@ -272,7 +269,12 @@ const getTicketsByEvent = asyncHandler(async (req, res) => {
 	const tickets = await Ticket.aggregatePaginate(aggregate, options);
 
 	// Return paginated response (structure stays the same as before)
-	return ApiResponse.paginated(res, tickets.docs, tickets, 'Tickets retrieved successfully.');
+	return ApiResponse.paginated(
+		res,
+		tickets.docs.map(withTicketLinks),
+		tickets,
+		'Tickets retrieved successfully.'
+	);
 });
 
 // Helper: find ticket by either ticketId (business id) or _id (mongo)
@@ -317,10 +319,453 @@ const updateTicketStatus = asyncHandler(async (req, res) => {
 	if (!ticket) {
 		throw ApiError.NotFound('Ticket not found.');
 	}
+	if (status === 'cancelled') releaseSpotsToWaitlist(ticket.eventId);
 
 	return ApiResponse.success(res, { ticket }, 'Ticket status updated successfully.');
 });
 
+// Resolve what was scanned: a signed/legacy QR payload, or a typed ticketId (manual admin override)
+const resolveScannedTicket = ({ qrData, ticketId }) => {
+	const typed = ticketId ? String(ticketId).trim() : null;
+	if (typed) return { qr: null, ticketId: typed };
+	const qr = verifyTicketQR(qrData);
+	return { qr, ticketId: qr.ticketId };
+};
+
+// Reason a scanned ticket must not be admitted, or null when it may be checked in
+const getCheckInRejection = (ticket, qr, eventId) => {
+	const ticketEventId = String(ticket.eventId?._id || ticket.eventId);
+	if (
+		(eventId && ticketEventId !== String(eventId)) ||
+		(qr?.eventId && ticketEventId !== qr.eventId)
+	) {
+		return 'This ticket belongs to a different event.';
+	}
+
+	// Reject codes that were superseded by a re-issued QR
+	if (qr && ticket.qrIssuedAt) {
+		const currentIssuedAt = Math.floor(ticket.qrIssuedAt.getTime() / 1000);
+		const scannedIssuedAt = qr.issuedAt ? Math.floor(qr.issuedAt.getTime() / 1000) : null;
+		if (qr.legacy || scannedIssuedAt !== currentIssuedAt) {
+			return 'This ticket QR code has been replaced by a newer one.';
+		}
+	}
+
+	if (ticket.status === 'cancelled') {
+		return 'This ticket has been cancelled.';
+	}
+	return null;
+};
+
+// Record a ticket's attendance at one session of its event. The ticket's own status is left alone,
+// so holders can be checked in to sessions before or after entering at the door.
+const checkInToSession = async (req, res, existing, sessionId) => {
+	const event = await Event.findById(existing.eventId?._id || existing.eventId).select(
+		'sessions._id sessions.title sessions.attendance'
+	);
+	const session = event?.sessions.id(sessionId);
+	if (!session) {
+		throw ApiError.BadRequest("This session is not part of the ticket's event.", {
+			ticketId: existing.ticketId,
+		});
+	}
+	if (!session.attendance) {
+		throw ApiError.BadRequest('This session does not take attendance.', {
+			ticketId: existing.ticketId,
+		});
+	}
+
+	// Only add the check-in if there is none for the session yet (two scanners at once)
+	const ticket = await Ticket.findOneAndUpdate(
+		{
+			_id: existing._id,
+			status: { $ne: 'cancelled' },
+			'sessionCheckIns.session': { $ne: session._id },
+		},
+		{
+			$push: {
+				sessionCheckIns: {
+					session: session._id,
+					checkedInAt: new Date(),
+					checkedInBy: req.user?._id,
+					gate: req.body.gate || undefined,
+				},
+			},
+		},
+		{ new: true }
+	).populate('eventId', 'title eventDate venue');
+
+	if (ticket) {
+		return ApiResponse.success(
+			res,
+			{ ticket, session: { _id: session._id, title: session.title } },
+			'Session check-in successful.'
+		);
+	}
+
+	const current = await Ticket.findById(existing._id).select(
+		'ticketId fullName status sessionCheckIns'
+	);
+	if (current?.status === 'cancelled') {
+		throw ApiError.BadRequest('This ticket has been cancelled.', {
+			ticketId: current.ticketId,
+		});
+	}
+	const previous = current?.sessionCheckIns.find(
+		(c) => String(c.session) === String(session._id)
+	);
+	throw ApiError.Conflict('This ticket has already been checked in to this session.', {
+		ticketId: current?.ticketId || existing.ticketId,
+		fullName: current?.fullName || existing.fullName,
+		session: session.title,
+		checkedInAt: previous?.checkedInAt || null,
+		checkedInGate: previous?.gate || null,
+	});
+};
+
+// Check in a ticket at the door (scanner). Atomically moves an active ticket to 'used'. With a
+// sessionId, records attendance at that session instead.
+const checkInTicket = asyncHandler(async (req, res) => {
+	const { eventId, gate, sessionId } = req.body;
+
+	// Scanned codes must carry a valid signature; a typed ticketId is a manual admin override
+	const { qr, ticketId } = resolveScannedTicket(req.body);
+
+	if (qr?.eventId && eventId && qr.eventId !== String(eventId)) {
+		throw ApiError.BadRequest('This ticket belongs to a different event.', { ticketId });
+	}
+
+	const existing = await Ticket.findOne({ ticketId }).populate(
+		'eventId',
+		'title eventDate venue'
+	);
+	if (!existing) {
+		throw ApiError.NotFound('Ticket not found.');
+	}
+
+	const rejection = getCheckInRejection(existing, qr, eventId);
+	if (rejection) {
+		throw ApiError.BadRequest(rejection, {
+			ticketId: existing.ticketId,
+			fullName: existing.fullName,
+			eventName: existing.eventId?.title || existing.eventName,
+		});
+	}
+
+	if (sessionId) return checkInToSession(req, res, existing, sessionId);
+
+	// Only flip the ticket if it is still active (guards against two gates scanning at once)
+	const ticket = await Ticket.findOneAndUpdate(
+		{ _id: existing._id, status: 'active' },
+		{
+			$set: {
+				status: 'used',
+				checkedInAt: new Date(),
+				checkedInBy: req.user?._id,
+				checkedInGate: gate || undefined,
+			},
+		},
+		{ new: true }
+	).populate('eventId', 'title eventDate venue');
+
+	if (ticket) {
+		return ApiResponse.success(res, { ticket }, 'Check-in successful.');
+	}
+
+	const used = await Ticket.findById(existing._id).select(
+		'ticketId fullName checkedInAt checkedInGate updatedAt'
+	);
+	throw ApiError.Conflict('This ticket has already been checked in.', {
+		ticketId: used?.ticketId || existing.ticketId,
+		fullName: used?.fullName || existing.fullName,
+		checkedInAt: used?.checkedInAt || used?.updatedAt || null,
+		checkedInGate: used?.checkedInGate || null,
+	});
+});
+
+// Download a snapshot of an event's tickets so scanners can validate while offline. Rows hold only
+// what the scanner shows; the signed token and per-row tags let the scans be synced later.
+const getCheckInSnapshot = asyncHandler(async (req, res) => {
+	const { eventId } = req.params;
+
+	const event = await Event.findById(eventId).select('title eventDate venue');
+	if (!event) {
+		throw ApiError.NotFound('Event not found.');
+	}
+
+	const rows = await Ticket.find({ eventId })
+		.select('-_id ticketId fullName status checkedInAt checkedInGate qrIssuedAt')
+		.lean();
+
+	const { token, tickets, generatedAt, expiresAt } = signCheckInSnapshot({
+		eventId: event._id,
+		tickets: rows,
+	});
+
+	return ApiResponse.success(
+		res,
+		{ event, tickets, snapshotToken: token, generatedAt, expiresAt },
+		'Check-in snapshot generated.'
+	);
+});
+
+// Apply one check-in recorded offline. Returns a per-entry result instead of throwing so a
+// single bad scan does not fail the whole batch.
+const applyOfflineCheckIn = async (entry, { eventId, snapshot, adminId, now }) => {
+	const result = { clientId: entry.clientId, ticketId: entry.ticketId || null };
+	const gate = entry.gate ? String(entry.gate).trim() : undefined;
+
+	const scannedAt = new Date(entry.scannedAt);
+	if (Number.isNaN(scannedAt.getTime()) || scannedAt > snapshot.expiresAt) {
+		return {
+			...result,
+			status: 'rejected',
+			message: 'Scanned outside the snapshot validity window.',
+		};
+	}
+	// Device clocks drift; never record a check-in before the snapshot existed or in the future
+	const checkedInAt = new Date(
+		Math.min(Math.max(scannedAt.getTime(), snapshot.generatedAt.getTime()), now.getTime())
+	);
+
+	let scan;
+	try {
+		scan = resolveScannedTicket(entry);
+	} catch (error) {
+		return { ...result, status: 'rejected', message: error.message };
+	}
+	result.ticketId = scan.ticketId;
+
+	// The scanner may only have admitted tickets that were active in the signed snapshot
+	if (!snapshot.admits(scan.ticketId, entry.admit)) {
+		return {
+			...result,
+			status: 'rejected',
+			message: 'Ticket was not admissible in the offline snapshot.',
+		};
+	}
+
+	const existing = await Ticket.findOne({ ticketId: scan.ticketId });
+	if (!existing) {
+		return { ...result, status: 'rejected', message: 'Ticket not found.' };
+	}
+	result.fullName = existing.fullName;
+
+	const rejection = getCheckInRejection(existing, scan.qr, eventId);
+	if (rejection) {
+		return { ...result, status: 'rejected', message: rejection };
+	}
+
+	const admitted = await Ticket.findOneAndUpdate(
+		{ _id: existing._id, status: 'active' },
+		{
+			$set: { status: 'used', checkedInAt, checkedInBy: adminId, checkedInGate: gate },
+		},
+		{ new: true }
+	);
+	if (admitted) {
+		return { ...result, status: 'synced', checkedInAt, checkedInGate: gate || null };
+	}
+
+	// Already used: a re-sent batch matches the stored scan exactly and is not a conflict
+	const current = await Ticket.findById(existing._id).select('checkedInAt checkedInGate');
+	if (
+		current?.checkedInAt?.getTime() === checkedInAt.getTime() &&
+		(current.checkedInGate || undefined) === gate
+	) {
+		return { ...result, status: 'synced', checkedInAt, checkedInGate: gate || null };
+	}
+
+	// Same ticket admitted at two gates: the earliest scan wins, the other is reported
+	const previous = {
+		checkedInAt: current?.checkedInAt || null,
+		checkedInGate: current?.checkedInGate || null,
+	};
+	const replaced = await Ticket.findOneAndUpdate(
+		{ _id: existing._id, status: 'used', checkedInAt: { $gt: checkedInAt } },
+		{ $set: { checkedInAt, checkedInBy: adminId, checkedInGate: gate } },
+		{ new: true }
+	);
+
+	return {
+		...result,
+		status: 'conflict',
+		message: replaced
+			? 'Ticket was also admitted later at another gate; this earlier scan was kept.'
+			: 'Ticket was already admitted earlier at another gate.',
+		resolution: replaced ? 'kept' : 'discarded',
+		checkedInAt,
+		checkedInGate: gate || null,
+		conflictWith: previous,
+	};
+};
+
+// Sync check-ins queued by an offline scanner and report conflicts
+const syncOfflineCheckIns = asyncHandler(async (req, res) => {
+	const { eventId, snapshotToken, checkIns } = req.body;
+
+	const snapshot = verifyCheckInSnapshot(snapshotToken);
+	if (snapshot.eventId !== String(eventId)) {
+		throw ApiError.BadRequest('Offline snapshot does not belong to this event.');
+	}
+
+	// Replay oldest first so the earliest scan of a ticket is the one recorded
+	const entries = [...checkIns].sort(
+		(a, b) => new Date(a.scannedAt).getTime() - new Date(b.scannedAt).getTime()
+	);
+	const now = new Date();
+	const results = [];
+	for (const entry of entries) {
+		results.push(
+			await applyOfflineCheckIn(entry, { eventId, snapshot, adminId: req.user?._id, now })
+		);
+	}
+
+	const summary = { total: results.length, synced: 0, conflicts: 0, rejected: 0 };
+	for (const r of results) {
+		if (r.status === 'synced') summary.synced++;
+		else if (r.status === 'conflict') summary.conflicts++;
+		else summary.rejected++;
+	}
+
+	return ApiResponse.success(res, { results, summary }, 'Offline check-ins synced.');
+});
+
+// Re-issue a signed QR for a ticket: issues a new code, drops any uploaded legacy image and
+// re-sends the email.
+const reissueQrForTicket = async (ticket) => {
+	const previousPublicId = ticket.qrCode?.publicId;
+
+	issueTicketQR(ticket);
+	await ticket.save();
+
+	try {
+		await queueTicketEmail(ticket);
+		ticket.emailStatus = 'pending';
+	} catch (emailErr) {
+		console.error('Failed to queue re-issued ticket email', emailErr?.message || emailErr);
+		ticket.emailStatus = 'failed';
+		await ticket.save();
+	}
+
+	if (previousPublicId) {
+		try {
+			await deleteFile({ public_id: previousPublicId, resource_type: 'image' });
+		} catch (cleanupErr) {
+			console.warn('Failed to delete superseded QR code', cleanupErr?.message);
+		}
+	}
+
+	return ticket;
+};
+
+// Re-issue the QR code of a single ticket (admin)
+const reissueTicketQR = asyncHandler(async (req, res) => {
+	const ticket = await findTicketByIdentifier(req.params.ticketId);
+	if (!ticket) {
+		throw ApiError.NotFound('Ticket not found.');
+	}
+	if (ticket.status === 'cancelled') {
+		throw ApiError.BadRequest('Cannot re-issue a QR code for a cancelled ticket.');
+	}
+
+	await reissueQrForTicket(ticket);
+
+	return ApiResponse.success(
+		res,
+		{ ticket: withTicketLinks(ticket) },
+		'Ticket QR code re-issued.'
+	);
+});
+
+// Migrate an event's legacy (unsigned) tickets to signed QR codes (admin)
+const reissueLegacyTicketQRs = asyncHandler(async (req, res) => {
+	const { eventId } = req.body;
+
+	const event = await Event.exists({ _id: eventId });
+	if (!event) {
+		throw ApiError.NotFound('Event not found.');
+	}
+
+	const tickets = await Ticket.find({
+		eventId,
+		status: 'active',
+		qrIssuedAt: { $exists: false },
+	});
+
+	let reissued = 0;
+	const failed = [];
+	// Sequential on purpose: keeps database and mail load gentle for large events
+	for (const ticket of tickets) {
+		try {
+			await reissueQrForTicket(ticket);
+			reissued += 1;
+		} catch (err) {
+			console.error(`Failed to re-issue QR for ${ticket.ticketId}`, err?.message || err);
+			failed.push(ticket.ticketId);
+		}
+	}
+
+	return ApiResponse.success(
+		res,
+		{ total: tickets.length, reissued, failed },
+		'Legacy ticket QR codes re-issued.'
+	);
+});
+
+// Cancel a ticket (admin). `refund` is 'gateway' (refund through the payment gateway), 'manual'
+// (record a refund paid out by hand) or 'none'. An already cancelled ticket can still be refunded.
+const cancelTicketWithRefund = asyncHandler(async (req, res) => {
+	const { refund = 'none', reason, reference } = req.body;
+	if (refund !== 'none' && !hasPermission(req.user, 'payments:refund')) {
+		throw ApiError.Forbidden('Refunding needs the payments:refund permission.');
+	}
+
+	const ticket = await findTicketByIdentifier(req.params.ticketId);
+	if (!ticket) {
+		throw ApiError.NotFound('Ticket not found.');
+	}
+	if (ticket.status === 'cancelled' && refund === 'none') {
+		throw ApiError.Conflict('Ticket is already cancelled.');
+	}
+
+	let transaction = await Transaction.findOne({ ticket: ticket._id });
+	if (refund !== 'none') {
+		if (!transaction) {
+			throw ApiError.BadRequest('No payment was recorded for this ticket.');
+		}
+		// Refund first: if the gateway refuses, the ticket stays valid and the admin can retry
+		transaction = await refundTransaction(transaction, {
+			method: refund,
+			reason,
+			reference,
+			refundedBy: req.user?._id,
+		});
+	}
+
+	const updated = ticket.status === 'cancelled' ? ticket : await cancelTicket(ticket, { reason });
+	if (updated !== ticket) releaseSpotsToWaitlist(updated.eventId);
+
+	try {
+		await queueEmail('ticketCancellation', updated.email, {
+			eventId: updated.eventId,
+			eventName: updated.eventName,
+			name: updated.fullName,
+			ticketId: updated.ticketId,
+			reason,
+			refund: refund !== 'none' ? transaction.refund : null,
+		});
+	} catch (err) {
+		console.error('Failed to queue the cancellation email', err?.message || err);
+	}
+
+	return ApiResponse.success(
+		res,
+		{ ticket: updated, transaction },
+		refund === 'none' ? 'Ticket cancelled.' : 'Ticket cancelled and refund recorded.'
+	);
+});
+
 // Delete a ticket
 const deleteTicket = asyncHandler(async (req, res) => {
 	const { ticketId: identifier } = req.params;
@@ -340,8 +785,9 @@ const deleteTicket = asyncHandler(async (req, res) => {
 
 	// Remove ticket from the event's registration list
 	await Event.findByIdAndUpdate(ticket.eventId, { $pull: { registeredUsers: ticket._id } });
+	if (ticket.status !== 'cancelled') releaseSpotsToWaitlist(ticket.eventId);
 
-	// Delete QR code from Cloudinary if it exists
+	// Delete a QR image uploaded to Cloudinary before QR codes were rendered on demand
 	if (ticket.qrCode?.publicId) {
 		await deleteFile({ public_id: ticket.qrCode.publicId, resource_type: 'image' });
 	}
@@ -377,9 +823,18 @@ const checkAvailability = asyncHandler(async (req, res) => {
 export {
 	createTicket,
 	getTicketById,
+	getTicketPdf,
+	getTicketPass,
+	getTicketQr,
 	updateTicketStatus,
 	getTicketsByEvent,
 	deleteTicket,
 	checkAvailability,
 	registerForEvent,
+	checkInTicket,
+	getCheckInSnapshot,
+	syncOfflineCheckIns,
+	reissueTicketQR,
+	reissueLegacyTicketQRs,
+	cancelTicketWithRefund,
 };
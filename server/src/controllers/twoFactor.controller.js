@@ -0,0 +1,50 @@
+import { asyncHandler } from '../utils/asyncHandler.js';
+import { ApiResponse } from '../utils/ApiResponse.js';
+import {
+	getTwoFactorStatus,
+	startEnrollment,
+	confirmEnrollment,
+	disableTwoFactor as turnOffTwoFactor,
+	regenerateRecoveryCodes,
+} from '../services/twoFactor.service.js';
+
+// Two-factor settings of the signed-in account; shared by the admin and member routes
+
+const getTwoFactor = asyncHandler(async (req, res) => {
+	return ApiResponse.success(res, await getTwoFactorStatus(req.user), '2FA status fetched');
+});
+
+const setupTwoFactor = asyncHandler(async (req, res) => {
+	const setup = await startEnrollment(req.user);
+	return ApiResponse.success(res, setup, 'Scan the QR code with your authenticator app');
+});
+
+const enableTwoFactor = asyncHandler(async (req, res) => {
+	const recoveryCodes = await confirmEnrollment(req.user, req.body.code);
+	return ApiResponse.success(
+		res,
+		{ ...(await getTwoFactorStatus(req.user)), recoveryCodes },
+		'Two-factor authentication is on. Save your recovery codes.'
+	);
+});
+
+const disableTwoFactor = asyncHandler(async (req, res) => {
+	const { code, recoveryCode } = req.body;
+	await turnOffTwoFactor(req.user, { code, recoveryCode });
+	return ApiResponse.success(
+		res,
+		await getTwoFactorStatus(req.user),
+		'Two-factor authentication is off'
+	);
+});
+
+const newRecoveryCodes = asyncHandler(async (req, res) => {
+	const recoveryCodes = await regenerateRecoveryCodes(req.user, req.body.code);
+	return ApiResponse.success(
+		res,
+		{ recoveryCodes },
+		'New recovery codes created. The old ones no longer work.'
+	);
+});
+
+export { getTwoFactor, setupTwoFactor, enableTwoFactor, disableTwoFactor, newRecoveryCodes };
@@ -0,0 +1,136 @@
+import mongoose from 'mongoose';
+import WaitlistEntry from '../models/waitlist.model.js';
+import { ApiError } from '../utils/ApiError.js';
+import { ApiResponse } from '../utils/ApiResponse.js';
+import { asyncHandler } from '../utils/asyncHandler.js';
+import {
+	ACTIVE_WAITLIST_STATUSES,
+	joinWaitlist,
+	getActiveOffer,
+	claimWaitlistOffer,
+	offerOpenSpots,
+	releaseSpotsToWaitlist,
+} from '../services/waitlist.service.js';
+import { withTicketLinks } from '../services/qrcode.service.js';
+
+// Join the waitlist of a full event (public)
+const joinEventWaitlist = asyncHandler(async (req, res) => {
+	const { eventId, ...attendee } = req.body;
+	const { entry, ahead } = await joinWaitlist(eventId, attendee);
+
+	return ApiResponse.success(
+		res,
+		{ entryId: entry._id, ahead },
+		ahead === 0
+			? 'You are first on the waitlist.'
+			: `You are on the waitlist. ${ahead} ${ahead === 1 ? 'person is' : 'people are'} ahead of you.`,
+		201
+	);
+});
+
+// Details behind a claim link, used by the claim page (and to prefill checkout for paid events)
+const getWaitlistOffer = asyncHandler(async (req, res) => {
+	const entry = await getActiveOffer(req.params.token);
+	await entry.populate('eventId', 'title eventDate venue ticketPrice');
+
+	const { eventId: event, ...offer } = entry.toObject();
+	return ApiResponse.success(res, { offer, event }, 'Waitlist offer retrieved');
+});
+
+// Claim the offered place of a free event (public)
+const claimOffer = asyncHandler(async (req, res) => {
+	const ticket = await claimWaitlistOffer(req.params.token);
+	return ApiResponse.success(
+		res,
+		{ ticket: withTicketLinks(ticket) },
+		'Ticket issued. Check your email for the QR code.',
+		201
+	);
+});
+
+// Queue of an event in order (admin). Finished entries are included with ?all=true.
+const getEventWaitlist = asyncHandler(async (req, res) => {
+	const { eventId } = req.params;
+	const filter = { eventId };
+	if (req.query.all !== 'true') filter.status = { $in: ACTIVE_WAITLIST_STATUSES };
+
+	const entries = await WaitlistEntry.find(filter).sort({ position: 1, createdAt: 1 }).lean();
+	return ApiResponse.success(res, entries, 'Waitlist retrieved');
+});
+
+// Reorder the queue (admin). Body: { entryIds } in the new order; entries not listed keep
+// their relative order after the listed ones.
+const reorderWaitlist = asyncHandler(async (req, res) => {
+	const { eventId } = req.params;
+	const entryIds = [...new Set(req.body.entryIds.map(String))];
+
+	const entries = await WaitlistEntry.find({
+		eventId,
+		status: { $in: ACTIVE_WAITLIST_STATUSES },
+	})
+		.sort({ position: 1, createdAt: 1 })
+		.select('_id')
+		.lean();
+
+	const known = new Set(entries.map((e) => String(e._id)));
+	const unknown = entryIds.filter((id) => !known.has(id));
+	if (unknown.length) {
+		throw ApiError.BadRequest('Some entries are not on this waitlist.', { unknown });
+	}
+
+	const listed = new Set(entryIds);
+	const ordered = [
+		...entryIds,
+		...entries.map((e) => String(e._id)).filter((id) => !listed.has(id)),
+	];
+	await WaitlistEntry.bulkWrite(
+		ordered.map((id, index) => ({
+			updateOne: {
+				filter: { _id: new mongoose.Types.ObjectId(id) },
+				update: { $set: { position: index + 1 } },
+			},
+		}))
+	);
+
+	const updated = await WaitlistEntry.find({
+		eventId,
+		status: { $in: ACTIVE_WAITLIST_STATUSES },
+	})
+		.sort({ position: 1, createdAt: 1 })
+		.lean();
+	return ApiResponse.success(res, updated, 'Waitlist reordered');
+});
+
+// Take someone off the waitlist (admin); a place held for them goes to the next person
+const removeWaitlistEntry = asyncHandler(async (req, res) => {
+	const entry = await WaitlistEntry.findOneAndUpdate(
+		{ _id: req.params.entryId, status: { $in: ACTIVE_WAITLIST_STATUSES } },
+		{ $set: { status: 'removed' } }
+	);
+	if (!entry) {
+		throw ApiError.NotFound('Waitlist entry not found.');
+	}
+	if (entry.status === 'offered') releaseSpotsToWaitlist(entry.eventId);
+
+	return ApiResponse.success(res, null, 'Removed from waitlist');
+});
+
+// Offer any free places now (admin), e.g. after tickets were deleted in bulk
+const offerWaitlistSpots = asyncHandler(async (req, res) => {
+	const offers = await offerOpenSpots(req.params.eventId);
+	return ApiResponse.success(
+		res,
+		{ offered: offers.length },
+		offers.length ? `Offered ${offers.length} place(s)` : 'No free places to offer'
+	);
+});
+
+export {
+	joinEventWaitlist,
+	getWaitlistOffer,
+	claimOffer,
+	getEventWaitlist,
+	reorderWaitlist,
+	removeWaitlistEntry,
+	offerWaitlistSpots,
+};
@@ -0,0 +1,12 @@
+import { ApiError } from '../utils/ApiError.js';
+import { verifyAttendeeToken } from '../services/attendeePortal.service.js';
+
+// Attendee portal session (one-time code login); attaches req.attendee = { identifierType, identifier }
+export const attendeeAuth = (req, res, next) => {
+	const authHeader = req.headers.authorization;
+	if (!authHeader || !authHeader.startsWith('Bearer ')) {
+		throw ApiError.Unauthorized('Please sign in with the code sent to your email.');
+	}
+	req.attendee = verifyAttendeeToken(authHeader.split(' ')[1]);
+	next();
+};
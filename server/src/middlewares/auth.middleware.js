@@ -3,6 +3,8 @@ import { ApiError } from '../utils/ApiError.js';
 import { asyncHandler } from '../utils/asyncHandler.js';
 import Member from '../models/member.model.js';
 import Admin from '../models/admin.model.js';
+import { hasPermission } from '../utils/permissions.js';
+import { isSessionActive } from '../services/session.service.js';
 
 // Middleware to protect routes and ensure the user is authenticated
 const protect = asyncHandler(async (req, res, next) => {
@@ -35,6 +37,10 @@ const protect = asyncHandler(async (req, res, next) => {
 	let currentUser;
 	if (decoded.role === 'admin') {
 		currentUser = await Admin.findById(decoded.id); // CORRECT: Use 'id' from token
+
+		if (currentUser && currentUser.status === 'disabled') {
+			throw ApiError.Forbidden('Your admin account is disabled. Access denied.');
+		}
 	} else if (decoded.role === 'member') {
 		currentUser = await Member.findById(decoded.id); // CORRECT: Use 'id' from token
 
@@ -50,12 +56,19 @@ const protect = asyncHandler(async (req, res, next) => {
 		throw ApiError.Unauthorized('The user belonging to this token no longer exists.');
 	}
 
-	// 4. Grant access and attach user to the request
+	// 4. Access tokens die with the session they were issued for (logout, revoked device); tokens
+	// from before sessions carry no `sid` and could never be revoked, so they are refused too
+	if (!decoded.sid || !(await isSessionActive(decoded.sid))) {
+		throw ApiError.Unauthorized('Your session has ended. Please log in again.');
+	}
+
+	// 5. Grant access and attach user and session to the request
 	req.user = currentUser;
+	req.sessionId = decoded.sid;
 	next();
 });
 
-// Middleware to authorize based on user roles
+// Middleware to restrict a route to an account type ('member' or 'admin')
 const authorize = (...roles) => {
 	return (req, res, next) => {
 		// The 'protect' middleware must run first to attach req.user
@@ -65,13 +78,28 @@ const authorize = (...roles) => {
 			);
 		}
 
-		const userRoles = [req.user.role, ...(req.user.designation || [])].filter(Boolean);
+		if (!roles.includes(req.user.role)) {
+			throw ApiError.Forbidden(
+				`Access denied. You need one of the following roles: ${roles.join(', ')}`
+			);
+		}
+
+		next();
+	};
+};
 
-		const hasAccess = roles.some((role) => userRoles.includes(role));
+// Middleware to restrict a route to admins holding all of the given permissions
+const requirePermission = (...permissions) => {
+	return (req, res, next) => {
+		if (!req.user) {
+			throw ApiError.InternalServerError(
+				'User object not found. Ensure `protect` middleware runs before `requirePermission`.'
+			);
+		}
 
-		if (!hasAccess) {
+		if (req.user.role !== 'admin' || !hasPermission(req.user, ...permissions)) {
 			throw ApiError.Forbidden(
-				`Access denied. You need one of the following roles: ${roles.join(', ')}`
+				`Access denied. You need the following permissions: ${permissions.join(', ')}`
 			);
 		}
 
@@ -82,4 +110,5 @@ const authorize = (...roles) => {
 export const authMiddleware = {
 	protect,
 	authorize,
+	requirePermission,
 };
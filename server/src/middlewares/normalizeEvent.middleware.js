@@ -27,12 +27,79 @@ export default function normalizeEventPayload(req, res, next) {
 	if (req.body.externalUrl && req.body.registration && !req.body.registration.externalUrl) {
 		req.body.registration.externalUrl = req.body.externalUrl;
 	}
+	if (req.body.teamMinSize !== undefined || req.body.teamMaxSize !== undefined) {
+		req.body.registration = req.body.registration || {};
+		req.body.registration.teamSize = {
+			min: Number(req.body.teamMinSize) || 1,
+			max: Number(req.body.teamMaxSize) || 1,
+		};
+	}
+
+	// self-service cancellation settings
+	if (req.body.selfServiceCancel !== undefined) {
+		req.body.registration = req.body.registration || {};
+		req.body.registration.selfServiceCancel =
+			req.body.selfServiceCancel === true || req.body.selfServiceCancel === 'true';
+	}
+	if (req.body.cancelCutoffHours !== undefined && req.body.cancelCutoffHours !== '') {
+		req.body.registration = req.body.registration || {};
+		req.body.registration.cancelCutoffHours = Number(req.body.cancelCutoffHours);
+	}
+
+	// reminder and change alert settings
+	const flag = (value) => value === true || value === 'true';
+	if (req.body.remindersEnabled !== undefined) {
+		req.body.notifications = req.body.notifications || {};
+		req.body.notifications.reminders = flag(req.body.remindersEnabled);
+	}
+	if (req.body.reminderHours !== undefined) {
+		// array, or a comma string like "24, 1"
+		const hours = Array.isArray(req.body.reminderHours)
+			? req.body.reminderHours
+			: String(req.body.reminderHours).split(',');
+		req.body.notifications = req.body.notifications || {};
+		req.body.notifications.reminderHours = hours
+			.map((h) => String(h).trim())
+			.filter(Boolean)
+			.map(Number);
+	}
+	if (req.body.changeAlerts !== undefined) {
+		req.body.notifications = req.body.notifications || {};
+		req.body.notifications.changeAlerts = flag(req.body.changeAlerts);
+	}
+
+	// recurrence of a new series: repeat (weekly | biweekly | custom), repeatUntil, repeatCount and
+	// repeatDates (a list or comma string)
+	if (req.body.repeat) {
+		const dates = Array.isArray(req.body.repeatDates)
+			? req.body.repeatDates
+			: String(req.body.repeatDates || '').split(',');
+		req.body.recurrence = {
+			frequency: req.body.repeat,
+			until: req.body.repeatUntil || undefined,
+			count: req.body.repeatCount || undefined,
+			dates: dates.map((d) => String(d).trim()).filter(Boolean),
+		};
+	}
+
+	// registration form fields arrive as a JSON string in multipart requests
+	if (typeof req.body.registrationFields === 'string') {
+		try {
+			req.body.registrationFields = JSON.parse(req.body.registrationFields);
+		} catch {
+			// left as is; the route validator rejects it
+		}
+	}
 
 	// Ensure numeric strings are converted where expected
 	if (typeof req.body.totalSpots === 'string' && req.body.totalSpots !== '') {
 		const n = Number(req.body.totalSpots);
 		if (!Number.isNaN(n)) req.body.totalSpots = n;
 	}
+	if (typeof req.body.durationMinutes === 'string' && req.body.durationMinutes !== '') {
+		const n = Number(req.body.durationMinutes);
+		if (!Number.isNaN(n)) req.body.durationMinutes = n;
+	}
 	if (typeof req.body.ticketPrice === 'string' && req.body.ticketPrice !== '') {
 		const n = Number(req.body.ticketPrice);
 		if (!Number.isNaN(n)) req.body.ticketPrice = n;
@@ -37,6 +37,19 @@ export const createRateLimiter = async () => {
     return rateLimit(options);
 };
 
+// Stricter per-IP limit for public file uploads; kept in memory so it also works without Redis
+export const uploadRateLimiter = rateLimit({
+    windowMs: 15 * 60 * 1000, // 15 minutes
+    limit: 20, // Limit each IP to 20 uploads per window
+    standardHeaders: 'draft-7',
+    legacyHeaders: false,
+    keyGenerator: ipKeyGenerator,
+    message: {
+        status: 'error',
+        message: 'Too many uploads from this IP, please try again after 15 minutes.',
+    },
+});
+
 // Optional placeholder for cache middleware
 export const cacheMiddleware = (duration) => {
     return async (req, res, next) => {
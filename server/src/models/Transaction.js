@@ -7,6 +7,15 @@ const transactionSchema = new mongoose.Schema(
 			required: true,
 			unique: true,
 		},
+		gateway: {
+			type: String,
+			enum: ['cashfree', 'instamojo', 'mock'],
+			default: 'cashfree',
+		},
+		// The gateway's own order reference (e.g. Instamojo payment_request_id) used by webhooks
+		gatewayOrderId: {
+			type: String,
+		},
 		user: {
 			fullName: {
 				type: String,
@@ -19,7 +28,6 @@ const transactionSchema = new mongoose.Schema(
 				type: String,
 				required: [true, 'Email is required'],
 				trim: true,
-				unique: true,
 				validate: {
 					validator: function (v) {
 						return /^[a-zA-Z0-9._%+-]+@[a-zA-Z0-9.-]+\.[a-zA-Z]{2,}$/.test(v);
@@ -43,7 +51,6 @@ const transactionSchema = new mongoose.Schema(
 			lpuId: {
 				type: String,
 				required: [true, 'LPU ID is required'],
-				unique: true,
 				validate: {
 					validator: function (v) {
 						return /^\d{8}$/.test(v);
@@ -79,6 +86,15 @@ const transactionSchema = new mongoose.Schema(
 			type: Number,
 			required: true,
 		},
+		// Ticket price before any coupon discount
+		originalAmount: {
+			type: Number,
+		},
+		// Coupon applied at checkout; it is redeemed only once the payment succeeds
+		coupon: {
+			code: String,
+			discount: Number,
+		},
 		status: {
 			type: String,
 			enum: ['PENDING', 'SUCCESS', 'FAILED', 'REFUNDED'],
@@ -100,10 +116,68 @@ const transactionSchema = new mongoose.Schema(
 			type: String,
 			required: true,
 		},
+		eventName: {
+			type: String,
+		},
+		currency: {
+			type: String,
+			default: 'INR',
+		},
+		// Gateway-side payment reference (e.g. Cashfree cf_payment_id)
+		gatewayPaymentId: {
+			type: String,
+		},
+		// Ticket issued for this payment (set once the payment is fulfilled)
+		ticket: {
+			type: mongoose.Schema.Types.ObjectId,
+			ref: 'Ticket',
+		},
+		// Waitlist offer this order claims
+		waitlistEntry: {
+			type: mongoose.Schema.Types.ObjectId,
+			ref: 'WaitlistEntry',
+		},
+		// Team registration to carry out once paid: a new team (name + invites) or an invite to
+		// an existing team (teamId + inviteId)
+		team: {
+			name: String,
+			invites: [{ _id: false, email: String, lpuId: String }],
+			teamId: { type: mongoose.Schema.Types.ObjectId, ref: 'Team' },
+			inviteId: mongoose.Schema.Types.ObjectId,
+		},
+		// Validated answers to the event's registration fields, copied to the ticket once paid
+		answers: {
+			type: mongoose.Schema.Types.Mixed,
+		},
+		// Set when the status moves to REFUNDED; manual refunds were paid out outside the gateway
+		refund: {
+			refundId: String,
+			amount: Number,
+			method: {
+				type: String,
+				enum: ['gateway', 'manual'],
+			},
+			status: {
+				type: String,
+				enum: ['PENDING', 'SUCCESS'],
+			},
+			reason: String,
+			// Bank/UPI reference for manual refunds
+			reference: String,
+			refundedBy: {
+				type: mongoose.Schema.Types.ObjectId,
+				ref: 'Admin',
+			},
+			refundedAt: Date,
+		},
 	},
 	{ timestamps: true }
 );
 
+// Retries and duplicate checks look up a buyer's orders per event
+transactionSchema.index({ eventId: 1, 'user.email': 1 });
+transactionSchema.index({ gateway: 1, gatewayOrderId: 1 });
+
 const Transaction = mongoose.model('Transaction', transactionSchema);
 
 export default Transaction;
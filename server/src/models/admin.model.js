@@ -1,7 +1,10 @@
 import mongoose from 'mongoose';
+import crypto from 'crypto';
 import bcrypt from 'bcryptjs';
 import jwt from 'jsonwebtoken';
 import { v4 as uuidv4 } from 'uuid';
+import { ROLE_NAMES, permissionsOf } from '../utils/permissions.js';
+import { twoFactorSchema } from './twoFactor.schema.js';
 
 const adminSchema = new mongoose.Schema(
 	{
@@ -10,10 +13,12 @@ const adminSchema = new mongoose.Schema(
 			default: () => uuidv4(),
 			unique: true,
 		},
+		// Admins sign in with their name, so no two may share one
 		fullname: {
 			type: String,
 			required: true,
 			trim: true,
+			unique: true,
 		},
 		password: {
 			type: String,
@@ -21,23 +26,75 @@ const adminSchema = new mongoose.Schema(
 			minlength: 6,
 		},
 
+		// Optional; where password reset links go. Admins sign in with their name.
+		email: {
+			type: String,
+			trim: true,
+			lowercase: true,
+			unique: true,
+			sparse: true,
+		},
+
+		// Account type, carried in tokens; what the admin may do comes from `roles`
 		role: {
 			type: String,
 			default: 'admin',
 			enum: ['admin'],
 		},
 
-		refreshToken: {
+		// Named roles (see utils/permissions.js); an admin without roles can sign in but do nothing.
+		// Left unset on admins from before roles, so scripts/assignAdminRoles.js can find them.
+		roles: {
+			type: [{ type: String, enum: ROLE_NAMES }],
+			default: undefined,
+		},
+
+		// Disabled admins can't sign in and their sessions stop working
+		status: {
 			type: String,
-			select: false,
+			enum: ['active', 'disabled'],
+			default: 'active',
+		},
+		disabledAt: Date,
+
+		// Set only on the admin created without an invite; unique, so two sign-ups racing on an
+		// empty database can't both become the first admin
+		firstAdmin: {
+			type: Boolean,
+			default: undefined,
+		},
+
+		// Super admin whose invite this admin accepted (unset for the first admin)
+		invitedBy: {
+			type: mongoose.Schema.Types.ObjectId,
+			ref: 'Admin',
+			default: null,
+		},
+
+		// Authenticator-app sign-in codes (see services/twoFactor.service.js)
+		twoFactor: {
+			type: twoFactorSchema,
+			default: () => ({}),
 		},
 
-		resetPasswordToken: String,
-		resetPasswordExpires: Date,
+		// Hash of the emailed reset token (see services/passwordReset.service.js)
+		resetPasswordToken: {
+			type: String,
+			select: false,
+		},
+		resetPasswordExpires: {
+			type: Date,
+			select: false,
+		},
 	},
 	{ timestamps: true }
 );
 
+adminSchema.index(
+	{ firstAdmin: 1 },
+	{ unique: true, partialFilterExpression: { firstAdmin: true } }
+);
+
 // Hash password before save
 adminSchema.pre('save', async function (next) {
 	if (this.isModified('password')) {
@@ -51,28 +108,37 @@ adminSchema.methods.comparePassword = async function (candidatePassword) {
 	return await bcrypt.compare(candidatePassword, this.password);
 };
 
-// Generate JWT token
-adminSchema.methods.generateAuthToken = function () {
+// Generate JWT token for a session (see services/session.service.js)
+adminSchema.methods.generateAuthToken = function (sessionId) {
 	return jwt.sign(
-		{ id: this._id, role: this.role, adminID: this.adminID },
+		{ id: this._id, role: this.role, adminID: this.adminID, sid: sessionId },
 		process.env.ACCESS_TOKEN_SECRET,
 		{ expiresIn: process.env.ACCESS_TOKEN_EXPIRY || '1d' }
 	);
 };
 
-// Generate refresh token
-adminSchema.methods.generateRefreshToken = function () {
+// Generate refresh token for a session; each one is unique, so rotation can tell them apart
+adminSchema.methods.generateRefreshToken = function (sessionId) {
 	return jwt.sign(
-		{ id: this._id, role: this.role },
+		{ id: this._id, role: this.role, sid: sessionId, jti: uuidv4() },
 		process.env.REFRESH_TOKEN_SECRET,
 		{ expiresIn: process.env.REFRESH_TOKEN_EXPIRY || '7d' }
 	);
 };
 
+// New password reset token; only its hash is stored, valid for 15 minutes
+adminSchema.methods.generateResetToken = function () {
+	const resetToken = crypto.randomBytes(32).toString('hex');
+	this.resetPasswordToken = crypto.createHash('sha256').update(resetToken).digest('hex');
+	this.resetPasswordExpires = Date.now() + 15 * 60 * 1000;
+	return resetToken;
+};
+
 // Prevent password from being returned
 adminSchema.methods.toJSON = function () {
 	const admin = this.toObject();
 	delete admin.password;
+	admin.permissions = permissionsOf(admin.roles);
 	return admin;
 };
 
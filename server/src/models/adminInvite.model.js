@@ -0,0 +1,27 @@
+import mongoose from 'mongoose';
+import { ROLE_NAMES } from '../utils/permissions.js';
+
+/**
+ * An invitation to become an admin. A super admin creates it for a role; the link carries a
+ * random token (only its hash is stored) and works once, until it expires or is revoked. The
+ * invitee picks their name and password, and the new admin gets the role.
+ */
+const adminInviteSchema = new mongoose.Schema(
+	{
+		tokenHash: { type: String, required: true, unique: true, select: false },
+		role: { type: String, enum: ROLE_NAMES, required: true },
+		// Who the invite is meant for, to tell invites apart in the list
+		name: { type: String, trim: true, maxlength: 100, default: '' },
+		createdBy: { type: mongoose.Schema.Types.ObjectId, ref: 'Admin', default: null },
+		expiresAt: { type: Date, required: true },
+		acceptedAt: { type: Date, default: null },
+		acceptedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'Admin', default: null },
+		revokedAt: { type: Date, default: null },
+		revokedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'Admin', default: null },
+	},
+	{ timestamps: true }
+);
+
+const AdminInvite = mongoose.model('AdminInvite', adminInviteSchema);
+
+export default AdminInvite;
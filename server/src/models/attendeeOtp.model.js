@@ -0,0 +1,28 @@
+import mongoose from 'mongoose';
+
+export const ATTENDEE_IDENTIFIER_TYPES = ['email', 'lpuId'];
+
+/**
+ * One-time login code for the attendee portal. Only a hash of the code is stored; MongoDB removes
+ * the document once it has expired.
+ */
+const attendeeOtpSchema = new mongoose.Schema(
+	{
+		identifierType: { type: String, enum: ATTENDEE_IDENTIFIER_TYPES, required: true },
+		// Normalized email or LPU ID the code was requested for
+		identifier: { type: String, required: true, trim: true },
+		codeHash: { type: String, required: true },
+		expiresAt: { type: Date, required: true },
+		// Wrong guesses; the code stops working at the limit
+		attempts: { type: Number, default: 0, min: 0 },
+		consumedAt: { type: Date, default: null },
+	},
+	{ timestamps: true }
+);
+
+attendeeOtpSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+attendeeOtpSchema.index({ identifierType: 1, identifier: 1, createdAt: -1 });
+
+const AttendeeOtp = mongoose.model('AttendeeOtp', attendeeOtpSchema);
+
+export default AttendeeOtp;
@@ -72,6 +72,13 @@ const couponSchema = new mongoose.Schema(
 			type: Boolean,
 			default: true,
 		},
+		// Events the coupon can be used for; empty means every event
+		events: [
+			{
+				type: mongoose.Schema.Types.ObjectId,
+				ref: 'Event',
+			},
+		],
 	},
 	{
 		timestamps: true,
@@ -98,9 +105,31 @@ couponSchema.pre('save', function (next) {
 	next();
 });
 
-// Static method for validation
-couponSchema.statics.validateCoupon = async function (code) {
-	const coupon = await this.findOne({ code });
+// Filter matching coupons usable for an event (unscoped coupons match every event)
+const eventScope = (eventId) =>
+	eventId
+		? {
+				$or: [
+					{ events: { $size: 0 } },
+					{ events: new mongoose.Types.ObjectId(String(eventId)) },
+				],
+			}
+		: {};
+
+// Whether the coupon can be used for the given event
+couponSchema.methods.appliesTo = function (eventId) {
+	if (!this.events?.length) return true;
+	return Boolean(eventId) && this.events.some((id) => String(id) === String(eventId));
+};
+
+// Ticket price after the coupon's percentage discount, rounded to the paisa
+couponSchema.methods.applyTo = function (price) {
+	return Math.round(Number(price) * (100 - this.discount)) / 100;
+};
+
+// Static method for validation (read-only: redemption happens through `redeem`)
+couponSchema.statics.validateCoupon = async function (code, { eventId } = {}) {
+	const coupon = await this.findOne({ code: String(code).toUpperCase() });
 
 	if (!coupon) {
 		throw new Error('Coupon not found');
@@ -118,22 +147,31 @@ couponSchema.statics.validateCoupon = async function (code) {
 		throw new Error('Coupon has expired');
 	}
 
-	return coupon;
-};
-
-// Method to increment usage
-couponSchema.methods.incrementUsage = async function () {
-	if (this.usageCount >= this.maxUsage) {
-		throw new Error('Coupon usage limit reached');
+	if (!coupon.appliesTo(eventId)) {
+		throw new Error('Coupon is not valid for this event');
 	}
 
-	this.usageCount += 1;
-
-	if (this.usageCount >= this.maxUsage) {
-		this.isActive = false;
-	}
+	return coupon;
+};
 
-	return this.save();
+/**
+ * Atomically use up one redemption. The usage check and the increment happen in a single
+ * update, so concurrent redemptions can never push usageCount past maxUsage.
+ *
+ * @returns {Promise<Coupon|null>} The updated coupon, or null when it is no longer usable.
+ */
+couponSchema.statics.redeem = function (code, { eventId, session } = {}) {
+	return this.findOneAndUpdate(
+		{
+			code: String(code).toUpperCase(),
+			isActive: true,
+			expiryDate: { $gt: new Date() },
+			$expr: { $lt: ['$usageCount', '$maxUsage'] },
+			...eventScope(eventId),
+		},
+		{ $inc: { usageCount: 1 } },
+		{ new: true, session }
+	);
 };
 
 const Coupon = mongoose.model('Coupon', couponSchema);
@@ -0,0 +1,65 @@
+import mongoose from 'mongoose';
+import { EMAIL_TEMPLATE_TYPES } from './emailTemplate.model.js';
+
+export const EMAIL_JOB_STATUSES = ['pending', 'sending', 'sent', 'failed', 'skipped'];
+
+// Attempts kept in a job's log; older ones are dropped
+const MAX_LOGGED_ATTEMPTS = 10;
+
+const attemptSchema = new mongoose.Schema(
+	{
+		at: { type: Date, required: true },
+		error: { type: String, default: null },
+	},
+	{ _id: false }
+);
+
+/**
+ * An outbound email waiting in (or done with) the email queue. The queue sends it with retries and
+ * exponential backoff; `ticket` links registration emails to the ticket whose emailStatus follows
+ * the job.
+ */
+const emailJobSchema = new mongoose.Schema(
+	{
+		type: { type: String, enum: EMAIL_TEMPLATE_TYPES, required: true },
+		to: { type: String, required: true, trim: true, lowercase: true },
+		// Template variables; registration emails read the current ticket instead
+		payload: { type: mongoose.Schema.Types.Mixed, default: {} },
+		ticket: { type: mongoose.Schema.Types.ObjectId, ref: 'Ticket', default: null },
+		eventId: { type: mongoose.Schema.Types.ObjectId, ref: 'Event', default: null },
+		// Reminder or change alert the email belongs to
+		notification: {
+			type: mongoose.Schema.Types.ObjectId,
+			ref: 'EventNotification',
+			default: null,
+		},
+		status: { type: String, enum: EMAIL_JOB_STATUSES, default: 'pending' },
+		attempts: { type: Number, default: 0, min: 0 },
+		maxAttempts: { type: Number, default: 5, min: 1 },
+		nextAttemptAt: { type: Date, default: Date.now },
+		// Set while a worker sends the job; a stale lock means the worker died mid-send
+		lockedAt: { type: Date, default: null },
+		lastError: { type: String, default: null },
+		attemptLog: { type: [attemptSchema], default: [] },
+		sentAt: { type: Date, default: null },
+		messageId: { type: String, default: null },
+	},
+	{ timestamps: true }
+);
+
+emailJobSchema.index({ status: 1, nextAttemptAt: 1 });
+emailJobSchema.index({ eventId: 1, status: 1 });
+emailJobSchema.index({ ticket: 1, createdAt: -1 });
+emailJobSchema.index({ notification: 1, status: 1 }, { sparse: true });
+
+// Record one attempt in the capped log
+emailJobSchema.methods.logAttempt = function (error = null) {
+	this.attemptLog.push({ at: new Date(), error });
+	if (this.attemptLog.length > MAX_LOGGED_ATTEMPTS) {
+		this.attemptLog = this.attemptLog.slice(-MAX_LOGGED_ATTEMPTS);
+	}
+};
+
+const EmailJob = mongoose.model('EmailJob', emailJobSchema);
+
+export default EmailJob;
@@ -0,0 +1,84 @@
+import mongoose from 'mongoose';
+
+// Emails that can be customised; each has a built-in default in emailTemplate.service.js
+export const EMAIL_TEMPLATE_TYPES = [
+	'registration',
+	'ticketCancellation',
+	'waitlistOffer',
+	'teamInvite',
+	'attendeeLoginCode',
+	'eventReminder',
+	'eventUpdate',
+];
+
+const brandSchema = new mongoose.Schema(
+	{
+		name: { type: String, trim: true, maxlength: 100 },
+		// Display name in the From header; the address is always MAIL_FROM
+		fromName: { type: String, trim: true, maxlength: 100 },
+		replyTo: { type: String, trim: true, lowercase: true, maxlength: 200 },
+		primaryColor: {
+			type: String,
+			trim: true,
+			match: [/^#[0-9a-fA-F]{6}$/, 'Primary color must be a hex color like #06b6d4'],
+		},
+		logoUrl: { type: String, trim: true, maxlength: 500 },
+		footer: { type: String, trim: true, maxlength: 500 },
+	},
+	{ _id: false }
+);
+
+/**
+ * A stored email template. Scope decides which emails use it: an event template wins over a fest
+ * template (for the fest's events), which wins over the default (neither set) for its type.
+ */
+const emailTemplateSchema = new mongoose.Schema(
+	{
+		name: {
+			type: String,
+			required: [true, 'Template name is required'],
+			trim: true,
+			maxlength: [100, 'Template name cannot exceed 100 characters'],
+		},
+		type: {
+			type: String,
+			enum: EMAIL_TEMPLATE_TYPES,
+			required: [true, 'Template type is required'],
+		},
+		event: { type: mongoose.Schema.Types.ObjectId, ref: 'Event', default: null },
+		fest: { type: mongoose.Schema.Types.ObjectId, ref: 'Arvantis', default: null },
+		brand: { type: brandSchema, default: () => ({}) },
+		subject: {
+			type: String,
+			required: [true, 'Subject is required'],
+			trim: true,
+			maxlength: [300, 'Subject cannot exceed 300 characters'],
+		},
+		html: {
+			type: String,
+			required: [true, 'HTML body is required'],
+			maxlength: [100000, 'HTML body is too long'],
+		},
+		// Plain-text alternative; generated from the HTML when empty
+		text: { type: String, default: '', maxlength: [20000, 'Text body is too long'] },
+		isActive: { type: Boolean, default: true },
+	},
+	{ timestamps: true }
+);
+
+// One active template per type and scope
+emailTemplateSchema.index(
+	{ type: 1, event: 1, fest: 1 },
+	{ unique: true, partialFilterExpression: { isActive: true } }
+);
+
+emailTemplateSchema.pre('validate', function (next) {
+	if (this.event && this.fest) {
+		this.invalidate('fest', 'A template is scoped to an event or a fest, not both');
+	}
+	next();
+});
+
+const EmailTemplate = mongoose.model('EmailTemplate', emailTemplateSchema);
+
+export default EmailTemplate;
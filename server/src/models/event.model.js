@@ -1,5 +1,6 @@
 import mongoose from 'mongoose';
 import aggregatePaginate from 'mongoose-aggregate-paginate-v2';
+import safeRegex from 'safe-regex2';
 
 // Sub-schema for media (posters, gallery)
 const mediaSchema = new mongoose.Schema(
@@ -88,12 +89,144 @@ const partnerSchema = new mongoose.Schema(
 		description: {
 			type: String,
 			trim: true,
-			maxlength: 500
+			maxlength: 500,
 		},
 	},
 	{ _id: false }
 );
 
+// A session of the event's agenda: a talk, workshop slot or a day of a fest
+const sessionSchema = new mongoose.Schema(
+	{
+		title: {
+			type: String,
+			required: [true, 'Session title is required'],
+			trim: true,
+			maxlength: 150,
+		},
+		description: {
+			type: String,
+			trim: true,
+			maxlength: 1000,
+		},
+		start: {
+			type: Date,
+			required: [true, 'Session start is required'],
+		},
+		end: {
+			type: Date,
+			required: [true, 'Session end is required'],
+			validate: {
+				validator: function (v) {
+					return !this.start || !v || v > this.start;
+				},
+				message: 'Session end must be after its start',
+			},
+		},
+		room: {
+			type: String,
+			trim: true,
+			maxlength: 60,
+		},
+		track: {
+			type: String,
+			trim: true,
+			maxlength: 60,
+		},
+		speakers: {
+			type: [speakerSchema],
+			default: [],
+		},
+		// Ticket holders are checked in to this session separately, for attendance
+		attendance: {
+			type: Boolean,
+			default: false,
+		},
+	},
+	{ timestamps: false }
+);
+
+export const MAX_SESSIONS = 100;
+
+export const REGISTRATION_FIELD_TYPES = ['text', 'select', 'checkbox', 'number', 'file'];
+
+// Text answers are capped before a field's pattern runs on them
+export const MAX_TEXT_ANSWER_LENGTH = 1000;
+
+/**
+ * Whether a registration field pattern compiles and can't backtrack catastrophically (nested
+ * quantifiers like `(a+)+`), since it runs on attendee input.
+ * @param {string} pattern
+ */
+export const isSafeFieldPattern = (pattern) => {
+	try {
+		new RegExp(pattern);
+	} catch {
+		return false;
+	}
+	return safeRegex(pattern);
+};
+
+export const EVENT_STATUSES = ['upcoming', 'ongoing', 'completed', 'cancelled', 'postponed'];
+export const MAX_DURATION_MINUTES = 14 * 24 * 60;
+
+// Reminder emails, in hours before the start
+export const DEFAULT_REMINDER_HOURS = [24, 1];
+export const MAX_REMINDERS = 5;
+export const MAX_REMINDER_HOURS = 14 * 24;
+
+// Extra question on the registration form. Answers are stored on the ticket under `key`.
+const registrationFieldSchema = new mongoose.Schema(
+	{
+		key: {
+			type: String,
+			required: [true, 'Field key is required'],
+			trim: true,
+			match: [
+				/^[a-z][a-z0-9_]{0,39}$/,
+				'Field key must start with a letter and use only lowercase letters, digits and _',
+			],
+		},
+		label: {
+			type: String,
+			required: [true, 'Field label is required'],
+			trim: true,
+			maxlength: 120,
+		},
+		type: {
+			type: String,
+			enum: REGISTRATION_FIELD_TYPES,
+			default: 'text',
+		},
+		required: {
+			type: Boolean,
+			default: false,
+		},
+		helpText: {
+			type: String,
+			trim: true,
+			maxlength: 250,
+		},
+		// select: allowed choices
+		options: {
+			type: [{ type: String, trim: true, maxlength: 120 }],
+			default: undefined,
+		},
+		// text: length limits; number: value limits
+		min: { type: Number },
+		max: { type: Number },
+		// text: regular expression the answer must match
+		pattern: { type: String, trim: true, maxlength: 200 },
+		// file: accepted MIME types and size limit
+		accept: {
+			type: [{ type: String, trim: true }],
+			default: undefined,
+		},
+		maxSizeMb: { type: Number, min: 0.1, max: 10 },
+	},
+	{ _id: false }
+);
+
 // --- Main Event Schema ---
 const EventSchema = new mongoose.Schema(
 	{
@@ -134,6 +267,20 @@ const EventSchema = new mongoose.Schema(
 				message: 'Event time must be in HH:MM 24-hour format.',
 			},
 		},
+		// How long the event runs; the status moves to ongoing at the start and completed at the
+		// end (2 hours when not set)
+		durationMinutes: {
+			type: Number,
+			min: [1, 'Duration must be at least 1 minute'],
+			max: [MAX_DURATION_MINUTES, 'Duration cannot exceed 14 days'],
+			default: null,
+		},
+		// Recurring event this is an occurrence of
+		series: {
+			type: mongoose.Schema.Types.ObjectId,
+			ref: 'EventSeries',
+			default: null,
+		},
 		venue: {
 			type: String,
 			required: [true, 'Venue is required'],
@@ -180,6 +327,15 @@ const EventSchema = new mongoose.Schema(
 			type: [speakerSchema],
 			default: [],
 		},
+		// Agenda, kept in start order
+		sessions: {
+			type: [sessionSchema],
+			default: [],
+			validate: {
+				validator: (v) => v.length <= MAX_SESSIONS,
+				message: `An event can have at most ${MAX_SESSIONS} sessions`,
+			},
+		},
 
 		totalSpots: {
 			type: Number,
@@ -191,6 +347,14 @@ const EventSchema = new mongoose.Schema(
 			min: [0, 'Ticket price cannot be negative'],
 			default: 0,
 		},
+		// Gateway that collects payment for paid tickets (unset = DEFAULT_PAYMENT_GATEWAY)
+		paymentGateway: {
+			type: String,
+			enum: {
+				values: ['cashfree', 'instamojo', 'mock'],
+				message: 'Payment gateway must be one of: cashfree, instamojo, mock',
+			},
+		},
 		tickets: [
 			{
 				type: mongoose.Schema.Types.ObjectId,
@@ -224,11 +388,44 @@ const EventSchema = new mongoose.Schema(
 			},
 			allowGuests: { type: Boolean, default: true },
 			capacityOverride: { type: Number, min: [0, 'Capacity cannot be negative'] },
+			// Team events (max > 1): each registration is a team of min..max people
+			teamSize: {
+				min: { type: Number, min: [1, 'Team size must be at least 1'], default: 1 },
+				max: { type: Number, min: [1, 'Team size must be at least 1'], default: 1 },
+			},
+			// Attendees may cancel their own free tickets until this many hours before the start
+			selfServiceCancel: { type: Boolean, default: true },
+			cancelCutoffHours: {
+				type: Number,
+				min: [0, 'Cancellation cutoff cannot be negative'],
+				default: 24,
+			},
+		},
+		// Emails to ticket holders: reminders this many hours before the start, and alerts when the
+		// date, time, venue or status changes
+		notifications: {
+			reminders: { type: Boolean, default: true },
+			reminderHours: {
+				type: [Number],
+				default: () => [...DEFAULT_REMINDER_HOURS],
+				validate: {
+					validator: (hours) =>
+						hours.length <= MAX_REMINDERS &&
+						hours.every((h) => h > 0 && h <= MAX_REMINDER_HOURS),
+					message: `Up to ${MAX_REMINDERS} reminders, each between 0 and ${MAX_REMINDER_HOURS} hours before the start`,
+				},
+			},
+			changeAlerts: { type: Boolean, default: true },
+		},
+		// Extra questions asked on the registration form
+		registrationFields: {
+			type: [registrationFieldSchema],
+			default: [],
 		},
 		status: {
 			type: String,
 			enum: {
-				values: ['upcoming', 'ongoing', 'completed', 'cancelled', 'postponed'],
+				values: EVENT_STATUSES,
 				message:
 					'Status must be one of: upcoming, ongoing, completed, cancelled, postponed',
 			},
@@ -249,6 +446,10 @@ EventSchema.virtual('isFree').get(function () {
 	return this.ticketPrice === 0;
 });
 
+EventSchema.virtual('isTeamEvent').get(function () {
+	return (this.registration?.teamSize?.max || 1) > 1;
+});
+
 EventSchema.virtual('effectiveCapacity').get(function () {
 	const cap = this.registration?.capacityOverride;
 	if (typeof cap === 'number' && cap > 0) return cap;
@@ -389,6 +590,7 @@ EventSchema.virtual('registrationStatus').get(function () {
 // Indexes
 EventSchema.index({ title: 'text', description: 'text', tags: 'text', category: 'text' });
 EventSchema.index({ eventDate: 1, status: 1 });
+EventSchema.index({ series: 1, eventDate: 1 }, { sparse: true });
 
 // Pre-save sanitization and validations
 EventSchema.pre('save', function (next) {
@@ -396,6 +598,10 @@ EventSchema.pre('save', function (next) {
 		this.tags = this.tags.map((tag) => tag.trim()).filter((tag) => tag.length > 0);
 	}
 
+	if (this.isModified('sessions') && this.sessions?.length > 1) {
+		this.sessions.sort((a, b) => a.start - b.start);
+	}
+
 	if (
 		this.registrationOpenDate &&
 		this.registrationCloseDate &&
@@ -414,6 +620,27 @@ EventSchema.pre('save', function (next) {
 		return next(new Error('registration.capacityOverride cannot be negative.'));
 	}
 
+	const teamSize = this.registration?.teamSize;
+	if (teamSize && (teamSize.min || 1) > (teamSize.max || 1)) {
+		return next(new Error('registration.teamSize.min cannot be greater than max.'));
+	}
+
+	if (this.isModified('registrationFields')) {
+		const keys = new Set();
+		for (const field of this.registrationFields || []) {
+			if (keys.has(field.key)) {
+				return next(new Error(`Duplicate registration field key "${field.key}".`));
+			}
+			keys.add(field.key);
+			if (field.type === 'select' && !field.options?.length) {
+				return next(new Error(`Select field "${field.key}" needs at least one option.`));
+			}
+			if (field.pattern && !isSafeFieldPattern(field.pattern)) {
+				return next(new Error(`Field "${field.key}" has an invalid or unsafe pattern.`));
+			}
+		}
+	}
+
 	// Ensure tickets belong only to events with internal registration
 	if (this.tickets && this.tickets.length > 0 && this.registration?.mode !== 'internal') {
 		return next(
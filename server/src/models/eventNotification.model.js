@@ -0,0 +1,49 @@
+import mongoose from 'mongoose';
+
+export const EVENT_NOTIFICATION_KINDS = ['reminder', 'change'];
+export const EVENT_NOTIFICATION_STATUSES = ['queueing', 'queued', 'skipped', 'failed'];
+
+const changeSchema = new mongoose.Schema(
+	{
+		field: { type: String, required: true },
+		label: { type: String, required: true },
+		from: { type: String, default: '' },
+		to: { type: String, default: '' },
+	},
+	{ _id: false }
+);
+
+/**
+ * Log of a notification sent to an event's ticket holders: a scheduled reminder or an alert about
+ * a change to the event. The emails themselves are email queue jobs that point back here.
+ *
+ * A reminder is keyed by its offset and the start it was for, so each one goes out once, and a
+ * rescheduled event gets its reminders again.
+ */
+const eventNotificationSchema = new mongoose.Schema(
+	{
+		event: { type: mongoose.Schema.Types.ObjectId, ref: 'Event', required: true },
+		kind: { type: String, enum: EVENT_NOTIFICATION_KINDS, required: true },
+		// Reminders: hours before the start, and the start they were for
+		offsetHours: { type: Number, default: null },
+		eventStart: { type: Date, default: null },
+		// Changes: what changed, formatted for the email
+		changes: { type: [changeSchema], default: [] },
+		status: { type: String, enum: EVENT_NOTIFICATION_STATUSES, default: 'queueing' },
+		// Why a reminder was skipped or queueing failed
+		note: { type: String, default: null },
+		recipients: { type: Number, default: 0, min: 0 },
+		triggeredBy: { type: mongoose.Schema.Types.ObjectId, ref: 'Admin', default: null },
+	},
+	{ timestamps: true }
+);
+
+eventNotificationSchema.index(
+	{ event: 1, offsetHours: 1, eventStart: 1 },
+	{ unique: true, partialFilterExpression: { kind: 'reminder' } }
+);
+eventNotificationSchema.index({ event: 1, createdAt: -1 });
+
+const EventNotification = mongoose.model('EventNotification', eventNotificationSchema);
+
+export default EventNotification;
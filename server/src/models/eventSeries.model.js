@@ -0,0 +1,29 @@
+import mongoose from 'mongoose';
+
+export const SERIES_FREQUENCIES = ['weekly', 'biweekly', 'custom'];
+export const MAX_SERIES_OCCURRENCES = 52;
+
+/**
+ * A recurring event: the rule its occurrences were generated from. Each occurrence is an ordinary
+ * Event pointing back here through `series`, so tickets, check-in and everything else work per
+ * occurrence. Occurrences share description, posters, partners and speakers (the same Cloudinary
+ * files), copied when they are generated or synced.
+ */
+const eventSeriesSchema = new mongoose.Schema(
+	{
+		title: { type: String, required: true, trim: true },
+		// weekly / biweekly: every 1 or 2 weeks from the first date; custom: the listed dates
+		frequency: { type: String, enum: SERIES_FREQUENCIES, required: true },
+		// weekly / biweekly: stop after this date or this many occurrences, whichever comes first
+		until: { type: Date, default: null },
+		count: { type: Number, min: 1, max: MAX_SERIES_OCCURRENCES, default: null },
+		// Dates of the occurrences as generated
+		dates: { type: [Date], default: [] },
+		createdBy: { type: mongoose.Schema.Types.ObjectId, ref: 'Admin', default: null },
+	},
+	{ timestamps: true }
+);
+
+const EventSeries = mongoose.model('EventSeries', eventSeriesSchema);
+
+export default EventSeries;
@@ -4,6 +4,7 @@ import bcrypt from 'bcryptjs';
 import crypto from 'crypto';
 import jwt from 'jsonwebtoken';
 import { v4 as uuidv4 } from 'uuid';
+import { twoFactorSchema } from './twoFactor.schema.js';
 
 const memberSchema = new mongoose.Schema(
 	{
@@ -236,11 +237,12 @@ const memberSchema = new mongoose.Schema(
 			},
 		},
 
-		refreshToken: {
-			type: String,
-			select: false,
-			default: null,
+		// Authenticator-app sign-in codes, offered to leaders (see services/twoFactor.service.js)
+		twoFactor: {
+			type: twoFactorSchema,
+			default: () => ({}),
 		},
+
 		resetPasswordToken: {
 			type: String,
 			select: false,
@@ -320,18 +322,28 @@ memberSchema.statics.findByLpuID = async function (lpuID) {
 	return this.findOne({ LpuId: lpuID }).exec();
 };
 
-memberSchema.methods.generateAuthToken = function () {
+// Tokens belong to a session (see services/session.service.js)
+memberSchema.methods.generateAuthToken = function (sessionId) {
 	return jwt.sign(
-		{ id: this._id, memberID: this.memberID, role: this.role, designation: this.designation },
+		{
+			id: this._id,
+			memberID: this.memberID,
+			role: this.role,
+			designation: this.designation,
+			sid: sessionId,
+		},
 		process.env.ACCESS_TOKEN_SECRET,
 		{ expiresIn: process.env.ACCESS_TOKEN_EXPIRY || '1d' }
 	);
 };
 
-memberSchema.methods.generateRefreshToken = function () {
-	return jwt.sign({ id: this._id, role: this.role }, process.env.REFRESH_TOKEN_SECRET, {
-		expiresIn: process.env.REFRESH_TOKEN_EXPIRY || '7d',
-	});
+// Each refresh token is unique, so rotation can tell them apart
+memberSchema.methods.generateRefreshToken = function (sessionId) {
+	return jwt.sign(
+		{ id: this._id, role: this.role, sid: sessionId, jti: uuidv4() },
+		process.env.REFRESH_TOKEN_SECRET,
+		{ expiresIn: process.env.REFRESH_TOKEN_EXPIRY || '7d' }
+	);
 };
 
 // Helper methods
@@ -0,0 +1,22 @@
+import mongoose from 'mongoose';
+
+/**
+ * A file uploaded for a registration form field that no ticket uses yet. Attendees upload files
+ * before they register, so uploads whose registration never happened are found here and removed
+ * from Cloudinary (see services/registrationForm.service.js).
+ */
+const registrationUploadSchema = new mongoose.Schema(
+	{
+		eventId: { type: mongoose.Schema.Types.ObjectId, ref: 'Event', required: true },
+		fieldKey: { type: String, required: true },
+		publicId: { type: String, required: true, unique: true },
+		resourceType: { type: String, default: 'image' },
+	},
+	{ timestamps: true }
+);
+
+registrationUploadSchema.index({ createdAt: 1 });
+
+const RegistrationUpload = mongoose.model('RegistrationUpload', registrationUploadSchema);
+
+export default RegistrationUpload;
@@ -0,0 +1,43 @@
+import mongoose from 'mongoose';
+
+// Why a session ended
+export const SESSION_END_REASONS = [
+	'logout',
+	'revoked',
+	'reuse',
+	'disabled',
+	'banned',
+	'removed',
+	'password-reset',
+	'password-change',
+];
+
+/**
+ * One signed-in device of an admin or member. Its refresh token rotates on every use; only the
+ * hash of the current one (and of the one it replaced, for a short grace period) is stored.
+ * MongoDB removes the document once the session has expired.
+ */
+const sessionSchema = new mongoose.Schema(
+	{
+		account: { type: mongoose.Schema.Types.ObjectId, required: true, refPath: 'accountModel' },
+		accountModel: { type: String, enum: ['Admin', 'Member'], required: true },
+		tokenHash: { type: String, required: true, select: false },
+		previousTokenHash: { type: String, select: false, default: null },
+		rotatedAt: { type: Date, default: null },
+		// Device details as of the last refresh, to tell sessions apart
+		userAgent: { type: String, trim: true, maxlength: 500, default: '' },
+		ip: { type: String, trim: true, maxlength: 100, default: '' },
+		lastUsedAt: { type: Date, default: Date.now },
+		expiresAt: { type: Date, required: true },
+		revokedAt: { type: Date, default: null },
+		revokedReason: { type: String, enum: [...SESSION_END_REASONS, null], default: null },
+	},
+	{ timestamps: true }
+);
+
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+sessionSchema.index({ account: 1, accountModel: 1, revokedAt: 1 });
+
+const Session = mongoose.model('Session', sessionSchema);
+
+export default Session;
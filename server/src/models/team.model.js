@@ -0,0 +1,81 @@
+import mongoose from 'mongoose';
+
+// A member invited by the leader, by email and/or LPU ID. A pending invite holds a place at the
+// event until expiresAt so the team can still complete when the event fills up.
+const teamInviteSchema = new mongoose.Schema(
+	{
+		email: {
+			type: String,
+			trim: true,
+			lowercase: true,
+		},
+		lpuId: {
+			type: String,
+			trim: true,
+		},
+		status: {
+			type: String,
+			enum: ['pending', 'joined', 'revoked'],
+			default: 'pending',
+		},
+		ticket: {
+			type: mongoose.Schema.Types.ObjectId,
+			ref: 'Ticket',
+		},
+		expiresAt: {
+			type: Date,
+			required: true,
+		},
+		joinedAt: {
+			type: Date,
+		},
+	},
+	{ timestamps: true }
+);
+
+// A team registered for a team event. The leader's ticket is created with the team; invited
+// members join with the team's code and get their own tickets.
+const teamSchema = new mongoose.Schema(
+	{
+		eventId: {
+			type: mongoose.Schema.Types.ObjectId,
+			ref: 'Event',
+			required: true,
+		},
+		name: {
+			type: String,
+			required: [true, 'Team name is required'],
+			trim: true,
+			minlength: [2, 'Team name must be at least 2 characters'],
+			maxlength: [50, 'Team name cannot exceed 50 characters'],
+		},
+		// Shared by the leader with their members; needed (with a matching invite) to join
+		code: {
+			type: String,
+			required: true,
+			unique: true,
+			uppercase: true,
+		},
+		leader: {
+			type: mongoose.Schema.Types.ObjectId,
+			ref: 'Ticket',
+			required: true,
+		},
+		invites: {
+			type: [teamInviteSchema],
+			default: [],
+		},
+	},
+	{ timestamps: true }
+);
+
+// Team names are unique per event, ignoring case
+teamSchema.index(
+	{ eventId: 1, name: 1 },
+	{ unique: true, collation: { locale: 'en', strength: 2 } }
+);
+teamSchema.index({ eventId: 1, 'invites.status': 1 });
+
+const Team = mongoose.model('Team', teamSchema);
+
+export default Team;
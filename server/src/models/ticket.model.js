@@ -3,6 +3,17 @@ import validator from 'validator';
 import { v4 as uuidv4 } from 'uuid';
 import mongooseAggregatePaginate from 'mongoose-aggregate-paginate-v2';
 
+// Check-in to one session of the event
+const sessionCheckInSchema = new mongoose.Schema(
+	{
+		session: { type: mongoose.Schema.Types.ObjectId, required: true },
+		checkedInAt: { type: Date, default: Date.now },
+		checkedInBy: { type: mongoose.Schema.Types.ObjectId, ref: 'Admin' },
+		gate: { type: String, trim: true },
+	},
+	{ _id: false }
+);
+
 const ticketSchema = new mongoose.Schema(
 	{
 		ticketId: {
@@ -90,10 +101,31 @@ const ticketSchema = new mongoose.Schema(
 			default: 'active',
 			required: true,
 		},
+		checkedInAt: {
+			type: Date,
+		},
+		checkedInBy: {
+			type: mongoose.Schema.Types.ObjectId,
+			ref: 'Admin',
+		},
+		// Scanner/gate label that admitted the ticket (set by online and synced offline check-ins)
+		checkedInGate: {
+			type: String,
+			trim: true,
+		},
+		// Attendance at the event's sessions that take it (see Event.sessions)
+		sessionCheckIns: {
+			type: [sessionCheckInSchema],
+			default: [],
+		},
 		qrCode: {
 			url: String,
 			publicId: String,
 		},
+		// Issue time of the current signed QR; codes signed before this are superseded
+		qrIssuedAt: {
+			type: Date,
+		},
 		emailStatus: {
 			type: String,
 			enum: ['sent', 'failed', 'pending'],
@@ -105,6 +137,22 @@ const ticketSchema = new mongoose.Schema(
 			currency: String,
 			method: String,
 		},
+		cancelledAt: {
+			type: Date,
+		},
+		cancellationReason: {
+			type: String,
+			trim: true,
+		},
+		// Answers to the event's registrationFields, keyed by field key
+		answers: {
+			type: mongoose.Schema.Types.Mixed,
+		},
+		// Team the attendee registered with (team events only)
+		team: {
+			type: mongoose.Schema.Types.ObjectId,
+			ref: 'Team',
+		},
 	},
 	{
 		timestamps: true, // Automatically adds createdAt and updatedAt
@@ -120,6 +168,7 @@ ticketSchema.index({ eventId: 1, lpuId: 1 }, { unique: true });
 
 // Index for querying tickets by status for a specific event
 ticketSchema.index({ eventId: 1, status: 1 });
+ticketSchema.index({ team: 1 }, { sparse: true });
 
 // --- PLUGIN ---
 ticketSchema.plugin(mongooseAggregatePaginate);
@@ -0,0 +1,46 @@
+import mongoose from 'mongoose';
+
+/**
+ * Authenticator-app (TOTP) two-factor settings, embedded as `twoFactor` in admins and members.
+ * Secrets are stored encrypted and recovery codes as hashes (see services/twoFactor.service.js);
+ * none of them is loaded unless asked for, or ever sent to clients.
+ */
+const hideSecrets = (doc, ret) => {
+	delete ret.secret;
+	delete ret.pendingSecret;
+	delete ret.recoveryCodes;
+	delete ret.lastStep;
+	delete ret.failedAttempts;
+	return ret;
+};
+
+export const twoFactorSchema = new mongoose.Schema(
+	{
+		enabled: { type: Boolean, default: false },
+		enabledAt: { type: Date, default: null },
+		secret: { type: String, select: false },
+		// Secret handed out by setup, kept until the first code from the app confirms it
+		pendingSecret: { type: String, select: false },
+		recoveryCodes: { type: [String], select: false, default: undefined },
+		// Time step of the last accepted code, so a code can't be used twice
+		lastStep: { type: Number, select: false, default: null },
+		// Wrong codes in a row; at the limit the code step locks until `lockedUntil`
+		failedAttempts: { type: Number, select: false, default: 0 },
+		lockedUntil: { type: Date, default: null },
+	},
+	{
+		_id: false,
+		id: false,
+		toJSON: { transform: hideSecrets },
+		toObject: { transform: hideSecrets },
+	}
+);
+
+// Hidden fields, for `.select()` when 2FA has to be set up or checked
+export const TWO_FACTOR_FIELDS = [
+	'+twoFactor.secret',
+	'+twoFactor.pendingSecret',
+	'+twoFactor.recoveryCodes',
+	'+twoFactor.lastStep',
+	'+twoFactor.failedAttempts',
+].join(' ');
@@ -0,0 +1,96 @@
+import mongoose from 'mongoose';
+
+// Someone queued for a full event. `position` orders the queue (admins can reorder it); when a
+// place frees up the first waiting entry is offered a claim link that expires at offerExpiresAt.
+const waitlistEntrySchema = new mongoose.Schema(
+	{
+		eventId: {
+			type: mongoose.Schema.Types.ObjectId,
+			ref: 'Event',
+			required: true,
+		},
+		fullName: {
+			type: String,
+			required: [true, 'Full name is required'],
+			trim: true,
+		},
+		email: {
+			type: String,
+			required: [true, 'Email is required'],
+			trim: true,
+			lowercase: true,
+		},
+		phone: {
+			type: String,
+			required: [true, 'Phone number is required'],
+			trim: true,
+		},
+		lpuId: {
+			type: String,
+			required: [true, 'LPU ID is required'],
+			trim: true,
+		},
+		gender: {
+			type: String,
+			required: [true, 'Gender is required'],
+			enum: ['Male', 'Female'],
+		},
+		course: {
+			type: String,
+			required: [true, 'Course is required'],
+			trim: true,
+		},
+		hosteler: {
+			type: Boolean,
+			default: false,
+		},
+		hostel: {
+			type: String,
+			trim: true,
+		},
+		club: {
+			type: String,
+			trim: true,
+		},
+		// Answers to the event's registration fields, used for the ticket when the offer is claimed
+		answers: {
+			type: mongoose.Schema.Types.Mixed,
+		},
+		position: {
+			type: Number,
+			required: true,
+		},
+		status: {
+			type: String,
+			enum: ['waiting', 'offered', 'claimed', 'expired', 'removed'],
+			default: 'waiting',
+		},
+		// sha256 of the claim token sent by email; the token itself is never stored
+		offerTokenHash: {
+			type: String,
+			select: false,
+		},
+		offeredAt: {
+			type: Date,
+		},
+		offerExpiresAt: {
+			type: Date,
+		},
+		claimedAt: {
+			type: Date,
+		},
+		ticket: {
+			type: mongoose.Schema.Types.ObjectId,
+			ref: 'Ticket',
+		},
+	},
+	{ timestamps: true }
+);
+
+waitlistEntrySchema.index({ eventId: 1, status: 1, position: 1 });
+waitlistEntrySchema.index({ offerTokenHash: 1 }, { sparse: true });
+waitlistEntrySchema.index({ status: 1, offerExpiresAt: 1 });
+
+const WaitlistEntry = mongoose.model('WaitlistEntry', waitlistEntrySchema);
+
+export default WaitlistEntry;
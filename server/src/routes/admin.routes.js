@@ -2,36 +2,95 @@ import { Router } from 'express';
 import {
 	createAdmin,
 	loginAdmin,
+	startLoginTwoFactorSetup,
+	verifyLoginTwoFactor,
 	logoutAdmin,
 	currentAdmin,
+	updateAdminEmail,
+	sendResetPasswordEmail,
+	verifyResetToken,
+	resetPassword,
 	refreshAccessToken,
+	getRoles,
+	listAdmins,
+	updateAdminRoles,
+	updateAdminStatus,
+	removeAdmin,
+	resetAdminTwoFactor,
+	createInvite,
+	listInvites,
+	revokeInvite,
+	getInvite,
+	acceptInvite,
 } from '../controllers/admin.controller.js';
 import { authMiddleware } from '../middlewares/auth.middleware.js';
 import { validate } from '../middlewares/validator.middleware.js';
-import { body } from 'express-validator';
+import { body, param } from 'express-validator';
+import { ROLE_NAMES } from '../utils/permissions.js';
+import { MAX_INVITE_HOURS } from '../services/adminInvite.service.js';
+import twoFactorRouter, { secondFactorRules, challengeRule } from './twoFactor.routes.js';
+import sessionRouter from './session.routes.js';
 
 const router = Router();
-const { protect, authorize } = authMiddleware;
+const { protect, authorize, requirePermission } = authMiddleware;
+
+// Optional when signing up; password reset links go there
+const emailRule = () =>
+	body('email').trim().toLowerCase().isEmail().withMessage('A valid email is required');
+
+const accountRules = [
+	body('fullname').trim().notEmpty().withMessage('Fullname is required'),
+	body('password').isLength({ min: 8 }).withMessage('Password must be at least 8 characters'),
+	emailRule().optional({ values: 'falsy' }),
+];
+
+// Reset tokens are 64 hex characters (see generateResetToken)
+const resetTokenRule = (field) =>
+	field.isHexadecimal().isLength({ min: 64, max: 64 }).withMessage('Invalid reset link');
+
+const inviteTokenParam = param('token')
+	.isHexadecimal()
+	.isLength({ min: 64, max: 64 })
+	.withMessage('Invalid invite link');
 
 // --- Public Admin Routes ---
 
+// Only works while there are no admins: creates the first one, a super admin
+router.post('/register', validate(accountRules), createAdmin);
+
 router.post(
-	'/register',
+	'/login',
 	validate([
 		body('fullname').notEmpty().withMessage('Fullname is required'),
 		body('password').notEmpty().withMessage('Password is required'),
 	]),
-	createAdmin
+	loginAdmin
 );
 
+// Second sign-in step for admins with 2FA (or who must set it up first)
+router.post('/login/2fa/setup', validate([challengeRule]), startLoginTwoFactorSetup);
+
+router.post('/login/2fa', validate([challengeRule, ...secondFactorRules]), verifyLoginTwoFactor);
+
+// Invite links: check one, then sign up through it
+router.get('/invite/:token', validate([inviteTokenParam]), getInvite);
+
+router.post('/invite/:token/accept', validate([inviteTokenParam, ...accountRules]), acceptInvite);
+
+// Forgotten password: a reset link goes to the admin's email
+router.post('/send-reset-email', validate([emailRule()]), sendResetPasswordEmail);
+
+router.get('/reset-password/:token', validate([resetTokenRule(param('token'))]), verifyResetToken);
+
 router.post(
-	'/login',
+	'/reset-password',
 	validate([
-		body('fullname').notEmpty().withMessage('Fullname is required'),
-		body('password').notEmpty().withMessage('Password is required'),
-		body('secret').notEmpty().withMessage('Secret is required'),
+		resetTokenRule(body('token')),
+		body('newPassword')
+			.isLength({ min: 8 })
+			.withMessage('Password must be at least 8 characters'),
 	]),
-	loginAdmin
+	resetPassword
 );
 
 // Add this new route for refreshing the admin's access token
@@ -39,11 +98,100 @@ router.post('/refresh-token', refreshAccessToken);
 
 // --- Protected Admin Routes ---
 
-// This route now uses the new 'protect' and 'authorize' middleware.
-// 'authorize('admin')' ensures only users with the 'admin' role can proceed.
+// Any signed-in admin, whatever their roles
 router.post('/logout', protect, authorize('admin'), logoutAdmin);
 
-// This route is also updated to use the new, more secure middleware chain.
 router.get('/me', protect, authorize('admin'), currentAdmin);
 
+router.put(
+	'/me/email',
+	protect,
+	authorize('admin'),
+	validate([emailRule(), body('password').notEmpty().withMessage('Password is required')]),
+	updateAdminEmail
+);
+
+// Own two-factor settings
+router.use('/2fa', protect, authorize('admin'), twoFactorRouter);
+
+// Own signed-in devices
+router.use('/sessions', protect, authorize('admin'), sessionRouter);
+
+// Role assignment (super admins)
+router.get('/roles', protect, requirePermission('admins:manage'), getRoles);
+
+router.get('/admins', protect, requirePermission('admins:manage'), listAdmins);
+
+router.put(
+	'/admins/:id/roles',
+	protect,
+	requirePermission('admins:manage'),
+	validate([
+		param('id').isMongoId().withMessage('Invalid admin ID'),
+		body('roles').isArray().withMessage('Roles must be a list'),
+		body('roles.*')
+			.isIn(ROLE_NAMES)
+			.withMessage(`Roles must be among: ${ROLE_NAMES.join(', ')}`),
+	]),
+	updateAdminRoles
+);
+
+router.patch(
+	'/admins/:id/status',
+	protect,
+	requirePermission('admins:manage'),
+	validate([
+		param('id').isMongoId().withMessage('Invalid admin ID'),
+		body('status')
+			.isIn(['active', 'disabled'])
+			.withMessage("Status must be 'active' or 'disabled'"),
+	]),
+	updateAdminStatus
+);
+
+router.delete(
+	'/admins/:id',
+	protect,
+	requirePermission('admins:manage'),
+	validate([param('id').isMongoId().withMessage('Invalid admin ID')]),
+	removeAdmin
+);
+
+router.delete(
+	'/admins/:id/2fa',
+	protect,
+	requirePermission('admins:manage'),
+	validate([param('id').isMongoId().withMessage('Invalid admin ID')]),
+	resetAdminTwoFactor
+);
+
+// Invites (super admins)
+router.get('/invites', protect, requirePermission('admins:manage'), listInvites);
+
+router.post(
+	'/invites',
+	protect,
+	requirePermission('admins:manage'),
+	validate([
+		body('role')
+			.isIn(ROLE_NAMES)
+			.withMessage(`Role must be one of: ${ROLE_NAMES.join(', ')}`),
+		body('name').optional().trim().isLength({ max: 100 }),
+		body('expiresInHours')
+			.optional({ checkFalsy: true })
+			.isInt({ min: 1, max: MAX_INVITE_HOURS })
+			.withMessage(`Expiry must be between 1 and ${MAX_INVITE_HOURS} hours`)
+			.toInt(),
+	]),
+	createInvite
+);
+
+router.delete(
+	'/invites/:id',
+	protect,
+	requirePermission('admins:manage'),
+	validate([param('id').isMongoId().withMessage('Invalid invite ID')]),
+	revokeInvite
+);
+
 export default router;
@@ -14,7 +14,7 @@ import { validate } from '../middlewares/validator.middleware.js';
 import { body, param } from 'express-validator';
 
 const router = Router();
-const { protect, authorize } = authMiddleware;
+const { protect, requirePermission } = authMiddleware;
 
 // --- Public Route ---
 
@@ -48,8 +48,8 @@ router.post(
 
 // --- Admin-Only Routes ---
 
-// All subsequent routes are protected and restricted to admins
-router.use(protect, authorize('admin'));
+// All subsequent routes are restricted to admins who review applications
+router.use(protect, requirePermission('applications:review'));
 
 // Get application statistics
 router.get('/stats', getApplicationStats);
@@ -4,6 +4,7 @@ import {
 	createFest,
 	getAllFests,
 	getFestDetails,
+	getFestCalendar,
 	updateFestDetails,
 	deleteFest,
 	addPartner,
@@ -54,7 +55,7 @@ import { validate } from '../middlewares/validator.middleware.js';
 import { body, param } from 'express-validator';
 
 const router = Router();
-const { protect, authorize } = authMiddleware;
+const { protect, requirePermission } = authMiddleware;
 
 // ----------------------------- Public Routes -----------------------------
 // Landing / summary list / public detail (public)
@@ -62,6 +63,13 @@ router.get('/landing', getLatestFest);
 
 router.get('/', getAllFests);
 
+// Calendar feed of the fest and its events
+router.get(
+	'/:identifier/calendar.ics',
+	validate([param('identifier').notEmpty().withMessage('Fest identifier is required')]),
+	getFestCalendar
+);
+
 // Public detail route - must be before admin-only middleware so it's accessible without auth
 router.get(
 	'/:identifier',
@@ -71,18 +79,22 @@ router.get(
 
 // ----------------------------- Admin Routes ------------------------------
 // Protect everything below
-router.use(protect, authorize('admin'));
+router.use(protect);
 
 // Admin exports / analytics / reports
-router.get('/export/csv', exportFestsCSV);
-router.get('/analytics/overview', getFestAnalytics);
-router.get('/statistics/overview', getFestStatistics);
+router.get('/export/csv', requirePermission('fests:read'), exportFestsCSV);
+router.get('/analytics/overview', requirePermission('fests:read'), getFestAnalytics);
+router.get('/statistics/overview', requirePermission('fests:read'), getFestStatistics);
 router.get(
 	'/reports/:identifier',
+	requirePermission('fests:read'),
 	validate([param('identifier').notEmpty().withMessage('Fest identifier is required')]),
 	generateFestReport
 );
 
+// Everything below changes fests
+router.use(requirePermission('fests:write'));
+
 // Core fest management
 router.post(
 	'/',
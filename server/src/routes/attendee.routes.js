@@ -0,0 +1,98 @@
+import { Router } from 'express';
+import {
+	sendLoginCode,
+	verifyCode,
+	getMyTickets,
+	getTicketCalendar,
+	getCalendarFeed,
+	getAttendeeCalendar,
+	updateMyTicket,
+	cancelMyTicket,
+} from '../controllers/attendee.controller.js';
+import { attendeeAuth } from '../middlewares/attendeeAuth.middleware.js';
+import { validate } from '../middlewares/validator.middleware.js';
+import { body, param } from 'express-validator';
+
+const router = Router();
+
+const identifierRule = body('identifier')
+	.isString()
+	.trim()
+	.notEmpty()
+	.withMessage('Email or LPU ID is required');
+
+// --- Sign in with a one-time code ---
+
+router.post('/login-code', validate([identifierRule]), sendLoginCode);
+
+router.post(
+	'/verify',
+	validate([
+		identifierRule,
+		body('code')
+			.isString()
+			.trim()
+			.matches(/^\d{6}$/)
+			.withMessage('The code is 6 digits'),
+	]),
+	verifyCode
+);
+
+// Calendar feed; the token in the URL stands in for the session so calendar apps can poll it
+router.get(
+	'/calendar/:token.ics',
+	validate([param('token').isJWT().withMessage('Invalid calendar feed')]),
+	getAttendeeCalendar
+);
+
+// --- Signed-in attendee ---
+
+router.use(attendeeAuth);
+
+router.get('/tickets', getMyTickets);
+
+router.get('/calendar-feed', getCalendarFeed);
+
+router.get(
+	'/tickets/:ticketId/calendar.ics',
+	validate([param('ticketId').notEmpty().withMessage('Ticket ID is required')]),
+	getTicketCalendar
+);
+
+router.patch(
+	'/tickets/:ticketId',
+	validate([
+		param('ticketId').notEmpty().withMessage('Ticket ID is required'),
+		body('fullName')
+			.optional()
+			.isString()
+			.trim()
+			.isLength({ min: 2, max: 50 })
+			.withMessage('Full name must be 2-50 characters'),
+		body('phone')
+			.optional()
+			.isString()
+			.trim()
+			.notEmpty()
+			.withMessage('Phone number is required'),
+		body('course').optional().isString().trim().notEmpty().withMessage('Course is required'),
+		body('hosteler')
+			.optional()
+			.isBoolean()
+			.withMessage('Hosteler status must be true or false'),
+		body('hostel')
+			.if(body('hosteler').equals('true'))
+			.notEmpty()
+			.withMessage('Hostel name is required for hostelers'),
+		body('answers').optional().isObject().withMessage('answers must be an object'),
+	]),
+	updateMyTicket
+);
+
+router.post(
+	'/tickets/:ticketId/cancel',
+	validate([param('ticketId').notEmpty().withMessage('Ticket ID is required')]),
+	cancelMyTicket
+);
+
+export default router;
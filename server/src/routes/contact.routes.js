@@ -13,7 +13,7 @@ import { validate } from '../middlewares/validator.middleware.js';
 import { body, param } from 'express-validator';
 
 const router = Router();
-const { protect, authorize } = authMiddleware;
+const { protect, requirePermission } = authMiddleware;
 
 // --- Public Route ---
 
@@ -32,7 +32,7 @@ router.post(
 
 // --- Admin-Only Routes ---
 
-router.use(protect, authorize('admin'));
+router.use(protect, requirePermission('contacts:manage'));
 
 // Get statistics about contacts
 router.get('/stats', getContactStats);
@@ -0,0 +1,98 @@
+import { Router } from 'express';
+import {
+	createCoupon,
+	getAllCoupons,
+	getCouponByCode,
+	updateCoupon,
+	validateCoupon,
+	redeemCoupon,
+	deleteCoupon,
+} from '../controllers/coupon.controller.js';
+import { authMiddleware } from '../middlewares/auth.middleware.js';
+import { validate } from '../middlewares/validator.middleware.js';
+import { body, param, query } from 'express-validator';
+
+const router = Router();
+const { protect, requirePermission } = authMiddleware;
+
+const codeParam = param('code')
+	.isAlphanumeric()
+	.isLength({ min: 4, max: 4 })
+	.withMessage('Coupon code must be 4 characters');
+
+const eventsBody = [
+	body('events').optional().isArray({ max: 100 }).withMessage('Events must be an array'),
+	body('events.*').isMongoId().withMessage('Invalid event ID'),
+];
+
+// --------------------- Public routes ---------------------
+
+// Check a coupon before checkout; with eventId the response includes the discounted price
+router.post(
+	'/validate',
+	validate([
+		body('code')
+			.isString()
+			.trim()
+			.toUpperCase()
+			.isLength({ min: 4, max: 4 })
+			.withMessage('Valid coupon code is required'),
+		body('eventId').optional().isMongoId().withMessage('Invalid event ID'),
+	]),
+	validateCoupon
+);
+
+// --------------------- Admin routes ---------------------
+router.use(protect, requirePermission('coupons:manage'));
+
+router.post(
+	'/',
+	validate([
+		body('discount')
+			.isInt({ min: 5, max: 100 })
+			.toInt()
+			.withMessage('Discount must be between 5% and 100%'),
+		body('expiryDate').isISO8601().withMessage('A valid expiry date is required'),
+		body('maxUsage')
+			.optional()
+			.isInt({ min: 1, max: 50 })
+			.toInt()
+			.withMessage('Usage limit must be between 1 and 50'),
+		...eventsBody,
+	]),
+	createCoupon
+);
+
+router.get(
+	'/',
+	validate([query('eventId').optional().isMongoId().withMessage('Invalid event ID')]),
+	getAllCoupons
+);
+
+router.get('/:code', validate([codeParam]), getCouponByCode);
+
+router.patch(
+	'/:code',
+	validate([
+		codeParam,
+		body('isActive').optional().isBoolean().toBoolean(),
+		body('expiryDate').optional().isISO8601().withMessage('A valid expiry date is required'),
+		body('maxUsage')
+			.optional()
+			.isInt({ min: 1, max: 50 })
+			.toInt()
+			.withMessage('Usage limit must be between 1 and 50'),
+		...eventsBody,
+	]),
+	updateCoupon
+);
+
+router.post(
+	'/:code/redeem',
+	validate([codeParam, body('eventId').optional().isMongoId().withMessage('Invalid event ID')]),
+	redeemCoupon
+);
+
+router.delete('/:code', validate([codeParam]), deleteCoupon);
+
+export default router;
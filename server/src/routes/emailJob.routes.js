@@ -0,0 +1,54 @@
+import { Router } from 'express';
+import {
+	getEmailJobs,
+	getEmailJobStats,
+	retryEmail,
+	resendFailedEmails,
+} from '../controllers/emailJob.controller.js';
+import { EMAIL_JOB_STATUSES } from '../models/emailJob.model.js';
+import { EMAIL_TEMPLATE_TYPES } from '../models/emailTemplate.model.js';
+import { authMiddleware } from '../middlewares/auth.middleware.js';
+import { validate } from '../middlewares/validator.middleware.js';
+import { body, param, query } from 'express-validator';
+
+const router = Router();
+const { protect, requirePermission } = authMiddleware;
+
+router.use(protect, requirePermission('emails:manage'));
+
+router.get(
+	'/',
+	validate([
+		query('status').optional().isIn(EMAIL_JOB_STATUSES).withMessage('Invalid status'),
+		query('type').optional().isIn(EMAIL_TEMPLATE_TYPES).withMessage('Invalid email type'),
+		query('eventId').optional().isMongoId().withMessage('Invalid event ID'),
+		query('ticket').optional().isMongoId().withMessage('Invalid ticket ID'),
+		query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
+		query('limit')
+			.optional()
+			.isInt({ min: 1, max: 100 })
+			.withMessage('Limit must be between 1 and 100'),
+	]),
+	getEmailJobs
+);
+
+router.get(
+	'/stats',
+	validate([query('eventId').optional().isMongoId().withMessage('Invalid event ID')]),
+	getEmailJobStats
+);
+
+// Bulk resend of failed ticket emails for an event
+router.post(
+	'/resend-failed',
+	validate([body('eventId').isMongoId().withMessage('A valid event ID is required')]),
+	resendFailedEmails
+);
+
+router.post(
+	'/:id/retry',
+	validate([param('id').isMongoId().withMessage('Invalid email job ID')]),
+	retryEmail
+);
+
+export default router;
@@ -0,0 +1,136 @@
+import { Router } from 'express';
+import {
+	getEmailTemplates,
+	getEmailTemplateDefaults,
+	getEmailTemplateById,
+	createEmailTemplate,
+	updateEmailTemplate,
+	deleteEmailTemplate,
+	previewEmailTemplate,
+} from '../controllers/emailTemplate.controller.js';
+import { EMAIL_TEMPLATE_TYPES } from '../models/emailTemplate.model.js';
+import { authMiddleware } from '../middlewares/auth.middleware.js';
+import { validate } from '../middlewares/validator.middleware.js';
+import { body, param, query } from 'express-validator';
+
+const router = Router();
+const { protect, requirePermission } = authMiddleware;
+
+const idParam = param('id').isMongoId().withMessage('Invalid template ID');
+
+const scopeRules = [
+	body('event').optional({ nullable: true }).isMongoId().withMessage('Invalid event ID'),
+	body('fest').optional({ nullable: true }).isMongoId().withMessage('Invalid fest ID'),
+];
+
+const brandRules = [
+	body('brand').optional().isObject().withMessage('Brand must be an object'),
+	body('brand.name').optional().isString().isLength({ max: 100 }),
+	body('brand.fromName').optional().isString().isLength({ max: 100 }),
+	body('brand.replyTo')
+		.optional({ checkFalsy: true })
+		.isEmail()
+		.withMessage('Reply-to must be an email address'),
+	body('brand.primaryColor')
+		.optional({ checkFalsy: true })
+		.matches(/^#[0-9a-fA-F]{6}$/)
+		.withMessage('Primary color must be a hex color like #06b6d4'),
+	body('brand.logoUrl').optional({ checkFalsy: true }).isURL().withMessage('Logo must be a URL'),
+	body('brand.footer').optional().isString().isLength({ max: 500 }),
+];
+
+const contentRules = (optional) => {
+	const field = (name) => (optional ? body(name).optional() : body(name));
+	return [
+		field('subject')
+			.isString()
+			.trim()
+			.isLength({ min: 1, max: 300 })
+			.withMessage('Subject is required (max 300 characters)'),
+		field('html')
+			.isString()
+			.isLength({ min: 1, max: 100000 })
+			.withMessage('HTML body is required (max 100000 characters)'),
+		body('text')
+			.optional()
+			.isString()
+			.isLength({ max: 20000 })
+			.withMessage('Text body cannot exceed 20000 characters'),
+	];
+};
+
+const typeRule = () =>
+	body('type')
+		.isIn(EMAIL_TEMPLATE_TYPES)
+		.withMessage(`Type must be one of: ${EMAIL_TEMPLATE_TYPES.join(', ')}`);
+
+router.use(protect, requirePermission('content:write'));
+
+router.get(
+	'/',
+	validate([
+		query('type').optional().isIn(EMAIL_TEMPLATE_TYPES).withMessage('Invalid template type'),
+		query('event').optional().isMongoId().withMessage('Invalid event ID'),
+		query('fest').optional().isMongoId().withMessage('Invalid fest ID'),
+	]),
+	getEmailTemplates
+);
+
+router.get('/defaults', getEmailTemplateDefaults);
+
+// Render a draft with sample values; nothing is saved or sent
+router.post(
+	'/preview',
+	validate([
+		typeRule(),
+		body('subject').optional().isString().isLength({ max: 300 }),
+		body('html').optional().isString().isLength({ max: 100000 }),
+		body('text').optional().isString().isLength({ max: 20000 }),
+		body('eventId').optional({ checkFalsy: true }).isMongoId().withMessage('Invalid event ID'),
+		body('festId').optional({ checkFalsy: true }).isMongoId().withMessage('Invalid fest ID'),
+		...brandRules,
+	]),
+	previewEmailTemplate
+);
+
+router.post(
+	'/',
+	validate([
+		body('name')
+			.isString()
+			.trim()
+			.isLength({ min: 1, max: 100 })
+			.withMessage('Template name is required (max 100 characters)'),
+		typeRule(),
+		...scopeRules,
+		...brandRules,
+		...contentRules(false),
+		body('isActive').optional().isBoolean().toBoolean(),
+	]),
+	createEmailTemplate
+);
+
+router.get('/:id', validate([idParam]), getEmailTemplateById);
+
+router.patch(
+	'/:id',
+	validate([
+		idParam,
+		body('name')
+			.optional()
+			.isString()
+			.trim()
+			.isLength({ min: 1, max: 100 })
+			.withMessage('Template name cannot be empty (max 100 characters)'),
+		typeRule().optional(),
+		...scopeRules,
+		...brandRules,
+		...contentRules(true),
+		body('isActive').optional().isBoolean().toBoolean(),
+	]),
+	updateEmailTemplate
+);
+
+router.delete('/:id', validate([idParam]), deleteEmailTemplate);
+
+export default router;
@@ -3,8 +3,12 @@ import {
 	createEvent,
 	getAllEvents,
 	getEventById,
+	getEventCalendar,
+	getUpcomingEventsCalendar,
 	getPublicEventDetails,
 	updateEventDetails,
+	getEventNotifications,
+	syncEventSeries,
 	deleteEvent,
 	addEventPoster,
 	removeEventPoster,
@@ -12,21 +16,142 @@ import {
 	removeEventPartner,
 	addEventSpeaker,
 	removeEventSpeaker,
+	addEventSession,
+	updateEventSession,
+	removeEventSession,
+	getSessionAttendance,
 	addEventResource,
 	removeEventResource,
 	addEventCoOrganizer,
 	removeEventCoOrganizer,
 	getEventStats,
 	getEventRegistrations,
+	checkRegistrationFileField,
+	uploadRegistrationFieldFile,
 } from '../controllers/event.controller.js';
 import { authMiddleware } from '../middlewares/auth.middleware.js';
 import { validate } from '../middlewares/validator.middleware.js';
 import { uploadFile } from '../middlewares/multer.middleware.js';
+import { uploadRateLimiter } from '../middlewares/rateLimit.middleware.js';
 import { body, param, query } from 'express-validator';
 import normalizeEventPayload from '../middlewares/normalizeEvent.middleware.js';
+import { PAYMENT_GATEWAYS } from '../services/paymentGateway.service.js';
+import {
+	REGISTRATION_FIELD_TYPES,
+	isSafeFieldPattern,
+	EVENT_STATUSES,
+	MAX_DURATION_MINUTES,
+	MAX_REMINDERS,
+	MAX_REMINDER_HOURS,
+} from '../models/event.model.js';
+import { SERIES_FREQUENCIES, MAX_SERIES_OCCURRENCES } from '../models/eventSeries.model.js';
 
 const router = Router();
-const { protect, authorize } = authMiddleware;
+const { protect, requirePermission } = authMiddleware;
+
+const FIELD_KEY_PATTERN = /^[a-z][a-z0-9_]{0,39}$/;
+
+// Attendee self-service cancellation (create + update)
+const cancellationRules = [
+	body('selfServiceCancel')
+		.optional()
+		.isBoolean()
+		.withMessage('selfServiceCancel must be true or false'),
+	body('cancelCutoffHours')
+		.optional({ checkFalsy: true })
+		.isInt({ min: 0, max: 720 })
+		.withMessage('Cancellation cutoff must be between 0 and 720 hours'),
+];
+
+// Extra registration form questions (create + update); the model checks the rest
+const registrationFieldRules = [
+	body('registrationFields')
+		.optional()
+		.isArray({ max: 30 })
+		.withMessage('registrationFields must be a list of at most 30 fields'),
+	body('registrationFields.*.key')
+		.isString()
+		.trim()
+		.matches(FIELD_KEY_PATTERN)
+		.withMessage('Field keys must start with a letter and use only a-z, 0-9 and _'),
+	body('registrationFields.*.label')
+		.isString()
+		.trim()
+		.notEmpty()
+		.withMessage('Field label is required'),
+	body('registrationFields.*.type')
+		.optional()
+		.isIn(REGISTRATION_FIELD_TYPES)
+		.withMessage(`Field type must be one of: ${REGISTRATION_FIELD_TYPES.join(', ')}`),
+	body('registrationFields.*.required').optional().isBoolean().toBoolean(),
+	body('registrationFields.*.options').optional().isArray({ max: 50 }),
+	body('registrationFields.*.min').optional({ nullable: true }).isFloat().toFloat(),
+	body('registrationFields.*.max').optional({ nullable: true }).isFloat().toFloat(),
+	body('registrationFields.*.pattern')
+		.optional({ checkFalsy: true })
+		.isString()
+		.isLength({ max: 200 })
+		.custom(isSafeFieldPattern)
+		.withMessage('Field pattern must be a valid regular expression without nested repetition'),
+];
+
+// Reminder and change alert settings (create + update); normalizeEventPayload builds
+// `notifications` from the flat fields
+const notificationRules = [
+	body('notifications.reminders').optional().isBoolean(),
+	body('notifications.changeAlerts').optional().isBoolean(),
+	body('notifications.reminderHours')
+		.optional()
+		.isArray({ max: MAX_REMINDERS })
+		.withMessage(`Up to ${MAX_REMINDERS} reminders`),
+	body('notifications.reminderHours.*')
+		.isFloat({ gt: 0, max: MAX_REMINDER_HOURS })
+		.withMessage(`Reminders must be between 0 and ${MAX_REMINDER_HOURS} hours before the start`)
+		.toFloat(),
+];
+
+// Recurrence of a new event series; normalizeEventPayload builds `recurrence` from the flat fields
+const recurrenceRules = [
+	body('recurrence.frequency')
+		.optional({ checkFalsy: true })
+		.isIn(SERIES_FREQUENCIES)
+		.withMessage(`Repeat must be one of: ${SERIES_FREQUENCIES.join(', ')}`),
+	body('recurrence.until')
+		.optional({ checkFalsy: true })
+		.isISO8601()
+		.withMessage('Repeat until must be a valid date')
+		.toDate(),
+	body('recurrence.count')
+		.optional({ checkFalsy: true })
+		.isInt({ min: 2, max: MAX_SERIES_OCCURRENCES })
+		.withMessage(`Occurrences must be between 2 and ${MAX_SERIES_OCCURRENCES}`)
+		.toInt(),
+	body('recurrence.dates')
+		.optional()
+		.isArray({ max: MAX_SERIES_OCCURRENCES })
+		.withMessage(`Up to ${MAX_SERIES_OCCURRENCES} dates`),
+	body('recurrence.dates.*')
+		.isISO8601()
+		.withMessage('Occurrence dates must be valid dates')
+		.custom((value) => new Date(value).getTime() > Date.now())
+		.withMessage('Occurrence dates must be in the future'),
+	body('recurrence').custom((recurrence) => {
+		if (!recurrence?.frequency) return true;
+		if (recurrence.frequency === 'custom' && !recurrence.dates?.length) {
+			throw new Error('A custom series needs its dates');
+		}
+		if (recurrence.frequency !== 'custom' && !recurrence.until && !recurrence.count) {
+			throw new Error('A weekly series needs an end date or a number of occurrences');
+		}
+		return true;
+	}),
+];
+
+// Which occurrences of a series a change or delete applies to
+const scopeRule = query('scope')
+	.optional()
+	.isIn(['this', 'future'])
+	.withMessage('Scope must be "this" or "future"');
 
 // --------------------- Public routes ---------------------
 
@@ -35,10 +160,25 @@ router.get(
 	validate([
 		query('page').optional().isInt({ min: 1 }).toInt(),
 		query('limit').optional().isInt({ min: 1 }).toInt(),
+		query('groupSeries').optional().isBoolean().toBoolean(),
+		query('status')
+			.optional()
+			.isIn(EVENT_STATUSES)
+			.withMessage(`Status must be one of: ${EVENT_STATUSES.join(', ')}`),
 	]),
 	getAllEvents
 );
 
+// Calendar feed of upcoming events — before '/:id' like the routes below
+router.get('/calendar.ics', getUpcomingEventsCalendar);
+
+// Calendar file of one event
+router.get(
+	'/:id/calendar.ics',
+	validate([param('id').isMongoId().withMessage('Invalid event ID')]),
+	getEventCalendar
+);
+
 // Public sanitized details (explicit endpoint) — place before '/:id' to avoid param collision with 'public'
 router.get(
 	'/:id/public',
@@ -53,13 +193,51 @@ router.get(
 	getEventById
 );
 
+// Upload a file answer for a registration form field; the result is sent back with the registration.
+// The event and field are checked before the file is accepted.
+router.post(
+	'/:id/registration-files/:key',
+	uploadRateLimiter,
+	validate([
+		param('id').isMongoId().withMessage('Invalid event ID'),
+		param('key').matches(FIELD_KEY_PATTERN).withMessage('Invalid field key'),
+	]),
+	checkRegistrationFileField,
+	uploadFile('file', { multiple: false }),
+	uploadRegistrationFieldFile
+);
+
 // --------------------- Admin routes ---------------------
-router.use(protect, authorize('admin'));
+router.use(protect);
 
 // Analytics & admin reports
-router.get('/admin/statistics', getEventStats);
+router.get('/admin/statistics', requirePermission('events:read'), getEventStats);
 
-router.get('/:id/registrations', validate([param('id').isMongoId()]), getEventRegistrations);
+router.get(
+	'/:id/registrations',
+	requirePermission('events:read'),
+	validate([param('id').isMongoId()]),
+	getEventRegistrations
+);
+
+// Reminder settings, upcoming reminders and the notification log
+router.get(
+	'/:id/notifications',
+	requirePermission('events:read'),
+	validate([param('id').isMongoId()]),
+	getEventNotifications
+);
+
+// Check-in counts of the sessions that take attendance
+router.get(
+	'/:id/sessions/attendance',
+	requirePermission('events:read'),
+	validate([param('id').isMongoId()]),
+	getSessionAttendance
+);
+
+// Everything below changes events
+router.use(requirePermission('events:write'));
 
 // Core event management
 router.post(
@@ -124,6 +302,10 @@ router.post(
 			})
 			.isFloat({ min: 0 })
 			.toFloat(),
+		body('paymentGateway')
+			.optional({ checkFalsy: true })
+			.isIn(PAYMENT_GATEWAYS)
+			.withMessage(`Payment gateway must be one of: ${PAYMENT_GATEWAYS.join(', ')}`),
 		body('registration.mode')
 			.optional()
 			.custom((value, { req }) => {
@@ -151,6 +333,28 @@ router.post(
 				}
 			})
 			.withMessage('registration.externalUrl must be a valid URL'),
+		body('teamMinSize')
+			.optional({ checkFalsy: true })
+			.isInt({ min: 1, max: 50 })
+			.withMessage('Minimum team size must be between 1 and 50'),
+		body('teamMaxSize')
+			.optional({ checkFalsy: true })
+			.isInt({ min: 1, max: 50 })
+			.withMessage('Maximum team size must be between 1 and 50')
+			.custom(
+				(max, { req }) =>
+					!req.body.teamMinSize || Number(max) >= Number(req.body.teamMinSize)
+			)
+			.withMessage('Maximum team size cannot be below the minimum'),
+		body('durationMinutes')
+			.optional({ checkFalsy: true })
+			.isInt({ min: 1, max: MAX_DURATION_MINUTES })
+			.withMessage(`Duration must be between 1 and ${MAX_DURATION_MINUTES} minutes`)
+			.toInt(),
+		...cancellationRules,
+		...registrationFieldRules,
+		...notificationRules,
+		...recurrenceRules,
 	]),
 	createEvent
 );
@@ -160,6 +364,7 @@ router.patch(
 	normalizeEventPayload,
 	validate([
 		param('id').isMongoId().withMessage('Invalid event ID'),
+		scopeRule,
 		body('eventDate')
 			.optional()
 			.custom((value, { req }) => {
@@ -192,19 +397,45 @@ router.patch(
 			})
 			.isArray()
 			.withMessage('Tags must be an array or a comma-separated string'),
-		body('status')
-			.optional()
-			.isIn(['upcoming', 'ongoing', 'completed', 'cancelled', 'postponed']),
+		body('status').optional().isIn(EVENT_STATUSES),
+		body('paymentGateway')
+			.optional({ checkFalsy: true })
+			.isIn(PAYMENT_GATEWAYS)
+			.withMessage(`Payment gateway must be one of: ${PAYMENT_GATEWAYS.join(', ')}`),
+		body('teamMinSize')
+			.optional({ checkFalsy: true })
+			.isInt({ min: 1, max: 50 })
+			.withMessage('Minimum team size must be between 1 and 50'),
+		body('teamMaxSize')
+			.optional({ checkFalsy: true })
+			.isInt({ min: 1, max: 50 })
+			.withMessage('Maximum team size must be between 1 and 50')
+			.custom(
+				(max, { req }) =>
+					!req.body.teamMinSize || Number(max) >= Number(req.body.teamMinSize)
+			)
+			.withMessage('Maximum team size cannot be below the minimum'),
+		body('durationMinutes')
+			.optional({ checkFalsy: true })
+			.isInt({ min: 1, max: MAX_DURATION_MINUTES })
+			.withMessage(`Duration must be between 1 and ${MAX_DURATION_MINUTES} minutes`)
+			.toInt(),
+		...cancellationRules,
+		...registrationFieldRules,
+		...notificationRules,
 	]),
 	updateEventDetails
 );
 
 router.delete(
 	'/:id',
-	validate([param('id').isMongoId().withMessage('Invalid event ID')]),
+	validate([param('id').isMongoId().withMessage('Invalid event ID'), scopeRule]),
 	deleteEvent
 );
 
+// Copy an occurrence's shared content to the later occurrences of its series
+router.post('/:id/series/sync', validate([param('id').isMongoId()]), syncEventSeries);
+
 // Poster endpoints
 router.post(
 	'/:id/posters',
@@ -256,6 +487,43 @@ router.delete(
 	removeEventSpeaker
 );
 
+// Session (agenda) endpoints (admin)
+const sessionRules = (required) => {
+	const field = (name) => (required ? body(name) : body(name).optional());
+	return [
+		param('id').isMongoId().withMessage('Invalid event ID'),
+		field('title')
+			.trim()
+			.notEmpty()
+			.withMessage('Session title is required')
+			.isLength({ max: 150 })
+			.withMessage('Session title must be at most 150 characters'),
+		body('description').optional().trim().isLength({ max: 1000 }),
+		field('start').isISO8601().withMessage('Session start must be a valid date').toDate(),
+		field('end').isISO8601().withMessage('Session end must be a valid date').toDate(),
+		body('room').optional().trim().isLength({ max: 60 }),
+		body('track').optional().trim().isLength({ max: 60 }),
+		body('speakers').optional().isArray({ max: 20 }).withMessage('Speakers must be a list'),
+		body('speakers.*.name').trim().notEmpty().withMessage('Speaker name is required'),
+		body('attendance').optional().isBoolean().toBoolean(),
+	];
+};
+
+router.post('/:id/sessions', validate(sessionRules(true)), addEventSession);
+router.patch(
+	'/:id/sessions/:sessionId',
+	validate([
+		...sessionRules(false),
+		param('sessionId').isMongoId().withMessage('Invalid session ID'),
+	]),
+	updateEventSession
+);
+router.delete(
+	'/:id/sessions/:sessionId',
+	validate([param('id').isMongoId(), param('sessionId').isMongoId()]),
+	removeEventSession
+);
+
 // Resources endpoints (admin)
 router.post(
 	'/:id/resources',
@@ -2,8 +2,13 @@ import { Router } from 'express';
 import {
 	registerMember,
 	loginMember,
+	startLoginTwoFactorSetup,
+	verifyLoginTwoFactor,
+	resetMemberTwoFactor,
 	logoutMember,
+	verifyResetToken,
 	resetPassword,
+	changePassword,
 	updateProfile,
 	updateMemberByAdmin,
 	uploadProfilePicture,
@@ -21,9 +26,19 @@ import { authMiddleware } from '../middlewares/auth.middleware.js';
 import { validate } from '../middlewares/validator.middleware.js';
 import { uploadFile } from '../middlewares/multer.middleware.js';
 import { body, param } from 'express-validator';
+import twoFactorRouter, { secondFactorRules, challengeRule } from './twoFactor.routes.js';
+import sessionRouter from './session.routes.js';
 
 const router = Router();
-const { protect, authorize } = authMiddleware;
+const { protect, authorize, requirePermission } = authMiddleware;
+
+// Reset tokens are 64 hex characters (see generateResetToken)
+const resetTokenRule = (field) =>
+	field.isHexadecimal().isLength({ min: 64, max: 64 }).withMessage('Invalid reset link');
+
+const newPasswordRule = body('newPassword')
+	.isLength({ min: 8 })
+	.withMessage('Password must be at least 8 characters');
 
 // --- Public Routes ---
 
@@ -40,6 +55,11 @@ router.post(
 	loginMember
 );
 
+// Second sign-in step for leaders with 2FA (or who must set it up first)
+router.post('/login/2fa/setup', validate([challengeRule]), startLoginTwoFactorSetup);
+
+router.post('/login/2fa', validate([challengeRule, ...secondFactorRules]), verifyLoginTwoFactor);
+
 // Send Password Reset Email
 router.post(
 	'/send-reset-email',
@@ -47,13 +67,12 @@ router.post(
 	sendResetPasswordEmail
 );
 
-// Reset Password (using a token from email would be more secure, but following existing logic)
+// Reset Password with the token from the emailed link
+router.get('/reset-password/:token', validate([resetTokenRule(param('token'))]), verifyResetToken);
+
 router.post(
 	'/reset-password',
-	validate([
-		body('LpuId').notEmpty().withMessage('LPU ID is required'),
-		body('newPassword').notEmpty().withMessage('New password is required'),
-	]),
+	validate([resetTokenRule(body('token')), newPasswordRule]),
 	resetPassword
 );
 
@@ -68,6 +87,24 @@ router.post('/logout', protect, logoutMember);
 // Get Current Member
 router.get('/me', protect, authorize('member'), getCurrentMember);
 
+// Change own password (signs out the member's other devices)
+router.post(
+	'/change-password',
+	protect,
+	authorize('member'),
+	validate([
+		body('currentPassword').notEmpty().withMessage('Current password is required'),
+		newPasswordRule,
+	]),
+	changePassword
+);
+
+// Own two-factor settings (leaders)
+router.use('/2fa', protect, authorize('member'), twoFactorRouter);
+
+// Own signed-in devices
+router.use('/sessions', protect, authorize('member'), sessionRouter);
+
 // Update own profile
 router.put(
 	'/:id/update',
@@ -130,7 +167,7 @@ router.post(
 router.post(
 	'/register',
 	protect,
-	authorize('admin'),
+	requirePermission('members:write'),
 	validate([
 		body('fullname').notEmpty().withMessage('Full name is required'),
 		body('LpuId').notEmpty().withMessage('LPU ID is required'),
@@ -144,16 +181,25 @@ router.post(
 router.put(
 	'/:id/admin',
 	protect,
-	authorize('admin'), // Only admins can use this
+	requirePermission('members:write'),
 	validate([param('id').isMongoId().withMessage('Invalid member ID')]),
 	updateMemberByAdmin
 );
 
+// Reset a member's two-factor authentication; leaders' only with admins:manage
+router.delete(
+	'/:id/2fa',
+	protect,
+	requirePermission('members:ban'),
+	validate([param('id').isMongoId().withMessage('Invalid member ID')]),
+	resetMemberTwoFactor
+);
+
 // Ban Member
 router.put(
 	'/:id/ban',
 	protect,
-	authorize('admin'),
+	requirePermission('members:ban'),
 	validate([
 		param('id').isMongoId().withMessage('Invalid member ID'),
 		body('reason').notEmpty().withMessage('Ban reason is required'),
@@ -166,7 +212,7 @@ router.put(
 router.put(
 	'/:id/remove',
 	protect,
-	authorize('admin'),
+	requirePermission('members:ban'),
 	validate([
 		param('id').isMongoId().withMessage('Invalid member ID'),
 		body('reason').notEmpty().withMessage('Remove reason is required'),
@@ -179,7 +225,7 @@ router.put(
 router.put(
 	'/:id/unban',
 	protect,
-	authorize('admin'),
+	requirePermission('members:ban'),
 	validate([param('id').isMongoId().withMessage('Invalid member ID')]),
 	unbanMember
 );
@@ -0,0 +1,120 @@
+import { Router } from 'express';
+import {
+	createOrder,
+	verifyPayment,
+	handleWebhook,
+	getTransactions,
+	refundOrder,
+} from '../controllers/payment.controller.js';
+import { authMiddleware } from '../middlewares/auth.middleware.js';
+import { validate } from '../middlewares/validator.middleware.js';
+import { body, param, query } from 'express-validator';
+import { PAYMENT_GATEWAYS } from '../services/paymentGateway.service.js';
+import { REFUND_METHODS } from '../services/refund.service.js';
+
+const router = Router();
+const { protect, requirePermission } = authMiddleware;
+
+// Create a payment order for a paid event (gateway and amount come from the event and coupon)
+router.post(
+	'/orders',
+	validate([
+		body('eventId').isMongoId().withMessage('A valid event ID is required'),
+		body('fullName').notEmpty().trim().withMessage('Full name is required'),
+		body('email').isEmail().normalizeEmail().withMessage('A valid email is required'),
+		body('phone').notEmpty().trim().withMessage('Phone number is required'),
+		body('lpuId').notEmpty().trim().withMessage('LPU ID is required'),
+		body('gender').notEmpty().withMessage('Gender is required'),
+		body('course').notEmpty().trim().withMessage('Course is required'),
+		body('hosteler').isBoolean().withMessage('Hosteler status must be true or false'),
+		body('hostel')
+			.if(body('hosteler').equals('true'))
+			.notEmpty()
+			.withMessage('Hostel name is required for hostelers'),
+		body('club').optional().isString().trim(),
+		body('couponCode')
+			.optional({ checkFalsy: true })
+			.isString()
+			.trim()
+			.toUpperCase()
+			.isLength({ min: 4, max: 4 })
+			.withMessage('Coupon code must be 4 characters'),
+		body('waitlistToken')
+			.optional()
+			.isHexadecimal()
+			.isLength({ min: 64, max: 64 })
+			.withMessage('Invalid waitlist claim link'),
+		// Team events: register a new team or join one
+		body('teamName')
+			.optional({ checkFalsy: true })
+			.isString()
+			.trim()
+			.isLength({ min: 2, max: 50 })
+			.withMessage('Team name must be 2-50 characters'),
+		body('teamInvites')
+			.optional()
+			.isArray({ max: 50 })
+			.withMessage('teamInvites must be a list of emails or LPU IDs'),
+		body('teamInvites.*').isString().trim().notEmpty(),
+		body('teamCode')
+			.optional({ checkFalsy: true })
+			.isString()
+			.trim()
+			.toUpperCase()
+			.isLength({ min: 8, max: 8 })
+			.withMessage('Team code must be 8 characters'),
+		// Answers to the event's registration fields; checked against the fields by the controller
+		body('answers').optional().isObject().withMessage('answers must be an object'),
+	]),
+	createOrder
+);
+
+// Verify an order after the buyer returns from the gateway
+router.post(
+	'/orders/:orderId/verify',
+	validate([param('orderId').notEmpty().withMessage('Order ID is required')]),
+	verifyPayment
+);
+
+// Gateway server-to-server notifications (signatures checked per gateway)
+router.post(
+	'/:gateway/webhook',
+	validate([param('gateway').isIn(PAYMENT_GATEWAYS).withMessage('Unknown payment gateway')]),
+	handleWebhook
+);
+
+// --- Admin-Only Routes ---
+
+// List orders (e.g. ?unfulfilled=true for paid orders without a ticket)
+router.get(
+	'/transactions',
+	protect,
+	requirePermission('payments:read'),
+	validate([
+		query('page').optional().isInt({ min: 1 }).toInt(),
+		query('limit').optional().isInt({ min: 1, max: 100 }).toInt(),
+		query('eventId').optional().isMongoId().withMessage('Invalid event ID'),
+		query('status').optional().isIn(['PENDING', 'SUCCESS', 'FAILED', 'REFUNDED']),
+		query('unfulfilled').optional().isBoolean(),
+	]),
+	getTransactions
+);
+
+// Refund a paid order that has no active ticket
+router.post(
+	'/orders/:orderId/refund',
+	protect,
+	requirePermission('payments:refund'),
+	validate([
+		param('orderId').notEmpty().withMessage('Order ID is required'),
+		body('method')
+			.optional()
+			.isIn(REFUND_METHODS)
+			.withMessage("Method must be 'gateway' or 'manual'"),
+		body('reason').optional().isString().trim().isLength({ max: 500 }),
+		body('reference').optional().isString().trim().isLength({ max: 100 }),
+	]),
+	refundOrder
+);
+
+export default router;
@@ -0,0 +1,26 @@
+import { Router } from 'express';
+import { param } from 'express-validator';
+import {
+	listMySessions,
+	revokeMySession,
+	revokeOtherSessions,
+} from '../controllers/session.controller.js';
+import { validate } from '../middlewares/validator.middleware.js';
+
+// Signed-in devices of the current account, mounted at `/sessions` behind `protect` by the admin
+// and member routers
+
+const router = Router();
+
+router.get('/', listMySessions);
+
+// All sessions but the current one
+router.delete('/', revokeOtherSessions);
+
+router.delete(
+	'/:id',
+	validate([param('id').isMongoId().withMessage('Invalid session ID')]),
+	revokeMySession
+);
+
+export default router;
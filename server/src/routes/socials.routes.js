@@ -11,7 +11,7 @@ import { uploadFile } from '../middlewares/multer.middleware.js';
 import { body, param } from 'express-validator';
 
 const router = Router();
-const { protect, authorize } = authMiddleware;
+const { protect, requirePermission } = authMiddleware;
 
 // --- Public Routes ---
 
@@ -27,7 +27,7 @@ router.get('/:id', validate([param('id').isMongoId().withMessage('Invalid post I
 router.post(
 	'/',
 	protect,
-	authorize('admin'),
+	requirePermission('content:write'),
 	uploadFile('media'), // Expects a field named 'media'
 	validate([
 		// Title/content are optional here (controller enforces at least one of title/content/files).
@@ -52,7 +52,7 @@ router.post(
 router.delete(
 	'/:id',
 	protect,
-	authorize('admin'),
+	requirePermission('content:write'),
 	validate([param('id').isMongoId().withMessage('Invalid post ID')]),
 	deletePost
 );
@@ -0,0 +1,45 @@
+import { Router } from 'express';
+import { getTeamByCode, getEventTeams, revokeTeamInvite } from '../controllers/team.controller.js';
+import { authMiddleware } from '../middlewares/auth.middleware.js';
+import { validate } from '../middlewares/validator.middleware.js';
+import { param, query } from 'express-validator';
+
+const router = Router();
+const { protect, requirePermission } = authMiddleware;
+
+// --------------------- Public routes ---------------------
+
+// Team behind a join code (teams are registered and joined through ticket registration)
+router.get(
+	'/code/:code',
+	validate([
+		param('code')
+			.trim()
+			.toUpperCase()
+			.isLength({ min: 8, max: 8 })
+			.withMessage('Team code must be 8 characters'),
+	]),
+	getTeamByCode
+);
+
+// --------------------- Admin routes ---------------------
+router.use(protect);
+
+router.get(
+	'/',
+	requirePermission('tickets:read'),
+	validate([query('eventId').isMongoId().withMessage('A valid event ID is required')]),
+	getEventTeams
+);
+
+router.delete(
+	'/:teamId/invites/:inviteId',
+	requirePermission('tickets:manage'),
+	validate([
+		param('teamId').isMongoId().withMessage('Invalid team ID'),
+		param('inviteId').isMongoId().withMessage('Invalid invite ID'),
+	]),
+	revokeTeamInvite
+);
+
+export default router;
@@ -2,17 +2,27 @@ import { Router } from 'express';
 import {
 	createTicket,
 	getTicketById,
+	getTicketPdf,
+	getTicketPass,
+	getTicketQr,
 	updateTicketStatus,
 	getTicketsByEvent,
 	deleteTicket,
 	checkAvailability,
+	checkInTicket,
+	getCheckInSnapshot,
+	syncOfflineCheckIns,
+	reissueTicketQR,
+	reissueLegacyTicketQRs,
+	cancelTicketWithRefund,
 } from '../controllers/ticket.controller.js';
 import { authMiddleware } from '../middlewares/auth.middleware.js';
 import { validate } from '../middlewares/validator.middleware.js';
 import { body, param } from 'express-validator';
+import { REFUND_METHODS } from '../services/refund.service.js';
 
 const router = Router();
-const { protect, authorize } = authMiddleware;
+const { protect, requirePermission } = authMiddleware;
 
 // --- Public Routes ---
 
@@ -32,6 +42,27 @@ router.post(
 			.if(body('hosteler').equals('true'))
 			.notEmpty()
 			.withMessage('Hostel name is required for hostelers'),
+		// Team events: register a new team or join one
+		body('teamName')
+			.optional({ checkFalsy: true })
+			.isString()
+			.trim()
+			.isLength({ min: 2, max: 50 })
+			.withMessage('Team name must be 2-50 characters'),
+		body('teamInvites')
+			.optional()
+			.isArray({ max: 50 })
+			.withMessage('teamInvites must be a list of emails or LPU IDs'),
+		body('teamInvites.*').isString().trim().notEmpty(),
+		body('teamCode')
+			.optional({ checkFalsy: true })
+			.isString()
+			.trim()
+			.toUpperCase()
+			.isLength({ min: 8, max: 8 })
+			.withMessage('Team code must be 8 characters'),
+		// Answers to the event's registration fields; checked against the fields by the controller
+		body('answers').optional().isObject().withMessage('answers must be an object'),
 	]),
 	createTicket
 );
@@ -54,16 +85,130 @@ router.get(
 	getTicketById
 );
 
+// Download a ticket as a PDF (signed link, see withTicketLinks)
+router.get(
+	'/:ticketId/pdf',
+	validate([param('ticketId').notEmpty().withMessage('Ticket ID is required')]),
+	getTicketPdf
+);
+
+// Download a ticket as a wallet pass (signed link)
+router.get(
+	'/:ticketId/pass',
+	validate([param('ticketId').notEmpty().withMessage('Ticket ID is required')]),
+	getTicketPass
+);
+
+// A ticket's QR code image (rendered on demand, revalidated with its ETag); needs the signed
+// link the holder or an admin was given (see withTicketLinks)
+router.get(
+	'/:ticketId/qr.png',
+	validate([param('ticketId').notEmpty().withMessage('Ticket ID is required')]),
+	getTicketQr
+);
+
 // --- Admin-Only Routes ---
 
 // Get tickets with filtering, sorting, and pagination
-router.get('/', protect, authorize('admin'), getTicketsByEvent);
+router.get('/', protect, requirePermission('tickets:read'), getTicketsByEvent);
+
+// Check in a scanned ticket (door volunteers)
+router.post(
+	'/check-in',
+	protect,
+	requirePermission('tickets:checkin'),
+	validate([
+		body('eventId').optional().isMongoId().withMessage('A valid event ID is required'),
+		body('ticketId').optional().isString().trim(),
+		body('qrData').optional().isString(),
+		body('gate').optional().isString().trim().isLength({ max: 50 }),
+		body('sessionId').optional().isMongoId().withMessage('A valid session ID is required'),
+		body().custom((value) => {
+			if (!value?.ticketId && !value?.qrData) {
+				throw new Error('Either qrData or ticketId is required');
+			}
+			return true;
+		}),
+	]),
+	checkInTicket
+);
+
+// Download a signed snapshot of an event's tickets for offline scanning
+router.get(
+	'/check-in/snapshot/:eventId',
+	protect,
+	requirePermission('tickets:checkin'),
+	validate([param('eventId').isMongoId().withMessage('A valid event ID is required')]),
+	getCheckInSnapshot
+);
+
+// Sync check-ins recorded while offline; conflicts are reported per entry
+router.post(
+	'/check-in/sync',
+	protect,
+	requirePermission('tickets:checkin'),
+	validate([
+		body('eventId').isMongoId().withMessage('A valid event ID is required'),
+		body('snapshotToken').isString().notEmpty().withMessage('Snapshot token is required'),
+		body('checkIns')
+			.isArray({ min: 1, max: 1000 })
+			.withMessage('checkIns must be a non-empty array (max 1000)'),
+		body('checkIns.*.clientId').isString().notEmpty().withMessage('clientId is required'),
+		body('checkIns.*.scannedAt').isISO8601().withMessage('scannedAt must be a valid date'),
+		body('checkIns.*.qrData').optional().isString(),
+		body('checkIns.*.ticketId').optional().isString().trim(),
+		body('checkIns.*.gate').optional().isString().trim().isLength({ max: 50 }),
+		body('checkIns.*.admit').optional().isString().isLength({ max: 64 }),
+		body('checkIns.*').custom((value) => {
+			if (!value?.ticketId && !value?.qrData) {
+				throw new Error('Each check-in needs qrData or ticketId');
+			}
+			return true;
+		}),
+	]),
+	syncOfflineCheckIns
+);
+
+// Re-issue signed QR codes for an event's legacy (unsigned) tickets
+router.post(
+	'/reissue-qr',
+	protect,
+	requirePermission('tickets:manage'),
+	validate([body('eventId').isMongoId().withMessage('A valid event ID is required')]),
+	reissueLegacyTicketQRs
+);
+
+// Re-issue the QR code of a single ticket (invalidates the previous code)
+router.post(
+	'/:ticketId/reissue-qr',
+	protect,
+	requirePermission('tickets:manage'),
+	validate([param('ticketId').notEmpty().withMessage('Ticket ID is required')]),
+	reissueTicketQR
+);
+
+// Cancel a ticket and optionally refund its payment (gateway or manual), then email the attendee
+router.post(
+	'/:ticketId/cancel',
+	protect,
+	requirePermission('tickets:manage'),
+	validate([
+		param('ticketId').notEmpty().withMessage('Ticket ID is required'),
+		body('refund')
+			.optional()
+			.isIn([...REFUND_METHODS, 'none'])
+			.withMessage("Refund must be one of: 'gateway', 'manual', 'none'"),
+		body('reason').optional().isString().trim().isLength({ max: 500 }),
+		body('reference').optional().isString().trim().isLength({ max: 100 }),
+	]),
+	cancelTicketWithRefund
+);
 
 // Update ticket status
 router.patch(
 	'/:ticketId/status',
 	protect,
-	authorize('admin'),
+	requirePermission('tickets:manage'),
 	validate([
 		param('ticketId').notEmpty().withMessage('Ticket ID is required'),
 		body('status')
@@ -77,7 +222,7 @@ router.patch(
 router.delete(
 	'/:ticketId',
 	protect,
-	authorize('admin'),
+	requirePermission('tickets:manage'),
 	validate([param('ticketId').notEmpty().withMessage('Ticket ID is required')]),
 	deleteTicket
 );
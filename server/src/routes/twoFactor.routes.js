@@ -0,0 +1,49 @@
+import { Router } from 'express';
+import {
+	getTwoFactor,
+	setupTwoFactor,
+	enableTwoFactor,
+	disableTwoFactor,
+	newRecoveryCodes,
+} from '../controllers/twoFactor.controller.js';
+import { validate } from '../middlewares/validator.middleware.js';
+import { body } from 'express-validator';
+
+// Two-factor settings of the signed-in account, mounted at `/2fa` behind `protect` by the admin
+// and member routers
+
+const router = Router();
+
+const codeRule = () =>
+	body('code')
+		.trim()
+		.matches(/^\d{6}$/)
+		.withMessage('Enter the 6-digit code from your authenticator app');
+
+// A code from the app, or one of the recovery codes
+export const secondFactorRules = [
+	body('code').custom((value, { req }) => {
+		if (!value && !req.body?.recoveryCode) {
+			throw new Error('A code from your authenticator app or a recovery code is required');
+		}
+		return true;
+	}),
+	codeRule().optional(),
+	body('recoveryCode').optional().trim().isLength({ min: 10, max: 20 }),
+];
+
+export const challengeRule = body('challengeToken')
+	.notEmpty()
+	.withMessage('Sign-in challenge is required');
+
+router.get('/', getTwoFactor);
+
+router.post('/setup', setupTwoFactor);
+
+router.post('/enable', validate([codeRule()]), enableTwoFactor);
+
+router.post('/disable', validate(secondFactorRules), disableTwoFactor);
+
+router.post('/recovery-codes', validate([codeRule()]), newRecoveryCodes);
+
+export default router;
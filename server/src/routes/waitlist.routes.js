@@ -0,0 +1,84 @@
+import { Router } from 'express';
+import {
+	joinEventWaitlist,
+	getWaitlistOffer,
+	claimOffer,
+	getEventWaitlist,
+	reorderWaitlist,
+	removeWaitlistEntry,
+	offerWaitlistSpots,
+} from '../controllers/waitlist.controller.js';
+import { authMiddleware } from '../middlewares/auth.middleware.js';
+import { validate } from '../middlewares/validator.middleware.js';
+import { body, param } from 'express-validator';
+
+const router = Router();
+const { protect, requirePermission } = authMiddleware;
+
+const tokenParam = param('token')
+	.isHexadecimal()
+	.isLength({ min: 64, max: 64 })
+	.withMessage('Invalid claim link');
+const eventIdParam = param('eventId').isMongoId().withMessage('A valid event ID is required');
+
+// --------------------- Public routes ---------------------
+
+// Join the waitlist of a full event (same attendee fields as registration)
+router.post(
+	'/',
+	validate([
+		body('eventId').isMongoId().withMessage('A valid event ID is required'),
+		body('fullName').notEmpty().trim().withMessage('Full name is required'),
+		body('email').isEmail().normalizeEmail().withMessage('A valid email is required'),
+		body('phone').notEmpty().trim().withMessage('Phone number is required'),
+		body('lpuId').notEmpty().trim().withMessage('LPU ID is required'),
+		body('gender').isIn(['Male', 'Female']).withMessage('Gender is required'),
+		body('course').notEmpty().trim().withMessage('Course is required'),
+		body('hosteler').isBoolean().withMessage('Hosteler status must be true or false'),
+		body('hostel')
+			.if(body('hosteler').equals('true'))
+			.notEmpty()
+			.withMessage('Hostel name is required for hostelers'),
+		body('club').optional().isString().trim(),
+		body('answers').optional().isObject().withMessage('answers must be an object'),
+	]),
+	joinEventWaitlist
+);
+
+// Claim links from offer emails
+router.get('/claim/:token', validate([tokenParam]), getWaitlistOffer);
+router.post('/claim/:token', validate([tokenParam]), claimOffer);
+
+// --------------------- Admin routes ---------------------
+router.use(protect);
+
+router.get(
+	'/event/:eventId',
+	requirePermission('tickets:read'),
+	validate([eventIdParam]),
+	getEventWaitlist
+);
+
+router.use(requirePermission('tickets:manage'));
+
+router.put(
+	'/event/:eventId/order',
+	validate([
+		eventIdParam,
+		body('entryIds')
+			.isArray({ min: 1, max: 1000 })
+			.withMessage('entryIds must be a non-empty array'),
+		body('entryIds.*').isMongoId().withMessage('Invalid waitlist entry ID'),
+	]),
+	reorderWaitlist
+);
+
+router.post('/event/:eventId/offer', validate([eventIdParam]), offerWaitlistSpots);
+
+router.delete(
+	'/:entryId',
+	validate([param('entryId').isMongoId().withMessage('Invalid waitlist entry ID')]),
+	removeWaitlistEntry
+);
+
+export default router;
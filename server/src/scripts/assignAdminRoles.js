@@ -0,0 +1,40 @@
+/**
+ * Give admins created before roles existed a role, so they keep working once permissions are
+ * enforced. Admins without roles can sign in but do nothing.
+ *
+ * By default they become super admins, as they could do everything before; with `--role=<name>`
+ * they get that role instead (promote the real super admins from the admin dashboard afterwards).
+ * Admins that already have roles, even none, are left alone.
+ *
+ * Usage: npm run migrate:admin-roles -- [--dry-run] [--role=<name>]
+ */
+import connectDB, { closeDB } from '../database/index.js';
+import Admin from '../models/admin.model.js';
+import { ROLE_NAMES } from '../utils/permissions.js';
+
+const args = process.argv.slice(2);
+const dryRun = args.includes('--dry-run');
+const role =
+	args.find((arg) => arg.startsWith('--role='))?.slice('--role='.length) || 'super-admin';
+
+const run = async () => {
+	if (!ROLE_NAMES.includes(role)) {
+		throw new Error(`Unknown role "${role}". Roles: ${ROLE_NAMES.join(', ')}`);
+	}
+	await connectDB();
+
+	const filter = { roles: { $exists: false } };
+	const admins = await Admin.find(filter).select('fullname').lean();
+	if (!dryRun && admins.length) {
+		await Admin.updateMany(filter, { $set: { roles: [role] } });
+	}
+	for (const admin of admins) console.log(`  ${admin.fullname}`);
+	console.log(`${dryRun ? 'Would give' : 'Gave'} ${admins.length} admin(s) the ${role} role.`);
+};
+
+run()
+	.catch((err) => {
+		console.error('Admin role migration failed:', err?.message || err);
+		process.exitCode = 1;
+	})
+	.finally(closeDB);
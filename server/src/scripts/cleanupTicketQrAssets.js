@@ -0,0 +1,104 @@
+/**
+ * Remove ticket QR images from Cloudinary now that QR codes are rendered on demand.
+ *
+ * By default only assets under `tickets/qr-codes` that no ticket references any more (deleted
+ * tickets, superseded codes whose cleanup failed) are deleted. With `--all`, tickets that still
+ * point at an uploaded image are first moved to the QR endpoint and their images deleted too;
+ * QR images in emails sent before the move stop loading, the QR code itself stays valid.
+ *
+ * Usage: npm run migrate:qr-assets -- [--dry-run] [--all]
+ */
+import { v2 as cloudinary } from 'cloudinary';
+import connectDB, { closeDB } from '../database/index.js';
+import Ticket from '../models/ticket.model.js';
+import { checkCloudinaryConnection } from '../utils/cloudinary.js';
+import { ticketQrUrl } from '../services/qrcode.service.js';
+
+const QR_FOLDER = 'tickets/qr-codes';
+// Cloudinary's limits for one listing page and one bulk delete
+const PAGE_SIZE = 500;
+const DELETE_BATCH = 100;
+
+const args = new Set(process.argv.slice(2));
+const dryRun = args.has('--dry-run');
+const migrateAll = args.has('--all');
+
+// Point tickets with an uploaded QR image at the QR endpoint; their images become unreferenced
+const moveTicketsToEndpoint = async () => {
+	const cursor = Ticket.find({ 'qrCode.publicId': { $exists: true, $ne: null } })
+		.select('ticketId qrIssuedAt createdAt')
+		.cursor();
+	let moved = 0;
+	for await (const ticket of cursor) {
+		if (!dryRun) {
+			await Ticket.updateOne(
+				{ _id: ticket._id },
+				{ $set: { 'qrCode.url': ticketQrUrl(ticket) }, $unset: { 'qrCode.publicId': '' } }
+			);
+		}
+		moved += 1;
+	}
+	return moved;
+};
+
+const deleteAssets = async (publicIds) => {
+	for (let i = 0; i < publicIds.length; i += DELETE_BATCH) {
+		await cloudinary.api.delete_resources(publicIds.slice(i, i + DELETE_BATCH), {
+			resource_type: 'image',
+		});
+	}
+};
+
+// Walk the QR folder page by page, deleting the assets no ticket references
+const removeOrphanedAssets = async () => {
+	const summary = { scanned: 0, kept: 0, deleted: 0 };
+	let nextCursor;
+	do {
+		const page = await cloudinary.api.resources({
+			type: 'upload',
+			resource_type: 'image',
+			prefix: `${QR_FOLDER}/`,
+			max_results: PAGE_SIZE,
+			next_cursor: nextCursor,
+		});
+		const publicIds = (page.resources || []).map((resource) => resource.public_id);
+		// After --all no ticket references an upload (in a dry run, none would)
+		const referenced = new Set(
+			migrateAll
+				? []
+				: await Ticket.distinct('qrCode.publicId', {
+						'qrCode.publicId': { $in: publicIds },
+					})
+		);
+		const orphaned = publicIds.filter((publicId) => !referenced.has(publicId));
+
+		if (!dryRun) await deleteAssets(orphaned);
+		summary.scanned += publicIds.length;
+		summary.kept += referenced.size;
+		summary.deleted += orphaned.length;
+		nextCursor = page.next_cursor;
+	} while (nextCursor);
+	return summary;
+};
+
+const run = async () => {
+	await connectDB();
+	await checkCloudinaryConnection();
+
+	if (migrateAll) {
+		const moved = await moveTicketsToEndpoint();
+		console.log(`${dryRun ? 'Would move' : 'Moved'} ${moved} ticket(s) to the QR endpoint.`);
+	}
+	const { scanned, kept, deleted } = await removeOrphanedAssets();
+	console.log(
+		`Scanned ${scanned} QR image(s) in ${QR_FOLDER}: ${kept} still in use, ` +
+			`${deleted} ${dryRun ? 'would be deleted' : 'deleted'}.`
+	);
+};
+
+run()
+	.catch((err) => {
+		console.error('QR asset cleanup failed:', err?.message || err);
+		process.exitCode = 1;
+	})
+	.finally(closeDB);
@@ -3,6 +3,11 @@ import colors from 'colors';
 import connectDB, { closeDB } from './database/index.js';
 import { checkCloudinaryConnection } from './utils/cloudinary.js';
 import { createRateLimiter } from './middlewares/rateLimit.middleware.js';
+import { startWaitlistSweep } from './services/waitlist.service.js';
+import { startReminderScheduler } from './services/eventNotification.service.js';
+import { startEventStatusSweep } from './services/eventStatus.service.js';
+import { startEmailQueue } from './services/emailQueue.service.js';
+import { startRegistrationUploadSweep } from './services/registrationForm.service.js';
 import app from './app.js';
 
 // --- Initialization ---
@@ -15,6 +20,7 @@ const requiredEnvVars = [
 	'MONGODB_URI',
 	'NODE_ENV',
 	'ACCESS_TOKEN_SECRET',
+	'TICKET_QR_SECRET',
 	'CLOUDINARY_CLOUD_NAME',
 	'CLOUDINARY_API_KEY',
 	'CLOUDINARY_API_SECRET',
@@ -25,9 +31,18 @@ for (const key of requiredEnvVars) {
 		process.exit(1);
 	}
 }
+if (process.env.TICKET_QR_SECRET === process.env.ACCESS_TOKEN_SECRET) {
+	console.error('❌ TICKET_QR_SECRET must differ from ACCESS_TOKEN_SECRET'.red.bold);
+	process.exit(1);
+}
 
 const PORT = process.env.PORT || 8000;
 let server;
+let waitlistSweep;
+let emailQueue;
+let eventReminders;
+let eventStatuses;
+let registrationUploads;
 let isShuttingDown = false;
 
 // --- Graceful Shutdown Logic ---
@@ -45,6 +60,12 @@ const gracefulShutdown = async (signal, error) => {
 		console.error(error.stack?.grey);
 	}
 
+	clearInterval(waitlistSweep);
+	clearInterval(emailQueue);
+	clearInterval(eventReminders);
+	clearInterval(eventStatuses);
+	clearInterval(registrationUploads);
+
 	// 1. Close the HTTP server to stop accepting new connections
 	if (server) {
 		server.close(async () => {
@@ -115,6 +136,21 @@ const startServer = async () => {
 			);
 		});
 
+		// 5. Expire unclaimed waitlist offers and pass their places on
+		waitlistSweep = startWaitlistSweep();
+
+		// 6. Send queued emails and retry failed ones
+		emailQueue = startEmailQueue();
+
+		// 7. Remind ticket holders of upcoming events
+		eventReminders = startReminderScheduler();
+
+		// 8. Move events to ongoing and completed as their times pass
+		eventStatuses = startEventStatusSweep();
+
+		// 9. Remove registration form uploads that no registration used
+		registrationUploads = startRegistrationUploadSweep();
+
 		// --- Process Event Listeners for graceful shutdown ---
 		process.on('SIGTERM', () => gracefulShutdown('SIGTERM'));
 		process.on('SIGINT', () => gracefulShutdown('SIGINT'));
@@ -0,0 +1,127 @@
+import crypto from 'crypto';
+import Admin from '../models/admin.model.js';
+import AdminInvite from '../models/adminInvite.model.js';
+import { ApiError } from '../utils/ApiError.js';
+
+// How long an invite link works unless the inviter picks another duration
+const DEFAULT_INVITE_HOURS = Number(process.env.ADMIN_INVITE_HOURS) || 72;
+export const MAX_INVITE_HOURS = 30 * 24;
+
+const hashToken = (token) => crypto.createHash('sha256').update(String(token)).digest('hex');
+
+const getInviteUrl = (token) => {
+	const base =
+		process.env.ADMIN_INVITE_URL ||
+		`${process.env.FRONTEND_URL || 'http://localhost:5173'}/admin/invite`;
+	return `${base}/${token}`;
+};
+
+/**
+ * Turn a duplicate key error from saving an admin into a 409 naming the taken field. The unique
+ * indexes are what keep names and emails unique; checks before saving only give a quicker answer.
+ * @throws {ApiError|Error} always; other errors are rethrown unchanged.
+ */
+export const conflictOnDuplicateAdmin = (err) => {
+	if (err?.code === 11000 && err.keyValue) {
+		if ('fullname' in err.keyValue) {
+			throw ApiError.Conflict('An admin with this name already exists. Pick another name.');
+		}
+		if ('email' in err.keyValue) {
+			throw ApiError.Conflict('Another admin already uses this email.');
+		}
+	}
+	throw err;
+};
+
+/**
+ * Where an invite stands: 'pending' until it is accepted, revoked or expires.
+ * @returns {'pending'|'accepted'|'revoked'|'expired'}
+ */
+export const inviteStatus = (invite, now = new Date()) => {
+	if (invite.acceptedAt) return 'accepted';
+	if (invite.revokedAt) return 'revoked';
+	if (invite.expiresAt <= now) return 'expired';
+	return 'pending';
+};
+
+/**
+ * Invite someone to become an admin with `role`. The token is returned once, inside the link;
+ * only its hash is stored.
+ *
+ * @param {{ role: string, name?: string, expiresInHours?: number, adminId?: string }} options
+ * @returns {Promise<{ invite: AdminInvite, inviteUrl: string }>}
+ */
+export const createAdminInvite = async ({ role, name = '', expiresInHours, adminId = null }) => {
+	const token = crypto.randomBytes(32).toString('hex');
+	const hours = Math.min(expiresInHours || DEFAULT_INVITE_HOURS, MAX_INVITE_HOURS);
+	const invite = await AdminInvite.create({
+		tokenHash: hashToken(token),
+		role,
+		name,
+		createdBy: adminId,
+		expiresAt: new Date(Date.now() + hours * 60 * 60 * 1000),
+	});
+	return { invite, inviteUrl: getInviteUrl(token) };
+};
+
+const usableInviteFilter = (token, now = new Date()) => ({
+	tokenHash: hashToken(token),
+	acceptedAt: null,
+	revokedAt: null,
+	expiresAt: { $gt: now },
+});
+
+/**
+ * The invite behind a link, if it can still be accepted.
+ * @throws {ApiError} 404 when the link is unknown, used, revoked or expired.
+ */
+export const findUsableInvite = async (token) => {
+	const invite = await AdminInvite.findOne(usableInviteFilter(token));
+	if (!invite) throw ApiError.NotFound('This invite link is invalid, used or expired.');
+	return invite;
+};
+
+/**
+ * Create the invitee's admin account and use up the invite. The invite is claimed first, so the
+ * same link cannot create two accounts; if the account can't be created the claim is undone.
+ *
+ * @param {string} token
+ * @param {{ fullname: string, password: string, email?: string }} details
+ * @returns {Promise<Admin>}
+ * @throws {ApiError} 404 for a link that can't be used, 409 when the name or email is taken.
+ */
+export const acceptAdminInvite = async (token, { fullname, password, email }) => {
+	await findUsableInvite(token);
+	if (await Admin.exists({ fullname })) {
+		throw ApiError.Conflict('An admin with this name already exists. Pick another name.');
+	}
+	if (email && (await Admin.exists({ email }))) {
+		throw ApiError.Conflict('Another admin already uses this email.');
+	}
+
+	const now = new Date();
+	const invite = await AdminInvite.findOneAndUpdate(
+		usableInviteFilter(token, now),
+		{ $set: { acceptedAt: now } },
+		{ new: true }
+	);
+	if (!invite) throw ApiError.NotFound('This invite link is invalid, used or expired.');
+
+	let admin;
+	try {
+		admin = await Admin.create({
+			fullname,
+			password,
+			email: email || undefined,
+			roles: [invite.role],
+			invitedBy: invite.createdBy,
+		});
+	} catch (err) {
+		await AdminInvite.updateOne({ _id: invite._id }, { $set: { acceptedAt: null } });
+		conflictOnDuplicateAdmin(err);
+	}
+
+	invite.acceptedBy = admin._id;
+	await invite.save();
+	return admin;
+};
@@ -0,0 +1,219 @@
+import crypto from 'crypto';
+import jwt from 'jsonwebtoken';
+import validator from 'validator';
+import AttendeeOtp from '../models/attendeeOtp.model.js';
+import Ticket from '../models/ticket.model.js';
+import Transaction from '../models/Transaction.js';
+import { ApiError } from '../utils/ApiError.js';
+import { getEventStart } from '../utils/ical.js';
+import { sendTemplatedEmail } from './email.service.js';
+
+const CODE_TTL_MINUTES = 10;
+const MAX_CODE_ATTEMPTS = 5;
+// Codes one identifier can request per window
+const MAX_CODES_PER_WINDOW = 3;
+const CODE_WINDOW_MS = 15 * 60 * 1000;
+const TOKEN_AUDIENCE = 'attendee-portal';
+const FEED_AUDIENCE = 'attendee-calendar';
+
+const tokenSecret = () => process.env.ATTENDEE_TOKEN_SECRET || process.env.ACCESS_TOKEN_SECRET;
+
+export const getPortalUrl = () =>
+	process.env.ATTENDEE_PORTAL_URL ||
+	`${process.env.FRONTEND_URL || 'http://localhost:5173'}/my-tickets`;
+
+const hashCode = ({ identifierType, identifier }, code) =>
+	crypto
+		.createHmac('sha256', tokenSecret())
+		.update(`${identifierType}:${identifier}:${code}`)
+		.digest('hex');
+
+/**
+ * Read an email or LPU ID typed by an attendee. Emails are normalized like at registration so the
+ * same address finds the same tickets.
+ * @returns {{ identifierType: 'email'|'lpuId', identifier: string }}
+ */
+export const parseIdentifier = (raw) => {
+	const value = String(raw || '').trim();
+	if (value.includes('@')) {
+		const email = validator.isEmail(value) && validator.normalizeEmail(value);
+		if (!email) throw ApiError.BadRequest('Enter a valid email address or LPU ID.');
+		return { identifierType: 'email', identifier: email };
+	}
+	if (!/^\d{7,8}$/.test(value)) {
+		throw ApiError.BadRequest('Enter a valid email address or LPU ID.');
+	}
+	return { identifierType: 'lpuId', identifier: value };
+};
+
+// Ticket filter for everything registered under the identifier
+export const attendeeTicketFilter = ({ identifierType, identifier }) => ({
+	[identifierType]: identifier,
+});
+
+/**
+ * Email a one-time login code for the identifier. Nothing tells the caller whether tickets exist;
+ * the code is only sent when they do, to the email(s) on those tickets.
+ * @throws {ApiError} 429 when too many codes were requested recently.
+ */
+export const requestLoginCode = async (rawIdentifier) => {
+	const who = parseIdentifier(rawIdentifier);
+
+	const recent = await AttendeeOtp.countDocuments({
+		...who,
+		createdAt: { $gt: new Date(Date.now() - CODE_WINDOW_MS) },
+	});
+	if (recent >= MAX_CODES_PER_WINDOW) {
+		throw new ApiError(429, 'Too many codes requested. Please try again in a few minutes.');
+	}
+
+	const code = String(crypto.randomInt(0, 1000000)).padStart(6, '0');
+	// Earlier codes stop working once a new one is issued
+	await AttendeeOtp.updateMany(
+		{ ...who, consumedAt: null },
+		{ $set: { consumedAt: new Date() } }
+	);
+	await AttendeeOtp.create({
+		...who,
+		codeHash: hashCode(who, code),
+		expiresAt: new Date(Date.now() + CODE_TTL_MINUTES * 60 * 1000),
+	});
+
+	const emails = await Ticket.distinct('email', attendeeTicketFilter(who));
+	// Sent directly rather than through the email queue so the code is never stored
+	for (const email of emails) {
+		try {
+			await sendTemplatedEmail('attendeeLoginCode', email, {
+				code,
+				expiresInMinutes: CODE_TTL_MINUTES,
+				portalUrl: getPortalUrl(),
+			});
+		} catch (err) {
+			console.error('Failed to send attendee login code', err?.message || err);
+			throw ApiError.InternalServerError('Could not send the login code. Please try again.');
+		}
+	}
+};
+
+/**
+ * Check a login code and open a portal session for the identifier.
+ * @returns {{ token: string, expiresAt: Date }}
+ * @throws {ApiError} 400 when the code is wrong, expired or used up.
+ */
+export const verifyLoginCode = async (rawIdentifier, code) => {
+	const who = parseIdentifier(rawIdentifier);
+	const otp = await AttendeeOtp.findOne({
+		...who,
+		consumedAt: null,
+		expiresAt: { $gt: new Date() },
+	}).sort({ createdAt: -1 });
+
+	if (!otp) throw ApiError.BadRequest('The code has expired. Please request a new one.');
+
+	// Count the attempt before comparing, so parallel guesses can't get past the limit
+	const counted = await AttendeeOtp.findOneAndUpdate(
+		{ _id: otp._id, attempts: { $lt: MAX_CODE_ATTEMPTS } },
+		{ $inc: { attempts: 1 } },
+		{ new: true }
+	);
+	if (!counted) {
+		throw ApiError.BadRequest('Too many wrong attempts. Please request a new code.');
+	}
+
+	const expected = Buffer.from(counted.codeHash, 'hex');
+	const given = Buffer.from(hashCode(who, String(code).trim()), 'hex');
+	if (!crypto.timingSafeEqual(expected, given)) {
+		throw ApiError.BadRequest('Incorrect code.');
+	}
+
+	// Single use, even when two requests race with the same code
+	const consumed = await AttendeeOtp.findOneAndUpdate(
+		{ _id: otp._id, consumedAt: null },
+		{ $set: { consumedAt: new Date() } }
+	);
+	if (!consumed) throw ApiError.BadRequest('This code has already been used.');
+
+	const token = jwt.sign(who, tokenSecret(), {
+		audience: TOKEN_AUDIENCE,
+		expiresIn: process.env.ATTENDEE_SESSION_EXPIRY || '2h',
+	});
+	return { token, expiresAt: new Date(jwt.decode(token).exp * 1000) };
+};
+
+/**
+ * Identifier of a portal session token.
+ * @throws {ApiError} 401 when the token is invalid or expired.
+ */
+export const verifyAttendeeToken = (token) => {
+	try {
+		const { identifierType, identifier } = jwt.verify(token, tokenSecret(), {
+			audience: TOKEN_AUDIENCE,
+		});
+		return { identifierType, identifier };
+	} catch (err) {
+		if (err.name === 'TokenExpiredError') {
+			throw ApiError.Unauthorized('Your session has expired. Please sign in again.');
+		}
+		throw ApiError.Unauthorized('Invalid session. Please sign in again.');
+	}
+};
+
+/**
+ * Token for the attendee's calendar feed URL. Calendar apps poll the feed without signing in, so
+ * the token does not expire; it stops working when ATTENDEE_TOKEN_SECRET changes.
+ */
+export const createCalendarFeedToken = ({ identifierType, identifier }) =>
+	jwt.sign({ identifierType, identifier }, tokenSecret(), { audience: FEED_AUDIENCE });
+
+/**
+ * Identifier of a calendar feed token.
+ * @throws {ApiError} 404 when the token is invalid.
+ */
+export const verifyCalendarFeedToken = (token) => {
+	try {
+		const { identifierType, identifier } = jwt.verify(token, tokenSecret(), {
+			audience: FEED_AUDIENCE,
+		});
+		return { identifierType, identifier };
+	} catch {
+		throw ApiError.NotFound('Calendar feed not found.');
+	}
+};
+
+// Hours before the start after which attendees can no longer cancel
+const cancelCutoffMs = (event) => (event.registration?.cancelCutoffHours ?? 24) * 60 * 60 * 1000;
+
+/**
+ * What the attendee may still do with a ticket. `event` is the ticket's (populated) event.
+ * @returns {{ canEdit: boolean, canCancel: boolean, cancelBefore: Date|null, cancelBlockedReason: string|null }}
+ */
+export const getTicketPermissions = (ticket, event, { paid = false } = {}) => {
+	const start = getEventStart(event);
+	const now = Date.now();
+	const upcoming = ticket.status === 'active' && start && start.getTime() > now;
+	const cancelBefore = start ? new Date(start.getTime() - cancelCutoffMs(event)) : null;
+
+	let cancelBlockedReason = null;
+	if (!upcoming) cancelBlockedReason = 'This ticket can no longer be cancelled.';
+	else if (event.registration?.selfServiceCancel === false) {
+		cancelBlockedReason = 'Contact the organizers to cancel this ticket.';
+	} else if (paid) {
+		cancelBlockedReason = 'Paid tickets are cancelled by the organizers; please contact them.';
+	} else if (ticket.team) {
+		cancelBlockedReason = 'Team registrations are cancelled by the organizers.';
+	} else if (cancelBefore.getTime() <= now) {
+		cancelBlockedReason = 'The cancellation window for this event has closed.';
+	}
+
+	return {
+		canEdit: Boolean(upcoming),
+		canCancel: !cancelBlockedReason,
+		cancelBefore,
+		cancelBlockedReason,
+	};
+};
+
+// Whether money was taken for the ticket
+export const isPaidTicket = async (ticket) =>
+	Number(ticket.paymentDetails?.amount) > 0 ||
+	Boolean(await Transaction.exists({ ticket: ticket._id, amount: { $gt: 0 } }));
@@ -0,0 +1,131 @@
+import Event from '../models/event.model.js';
+import { buildCalendar, getEventStart, getEventEnd, googleCalendarUrl } from '../utils/ical.js';
+
+// Event fields calendar entries are built from
+export const EVENT_CALENDAR_FIELDS =
+	'title description eventDate eventTime durationMinutes sessions.end venue room status';
+
+// Subscribed feeds ask calendar apps to poll this often
+const FEED_REFRESH_HOURS = 6;
+// Upcoming feed: events from this far back stay listed, so today's events don't drop out
+const UPCOMING_GRACE_MS = 24 * 60 * 60 * 1000;
+const MAX_FEED_EVENTS = 500;
+const MAX_DESCRIPTION_LENGTH = 1000;
+
+const frontendUrl = () => process.env.FRONTEND_URL || 'http://localhost:5173';
+const apiUrl = () => (process.env.API_PUBLIC_URL || '').replace(/\/+$/, '');
+
+export const eventPageUrl = (event) => `${frontendUrl()}/events/${event._id}`;
+
+// Public .ics URL of a single event
+export const eventCalendarUrl = (event) => `${apiUrl()}/api/v1/events/${event._id}/calendar.ics`;
+
+const location = (event) => [event.venue, event.room].filter(Boolean).join(', ');
+
+const summarize = (text) => {
+	const value = String(text || '').trim();
+	return value.length > MAX_DESCRIPTION_LENGTH
+		? `${value.slice(0, MAX_DESCRIPTION_LENGTH - 1)}…`
+		: value;
+};
+
+/**
+ * Calendar entry of an event. The UID is the event's, so re-importing or re-fetching a feed updates
+ * the entry instead of duplicating it.
+ * @returns {import('../utils/ical.js').CalendarEntry|null} null when the event has no date.
+ */
+export const eventCalendarEntry = (event) => {
+	const start = getEventStart(event);
+	if (!start) return null;
+	const url = eventPageUrl(event);
+	return {
+		uid: `event-${event._id}@syntax-club`,
+		start,
+		end: getEventEnd(event),
+		title: event.title,
+		description: [summarize(event.description), url].filter(Boolean).join('\n\n'),
+		location: location(event),
+		url,
+		cancelled: event.status === 'cancelled',
+	};
+};
+
+/**
+ * Calendar entry of a ticket's event. The UID is the ticket's, so the attendee's feed and the
+ * ticket's own .ics file update the same entry, and a cancelled ticket shows as cancelled.
+ */
+export const ticketCalendarEntry = (ticket, event) => ({
+	uid: `${ticket.ticketId}@syntax-club`,
+	start: getEventStart(event),
+	end: getEventEnd(event),
+	title: event.title,
+	description: `Ticket ${ticket.ticketId}\n\n${eventPageUrl(event)}`,
+	location: location(event),
+	url: eventPageUrl(event),
+	cancelled: ticket.status === 'cancelled' || event.status === 'cancelled',
+});
+
+// Add-to-calendar links of an event, for pages and emails
+export const eventCalendarLinks = (event) => {
+	const entry = eventCalendarEntry(event);
+	return entry
+		? { icsUrl: eventCalendarUrl(event), googleCalendarUrl: googleCalendarUrl(entry) }
+		: { icsUrl: null, googleCalendarUrl: null };
+};
+
+const feedEntries = (events) => events.map(eventCalendarEntry).filter(Boolean);
+
+// .ics document of a single event
+export const buildEventCalendar = (event) => buildCalendar(feedEntries([event]));
+
+// Feed of upcoming events (recent and cancelled ones included, so subscribers see the change)
+export const buildUpcomingEventsCalendar = async () => {
+	const events = await Event.find({
+		eventDate: { $gte: new Date(Date.now() - UPCOMING_GRACE_MS) },
+	})
+		.select(EVENT_CALENDAR_FIELDS)
+		.sort({ eventDate: 1 })
+		.limit(MAX_FEED_EVENTS)
+		.lean();
+	return buildCalendar(feedEntries(events), {
+		name: 'Syntax events',
+		refreshHours: FEED_REFRESH_HOURS,
+	});
+};
+
+// Feed of a fest: the fest itself as an all-day entry, then its events
+export const buildFestCalendar = async (fest) => {
+	const events = await Event.find({ _id: { $in: fest.events || [] } })
+		.select(EVENT_CALENDAR_FIELDS)
+		.sort({ eventDate: 1 })
+		.lean();
+	const name = `${fest.name || 'Arvantis'} ${fest.year || ''}`.trim();
+	const festEntry = fest.startDate && {
+		uid: `fest-${fest._id}@syntax-club`,
+		start: fest.startDate,
+		end: fest.endDate || fest.startDate,
+		allDay: true,
+		title: name,
+		description: [fest.tagline, summarize(fest.description)].filter(Boolean).join('\n\n'),
+		location: fest.location,
+		url: `${frontendUrl()}/arvantis`,
+		cancelled: fest.status === 'cancelled',
+	};
+	return buildCalendar([...(festEntry ? [festEntry] : []), ...feedEntries(events)], {
+		name,
+		refreshHours: FEED_REFRESH_HOURS,
+	});
+};
+
+// Feed of the events an attendee holds tickets for; `tickets` have their event populated
+export const buildAttendeeCalendar = (tickets) =>
+	buildCalendar(
+		tickets
+			.filter((ticket) => ticket.eventId?.title && getEventStart(ticket.eventId))
+			.map((ticket) => ticketCalendarEntry(ticket, ticket.eventId)),
+		{ name: 'My Syntax tickets', refreshHours: FEED_REFRESH_HOURS }
+	);
+
+// Feed URL for an attendee's calendar feed token
+export const attendeeCalendarFeedUrl = (token) =>
+	`${apiUrl()}/api/v1/attendee/calendar/${token}.ics`;
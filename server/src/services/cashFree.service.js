@@ -1,25 +1,31 @@
 import axios from 'axios';
+import crypto from 'crypto';
 import { config } from 'dotenv';
-config()
+import { v4 as uuidv4 } from 'uuid';
+import { ApiError } from '../utils/ApiError.js';
+config();
 
 const CASHFREE_BASE_URL = process.env.CASHFREE_BASE_URL || 'https://api.cashfree.com';
 const CASHFREE_APP_ID = process.env.CASHFREE_APP_ID || 'your_cashfree_app_id';
 const CASHFREE_SECRET_KEY = process.env.CASHFREE_SECRET_KEY || 'your_cashfree_secret_key';
+const CASHFREE_API_VERSION = '2022-09-01';
+
+// Reject webhooks whose timestamp is older than this (replay protection)
+const WEBHOOK_MAX_AGE_MS = 10 * 60 * 1000;
+
+const cashfreeHeaders = () => ({
+	'x-api-version': CASHFREE_API_VERSION,
+	'Content-Type': 'application/json',
+	accept: 'application/json',
+	'x-client-id': CASHFREE_APP_ID,
+	'x-client-secret': CASHFREE_SECRET_KEY,
+});
+
 async function createCashfreeOrder(orderDetails) {
 	try {
-		const response = await axios.post(
-			`${CASHFREE_BASE_URL}/orders`,
-			orderDetails,
-			{
-				headers: {
-					'x-api-version': '2022-09-01',
-					'Content-Type': 'application/json',
-					'accept': 'application/json',
-					'x-client-id': CASHFREE_APP_ID,
-					'x-client-secret': CASHFREE_SECRET_KEY,
-				},
-			}
-		);
+		const response = await axios.post(`${CASHFREE_BASE_URL}/orders`, orderDetails, {
+			headers: cashfreeHeaders(),
+		});
 
 		return response.data;
 	} catch (err) {
@@ -31,4 +37,173 @@ async function createCashfreeOrder(orderDetails) {
 	}
 }
 
+// Fetch an order (order_status: ACTIVE | PAID | EXPIRED | TERMINATED ...)
+export async function fetchCashfreeOrder(orderId) {
+	const response = await axios.get(`${CASHFREE_BASE_URL}/orders/${encodeURIComponent(orderId)}`, {
+		headers: cashfreeHeaders(),
+	});
+	return response.data;
+}
+
+// Fetch the payment attempts of an order; used to pick up the successful payment id
+export async function fetchCashfreeOrderPayments(orderId) {
+	const response = await axios.get(
+		`${CASHFREE_BASE_URL}/orders/${encodeURIComponent(orderId)}/payments`,
+		{ headers: cashfreeHeaders() }
+	);
+	return Array.isArray(response.data) ? response.data : [];
+}
+
+/**
+ * Verify a Cashfree webhook: signature = base64(HMAC-SHA256(timestamp + rawBody, secretKey)).
+ * `rawBody` must be the exact bytes received, not the re-serialized JSON.
+ */
+export function verifyCashfreeWebhookSignature({ rawBody, timestamp, signature }) {
+	// Never fall back to the placeholder key: that would let anyone forge webhooks
+	if (!process.env.CASHFREE_SECRET_KEY || !rawBody || !timestamp || !signature) return false;
+
+	const sentAt = Number(timestamp);
+	if (!Number.isFinite(sentAt) || Math.abs(Date.now() - sentAt) > WEBHOOK_MAX_AGE_MS) {
+		return false;
+	}
+
+	const expected = crypto
+		.createHmac('sha256', CASHFREE_SECRET_KEY)
+		.update(String(timestamp) + rawBody.toString('utf8'))
+		.digest('base64');
+
+	const a = Buffer.from(expected);
+	const b = Buffer.from(String(signature));
+	return a.length === b.length && crypto.timingSafeEqual(a, b);
+}
+
+// Refund a paid order (full or partial)
+export async function createCashfreeRefund(orderId, { amount, refundId, note }) {
+	const response = await axios.post(
+		`${CASHFREE_BASE_URL}/orders/${encodeURIComponent(orderId)}/refunds`,
+		{ refund_amount: amount, refund_id: refundId, refund_note: note },
+		{ headers: cashfreeHeaders() }
+	);
+	return response.data;
+}
+
+// Fetch one refund of an order by the refund_id we gave it
+export async function fetchCashfreeRefund(orderId, refundId) {
+	const response = await axios.get(
+		`${CASHFREE_BASE_URL}/orders/${encodeURIComponent(orderId)}/refunds/${encodeURIComponent(refundId)}`,
+		{ headers: cashfreeHeaders() }
+	);
+	return response.data;
+}
+
+const toRefundResult = (refund) => ({
+	refundId: String(refund.cf_refund_id || refund.refund_id),
+	status: refund.refund_status === 'SUCCESS' ? 'SUCCESS' : 'PENDING',
+});
+
+/** @type {import('./paymentGateway.service.js').PaymentGateway} */
+export const cashfreeGateway = {
+	name: 'cashfree',
+
+	isEnabled: () => Boolean(process.env.CASHFREE_APP_ID && process.env.CASHFREE_SECRET_KEY),
+
+	async createOrder({ orderId, amount, currency, description, customer }) {
+		const order = await createCashfreeOrder({
+			order_id: orderId,
+			order_amount: amount,
+			order_currency: currency,
+			customer_details: {
+				customer_id: uuidv4(),
+				customer_name: customer.name,
+				customer_email: customer.email,
+				customer_phone: customer.phone,
+			},
+			order_meta: {
+				return_url: `${process.env.CASHFREE_RETURN_URL}?order_id=${orderId}`,
+				notify_url: process.env.CASHFREE_NOTIFY_URL,
+				payment_methods: 'upi',
+			},
+			order_note: description,
+			order_expiry_time: new Date(Date.now() + 30 * 60 * 1000).toISOString(),
+		});
+		if (!order?.payment_session_id) {
+			throw new Error('Cashfree did not return a payment session');
+		}
+		return {
+			gatewayOrderId: String(order.cf_order_id || orderId),
+			checkout: { type: 'cashfree', paymentSessionId: order.payment_session_id },
+		};
+	},
+
+	async verifyOrder({ orderId }) {
+		const order = await fetchCashfreeOrder(orderId);
+		if (order.order_status === 'PAID') {
+			const payments = await fetchCashfreeOrderPayments(orderId).catch(() => []);
+			const paid = payments.find((p) => p.payment_status === 'SUCCESS');
+			return {
+				status: 'PAID',
+				amount: Number(paid?.payment_amount ?? order.order_amount),
+				paymentId: String(paid?.cf_payment_id ?? order.cf_order_id ?? ''),
+			};
+		}
+		if (['EXPIRED', 'TERMINATED'].includes(order.order_status)) {
+			return { status: 'FAILED', reason: `Order ${order.order_status}` };
+		}
+		return { status: 'PENDING' };
+	},
+
+	async parseWebhook(req) {
+		const valid = verifyCashfreeWebhookSignature({
+			rawBody: req.rawBody,
+			timestamp: req.get('x-webhook-timestamp'),
+			signature: req.get('x-webhook-signature'),
+		});
+		if (!valid) {
+			throw ApiError.Unauthorized('Invalid webhook signature.');
+		}
+
+		const order = req.body?.data?.order || {};
+		const payment = req.body?.data?.payment || {};
+		if (!order.order_id) return null;
+
+		if (payment.payment_status === 'SUCCESS') {
+			return {
+				orderId: order.order_id,
+				status: 'PAID',
+				amount: Number(payment.payment_amount),
+				paymentId: String(payment.cf_payment_id ?? ''),
+			};
+		}
+		if (['FAILED', 'USER_DROPPED'].includes(payment.payment_status)) {
+			return {
+				orderId: order.order_id,
+				status: 'FAILED',
+				reason: payment.payment_message || payment.payment_status,
+			};
+		}
+		return null;
+	},
+
+	async refund({ orderId, refundId, amount, reason }) {
+		let refund;
+		try {
+			refund = await createCashfreeRefund(orderId, { amount, refundId, note: reason });
+		} catch (err) {
+			// Cashfree already has this refund from an earlier attempt: read it back
+			if (err.response?.status !== 409) throw err;
+			refund = await fetchCashfreeRefund(orderId, refundId);
+		}
+		return toRefundResult(refund);
+	},
+
+	async findRefund({ orderId, refundId }) {
+		try {
+			return toRefundResult(await fetchCashfreeRefund(orderId, refundId));
+		} catch (err) {
+			if (err.response?.status === 404) return null;
+			throw err;
+		}
+	},
+};
+
 export default createCashfreeOrder;
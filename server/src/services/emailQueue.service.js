@@ -0,0 +1,381 @@
+import EmailJob from '../models/emailJob.model.js';
+import Event from '../models/event.model.js';
+import Ticket from '../models/ticket.model.js';
+import { getTicketQrImage, issueTicketQR } from './qrcode.service.js';
+import { sendTemplatedEmail } from './email.service.js';
+import { renderTicketPdf, ticketPdfFilename } from './ticketPdf.service.js';
+
+const POLL_INTERVAL_MS = 15 * 1000;
+const BATCH_SIZE = 20;
+// A job still 'sending' after this was abandoned by a crashed worker
+const STALE_LOCK_MS = 10 * 60 * 1000;
+const MAX_BACKOFF_MS = 6 * 60 * 60 * 1000;
+const REDIS_KEY = 'email-queue:due';
+
+const maxAttempts = () => Number(process.env.EMAIL_MAX_ATTEMPTS) || 5;
+const baseDelayMs = () => (Number(process.env.EMAIL_RETRY_BASE_SECONDS) || 30) * 1000;
+
+// 30s, 1m, 2m, 4m, ... capped at 6h
+const backoffMs = (attempts) => Math.min(baseDelayMs() * 2 ** (attempts - 1), MAX_BACKOFF_MS);
+
+// Thrown when a job no longer needs sending (e.g. its ticket was cancelled)
+class SkipEmail extends Error {}
+
+/**
+ * Where due jobs are picked from. Jobs always live in MongoDB; with EMAIL_QUEUE_BACKEND=redis a
+ * sorted set of due times decides which worker gets a job, so several servers can share the queue
+ * without polling the collection.
+ *
+ * @typedef {Object} QueueScheduler
+ * @property {string} name
+ * @property {(job: EmailJob) => Promise<void>} schedule Make a pending job due at nextAttemptAt.
+ * @property {() => Promise<EmailJob|null|false>} claimNext Lock the next due job: the job, null
+ *   when another worker won it, or false when nothing is due.
+ * @property {() => Promise<void>} recover Re-schedule pending jobs after a restart.
+ */
+
+const lockJob = (filter, options = {}) =>
+	EmailJob.findOneAndUpdate(
+		filter,
+		{ $set: { status: 'sending', lockedAt: new Date() } },
+		{ new: true, ...options }
+	);
+
+/** @type {QueueScheduler} */
+const mongoScheduler = {
+	name: 'mongo',
+	// nextAttemptAt on the job is the schedule
+	schedule: async () => {},
+	claimNext: async () =>
+		(await lockJob(
+			{ status: 'pending', nextAttemptAt: { $lte: new Date() } },
+			{ sort: { nextAttemptAt: 1 } }
+		)) || false,
+	recover: async () => {},
+};
+
+/** @returns {QueueScheduler} */
+const createRedisScheduler = () => {
+	let client;
+	const redis = async () => {
+		if (!client) {
+			const { default: Redis } = await import('ioredis');
+			client = new Redis(process.env.EMAIL_QUEUE_REDIS_URL || process.env.REDIS_URL);
+		}
+		return client;
+	};
+
+	return {
+		name: 'redis',
+		schedule: async (job) => {
+			await (await redis()).zadd(REDIS_KEY, job.nextAttemptAt.getTime(), String(job._id));
+		},
+		claimNext: async () => {
+			const r = await redis();
+			const [id] = await r.zrangebyscore(REDIS_KEY, '-inf', Date.now(), 'LIMIT', 0, 1);
+			if (!id) return false;
+			// Only the worker whose ZREM succeeds owns the job
+			if (!(await r.zrem(REDIS_KEY, id))) return null;
+			return lockJob({ _id: id, status: 'pending' });
+		},
+		// Redis may have lost the set (restart without persistence); MongoDB has the truth
+		recover: async () => {
+			const pending = await EmailJob.find({ status: 'pending' })
+				.select('nextAttemptAt')
+				.lean();
+			if (!pending.length) return;
+			const r = await redis();
+			await r.zadd(
+				REDIS_KEY,
+				'NX',
+				...pending.flatMap((job) => [job.nextAttemptAt.getTime(), String(job._id)])
+			);
+		},
+	};
+};
+
+let scheduler;
+const getScheduler = () => {
+	if (!scheduler) {
+		scheduler =
+			process.env.EMAIL_QUEUE_BACKEND === 'redis' ? createRedisScheduler() : mongoScheduler;
+	}
+	return scheduler;
+};
+
+// Content-ID of the inline QR image in registration emails
+const QR_CONTENT_ID = 'ticket-qr';
+
+// The PDF ticket attached to registration emails; the email still goes out without it if
+// rendering fails
+const ticketPdfAttachment = async (ticket) => {
+	try {
+		const event = await Event.findById(ticket.eventId)
+			.select('title eventDate eventTime venue room')
+			.lean();
+		return {
+			filename: ticketPdfFilename(ticket),
+			content: await renderTicketPdf(ticket, event),
+			contentType: 'application/pdf',
+		};
+	} catch (err) {
+		console.error(`PDF ticket for ${ticket.ticketId} failed:`, err?.message || err);
+		return null;
+	}
+};
+
+// Recipient, template variables and attachments of a job. Registration emails are built from the
+// ticket as it is now, so a re-issued QR code is the one that gets sent, with the PDF ticket.
+const buildEmail = async (job) => {
+	if (job.type !== 'registration' || !job.ticket) {
+		return { to: job.to, vars: job.payload || {} };
+	}
+
+	const ticket = await Ticket.findById(job.ticket);
+	if (!ticket) throw new SkipEmail('Ticket no longer exists');
+	if (ticket.status === 'cancelled') throw new SkipEmail('Ticket was cancelled');
+
+	// No signed QR code was issued at registration; issue it with the email
+	if (!ticket.qrIssuedAt) {
+		issueTicketQR(ticket);
+		await ticket.save();
+	}
+
+	// The QR image travels inline with the email, so it shows without loading remote images
+	const { png } = await getTicketQrImage(ticket);
+	const qr = {
+		filename: 'ticket-qr.png',
+		content: png,
+		contentType: 'image/png',
+		cid: QR_CONTENT_ID,
+	};
+	const pdf = await ticketPdfAttachment(ticket);
+	return {
+		to: ticket.email,
+		vars: {
+			eventId: ticket.eventId,
+			eventName: ticket.eventName,
+			name: ticket.fullName,
+			ticketId: ticket.ticketId,
+			qrUrl: `cid:${QR_CONTENT_ID}`,
+			answers: ticket.answers,
+			pdfAttached: Boolean(pdf),
+		},
+		attachments: pdf ? [qr, pdf] : [qr],
+	};
+};
+
+const runJob = async (job) => {
+	job.attempts += 1;
+	let ticketStatus = null;
+	try {
+		const { to, vars, attachments } = await buildEmail(job);
+		const { messageId } = await sendTemplatedEmail(job.type, to, vars, { attachments });
+		job.status = 'sent';
+		job.sentAt = new Date();
+		job.messageId = messageId || null;
+		job.lastError = null;
+		job.logAttempt();
+		ticketStatus = 'sent';
+	} catch (err) {
+		const message = err?.message || String(err);
+		job.lastError = message;
+		job.logAttempt(message);
+		if (err instanceof SkipEmail) {
+			job.status = 'skipped';
+		} else if (job.attempts >= job.maxAttempts) {
+			job.status = 'failed';
+			ticketStatus = 'failed';
+			console.error(`Email job ${job._id} (${job.type} to ${job.to}) failed:`, message);
+		} else {
+			job.status = 'pending';
+			job.nextAttemptAt = new Date(Date.now() + backoffMs(job.attempts));
+		}
+	}
+	job.lockedAt = null;
+	await job.save();
+
+	if (job.status === 'pending') await getScheduler().schedule(job);
+	if (job.ticket && ticketStatus) {
+		await Ticket.updateOne({ _id: job.ticket }, { $set: { emailStatus: ticketStatus } });
+	}
+};
+
+// Put jobs abandoned mid-send back in the queue
+const releaseStaleJobs = async () => {
+	const stale = await EmailJob.find({
+		status: 'sending',
+		lockedAt: { $lt: new Date(Date.now() - STALE_LOCK_MS) },
+	});
+	for (const job of stale) {
+		job.status = 'pending';
+		job.lockedAt = null;
+		job.nextAttemptAt = new Date();
+		await job.save();
+		await getScheduler().schedule(job);
+	}
+};
+
+let running = false;
+let runAgain = false;
+
+/**
+ * Send the jobs that are due, up to a batch at a time. Calls while a run is in progress make it
+ * go round again instead of starting a second run.
+ * @returns {Promise<number>} Jobs processed.
+ */
+export const processEmailQueue = async () => {
+	if (running) {
+		runAgain = true;
+		return 0;
+	}
+	running = true;
+	let processed = 0;
+	try {
+		do {
+			runAgain = false;
+			await releaseStaleJobs();
+			let i = 0;
+			for (; i < BATCH_SIZE; i++) {
+				const job = await getScheduler().claimNext();
+				if (job === false) break;
+				if (!job) continue;
+				await runJob(job);
+				processed += 1;
+			}
+			// A full batch means more may be due
+			if (i === BATCH_SIZE) runAgain = true;
+		} while (runAgain);
+	} finally {
+		running = false;
+	}
+	return processed;
+};
+
+const kick = () => {
+	setImmediate(() =>
+		processEmailQueue().catch((err) =>
+			console.error('Email queue run failed:', err?.message || err)
+		)
+	);
+};
+
+/**
+ * Queue an email; it is sent right away in the background and retried with exponential backoff
+ * until it goes through or EMAIL_MAX_ATTEMPTS is reached.
+ *
+ * @param {string} type Template type (see EMAIL_TEMPLATE_TYPES).
+ * @param {string} to
+ * @param {Object} vars Template variables, as for the send* functions of email.service.
+ * @param {{ ticket?: string }} [options] With `ticket`, a registration email is built from the
+ *   ticket when sent and the ticket's emailStatus follows the job.
+ * @returns {Promise<EmailJob>}
+ */
+export const queueEmail = async (type, to, vars = {}, { ticket = null } = {}) => {
+	const job = await EmailJob.create({
+		type,
+		to,
+		// Stored as plain JSON: subdocuments flattened, dates as ISO strings
+		payload: JSON.parse(JSON.stringify(vars)),
+		ticket,
+		eventId: vars.eventId || null,
+		maxAttempts: maxAttempts(),
+	});
+	if (ticket) await Ticket.updateOne({ _id: ticket }, { $set: { emailStatus: 'pending' } });
+	await getScheduler().schedule(job);
+	kick();
+	return job;
+};
+
+/**
+ * Queue the same kind of email to many recipients at once, e.g. an event reminder to every ticket
+ * holder. Sent and retried like queueEmail.
+ *
+ * @param {string} type Template type.
+ * @param {{ to: string, vars: Object }[]} messages
+ * @param {{ notification?: string }} [options] `notification` links the jobs to an event
+ *   notification log entry.
+ * @returns {Promise<number>} Jobs queued.
+ */
+export const queueEmails = async (type, messages, { notification = null } = {}) => {
+	if (!messages.length) return 0;
+	const jobs = await EmailJob.insertMany(
+		messages.map(({ to, vars }) => ({
+			type,
+			to,
+			payload: JSON.parse(JSON.stringify(vars)),
+			eventId: vars.eventId || null,
+			notification,
+			maxAttempts: maxAttempts(),
+		}))
+	);
+	for (const job of jobs) await getScheduler().schedule(job);
+	kick();
+	return jobs.length;
+};
+
+// Registration (ticket) email of a ticket; it carries the QR code
+export const queueTicketEmail = (ticket) =>
+	queueEmail('registration', ticket.email, { eventId: ticket.eventId }, { ticket: ticket._id });
+
+/**
+ * Send a failed or skipped job again from scratch.
+ * @returns {Promise<EmailJob|null>} The job, or null when it is not failed or skipped.
+ */
+export const retryEmailJob = async (jobId) => {
+	const job = await EmailJob.findOneAndUpdate(
+		{ _id: jobId, status: { $in: ['failed', 'skipped'] } },
+		{ $set: { status: 'pending', attempts: 0, nextAttemptAt: new Date(), lastError: null } },
+		{ new: true }
+	);
+	if (!job) return null;
+	if (job.ticket) {
+		await Ticket.updateOne({ _id: job.ticket }, { $set: { emailStatus: 'pending' } });
+	}
+	await getScheduler().schedule(job);
+	kick();
+	return job;
+};
+
+/**
+ * Queue the ticket email again for every ticket of the event whose email failed, skipping tickets
+ * that already have an email on its way.
+ * @returns {Promise<{ queued: number, alreadyQueued: number }>}
+ */
+export const resendFailedTicketEmails = async (eventId) => {
+	const tickets = await Ticket.find({
+		eventId,
+		emailStatus: 'failed',
+		status: { $ne: 'cancelled' },
+	}).select('email eventId');
+
+	const inFlight = new Set(
+		(
+			await EmailJob.find({
+				ticket: { $in: tickets.map((t) => t._id) },
+				status: { $in: ['pending', 'sending'] },
+			})
+				.select('ticket')
+				.lean()
+		).map((job) => String(job.ticket))
+	);
+
+	let queued = 0;
+	for (const ticket of tickets) {
+		if (inFlight.has(String(ticket._id))) continue;
+		await queueTicketEmail(ticket);
+		queued += 1;
+	}
+	return { queued, alreadyQueued: inFlight.size };
+};
+
+// Poll the queue for retries that have come due; returns the timer so shutdown can clear it
+export const startEmailQueue = () => {
+	getScheduler()
+		.recover()
+		.catch((err) => console.error('Email queue recovery failed:', err?.message || err));
+	kick();
+	const timer = setInterval(kick, POLL_INTERVAL_MS);
+	timer.unref();
+	return timer;
+};
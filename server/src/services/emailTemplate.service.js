@@ -0,0 +1,537 @@
+import mongoose from 'mongoose';
+import Arvantis from '../models/arvantis.model.js';
+import EmailTemplate, { EMAIL_TEMPLATE_TYPES } from '../models/emailTemplate.model.js';
+import Event from '../models/event.model.js';
+import { ApiError } from '../utils/ApiError.js';
+import { eventCalendarLinks } from './calendar.service.js';
+
+const TIME_ZONE = 'Asia/Kolkata';
+
+const DEFAULT_BRAND = () => ({
+	name: process.env.MAIL_BRAND_NAME || 'Vibranta Club',
+	fromName: '',
+	replyTo: process.env.MAIL_REPLY_TO || '',
+	primaryColor: '#06b6d4',
+	logoUrl: '',
+	footer: '',
+});
+
+// ------------------------------ Template engine ------------------------------
+
+const escapeHtml = (value) =>
+	String(value)
+		.replace(/&/g, '&amp;')
+		.replace(/</g, '&lt;')
+		.replace(/>/g, '&gt;')
+		.replace(/"/g, '&quot;')
+		.replace(/'/g, '&#39;');
+
+const lookup = (context, path) =>
+	path.split('.').reduce((value, key) => (value == null ? undefined : value[key]), context);
+
+const isTruthy = (value) =>
+	Array.isArray(value) ? value.length > 0 : Boolean(value) && value !== 'false';
+
+// Innermost {{#if}} block first, so blocks can be nested
+const IF_BLOCK = /\{\{#if\s+([\w.]+)\s*\}\}((?:(?!\{\{#if)[\s\S])*?)\{\{\/if\}\}/;
+
+/**
+ * Render a template string.
+ * - `{{path}}` inserts a variable, HTML-escaped when `html` is set
+ * - `{{{path}}}` inserts it as is (for variables that already hold HTML, like answersHtml)
+ * - `{{#if path}}...{{else}}...{{/if}}` renders a block when the variable is set
+ * Unknown variables render as empty strings.
+ */
+export const renderTemplate = (source, context, { html = false } = {}) => {
+	let output = String(source || '');
+	let match;
+	while ((match = IF_BLOCK.exec(output))) {
+		const [whenTrue, whenFalse = ''] = match[2].split('{{else}}');
+		const block = isTruthy(lookup(context, match[1])) ? whenTrue : whenFalse;
+		output = output.slice(0, match.index) + block + output.slice(match.index + match[0].length);
+	}
+	return output
+		.replace(/\{\{\{\s*([\w.]+)\s*\}\}\}/g, (_, path) => String(lookup(context, path) ?? ''))
+		.replace(/\{\{\s*([\w.]+)\s*\}\}/g, (_, path) => {
+			const value = lookup(context, path) ?? '';
+			return html ? escapeHtml(value) : String(value);
+		});
+};
+
+// Plain-text alternative for templates without one
+export const htmlToText = (htmlSource) =>
+	String(htmlSource || '')
+		.replace(/<(style|script|head)[\s\S]*?<\/\1>/gi, '')
+		.replace(/<a\s[^>]*href="([^"]*)"[^>]*>([\s\S]*?)<\/a>/gi, (_, href, label) => {
+			const text = label.replace(/<[^>]+>/g, '').trim();
+			return text && text !== href ? `${text} (${href})` : href;
+		})
+		.replace(/<img\s[^>]*alt="([^"]*)"[^>]*>/gi, '[$1]')
+		.replace(/<br\s*\/?>/gi, '\n')
+		.replace(/<\/(p|div|h[1-6]|tr|li|table)>/gi, '\n')
+		.replace(/<\/td>/gi, ' ')
+		.replace(/<[^>]+>/g, '')
+		.replace(/&nbsp;/g, ' ')
+		.replace(/&quot;/g, '"')
+		.replace(/&#39;/g, "'")
+		.replace(/&lt;/g, '<')
+		.replace(/&gt;/g, '>')
+		.replace(/&amp;/g, '&')
+		.split('\n')
+		.map((line) => line.replace(/\s+/g, ' ').trim())
+		.join('\n')
+		.replace(/\n{3,}/g, '\n\n')
+		.trim();
+
+// ------------------------------ Built-in templates ------------------------------
+
+// Shared frame of the built-in templates: brand header, content, brand footer
+const layout = (content) => `
+<div style="background:#f4f4f5;padding:24px 0;font-family:'Segoe UI',Arial,sans-serif;color:#18181b;">
+	<div style="max-width:520px;margin:0 auto;background:#ffffff;border-radius:12px;overflow:hidden;border:1px solid #e4e4e7;">
+		<div style="background:{{brand.primaryColor}};padding:20px 28px;color:#ffffff;">
+			{{#if brand.logoUrl}}<img src="{{brand.logoUrl}}" alt="{{brand.name}}" style="max-height:40px;display:block;margin-bottom:8px;" />{{/if}}
+			<h2 style="margin:0;font-size:20px;">{{brand.name}}</h2>
+		</div>
+		<div style="padding:28px;font-size:15px;line-height:1.6;">
+${content}
+		</div>
+		{{#if brand.footer}}<div style="padding:14px 28px;background:#fafafa;color:#71717a;font-size:12px;text-align:center;">{{brand.footer}}</div>{{/if}}
+	</div>
+</div>`;
+
+const EVENT_DETAILS = `
+			<table style="width:100%;border-collapse:collapse;margin:16px 0;font-size:14px;">
+				<tr><td style="color:#71717a;padding:4px 0;">Event</td><td>{{event.title}}</td></tr>
+				{{#if event.date}}<tr><td style="color:#71717a;padding:4px 0;">Date</td><td>{{event.date}}</td></tr>{{/if}}
+				{{#if event.time}}<tr><td style="color:#71717a;padding:4px 0;">Time</td><td>{{event.time}}</td></tr>{{/if}}
+				{{#if event.venue}}<tr><td style="color:#71717a;padding:4px 0;">Venue</td><td>{{event.venue}}{{#if event.room}}, {{event.room}}{{/if}}</td></tr>{{/if}}
+			</table>`;
+
+const DEFAULT_TEMPLATES = {
+	registration: {
+		subject: 'Your ticket for {{event.title}} is confirmed',
+		html: layout(`
+			<p>Hi <b>{{name}}</b>,</p>
+			<p>Your registration for <b>{{event.title}}</b> is confirmed.</p>
+			${EVENT_DETAILS}
+			{{#if qrUrl}}<div style="text-align:center;margin:20px 0;">
+				<p style="margin:0 0 8px;">Show this QR code at the entry:</p>
+				<img src="{{qrUrl}}" alt="Ticket QR code" style="width:180px;height:auto;border:1px solid #e4e4e7;border-radius:8px;" />
+				{{#if ticketId}}<p style="margin:8px 0 0;color:#71717a;font-size:13px;">Ticket {{ticketId}}</p>{{/if}}
+			</div>{{/if}}
+			{{#if event.googleCalendarUrl}}<p style="text-align:center;font-size:13px;">Add to your calendar: <a href="{{event.googleCalendarUrl}}" target="_blank">Google Calendar</a> · <a href="{{event.calendarUrl}}" target="_blank">Apple / Outlook (.ics)</a></p>{{/if}}
+			{{#if answersHtml}}<p style="margin-bottom:4px;">Your registration details:</p>{{{answersHtml}}}{{/if}}
+			{{#if pdfAttached}}<p>Your ticket is also attached as a PDF you can print or keep on your phone.</p>{{/if}}
+			<p>See you there!</p>`),
+		text: '',
+	},
+	ticketCancellation: {
+		subject: 'Your ticket for {{event.title}} has been cancelled',
+		html: layout(`
+			<p>Hi {{name}},</p>
+			<p>Your ticket <b>{{ticketId}}</b> for <b>{{event.title}}</b> has been cancelled and its QR code will no longer be accepted at entry.</p>
+			{{#if reason}}<p>Reason: {{reason}}</p>{{/if}}
+			{{#if refund}}{{#if refund.manual}}<p>A refund of <b>₹{{refund.amount}}</b> has been issued to you{{#if refund.reference}} (reference: {{refund.reference}}){{/if}}.</p>{{else}}<p>A refund of <b>₹{{refund.amount}}</b> has been initiated to your original payment method. It usually reaches your account within 5-7 working days.</p>{{/if}}{{else}}<p>No payment was refunded for this ticket.</p>{{/if}}
+			<p>If you have any questions, reply to this email.</p>`),
+		text: '',
+	},
+	waitlistOffer: {
+		subject: 'A place opened up for {{event.title}}',
+		html: layout(`
+			<p>Hi {{name}},</p>
+			<p>A place has opened up for <b>{{event.title}}</b> and it is being held for you.</p>
+			<p><a href="{{claimUrl}}" target="_blank" style="display:inline-block;background:{{brand.primaryColor}};color:#ffffff;padding:10px 18px;border-radius:8px;text-decoration:none;">Claim your ticket</a></p>
+			<p>This link expires on <b>{{expiresAt}}</b>. After that the place is offered to the next person in the queue.</p>`),
+		text: '',
+	},
+	teamInvite: {
+		subject: '{{leaderName}} invited you to team {{teamName}} for {{event.title}}',
+		html: layout(`
+			<p><b>{{leaderName}}</b> has registered team <b>{{teamName}}</b> for <b>{{event.title}}</b> and invited you to join.</p>
+			<p>Team code: <b>{{code}}</b></p>
+			<p><a href="{{joinUrl}}" target="_blank" style="display:inline-block;background:{{brand.primaryColor}};color:#ffffff;padding:10px 18px;border-radius:8px;text-decoration:none;">Join the team</a></p>
+			<p>Your place in the team is held until <b>{{expiresAt}}</b>.</p>`),
+		text: '',
+	},
+	attendeeLoginCode: {
+		subject: 'Your {{brand.name}} ticket login code: {{code}}',
+		html: layout(`
+			<p>Use this code to open your tickets:</p>
+			<p style="font-size:28px;font-weight:bold;letter-spacing:6px;text-align:center;margin:20px 0;">{{code}}</p>
+			<p>It expires in {{expiresInMinutes}} minutes. Enter it on <a href="{{portalUrl}}" target="_blank">{{portalUrl}}</a>.</p>
+			<p>If you did not ask for this code, you can ignore this email.</p>`),
+		text: '',
+	},
+	eventReminder: {
+		subject: 'Reminder: {{event.title}} starts {{startsIn}}',
+		html: layout(`
+			<p>Hi {{name}},</p>
+			<p><b>{{event.title}}</b> starts {{startsIn}}. We look forward to seeing you.</p>
+			${EVENT_DETAILS}
+			{{#if ticketId}}<p>Your ticket is <b>{{ticketId}}</b>. Show its QR code at the entry; you can find it in your ticket email or on <a href="{{portalUrl}}" target="_blank">My Tickets</a>.</p>{{/if}}
+			{{#if event.googleCalendarUrl}}<p style="font-size:13px;">Add to your calendar: <a href="{{event.googleCalendarUrl}}" target="_blank">Google Calendar</a> · <a href="{{event.calendarUrl}}" target="_blank">Apple / Outlook (.ics)</a></p>{{/if}}`),
+		text: '',
+	},
+	eventUpdate: {
+		subject:
+			'{{#if cancelled}}Cancelled: {{event.title}}{{else}}{{#if postponed}}Postponed: {{event.title}}{{else}}Update to {{event.title}}{{/if}}{{/if}}',
+		html: layout(`
+			<p>Hi {{name}},</p>
+			{{#if cancelled}}<p><b>{{event.title}}</b> has been cancelled. We are sorry for the inconvenience; the organizers will contact you about anything you paid.</p>{{else}}{{#if postponed}}<p><b>{{event.title}}</b> has been postponed. Your ticket <b>{{ticketId}}</b> stays valid and we will let you know the new date.</p>{{else}}<p>There has been a change to <b>{{event.title}}</b>. Your ticket <b>{{ticketId}}</b> stays valid.</p>{{/if}}{{/if}}
+			{{#if changesHtml}}{{{changesHtml}}}{{/if}}
+			{{#if cancelled}}{{else}}${EVENT_DETAILS}{{/if}}
+			<p>If you can no longer attend, you can cancel your ticket on <a href="{{portalUrl}}" target="_blank">My Tickets</a>.</p>`),
+		text: '',
+	},
+};
+
+const COMMON_VARIABLES = [
+	'event.title',
+	'event.date',
+	'event.time',
+	'event.venue',
+	'event.room',
+	'event.calendarUrl',
+	'event.googleCalendarUrl',
+	'brand.name',
+	'brand.primaryColor',
+	'brand.logoUrl',
+	'brand.footer',
+];
+
+// Variables each template type can use, for the admin editor
+export const TEMPLATE_VARIABLES = {
+	registration: [
+		'name',
+		'ticketId',
+		'qrUrl',
+		'answers.<fieldKey>',
+		'answersHtml',
+		'answersText',
+		'pdfAttached',
+		...COMMON_VARIABLES,
+	],
+	ticketCancellation: [
+		'name',
+		'ticketId',
+		'reason',
+		'refund',
+		'refund.amount',
+		'refund.manual',
+		'refund.reference',
+		...COMMON_VARIABLES,
+	],
+	waitlistOffer: ['name', 'claimUrl', 'expiresAt', ...COMMON_VARIABLES],
+	teamInvite: ['leaderName', 'teamName', 'code', 'joinUrl', 'expiresAt', ...COMMON_VARIABLES],
+	attendeeLoginCode: [
+		'code',
+		'expiresInMinutes',
+		'portalUrl',
+		'brand.name',
+		'brand.primaryColor',
+		'brand.logoUrl',
+		'brand.footer',
+	],
+	eventReminder: [
+		'name',
+		'ticketId',
+		'startsIn',
+		'hoursBefore',
+		'portalUrl',
+		...COMMON_VARIABLES,
+	],
+	eventUpdate: [
+		'name',
+		'ticketId',
+		'cancelled',
+		'postponed',
+		'changesHtml',
+		'changesText',
+		'portalUrl',
+		...COMMON_VARIABLES,
+	],
+};
+
+// Stand-in values for previews
+const SAMPLE_VARIABLES = {
+	registration: {
+		name: 'Asha Verma',
+		ticketId: 'TKT-SAMPLE01',
+		qrUrl: 'https://api.qrserver.com/v1/create-qr-code/?size=180x180&data=TKT-SAMPLE01',
+		pdfAttached: true,
+	},
+	ticketCancellation: {
+		name: 'Asha Verma',
+		ticketId: 'TKT-SAMPLE01',
+		reason: 'Duplicate registration',
+		refund: { amount: 199, method: 'gateway' },
+	},
+	waitlistOffer: {
+		name: 'Asha Verma',
+		claimUrl: 'https://example.com/waitlist/claim/sample',
+		expiresAt: new Date(Date.now() + 24 * 60 * 60 * 1000),
+	},
+	teamInvite: {
+		leaderName: 'Asha Verma',
+		teamName: 'Null Pointers',
+		code: 'SAMPLE',
+		joinUrl: 'https://example.com/teams/join/SAMPLE',
+		expiresAt: new Date(Date.now() + 48 * 60 * 60 * 1000),
+	},
+	attendeeLoginCode: {
+		code: '482913',
+		expiresInMinutes: 10,
+		portalUrl: 'https://example.com/my-tickets',
+	},
+	eventReminder: {
+		name: 'Asha Verma',
+		ticketId: 'TKT-SAMPLE01',
+		startsIn: 'in 24 hours',
+		hoursBefore: 24,
+		portalUrl: 'https://example.com/my-tickets',
+	},
+	eventUpdate: {
+		name: 'Asha Verma',
+		ticketId: 'TKT-SAMPLE01',
+		changes: [{ label: 'Venue', from: 'Block 32, Room 101', to: 'Auditorium' }],
+		portalUrl: 'https://example.com/my-tickets',
+	},
+};
+
+export const getDefaultTemplates = () =>
+	EMAIL_TEMPLATE_TYPES.map((type) => ({
+		type,
+		...DEFAULT_TEMPLATES[type],
+		variables: TEMPLATE_VARIABLES[type],
+	}));
+
+// ------------------------------ Variables ------------------------------
+
+const formatDate = (value) =>
+	value
+		? new Date(value).toLocaleDateString('en-IN', { timeZone: TIME_ZONE, dateStyle: 'full' })
+		: '';
+
+const formatDateTime = (value) =>
+	value ? new Date(value).toLocaleString('en-IN', { timeZone: TIME_ZONE }) : '';
+
+const formatAnswer = (value) => {
+	if (value === true) return 'Yes';
+	if (value === false) return 'No';
+	if (value && typeof value === 'object') return value.name || value.url || '';
+	return value == null ? '' : String(value);
+};
+
+const eventVariables = (event, fallbackTitle) => {
+	const calendar = event?._id ? eventCalendarLinks(event) : {};
+	return {
+		title: event?.title || fallbackTitle || '',
+		date: formatDate(event?.eventDate),
+		time:
+			event?.eventTime ||
+			(event?.eventDate
+				? new Date(event.eventDate).toLocaleTimeString('en-IN', {
+						timeZone: TIME_ZONE,
+						hour: 'numeric',
+						minute: '2-digit',
+					})
+				: ''),
+		venue: event?.venue || '',
+		room: event?.room || '',
+		calendarUrl: calendar.icsUrl || '',
+		googleCalendarUrl: calendar.googleCalendarUrl || '',
+	};
+};
+
+// Registration answers labelled with the event's field labels
+const answerVariables = (event, answers) => {
+	const rows = (event?.registrationFields || [])
+		.filter((field) => answers?.[field.key] !== undefined)
+		.map((field) => ({
+			key: field.key,
+			label: field.label,
+			value: formatAnswer(answers[field.key]),
+		}));
+	if (!rows.length) return { answers: {}, answersHtml: '', answersText: '' };
+
+	return {
+		answers: Object.fromEntries(rows.map((row) => [row.key, row.value])),
+		answersHtml: `<table style="width:100%;border-collapse:collapse;font-size:14px;">${rows
+			.map(
+				(row) =>
+					`<tr><td style="color:#71717a;padding:4px 0;">${escapeHtml(row.label)}</td><td>${escapeHtml(row.value)}</td></tr>`
+			)
+			.join('')}</table>`,
+		answersText: rows.map((row) => `${row.label}: ${row.value}`).join('\n'),
+	};
+};
+
+// What changed in an event, as an old -> new table
+const changeVariables = (changes = []) => {
+	if (!changes.length) return { changesHtml: '', changesText: '' };
+	return {
+		changesHtml: `<table style="width:100%;border-collapse:collapse;font-size:14px;margin:16px 0;">${changes
+			.map(
+				(change) =>
+					`<tr><td style="color:#71717a;padding:4px 0;">${escapeHtml(change.label)}</td><td><s style="color:#a1a1aa;">${escapeHtml(change.from || '—')}</s> → <b>${escapeHtml(change.to || '—')}</b></td></tr>`
+			)
+			.join('')}</table>`,
+		changesText: changes
+			.map((change) => `${change.label}: ${change.from || '—'} -> ${change.to || '—'}`)
+			.join('\n'),
+	};
+};
+
+// ------------------------------ Resolution ------------------------------
+
+const loadEvent = (eventId) =>
+	eventId && mongoose.isValidObjectId(eventId)
+		? Event.findById(eventId)
+				.select(
+					'title description eventDate eventTime venue room status registrationFields'
+				)
+				.lean()
+		: null;
+
+// Most recent fest that lists the event
+const findFestOf = (eventId) =>
+	eventId
+		? Arvantis.findOne({ events: eventId })
+				.sort({ year: -1 })
+				.select('name year themeColors')
+				.lean()
+		: null;
+
+const festBrand = (fest) =>
+	fest
+		? {
+				name: [fest.name, fest.year].filter(Boolean).join(' '),
+				...(fest.themeColors?.primary && { primaryColor: fest.themeColors.primary }),
+			}
+		: {};
+
+// Drop unset brand values so they do not override the layers below
+const definedBrand = (brand = {}) =>
+	Object.fromEntries(Object.entries(brand).filter(([, value]) => value));
+
+/**
+ * The stored template used for an email about the event: the event's own template, else its fest's,
+ * else the default for the type. Returns null when none is stored (the built-in one is used).
+ */
+export const findTemplate = async (type, { event, fest } = {}) => {
+	const base = { type, isActive: true };
+	if (event) {
+		const own = await EmailTemplate.findOne({ ...base, event: event._id }).lean();
+		if (own) return own;
+	}
+	if (fest) {
+		const festTemplate = await EmailTemplate.findOne({ ...base, fest: fest._id }).lean();
+		if (festTemplate) return festTemplate;
+	}
+	return EmailTemplate.findOne({ ...base, event: null, fest: null }).lean();
+};
+
+const buildMessage = (template, context, brand) => {
+	const html = renderTemplate(template.html, context, { html: true });
+	const text = template.text ? renderTemplate(template.text, context) : htmlToText(html);
+	const address = process.env.MAIL_FROM || process.env.MAIL_USER;
+	return {
+		from: `"${(brand.fromName || brand.name).replace(/"/g, '')}" <${address}>`,
+		...(brand.replyTo && { replyTo: brand.replyTo }),
+		subject: renderTemplate(template.subject, context).replace(/\s+/g, ' ').trim(),
+		html,
+		text,
+	};
+};
+
+const buildContext = (type, { event, fest, brand, vars }) => {
+	const context = {
+		...vars,
+		event: eventVariables(event, vars.eventName),
+		brand,
+		...(type === 'registration' && answerVariables(event, vars.answers)),
+		...(type === 'eventUpdate' && changeVariables(vars.changes)),
+	};
+	if (vars.expiresAt) context.expiresAt = formatDateTime(vars.expiresAt);
+	if (vars.refund) {
+		const { amount, method, reference } = vars.refund;
+		context.refund = { amount, method, reference, manual: method === 'manual' };
+	}
+	return context;
+};
+
+/**
+ * Render an email for sending. `vars` holds the type's variables (see TEMPLATE_VARIABLES) plus
+ * `eventId`, used to pick the template and fill in event.*; `eventName` stands in for the title when
+ * the event cannot be loaded.
+ *
+ * @returns {Promise<{ from: string, replyTo?: string, subject: string, html: string, text: string }>}
+ */
+export const renderEmail = async (type, { eventId, ...vars }) => {
+	const event = await loadEvent(eventId);
+	const fest = await findFestOf(event?._id);
+	const template = (await findTemplate(type, { event, fest })) || DEFAULT_TEMPLATES[type];
+	const brand = {
+		...DEFAULT_BRAND(),
+		...definedBrand(festBrand(fest)),
+		...definedBrand(template.brand),
+	};
+	return buildMessage(template, buildContext(type, { event, fest, brand, vars }), brand);
+};
+
+/**
+ * Branding for documents about the event (e.g. the PDF ticket): the default brand with the
+ * fest's name and color when a fest lists the event.
+ */
+export const getEventBrand = async (eventId) => ({
+	...DEFAULT_BRAND(),
+	...definedBrand(festBrand(await findFestOf(eventId))),
+});
+
+/**
+ * Render a draft template with sample values for the admin preview. With an event or fest the
+ * branding and event details come from it, as they would when sending.
+ */
+export const previewTemplate = async ({ type, subject, html, text, brand, eventId, festId }) => {
+	if (!EMAIL_TEMPLATE_TYPES.includes(type)) {
+		throw ApiError.BadRequest('Unknown template type');
+	}
+	const event = await loadEvent(eventId);
+	if (eventId && !event) throw ApiError.NotFound('Event not found');
+	const fest = festId
+		? await Arvantis.findById(festId).select('name year themeColors').lean()
+		: await findFestOf(event?._id);
+	if (festId && !fest) throw ApiError.NotFound('Fest not found');
+
+	const template = {
+		subject: subject ?? DEFAULT_TEMPLATES[type].subject,
+		html: html ?? DEFAULT_TEMPLATES[type].html,
+		text: text ?? '',
+	};
+	const resolvedBrand = {
+		...DEFAULT_BRAND(),
+		...definedBrand(festBrand(fest)),
+		...definedBrand(brand),
+	};
+	const sampleAnswers = Object.fromEntries(
+		(event?.registrationFields || []).map((field) => [
+			field.key,
+			field.type === 'checkbox' ? true : field.options?.[0] || `Sample ${field.label}`,
+		])
+	);
+	const vars = {
+		eventName: 'Sample Event',
+		...SAMPLE_VARIABLES[type],
+		answers: sampleAnswers,
+	};
+	const context = buildContext(type, { event, fest, brand: resolvedBrand, vars });
+	if (!event) {
+		Object.assign(context.event, {
+			date: formatDate(Date.now() + 7 * 24 * 60 * 60 * 1000),
+			time: '17:00',
+			venue: 'Main Auditorium',
+		});
+	}
+	return buildMessage(template, context, resolvedBrand);
+};
@@ -0,0 +1,305 @@
+import Event, { DEFAULT_REMINDER_HOURS, MAX_REMINDER_HOURS } from '../models/event.model.js';
+import EventNotification from '../models/eventNotification.model.js';
+import EmailJob from '../models/emailJob.model.js';
+import Ticket from '../models/ticket.model.js';
+import { getEventStart } from '../utils/ical.js';
+import { queueEmails } from './emailQueue.service.js';
+import { getPortalUrl } from './attendeePortal.service.js';
+
+const TIME_ZONE = 'Asia/Kolkata';
+const SCHEDULER_INTERVAL_MS = 60 * 1000;
+const HOUR_MS = 60 * 60 * 1000;
+// eventDate may be the start of the day, with the time in eventTime
+const DAY_MS = 24 * HOUR_MS;
+const MAX_LOG_ENTRIES = 100;
+
+// Statuses whose ticket holders get reminders
+const REMINDER_EVENT_STATUSES = ['upcoming'];
+
+// Event fields change alerts compare, with how they read in the email
+const WATCHED_FIELDS = {
+	eventDate: 'Date',
+	eventTime: 'Time',
+	venue: 'Venue',
+	room: 'Room',
+	status: 'Status',
+};
+
+const isDuplicateKey = (err) => err?.code === 11000;
+
+const reminderHoursOf = (event) => {
+	const settings = event.notifications || {};
+	if (settings.reminders === false) return [];
+	return Array.isArray(settings.reminderHours) ? settings.reminderHours : DEFAULT_REMINDER_HOURS;
+};
+
+const reminderKey = (eventId, offsetHours, start) =>
+	`${eventId}:${offsetHours}:${new Date(start).getTime()}`;
+
+// "in 45 minutes", "in 3 hours", "in 2 days"
+const formatStartsIn = (ms) => {
+	const plural = (count, unit) => `in ${count} ${unit}${count === 1 ? '' : 's'}`;
+	if (ms < 90 * 60 * 1000) return plural(Math.max(1, Math.round(ms / 60000)), 'minute');
+	if (ms < 2 * DAY_MS) return plural(Math.round(ms / HOUR_MS), 'hour');
+	return plural(Math.round(ms / DAY_MS), 'day');
+};
+
+const activeTickets = (eventId) =>
+	Ticket.find({ eventId, status: 'active' }).select('email fullName ticketId').lean();
+
+/**
+ * Log a notification, then queue an email built by `varsFor` to every active ticket holder of
+ * the event. The log entry ends up 'queued' (with the recipient count), 'skipped' when nobody
+ * holds a ticket, or 'failed' when queueing failed.
+ */
+const notifyTicketHolders = async (entry, type, varsFor) => {
+	try {
+		const tickets = await activeTickets(entry.event);
+		const recipients = await queueEmails(
+			type,
+			tickets.map((ticket) => ({
+				to: ticket.email,
+				vars: {
+					eventId: entry.event,
+					name: ticket.fullName,
+					ticketId: ticket.ticketId,
+					portalUrl: getPortalUrl(),
+					...varsFor(ticket),
+				},
+			})),
+			{ notification: entry._id }
+		);
+		entry.recipients = recipients;
+		entry.status = recipients ? 'queued' : 'skipped';
+		if (!recipients) entry.note = 'No active tickets';
+	} catch (err) {
+		entry.status = 'failed';
+		entry.note = err?.message || String(err);
+		console.error(`Event notification ${entry._id} failed:`, entry.note);
+	}
+	await entry.save();
+	return entry;
+};
+
+// ------------------------------ Reminders ------------------------------
+
+/**
+ * Send the reminders that have come due. For each upcoming event with reminders on, a reminder is
+ * due once its offset before the start has passed. Each one goes out once per start time: the log
+ * entry is created first and the unique index stops a second server (or run) from sending it
+ * again. When several are due at once (the event was created or moved close to its start, or the
+ * server was down) only the nearest is sent and the others are logged as skipped.
+ *
+ * @param {Date} [now]
+ * @returns {Promise<number>} Reminders queued.
+ */
+export const sendDueReminders = async (now = new Date()) => {
+	const events = await Event.find({
+		status: { $in: REMINDER_EVENT_STATUSES },
+		'notifications.reminders': { $ne: false },
+		eventDate: {
+			$gte: new Date(now.getTime() - DAY_MS),
+			$lte: new Date(now.getTime() + MAX_REMINDER_HOURS * HOUR_MS),
+		},
+	})
+		.select('eventDate eventTime notifications')
+		.lean();
+	if (!events.length) return 0;
+
+	const logged = new Set(
+		(
+			await EventNotification.find({
+				event: { $in: events.map((event) => event._id) },
+				kind: 'reminder',
+			})
+				.select('event offsetHours eventStart')
+				.lean()
+		).map((entry) => reminderKey(entry.event, entry.offsetHours, entry.eventStart))
+	);
+
+	let sent = 0;
+	for (const event of events) {
+		const start = getEventStart(event);
+		if (!start || start <= now) continue;
+
+		// Nearest first
+		const due = reminderHoursOf(event)
+			.filter((hours) => start.getTime() - hours * HOUR_MS <= now.getTime())
+			.sort((a, b) => a - b);
+		if (!due.length) continue;
+
+		for (const [i, offsetHours] of due.entries()) {
+			if (logged.has(reminderKey(event._id, offsetHours, start))) continue;
+			let entry;
+			try {
+				entry = await EventNotification.create({
+					event: event._id,
+					kind: 'reminder',
+					offsetHours,
+					eventStart: start,
+					...(i > 0 && { status: 'skipped', note: 'A later reminder was sent instead' }),
+				});
+			} catch (err) {
+				if (isDuplicateKey(err)) continue;
+				throw err;
+			}
+			if (i > 0) continue;
+
+			await notifyTicketHolders(entry, 'eventReminder', () => ({
+				startsIn: formatStartsIn(start.getTime() - now.getTime()),
+				hoursBefore: offsetHours,
+			}));
+			if (entry.status === 'queued') sent += 1;
+		}
+	}
+	return sent;
+};
+
+// Run sendDueReminders every minute; returns the timer so shutdown can clear it
+export const startReminderScheduler = () => {
+	const timer = setInterval(() => {
+		sendDueReminders().catch((err) =>
+			console.error('Event reminders failed:', err?.message || err)
+		);
+	}, SCHEDULER_INTERVAL_MS);
+	timer.unref();
+	return timer;
+};
+
+// ------------------------------ Change alerts ------------------------------
+
+const formatValue = (field, value) => {
+	if (value == null || value === '') return '';
+	if (field === 'eventDate') {
+		return new Date(value).toLocaleDateString('en-IN', {
+			timeZone: TIME_ZONE,
+			dateStyle: 'full',
+		});
+	}
+	if (field === 'status') return value.charAt(0).toUpperCase() + value.slice(1);
+	return String(value);
+};
+
+const sameValue = (field, a, b) =>
+	field === 'eventDate'
+		? new Date(a || 0).getTime() === new Date(b || 0).getTime()
+		: String(a ?? '') === String(b ?? '');
+
+/**
+ * The fields change alerts look at, taken before an update so notifyEventChanges can compare.
+ * @returns {Object}
+ */
+export const snapshotEvent = (event) =>
+	Object.fromEntries(Object.keys(WATCHED_FIELDS).map((field) => [field, event[field]]));
+
+/**
+ * What changed between two snapshots that ticket holders should hear about: a new date, time,
+ * venue or room, or the event being postponed, cancelled or put back on. Changes to a cancelled
+ * or completed event, or one that has already started, are not worth an email.
+ * @returns {{ field: string, label: string, from: string, to: string }[]}
+ */
+export const diffEventChanges = (before, after, now = new Date()) => {
+	const statusAlert =
+		before.status !== after.status &&
+		(['postponed', 'cancelled'].includes(after.status) ||
+			(['postponed', 'cancelled'].includes(before.status) && after.status === 'upcoming'));
+	// Other status moves (e.g. to ongoing or completed) are not news to attendees
+	const changed = Object.keys(WATCHED_FIELDS).filter(
+		(field) =>
+			!sameValue(field, before[field], after[field]) && (field !== 'status' || statusAlert)
+	);
+	if (!changed.length) return [];
+	if (!statusAlert && ['cancelled', 'completed'].includes(after.status)) return [];
+
+	const start = getEventStart(before);
+	const newStart = getEventStart(after);
+	if ((!start || start <= now) && (!newStart || newStart <= now)) return [];
+
+	// A cancelled event's new details don't matter
+	const fields = after.status === 'cancelled' ? ['status'] : changed;
+	return fields.map((field) => ({
+		field,
+		label: WATCHED_FIELDS[field],
+		from: formatValue(field, before[field]),
+		to: formatValue(field, after[field]),
+	}));
+};
+
+/**
+ * Tell an event's ticket holders what changed in an update, unless the event has change alerts
+ * turned off.
+ *
+ * @param {Object} before snapshotEvent of the event before the update.
+ * @param {Event} event The updated event.
+ * @param {{ adminId?: string }} [options]
+ * @returns {Promise<EventNotification|null>} The log entry, or null when nothing was sent.
+ */
+export const notifyEventChanges = async (before, event, { adminId = null } = {}) => {
+	if (event.notifications?.changeAlerts === false) return null;
+	const changes = diffEventChanges(before, snapshotEvent(event));
+	if (!changes.length) return null;
+
+	const entry = await EventNotification.create({
+		event: event._id,
+		kind: 'change',
+		changes,
+		triggeredBy: adminId,
+	});
+	return notifyTicketHolders(entry, 'eventUpdate', () => ({
+		changes,
+		cancelled: event.status === 'cancelled',
+		postponed: event.status === 'postponed',
+	}));
+};
+
+// ------------------------------ Admin log ------------------------------
+
+/**
+ * An event's notification settings, the reminders still to come and the log of notifications,
+ * newest first, with how their emails are doing.
+ */
+export const getEventNotificationLog = async (event) => {
+	const log = await EventNotification.find({ event: event._id })
+		.sort({ createdAt: -1 })
+		.limit(MAX_LOG_ENTRIES)
+		.populate('triggeredBy', 'fullname')
+		.lean();
+
+	const counts = await EmailJob.aggregate([
+		{ $match: { notification: { $in: log.map((entry) => entry._id) } } },
+		{
+			$group: {
+				_id: { notification: '$notification', status: '$status' },
+				count: { $sum: 1 },
+			},
+		},
+	]);
+	const emailsOf = {};
+	for (const { _id, count } of counts) {
+		const key = String(_id.notification);
+		emailsOf[key] = { ...emailsOf[key], [_id.status]: count };
+	}
+
+	const start = getEventStart(event);
+	const now = Date.now();
+	const upcoming =
+		start && REMINDER_EVENT_STATUSES.includes(event.status)
+			? reminderHoursOf(event)
+					.map((offsetHours) => ({
+						offsetHours,
+						dueAt: new Date(start.getTime() - offsetHours * HOUR_MS),
+					}))
+					.filter(({ dueAt }) => dueAt.getTime() > now)
+					.sort((a, b) => a.dueAt - b.dueAt)
+			: [];
+
+	return {
+		settings: {
+			reminders: event.notifications?.reminders !== false,
+			reminderHours: event.notifications?.reminderHours ?? DEFAULT_REMINDER_HOURS,
+			changeAlerts: event.notifications?.changeAlerts !== false,
+		},
+		upcoming,
+		log: log.map((entry) => ({ ...entry, emails: emailsOf[String(entry._id)] || {} })),
+	};
+};
@@ -0,0 +1,193 @@
+import Event from '../models/event.model.js';
+import EventSeries, { MAX_SERIES_OCCURRENCES } from '../models/eventSeries.model.js';
+import { ApiError } from '../utils/ApiError.js';
+import { deleteFiles } from '../utils/cloudinary.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const WEEKS = { weekly: 1, biweekly: 2 };
+
+// Content occurrences of a series share; "sync" copies it to the later occurrences
+export const SHARED_SERIES_FIELDS = ['description', 'posters', 'partners', 'speakers'];
+
+// Date fields that move with an occurrence when a change is applied across the series
+const DATE_FIELDS = ['eventDate', 'registrationOpenDate', 'registrationCloseDate'];
+
+/**
+ * Dates of a series' occurrences, first to last: every one or two weeks from `start` until
+ * `until` or `count` occurrences, or `start` plus the listed `dates` for a custom series. Capped
+ * at MAX_SERIES_OCCURRENCES.
+ *
+ * @param {Date} start Date (and time) of the first occurrence.
+ * @param {{ frequency: string, until?: Date, count?: number, dates?: Date[] }} recurrence
+ * @returns {Date[]}
+ */
+export const occurrenceDates = (start, { frequency, until, count, dates = [] }) => {
+	if (frequency === 'custom') {
+		const times = new Set([start, ...dates].map((d) => new Date(d).getTime()));
+		return [...times]
+			.filter((t) => !Number.isNaN(t))
+			.sort((a, b) => a - b)
+			.slice(0, MAX_SERIES_OCCURRENCES)
+			.map((t) => new Date(t));
+	}
+
+	const step = WEEKS[frequency] * 7 * DAY_MS;
+	const limit = Math.min(count || MAX_SERIES_OCCURRENCES, MAX_SERIES_OCCURRENCES);
+	const last = until ? new Date(until).getTime() + DAY_MS - 1 : Infinity;
+	const result = [];
+	for (let t = start.getTime(); result.length < limit && t <= last; t += step) {
+		result.push(new Date(t));
+	}
+	return result;
+};
+
+// `doc`'s date fields moved by `offsetMs`
+const shiftDates = (doc, offsetMs) => {
+	const shifted = { ...doc };
+	for (const field of DATE_FIELDS) {
+		if (shifted[field]) shifted[field] = new Date(new Date(shifted[field]).getTime() + offsetMs);
+	}
+	return shifted;
+};
+
+/**
+ * Create a series and its occurrences from the fields of the first one. Registration open and
+ * close dates keep their distance from each occurrence's date. When any occurrence fails to
+ * save, the ones already created are removed again.
+ *
+ * @param {Object} eventDoc Fields of the first occurrence, as for Event.create.
+ * @param {Object} recurrence See occurrenceDates.
+ * @param {{ adminId?: string }} [options]
+ * @returns {Promise<{ series: EventSeries, events: Event[] }>} Events in date order.
+ */
+export const createEventSeries = async (eventDoc, recurrence, { adminId = null } = {}) => {
+	const start = new Date(eventDoc.eventDate);
+	const dates = occurrenceDates(start, recurrence);
+	if (dates.length < 2) throw ApiError.BadRequest('A series needs at least two occurrences.');
+
+	const series = await EventSeries.create({
+		title: eventDoc.title,
+		frequency: recurrence.frequency,
+		until: recurrence.until || null,
+		count: recurrence.count || null,
+		dates,
+		createdBy: adminId,
+	});
+
+	try {
+		const events = await Event.create(
+			dates.map((date) => ({
+				...shiftDates(eventDoc, date.getTime() - start.getTime()),
+				series: series._id,
+			})),
+			// One at a time, so nothing is left saving when one fails
+			{ ordered: true }
+		);
+		return { series, events };
+	} catch (err) {
+		await Event.deleteMany({ series: series._id });
+		await EventSeries.deleteOne({ _id: series._id });
+		throw err;
+	}
+};
+
+/**
+ * The occurrences of `event`'s series after it, in date order.
+ * @returns {Promise<Event[]>} Empty when the event is not part of a series.
+ */
+export const findFutureOccurrences = (event) =>
+	event.series
+		? Event.find({
+				series: event.series,
+				_id: { $ne: event._id },
+				eventDate: { $gt: event.eventDate },
+			}).sort({ eventDate: 1 })
+		: Promise.resolve([]);
+
+/**
+ * An update meant for `event`, adjusted for another occurrence of its series: dates in it move by
+ * the distance between the two occurrences, so "every date a week later" stays that way.
+ */
+export const updateForOccurrence = (update, event, occurrence) =>
+	shiftDates(update, occurrence.eventDate.getTime() - event.eventDate.getTime());
+
+/**
+ * The series an event belongs to and all its occurrences, for event pages.
+ * @returns {Promise<Object|null>}
+ */
+export const getSeriesSummary = async (event) => {
+	if (!event.series) return null;
+	const [series, occurrences] = await Promise.all([
+		EventSeries.findById(event.series).select('frequency').lean(),
+		Event.find({ series: event.series })
+			.select('eventDate eventTime status')
+			.sort({ eventDate: 1 })
+			.lean(),
+	]);
+	if (!series) return null;
+	return { _id: series._id, frequency: series.frequency, occurrences };
+};
+
+// Cloudinary files an event's posters, partner logos and speaker photos use
+export const eventMedia = (event) =>
+	[
+		...(event.posters || []),
+		...(event.partners || []).map((p) => p.logo),
+		...(event.speakers || []).map((s) => s.photo),
+		...(event.sessions || []).flatMap((s) => (s.speakers || []).map((sp) => sp.photo)),
+	]
+		.filter((m) => m && (m.publicId || m.public_id))
+		.map((m) => ({ public_id: m.publicId || m.public_id, resource_type: m.resource_type }));
+
+/**
+ * Delete from Cloudinary the files no event uses any more. Occurrences of a series share files,
+ * so removing one from an event (or deleting the event) must leave the others' copies alone.
+ * Call after the events no longer holding them are saved or deleted.
+ *
+ * @param {{ public_id: string, resource_type?: string }[]} media
+ */
+export const deleteUnusedMedia = async (media) => {
+	const unique = [...new Map(media.map((m) => [m.public_id, m])).values()];
+	if (!unique.length) return;
+	const ids = unique.map((m) => m.public_id);
+	const stillUsed = new Set(
+		(
+			await Event.find({
+				$or: [
+					{ 'posters.publicId': { $in: ids } },
+					{ 'partners.logo.publicId': { $in: ids } },
+					{ 'speakers.photo.publicId': { $in: ids } },
+					{ 'sessions.speakers.photo.publicId': { $in: ids } },
+				],
+			})
+				.select('posters partners speakers sessions')
+				.lean()
+		)
+			.flatMap(eventMedia)
+			.map((m) => m.public_id)
+	);
+	const unused = unique
+		.filter((m) => !stillUsed.has(m.public_id))
+		.map((m) => ({ public_id: m.public_id, resource_type: m.resource_type || 'image' }));
+	if (unused.length) await deleteFiles(unused);
+};
+
+/**
+ * Copy an occurrence's shared content (SHARED_SERIES_FIELDS) to the later occurrences of its
+ * series, then delete the files they no longer use.
+ * @returns {Promise<number>} Occurrences updated.
+ */
+export const syncSeriesContent = async (event) => {
+	const future = await findFutureOccurrences(event);
+	if (!future.length) return 0;
+	const previousMedia = future.flatMap(eventMedia);
+	const shared = Object.fromEntries(
+		SHARED_SERIES_FIELDS.map((field) => [
+			field,
+			event[field]?.toObject ? event[field].toObject() : event[field],
+		])
+	);
+	await Event.updateMany({ _id: { $in: future.map((o) => o._id) } }, { $set: shared });
+	await deleteUnusedMedia(previousMedia);
+	return future.length;
+};
@@ -0,0 +1,137 @@
+import Event from '../models/event.model.js';
+import { getEventStart, getEventEnd, DEFAULT_EVENT_DURATION_MINUTES } from '../utils/ical.js';
+
+const TIME_ZONE = 'Asia/Kolkata';
+const SWEEP_INTERVAL_MS = 60 * 1000;
+// eventDate may be the start of the day, with the time in eventTime
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Statuses time moves forward: upcoming -> ongoing at the start -> completed at the end.
+// Cancelled and postponed are left to admins.
+const TIMED_STATUSES = ['upcoming', 'ongoing'];
+
+/**
+ * Status of an event as of `now`. Cancelled and postponed events keep their status; otherwise an
+ * event is ongoing from its start and completed from its end. Time only moves an event forward, so
+ * one an admin marked ongoing or completed early stays that way.
+ *
+ * @param {{ status?: string, eventDate?: Date, eventTime?: string, durationMinutes?: number, sessions?: { end: Date }[] }} event
+ * @param {Date} [now]
+ * @returns {string}
+ */
+export const getEffectiveStatus = (event, now = new Date()) => {
+	const status = event.status || 'upcoming';
+	if (!TIMED_STATUSES.includes(status)) return status;
+	const start = getEventStart(event);
+	if (!start) return status;
+	if (now >= getEventEnd(event)) return 'completed';
+	if (now >= start) return 'ongoing';
+	return status;
+};
+
+// getEventStart as an aggregation expression: the India-time day of eventDate at eventTime
+const startExpression = {
+	$let: {
+		vars: { time: { $ifNull: ['$eventTime', ''] } },
+		in: {
+			$cond: [
+				{ $regexMatch: { input: '$$time', regex: /^\d{1,2}:\d{2}$/ } },
+				{
+					$dateFromString: {
+						dateString: {
+							$concat: [
+								{
+									$dateToString: {
+										date: '$eventDate',
+										format: '%Y-%m-%d',
+										timezone: TIME_ZONE,
+									},
+								},
+								'T',
+								{
+									$cond: [
+										{ $eq: [{ $strLenCP: '$$time' }, 4] },
+										{ $concat: ['0', '$$time'] },
+										'$$time',
+									],
+								},
+							],
+						},
+						format: '%Y-%m-%dT%H:%M',
+						timezone: TIME_ZONE,
+					},
+				},
+				'$eventDate',
+			],
+		},
+	},
+};
+
+// getEventEnd as an aggregation expression, given the start as $$start
+const endExpression = {
+	$max: [
+		{
+			$add: [
+				'$$start',
+				{
+					$multiply: [
+						{ $ifNull: ['$durationMinutes', DEFAULT_EVENT_DURATION_MINUTES] },
+						60 * 1000,
+					],
+				},
+			],
+		},
+		{ $max: '$sessions.end' },
+	],
+};
+
+/**
+ * getEffectiveStatus as an aggregation expression, for listing, filtering and counting events by
+ * the status they have now.
+ * @param {Date} [now]
+ */
+export const effectiveStatusExpression = (now = new Date()) => ({
+	$let: {
+		vars: { status: { $ifNull: ['$status', 'upcoming'] }, start: startExpression },
+		in: {
+			$switch: {
+				branches: [
+					{ case: { $not: [{ $in: ['$$status', TIMED_STATUSES] }] }, then: '$$status' },
+					{ case: { $eq: [{ $ifNull: ['$$start', null] }, null] }, then: '$$status' },
+					{ case: { $gte: [now, endExpression] }, then: 'completed' },
+					{ case: { $gte: [now, '$$start'] }, then: 'ongoing' },
+				],
+				default: '$$status',
+			},
+		},
+	},
+});
+
+/**
+ * Store the effective status of events that have started or ended since the last run, so queries
+ * on `status` (and everything that reads it) stay current. Cancelled and postponed events are not
+ * touched.
+ * @returns {Promise<number>} Events updated.
+ */
+export const syncEventStatuses = async (now = new Date()) => {
+	const result = await Event.updateMany(
+		{
+			status: { $in: TIMED_STATUSES },
+			eventDate: { $lte: new Date(now.getTime() + DAY_MS) },
+		},
+		[{ $set: { status: effectiveStatusExpression(now) } }]
+	);
+	return result.modifiedCount;
+};
+
+// Run syncEventStatuses every minute; returns the timer so shutdown can clear it
+export const startEventStatusSweep = () => {
+	const run = () =>
+		syncEventStatuses().catch((err) =>
+			console.error('Event status sweep failed:', err?.message || err)
+		);
+	run();
+	const timer = setInterval(run, SWEEP_INTERVAL_MS);
+	timer.unref();
+	return timer;
+};
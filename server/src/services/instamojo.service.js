@@ -1,11 +1,17 @@
-import axios from "axios";
-import { config } from "dotenv";
+import axios from 'axios';
+import crypto from 'crypto';
+import { config } from 'dotenv';
+import { ApiError } from '../utils/ApiError.js';
 config();
 
 // Toggle between live & sandbox
-const INSTAMOJO_BASE_URL = "https://api.instamojo.com/v2";
-
-const INSTAMOJO_AUTH_URL = "https://api.instamojo.com/oauth2/token/";
+const INSTAMOJO_HOST =
+	process.env.INSTAMOJO_HOST ||
+	(process.env.NODE_ENV === 'production'
+		? 'https://api.instamojo.com'
+		: 'https://test.instamojo.com');
+const INSTAMOJO_BASE_URL = `${INSTAMOJO_HOST}/v2`;
+const INSTAMOJO_AUTH_URL = `${INSTAMOJO_HOST}/oauth2/token/`;
 
 const CLIENT_ID = process.env.INSTAMOJO_CLIENT_ID;
 const CLIENT_SECRET = process.env.INSTAMOJO_CLIENT_SECRET;
@@ -17,65 +23,163 @@ let tokenExpiry = null;
  * Get (or refresh) Instamojo access token
  */
 async function getAccessToken() {
-  const now = Math.floor(Date.now() / 1000);
-
-  if (accessToken && tokenExpiry && now < tokenExpiry) {
-    return accessToken; // still valid
-  }
-
-  try {
-    const response = await axios.post(
-      INSTAMOJO_AUTH_URL,
-      new URLSearchParams({
-        grant_type: "client_credentials",
-        client_id: CLIENT_ID,
-        client_secret: CLIENT_SECRET,
-      }),
-      { headers: { "Content-Type": "application/x-www-form-urlencoded" } }
-    );
-
-    accessToken = response.data.access_token;
-    tokenExpiry = now + response.data.expires_in - 60; // refresh 1min early
-
-    console.log("✅ Instamojo token fetched successfully");
-    return accessToken;
-  } catch (error) {
-    console.error(
-      "❌ Failed to fetch Instamojo token:",
-      error.response?.data || error.message
-    );
-    throw new Error("Instamojo authentication failed");
-  }
+	const now = Math.floor(Date.now() / 1000);
+
+	if (accessToken && tokenExpiry && now < tokenExpiry) {
+		return accessToken; // still valid
+	}
+
+	try {
+		const response = await axios.post(
+			INSTAMOJO_AUTH_URL,
+			new URLSearchParams({
+				grant_type: 'client_credentials',
+				client_id: CLIENT_ID,
+				client_secret: CLIENT_SECRET,
+			}),
+			{ headers: { 'Content-Type': 'application/x-www-form-urlencoded' } }
+		);
+
+		accessToken = response.data.access_token;
+		tokenExpiry = now + response.data.expires_in - 60; // refresh 1min early
+		return accessToken;
+	} catch (error) {
+		console.error('Failed to fetch Instamojo token:', error.response?.data || error.message);
+		throw new Error('Instamojo authentication failed');
+	}
 }
 
+const instamojoRequest = async (method, path, data) => {
+	const token = await getAccessToken();
+	const response = await axios({
+		method,
+		url: `${INSTAMOJO_BASE_URL}${path}`,
+		data,
+		headers: { Authorization: `Bearer ${token}`, 'Content-Type': 'application/json' },
+	});
+	return response.data;
+};
+
 /**
- * Create Instamojo Payment Order
+ * Create an Instamojo payment request; the buyer pays on `longurl`.
  * @param {Object} orderDetails
  */
 export async function createInstamojoOrder(orderDetails) {
-  try {
-    const token = await getAccessToken();
-
-    const response = await axios.post(
-      `${INSTAMOJO_BASE_URL}/gateway/orders/`,
-      orderDetails,
-      {
-        headers: {
-          Authorization: `Bearer ${token}`,
-          "Content-Type": "application/json",
-        },
-      }
-    );
-
-    console.log("✅ Instamojo order created:", response.data);
-    return response.data;
-  } catch (error) {
-    console.error(
-      "❌ Instamojo order error:",
-      error.response?.data || error.message
-    );
-    throw new Error(
-      error.response?.data?.message || "Instamojo order creation failed"
-    );
-  }
+	try {
+		return await instamojoRequest('post', '/payment_requests/', orderDetails);
+	} catch (error) {
+		console.error('Instamojo order error:', error.response?.data || error.message);
+		throw new Error(error.response?.data?.message || 'Instamojo order creation failed');
+	}
+}
+
+/**
+ * Instamojo webhooks are form posts signed with `mac`: HMAC-SHA1 over the other fields'
+ * values, ordered by field name and joined with '|', keyed by the private salt.
+ */
+export function verifyInstamojoWebhookMac(fields = {}) {
+	const salt = process.env.INSTAMOJO_PRIVATE_SALT;
+	const { mac, ...rest } = fields;
+	if (!salt || !mac) return false;
+
+	const message = Object.keys(rest)
+		.sort((a, b) => a.toLowerCase().localeCompare(b.toLowerCase()))
+		.map((key) => rest[key])
+		.join('|');
+	const expected = crypto.createHmac('sha1', salt).update(message).digest('hex');
+
+	const a = Buffer.from(expected);
+	const b = Buffer.from(String(mac));
+	return a.length === b.length && crypto.timingSafeEqual(a, b);
 }
+
+// Instamojo reports successful payments as status `true` (v2) or 'Credit' (webhooks)
+const isCredited = (status) => status === true || status === 'Credit';
+
+/** @type {import('./paymentGateway.service.js').PaymentGateway} */
+export const instamojoGateway = {
+	name: 'instamojo',
+
+	isEnabled: () => Boolean(CLIENT_ID && CLIENT_SECRET),
+
+	async createOrder({ orderId, amount, description, customer }) {
+		const request = await createInstamojoOrder({
+			purpose: description.slice(0, 30),
+			amount: String(amount),
+			buyer_name: customer.name,
+			email: customer.email,
+			phone: customer.phone,
+			send_email: false,
+			send_sms: false,
+			allow_repeated_payments: false,
+			redirect_url: `${process.env.INSTAMOJO_RETURN_URL}?order_id=${orderId}`,
+			webhook: process.env.INSTAMOJO_WEBHOOK_URL,
+		});
+		if (!request?.id || !request?.longurl) {
+			throw new Error('Instamojo did not return a payment request');
+		}
+		return {
+			gatewayOrderId: request.id,
+			checkout: { type: 'redirect', url: request.longurl },
+		};
+	},
+
+	// Instamojo appends payment_id to the redirect URL; fall back to the request's status
+	async verifyOrder({ gatewayOrderId, params = {} }) {
+		if (params.payment_id) {
+			const payment = await instamojoRequest(
+				'get',
+				`/payments/${encodeURIComponent(params.payment_id)}/`
+			);
+			if (!String(payment.payment_request || '').includes(gatewayOrderId)) {
+				return { status: 'FAILED', reason: 'Payment does not belong to this order' };
+			}
+			if (isCredited(payment.status)) {
+				return { status: 'PAID', amount: Number(payment.amount), paymentId: payment.id };
+			}
+			return { status: 'FAILED', reason: 'Payment failed' };
+		}
+
+		const request = await instamojoRequest(
+			'get',
+			`/payment_requests/${encodeURIComponent(gatewayOrderId)}/`
+		);
+		if (request.status === 'Expired') return { status: 'FAILED', reason: 'Order expired' };
+		return { status: 'PENDING' };
+	},
+
+	async parseWebhook(req) {
+		if (!verifyInstamojoWebhookMac(req.body)) {
+			throw ApiError.Unauthorized('Invalid webhook signature.');
+		}
+		const { payment_request_id, payment_id, status, amount } = req.body;
+		if (!payment_request_id) return null;
+
+		if (isCredited(status)) {
+			return {
+				gatewayOrderId: payment_request_id,
+				status: 'PAID',
+				amount: Number(amount),
+				paymentId: payment_id,
+			};
+		}
+		return { gatewayOrderId: payment_request_id, status: 'FAILED', reason: 'Payment failed' };
+	},
+
+	async refund({ paymentId, refundId, amount, reason }) {
+		const data = await instamojoRequest(
+			'post',
+			`/payments/${encodeURIComponent(paymentId)}/refund/`,
+			{
+				transaction_id: refundId,
+				type: 'QFL',
+				body: reason || 'Refund requested by organiser',
+				refund_amount: String(amount),
+			}
+		);
+		return {
+			refundId: String(data?.refund?.id || data?.id || ''),
+			status: data?.refund?.status === 'Refunded' ? 'SUCCESS' : 'PENDING',
+		};
+	},
+};
@@ -0,0 +1,124 @@
+import fs from 'fs';
+import path from 'path';
+import nodemailer from 'nodemailer';
+import { ApiError } from '../utils/ApiError.js';
+
+/**
+ * Mail transport interface. The email service only builds messages; how they leave the server
+ * is up to the transport selected with MAIL_TRANSPORT.
+ *
+ * @typedef {Object} MailMessage
+ * @property {string} from
+ * @property {string} to
+ * @property {string} subject
+ * @property {string} html
+ * @property {string} text
+ * @property {string} [replyTo]
+ * @property {Object[]} [attachments] nodemailer attachment objects
+ *
+ * @typedef {Object} MailTransport
+ * @property {string} name
+ * @property {(message: MailMessage) => Promise<{ messageId: string }>} send
+ */
+
+// SMTP server from SMTP_* settings. SMTP_SERVICE (e.g. "gmail") can replace host/port.
+const createSmtpTransport = () => {
+	const user = process.env.SMTP_USER || process.env.MAIL_USER;
+	const pass = process.env.SMTP_PASS || process.env.MAIL_PASS;
+	const transporter = nodemailer.createTransport({
+		...(process.env.SMTP_SERVICE
+			? { service: process.env.SMTP_SERVICE }
+			: {
+					host: process.env.SMTP_HOST,
+					port: Number(process.env.SMTP_PORT) || 587,
+					secure: process.env.SMTP_SECURE === 'true',
+				}),
+		...(user && { auth: { user, pass } }),
+	});
+	return {
+		name: 'smtp',
+		send: async (message) => {
+			const info = await transporter.sendMail(message);
+			return { messageId: info.messageId };
+		},
+	};
+};
+
+// Local development: nothing is sent, the message is logged
+const createJsonTransport = () => {
+	const transporter = nodemailer.createTransport({ jsonTransport: true });
+	return {
+		name: 'json',
+		send: async (message) => {
+			const info = await transporter.sendMail(message);
+			console.log(`[MAIL] ${message.subject} -> ${message.to} (${info.messageId})`);
+			return { messageId: info.messageId };
+		},
+	};
+};
+
+// Local development: every message is written to MAIL_FILE_DIR as .json and .html for viewing,
+// with its attachments next to them
+const createFileTransport = () => {
+	const dir = path.resolve(process.env.MAIL_FILE_DIR || 'tmp/mail');
+	return {
+		name: 'file',
+		send: async (message) => {
+			await fs.promises.mkdir(dir, { recursive: true });
+			const messageId = `${Date.now()}-${Math.random().toString(36).slice(2, 8)}`;
+			const { attachments, ...rest } = message;
+			const base = path.join(dir, messageId);
+			await fs.promises.writeFile(
+				`${base}.json`,
+				JSON.stringify(
+					{ ...rest, attachments: (attachments || []).map((a) => a.filename) },
+					null,
+					2
+				)
+			);
+			await fs.promises.writeFile(`${base}.html`, message.html || '');
+			for (const attachment of attachments || []) {
+				if (attachment.content) {
+					await fs.promises.writeFile(
+						`${base}-${attachment.filename}`,
+						attachment.content
+					);
+				}
+			}
+			console.log(`[MAIL] ${message.subject} -> ${message.to} written to ${base}.html`);
+			return { messageId };
+		},
+	};
+};
+
+const TRANSPORT_FACTORIES = {
+	smtp: createSmtpTransport,
+	json: createJsonTransport,
+	file: createFileTransport,
+};
+
+/**
+ * Make another provider (e.g. an HTTP email API) available as MAIL_TRANSPORT=<name>.
+ * @param {string} name
+ * @param {() => MailTransport} factory
+ */
+export const registerMailTransport = (name, factory) => {
+	TRANSPORT_FACTORIES[name] = factory;
+	transport = null;
+};
+
+let transport = null;
+
+/**
+ * The configured transport, created on first use. MAIL_TRANSPORT defaults to smtp.
+ * @returns {MailTransport}
+ * @throws {ApiError} 500 for an unknown MAIL_TRANSPORT.
+ */
+export const getMailTransport = () => {
+	if (transport) return transport;
+	const name = process.env.MAIL_TRANSPORT || 'smtp';
+	const factory = TRANSPORT_FACTORIES[name];
+	if (!factory) throw ApiError.InternalServerError(`Unknown mail transport: ${name}`);
+	transport = factory();
+	return transport;
+};
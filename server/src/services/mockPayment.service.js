@@ -0,0 +1,52 @@
+import { v4 as uuidv4 } from 'uuid';
+
+// Local gateway for development: no network calls, every order is settled immediately with the
+// outcome from MOCK_PAYMENT_OUTCOME ('paid' | 'failed' | 'pending'). Its webhooks are unsigned, so
+// it is off unless PAYMENT_MOCK_ENABLED=true.
+
+const getOutcome = () => (process.env.MOCK_PAYMENT_OUTCOME || 'paid').toLowerCase();
+
+const getReturnUrl = () => {
+	if (process.env.MOCK_PAYMENT_RETURN_URL) return process.env.MOCK_PAYMENT_RETURN_URL;
+	const origin = (process.env.CORS_ORIGIN || 'http://localhost:5173').split(',')[0].trim();
+	return `${origin}/payment/verify`;
+};
+
+/** @type {import('./paymentGateway.service.js').PaymentGateway} */
+export const mockGateway = {
+	name: 'mock',
+
+	isEnabled: () => process.env.PAYMENT_MOCK_ENABLED === 'true',
+
+	async createOrder({ orderId }) {
+		return {
+			gatewayOrderId: `mock_${orderId}`,
+			checkout: { type: 'redirect', url: `${getReturnUrl()}?order_id=${orderId}` },
+		};
+	},
+
+	async verifyOrder({ orderId, amount }) {
+		const outcome = getOutcome();
+		if (outcome === 'failed') return { status: 'FAILED', reason: 'Mock payment declined' };
+		if (outcome === 'pending') return { status: 'PENDING' };
+		return { status: 'PAID', amount, paymentId: `mock_pay_${orderId}` };
+	},
+
+	// Body: { orderId, status: 'PAID' | 'FAILED', amount, paymentId? } — lets webhook handling be
+	// exercised locally (e.g. with curl)
+	async parseWebhook(req) {
+		const { orderId, status, amount, paymentId } = req.body || {};
+		if (!orderId || !['PAID', 'FAILED'].includes(status)) return null;
+		return {
+			orderId,
+			status,
+			amount: Number(amount),
+			paymentId: paymentId || `mock_pay_${orderId}`,
+			reason: status === 'FAILED' ? 'Mock payment declined' : undefined,
+		};
+	},
+
+	async refund({ refundId }) {
+		return { refundId: `mock_${refundId}`, status: 'SUCCESS' };
+	},
+};
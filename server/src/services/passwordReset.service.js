@@ -0,0 +1,95 @@
+import crypto from 'crypto';
+import { ApiError } from '../utils/ApiError.js';
+import { sendPasswordResetEmail } from './email.service.js';
+import { canSignIn, endAllSessions } from './session.service.js';
+
+// Reset tokens live 15 minutes (see generateResetToken on the Admin and Member models)
+const RESET_TOKEN_MS = 15 * 60 * 1000;
+// One reset email a minute per account, so the endpoint can't be used to flood an inbox
+const RESEND_AFTER_MS = 60 * 1000;
+
+// The client page each account type resets its password on
+const RESET_PATHS = { Admin: '/admin/reset-password', Member: '/reset-password' };
+
+const hashToken = (token) => crypto.createHash('sha256').update(String(token)).digest('hex');
+
+const usableTokenFilter = (token) => ({
+	resetPasswordToken: hashToken(token),
+	resetPasswordExpires: { $gt: new Date() },
+});
+
+const sendResetLink = async (Model, email) => {
+	const account = await Model.findOne({ email: String(email).trim().toLowerCase() }).select(
+		'+resetPasswordExpires'
+	);
+	if (!account || !canSignIn(account)) return;
+
+	const issuedAt = account.resetPasswordExpires?.getTime() - RESET_TOKEN_MS;
+	if (issuedAt > Date.now() - RESEND_AFTER_MS) return;
+
+	const token = account.generateResetToken();
+	await account.save({ validateBeforeSave: false });
+	try {
+		await sendPasswordResetEmail(account.email, token, RESET_PATHS[Model.modelName]);
+	} catch (err) {
+		// The link never arrived: drop it so the next request isn't held back by the throttle
+		await Model.updateOne(
+			{ _id: account._id, resetPasswordToken: hashToken(token) },
+			{ $unset: { resetPasswordToken: 1, resetPasswordExpires: 1 } }
+		);
+		throw err;
+	}
+};
+
+/**
+ * Email a reset link to the account with this address. Nothing tells the caller whether the
+ * address is known: the work runs in the background, so neither the response nor its timing
+ * depends on the account or the mail server. Unknown addresses, accounts that can't sign in and
+ * repeated requests within a minute are silently skipped; failures are only logged.
+ *
+ * @param {import('mongoose').Model} Model Admin or Member
+ * @param {string} email
+ */
+export const requestPasswordReset = (Model, email) => {
+	setImmediate(() =>
+		sendResetLink(Model, email).catch((err) =>
+			console.error('Password reset email failed:', err?.message || err)
+		)
+	);
+};
+
+/**
+ * The account a reset link belongs to, while the link still works.
+ * @throws {ApiError} 404 when the link is unknown, used or expired.
+ */
+export const findResetAccount = async (Model, token) => {
+	const account = await Model.findOne(usableTokenFilter(token)).select('+resetPasswordExpires');
+	if (!account || !canSignIn(account)) {
+		throw ApiError.NotFound('This reset link is invalid, used or expired.');
+	}
+	return account;
+};
+
+/**
+ * Set a new password through a reset link. The token is claimed first, so a link works once even
+ * when submitted twice; afterwards every session of the account ends.
+ *
+ * @param {import('mongoose').Model} Model Admin or Member
+ * @param {string} token
+ * @param {string} newPassword
+ * @returns {Promise<object>} the account
+ * @throws {ApiError} 404 when the link is unknown, used or expired.
+ */
+export const resetPasswordWithToken = async (Model, token, newPassword) => {
+	const account = await Model.findOneAndUpdate(usableTokenFilter(token), {
+		$unset: { resetPasswordToken: 1, resetPasswordExpires: 1 },
+	});
+	if (!account || !canSignIn(account)) {
+		throw ApiError.NotFound('This reset link is invalid, used or expired.');
+	}
+
+	account.password = newPassword;
+	await account.save();
+	await endAllSessions(account, { reason: 'password-reset' });
+	return account;
+};
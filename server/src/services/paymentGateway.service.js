@@ -0,0 +1,68 @@
+import { ApiError } from '../utils/ApiError.js';
+import { cashfreeGateway } from './cashFree.service.js';
+import { instamojoGateway } from './instamojo.service.js';
+import { mockGateway } from './mockPayment.service.js';
+
+/**
+ * Payment gateway interface. Every gateway normalizes its provider's responses to these shapes
+ * so the payment controller never branches on the provider.
+ *
+ * @typedef {'PAID' | 'PENDING' | 'FAILED'} PaymentStatus
+ *
+ * @typedef {Object} PaymentResult
+ * @property {PaymentStatus} status
+ * @property {number} [amount]      Amount actually paid (rupees)
+ * @property {string} [paymentId]   Gateway payment reference
+ * @property {string} [reason]      Failure reason, when known
+ *
+ * @typedef {Object} PaymentGateway
+ * @property {string} name
+ * @property {() => boolean} isEnabled
+ * @property {(order: { orderId: string, amount: number, currency: string, description: string,
+ *   customer: { name: string, email: string, phone: string } }) =>
+ *   Promise<{ gatewayOrderId: string, checkout: { type: 'cashfree' | 'redirect',
+ *   paymentSessionId?: string, url?: string } }>} createOrder
+ * @property {(txn: { orderId: string, gatewayOrderId?: string, amount: number,
+ *   params?: Object }) => Promise<PaymentResult>} verifyOrder
+ * @property {(req: import('express').Request) =>
+ *   Promise<(PaymentResult & { orderId?: string, gatewayOrderId?: string }) | null>} parseWebhook
+ *   Resolves null for notifications that need no action; throws 401 for bad signatures.
+ * @property {(txn: { orderId: string, refundId: string, gatewayOrderId?: string,
+ *   paymentId?: string, amount: number, reason?: string }) =>
+ *   Promise<{ refundId: string, status: 'SUCCESS' | 'PENDING' }>} refund
+ *   `refundId` is the same on every attempt for an order, so a retried refund is not paid twice.
+ * @property {(txn: { orderId: string, refundId: string, paymentId?: string }) =>
+ *   Promise<{ refundId: string, status: 'SUCCESS' | 'PENDING' } | null>} [findRefund]
+ *   The gateway's record of the refund with this id, or null when it has none. Optional; without
+ *   it a refused retry can't be told apart from a duplicate, so the refund stays unconfirmed.
+ */
+
+const GATEWAYS = {
+	cashfree: cashfreeGateway,
+	instamojo: instamojoGateway,
+	mock: mockGateway,
+};
+
+export const PAYMENT_GATEWAYS = Object.keys(GATEWAYS);
+
+// Gateway used by events that do not choose one
+export const DEFAULT_PAYMENT_GATEWAY = process.env.DEFAULT_PAYMENT_GATEWAY || 'cashfree';
+
+// Compare rupee amounts without floating point noise
+export const toPaise = (amount) => Math.round(Number(amount) * 100);
+
+/**
+ * Look up a gateway by name.
+ * @returns {PaymentGateway}
+ * @throws {ApiError} 400 for unknown gateways, 503 when the gateway is not configured here.
+ */
+export const getPaymentGateway = (name = DEFAULT_PAYMENT_GATEWAY) => {
+	const gateway = GATEWAYS[name];
+	if (!gateway) {
+		throw ApiError.BadRequest(`Unknown payment gateway: ${name}`);
+	}
+	if (!gateway.isEnabled()) {
+		throw new ApiError(503, `Payment gateway "${name}" is not available.`);
+	}
+	return gateway;
+};
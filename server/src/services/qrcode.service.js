@@ -1,35 +1,325 @@
 import QRCode from 'qrcode';
+import jwt from 'jsonwebtoken';
 import { ApiError } from '../utils/ApiError.js';
-import { v4 as uuidv4 } from 'uuid';
-import streamifier from 'streamifier';
-import { v2 as cloudinary } from 'cloudinary';
+import crypto from 'crypto';
 
-export const generateTicketQR = async ( ticketId ) => {
+// Prefix lets scanners tell signed payloads apart from legacy JSON `{ ticketId }` codes
+const SIGNED_QR_PREFIX = 'SYNTAX1:';
+
+// A key of its own, so ticket codes and access tokens can't be forged with each other's secret
+const getQrSecret = () => {
+	const secret = process.env.TICKET_QR_SECRET;
+	if (!secret) {
+		throw new ApiError(500, 'TICKET_QR_SECRET is not configured');
+	}
+	return secret;
+};
+
+// Legacy (unsigned) codes are refused unless TICKET_QR_ALLOW_LEGACY=true, and then only until the
+// optional TICKET_QR_LEGACY_UNTIL date, so they can't stay accepted by oversight
+const legacyQrAllowed = () => {
+	if (process.env.TICKET_QR_ALLOW_LEGACY !== 'true') return false;
+	const until = process.env.TICKET_QR_LEGACY_UNTIL;
+	return !until || Date.now() < new Date(until).getTime();
+};
+
+// Sign the ticket identity so the QR cannot be forged or reused for another event
+export const signTicketPayload = ({ ticketId, eventId, issuedAt = new Date() }) => {
+	if (!ticketId || !eventId) {
+		throw new ApiError(500, 'ticketId and eventId are required to sign a ticket QR');
+	}
+	const token = jwt.sign(
+		{
+			ticketId,
+			eventId: String(eventId),
+			iat: Math.floor(new Date(issuedAt).getTime() / 1000),
+		},
+		getQrSecret(),
+		{ algorithm: 'HS256' }
+	);
+	return `${SIGNED_QR_PREFIX}${token}`;
+};
+
+/**
+ * The ticket's current signed QR payload, re-created without any upload: the same code as its
+ * issued QR image. A ticket that never got a signed code is signed as of its creation, which
+ * check-in accepts until a code is issued for it.
+ */
+export const getTicketQrPayload = (ticket) =>
+	signTicketPayload({
+		ticketId: ticket.ticketId,
+		eventId: ticket.eventId?._id || ticket.eventId,
+		issuedAt: ticket.qrIssuedAt || ticket.createdAt || new Date(),
+	});
+
+// Render a ticket's QR code locally, as a PNG buffer
+export const renderTicketQR = (ticket, { width = 400 } = {}) =>
+	QRCode.toBuffer(getTicketQrPayload(ticket), { type: 'png', width, margin: 1 });
+
+const ticketResourceUrl = (ticket, resource) => {
+	const base = (process.env.API_PUBLIC_URL || '').replace(/\/+$/, '');
+	return `${base}/api/v1/tickets/${encodeURIComponent(ticket.ticketId)}/${resource}`;
+};
+
+// URL of a ticket's QR image, without the link signature (see withTicketLinks). The version
+// changes when the code is re-issued, so caches never show a superseded code.
+export const ticketQrUrl = (ticket) => {
+	const issuedAt = new Date(ticket.qrIssuedAt || ticket.createdAt || Date.now());
+	const version = Math.floor(issuedAt.getTime() / 1000);
+	return `${ticketResourceUrl(ticket, 'qr.png')}?v=${version}`;
+};
+
+// How long a ticket link handed to the holder or an admin keeps working
+const LINK_TTL_HOURS = Number(process.env.TICKET_LINK_TTL_HOURS) || 24;
+const HOUR_SECONDS = 60 * 60;
+
+const ticketLinkSignature = (kind, ticketId, exp) =>
+	crypto
+		.createHmac('sha256', getQrSecret())
+		.update(`ticket-link:${kind}:${ticketId}:${exp}`)
+		.digest('base64url');
+
+/**
+ * Query string (`exp=...&sig=...`) that lets a request fetch one of a ticket's public resources.
+ * The ticketId alone is guessable, so the QR image, PDF and wallet pass only serve requests with
+ * a link handed out to the ticket's holder or an admin. The expiry is rounded up to the hour, so a link stays the
+ * same for a while and caches keep working.
+ *
+ * @param {{ ticketId: string }} ticket
+ * @param {'qr' | 'pdf' | 'pass'} kind
+ */
+export const signTicketLink = (ticket, kind) => {
+	const ttl = LINK_TTL_HOURS * HOUR_SECONDS;
+	const exp = Math.ceil((Math.floor(Date.now() / 1000) + ttl) / HOUR_SECONDS) * HOUR_SECONDS;
+	return `exp=${exp}&sig=${ticketLinkSignature(kind, ticket.ticketId, exp)}`;
+};
+
+/**
+ * Check a ticket link's `exp` and `sig` query parameters.
+ * @throws {ApiError} 403 when the link is missing, forged or expired.
+ */
+export const verifyTicketLink = (kind, ticketId, { exp, sig } = {}) => {
+	const expected = Buffer.from(ticketLinkSignature(kind, ticketId, String(exp)));
+	const given = Buffer.from(String(sig || ''));
+	const valid =
+		/^\d+$/.test(String(exp)) &&
+		given.length === expected.length &&
+		crypto.timingSafeEqual(given, expected);
+	if (!valid || Number(exp) * 1000 < Date.now()) {
+		throw ApiError.Forbidden('This ticket link is invalid or has expired.');
+	}
+};
+
+/**
+ * A ticket as sent to its holder or an admin: a plain object whose `qrCode.url` carries a signed
+ * link, with signed `links.pdf` and `links.pass` downloads. Tickets from before signed QR codes
+ * keep their uploaded image.
+ *
+ * @param {Ticket|Object} ticket Document or plain object
+ * @returns {Object}
+ */
+export const withTicketLinks = (ticket) => {
+	const plain = typeof ticket?.toObject === 'function' ? ticket.toObject() : { ...ticket };
+	if (plain.qrIssuedAt) {
+		plain.qrCode = {
+			...plain.qrCode,
+			url: `${ticketQrUrl(plain)}&${signTicketLink(plain, 'qr')}`,
+		};
+	}
+	plain.links = {
+		pdf: `${ticketResourceUrl(plain, 'pdf')}?${signTicketLink(plain, 'pdf')}`,
+		pass: `${ticketResourceUrl(plain, 'pass')}?${signTicketLink(plain, 'pass')}`,
+	};
+	return plain;
+};
+
+/**
+ * Issue a new signed QR code for a ticket: sets `qrIssuedAt`, which supersedes earlier codes,
+ * and points `qrCode.url` at the QR image endpoint. Nothing is uploaded; the image is rendered
+ * when it is requested. The caller saves the ticket.
+ *
+ * @param {Ticket} ticket
+ * @returns {Ticket}
+ */
+export const issueTicketQR = (ticket, { issuedAt = new Date() } = {}) => {
+	ticket.qrIssuedAt = issuedAt;
+	ticket.qrCode = { url: ticketQrUrl(ticket) };
+	return ticket;
+};
+
+const QR_IMAGE_WIDTH = 400;
+const QR_CACHE_SIZE = Number(process.env.TICKET_QR_CACHE_SIZE) || 500;
+// Recently rendered QR images by ETag, least recently used first
+const qrImageCache = new Map();
+
+/**
+ * A ticket's QR image with its ETag. The ETag is a hash of the encoded payload, so it changes
+ * exactly when the image does (re-issue, secret rotation) and doubles as the render cache key.
+ *
+ * @param {Ticket} ticket
+ * @returns {Promise<{ etag: string, png: Buffer }>}
+ */
+export const getTicketQrImage = async (ticket) => {
+	const payload = getTicketQrPayload(ticket);
+	const etag = `"${crypto.createHash('sha256').update(`${QR_IMAGE_WIDTH}:${payload}`).digest('base64url')}"`;
+
+	let png = qrImageCache.get(etag);
+	if (png) {
+		qrImageCache.delete(etag);
+	} else {
+		png = await QRCode.toBuffer(payload, { type: 'png', width: QR_IMAGE_WIDTH, margin: 1 });
+	}
+	qrImageCache.set(etag, png);
+	if (qrImageCache.size > QR_CACHE_SIZE) {
+		qrImageCache.delete(qrImageCache.keys().next().value);
+	}
+	return { etag, png };
+};
+
+// Extract the ticketId from a legacy QR payload: JSON `{ ticketId }` or a bare ticketId string.
+const parseLegacyTicketQR = (value) => {
 	try {
-		// Prepare data to encode in the QR
-		const qrData = JSON.stringify({ ticketId });
-
-		const qrBuffer = await QRCode.toBuffer(qrData, { type: 'png' });
-
-		const uploadResult = await new Promise((resolve, reject) => {
-			const uploadStream = cloudinary.uploader.upload_stream(
-				{
-					folder: 'tickets/qr-codes',
-					public_id: `ticket_${uuidv4()}`,
-					resource_type: 'image',
-				},
-				(error, result) => {
-					if (error) return reject(error);
-					resolve(result);
-				}
-			);
-
-			streamifier.createReadStream(qrBuffer).pipe(uploadStream);
-		});
+		const parsed = JSON.parse(value);
+		if (parsed && typeof parsed.ticketId === 'string') return parsed.ticketId.trim();
+		return null;
+	} catch {
+		// not JSON — treat as a raw ticketId
+		return value.length ? value : null;
+	}
+};
+
+/**
+ * Verify a scanned QR payload.
+ *
+ * Returns `{ ticketId, eventId, issuedAt, legacy }`. Signed codes carry the eventId and issue
+ * time; legacy codes only carry the ticketId (eventId and issuedAt are null).
+ *
+ * @throws {ApiError} 400 when the code is unreadable, forged or legacy codes are disabled.
+ */
+export const verifyTicketQR = (raw) => {
+	if (!raw || typeof raw !== 'string' || !raw.trim()) {
+		throw ApiError.BadRequest('Unrecognised ticket QR code.');
+	}
+	const value = raw.trim();
+
+	if (value.startsWith(SIGNED_QR_PREFIX)) {
+		let decoded;
+		try {
+			decoded = jwt.verify(value.slice(SIGNED_QR_PREFIX.length), getQrSecret(), {
+				algorithms: ['HS256'],
+			});
+		} catch {
+			throw ApiError.BadRequest('Invalid or forged ticket QR code.');
+		}
+		if (!decoded?.ticketId || !decoded?.eventId) {
+			throw ApiError.BadRequest('Invalid or forged ticket QR code.');
+		}
+		return {
+			ticketId: decoded.ticketId,
+			eventId: decoded.eventId,
+			issuedAt: decoded.iat ? new Date(decoded.iat * 1000) : null,
+			legacy: false,
+		};
+	}
+
+	if (!legacyQrAllowed()) {
+		throw ApiError.BadRequest(
+			'This ticket QR code is outdated. Please use a re-issued ticket.'
+		);
+	}
+
+	const ticketId = parseLegacyTicketQR(value);
+	if (!ticketId) {
+		throw ApiError.BadRequest('Unrecognised ticket QR code.');
+	}
+	return { ticketId, eventId: null, issuedAt: null, legacy: true };
+};
+
+// Offline scanners may validate against a snapshot for this long before re-downloading it
+const SNAPSHOT_TTL_SECONDS = 24 * 60 * 60;
 
-		return uploadResult;
-	} catch (error) {
-		console.error('Error generating QR code:', error);
-		throw new ApiError(500, 'Failed to generate QR code');
+// Tag tying one admissible snapshot row to its snapshot (event + issue time); 128 bits is plenty
+const snapshotRowTag = (eventId, iat, ticketId) =>
+	crypto
+		.createHmac('sha256', getQrSecret())
+		.update(`checkin-row:${eventId}:${iat}:${ticketId}:active`)
+		.digest('base64url')
+		.slice(0, 22);
+
+/**
+ * Sign an offline check-in snapshot. The sync token covers the event, the validity window and
+ * the number of rows; each active row gets an `admit` tag bound to that token, so a synced scan
+ * can prove its ticket was admissible in the signed list without sending the list back.
+ *
+ * @param {Object} params
+ * @param {string} params.eventId
+ * @param {Array<Object>} params.tickets Snapshot rows (ticketId, fullName, status, ...).
+ * @returns {{ token: string, tickets: Array<Object>, generatedAt: Date, expiresAt: Date }}
+ */
+export const signCheckInSnapshot = ({ eventId, tickets, generatedAt = new Date() }) => {
+	const iat = Math.floor(new Date(generatedAt).getTime() / 1000);
+	const exp = iat + SNAPSHOT_TTL_SECONDS;
+	const token = jwt.sign(
+		{
+			typ: 'checkin-snapshot',
+			v: 2,
+			eventId: String(eventId),
+			count: tickets.length,
+			iat,
+			exp,
+		},
+		getQrSecret(),
+		{ algorithm: 'HS256' }
+	);
+	const rows = tickets.map((ticket) =>
+		ticket.status === 'active'
+			? { ...ticket, admit: snapshotRowTag(String(eventId), iat, ticket.ticketId) }
+			: ticket
+	);
+	return {
+		token,
+		tickets: rows,
+		generatedAt: new Date(iat * 1000),
+		expiresAt: new Date(exp * 1000),
+	};
+};
+
+/**
+ * Verify the sync token of an offline check-in snapshot (see signCheckInSnapshot).
+ *
+ * Expired tokens are still accepted so scans recorded while the snapshot was valid can be
+ * synced late; callers compare scan times against `expiresAt`.
+ *
+ * @returns {{ eventId: string, generatedAt: Date, expiresAt: Date,
+ *   admits: (ticketId: string, tag?: string) => boolean }} `admits` tells whether a row tag
+ *   proves the ticket was active in the signed list.
+ * @throws {ApiError} 400 when the token is missing, malformed or forged.
+ */
+export const verifyCheckInSnapshot = (token) => {
+	let decoded;
+	try {
+		decoded = jwt.verify(String(token || ''), getQrSecret(), {
+			algorithms: ['HS256'],
+			ignoreExpiration: true,
+		});
+	} catch {
+		throw ApiError.BadRequest('Invalid offline snapshot token.');
+	}
+	if (decoded?.typ !== 'checkin-snapshot' || !decoded.eventId) {
+		throw ApiError.BadRequest('Invalid offline snapshot token.');
 	}
+	const { eventId, iat, exp } = decoded;
+	// Tokens issued before row tags existed carry no list; they lapse within SNAPSHOT_TTL_SECONDS
+	const untagged = decoded.v !== 2;
+	return {
+		eventId,
+		generatedAt: new Date(iat * 1000),
+		expiresAt: new Date(exp * 1000),
+		admits: (ticketId, tag) => {
+			if (untagged) return true;
+			const expected = Buffer.from(snapshotRowTag(eventId, iat, ticketId));
+			const given = Buffer.from(String(tag || ''));
+			return given.length === expected.length && crypto.timingSafeEqual(given, expected);
+		},
+	};
 };
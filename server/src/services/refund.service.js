@@ -0,0 +1,166 @@
+import crypto from 'crypto';
+import Transaction from '../models/Transaction.js';
+import { ApiError } from '../utils/ApiError.js';
+import { getPaymentGateway } from './paymentGateway.service.js';
+
+export const REFUND_METHODS = ['gateway', 'manual'];
+
+// The gateway refund id of an order. It is the same on every attempt, so a retried refund is
+// matched to the first one instead of paying out twice (hashed to fit gateway id length limits).
+const refundIdFor = (orderId) =>
+	`refund_${crypto.createHash('sha256').update(String(orderId)).digest('hex').slice(0, 32)}`;
+
+// A gateway refund that was claimed but never confirmed: the gateway call failed without a clear
+// answer, so the money may or may not have gone out. It is retried with the same refund id.
+const isUnconfirmedGatewayRefund = (transaction) =>
+	transaction.status === 'REFUNDED' &&
+	transaction.refund?.method === 'gateway' &&
+	transaction.refund?.status === 'PENDING' &&
+	!transaction.refund?.refundId;
+
+// Only a 4xx answer means the gateway turned the refund down; timeouts, network errors and 5xx
+// leave it unknown whether the refund went through
+const isRejection = (err) => {
+	const status = err.response?.status;
+	return status >= 400 && status < 500 && status !== 408 && status !== 409;
+};
+
+// The gateway's own record of a refund: the result, null when it has none, undefined when the
+// gateway can't be asked
+const lookUpRefund = async (gateway, request) => {
+	if (!gateway.findRefund) return undefined;
+	try {
+		return await gateway.findRefund(request);
+	} catch (err) {
+		console.error(
+			`Refund lookup failed for order ${request.orderId}:`,
+			err.response?.data || err.message
+		);
+		return undefined;
+	}
+};
+
+const saveGatewayResult = async (claimed, result) => {
+	claimed.refund.refundId = result.refundId;
+	claimed.refund.status = result.status;
+	await claimed.save();
+	return claimed;
+};
+
+// Settle an unconfirmed gateway refund that an admin confirmed outside the app (e.g. on the
+// gateway dashboard) by recording it as a manual refund
+const recordConfirmedRefund = async (transaction, { reference, refundedBy }) => {
+	const recorded = await Transaction.findOneAndUpdate(
+		{
+			_id: transaction._id,
+			status: 'REFUNDED',
+			'refund.status': 'PENDING',
+			'refund.refundId': null,
+		},
+		{
+			$set: {
+				'refund.method': 'manual',
+				'refund.status': 'SUCCESS',
+				'refund.reference': reference,
+				'refund.refundedBy': refundedBy,
+			},
+		},
+		{ new: true }
+	);
+	if (!recorded) {
+		throw ApiError.Conflict('This refund has already been settled.');
+	}
+	return recorded;
+};
+
+/**
+ * Refund a successful payment in full, either through its gateway or by recording a refund that
+ * was paid out by hand. The transaction is claimed (SUCCESS -> REFUNDED) before the gateway is
+ * called so it can never be refunded twice. The claim is released only when the gateway rejects
+ * the refund; after any other error it stays pending and calling this again retries it with the
+ * same refund id. A retry the gateway refuses may only mean it already has the refund, so the
+ * claim is then released only when the gateway confirms it has none; otherwise the refund stays
+ * pending until it is retried or recorded as manual.
+ *
+ * @param {Object} transaction
+ * @param {{ method?: 'gateway' | 'manual', reason?: string, reference?: string,
+ *   refundedBy?: string }} options
+ * @throws {ApiError} 400 when the payment did not succeed, 409 when it is already refunded,
+ *   502 when the gateway rejects the refund or does not answer clearly.
+ */
+export const refundTransaction = async (
+	transaction,
+	{ method = 'gateway', reason, reference, refundedBy } = {}
+) => {
+	const retrying = isUnconfirmedGatewayRefund(transaction);
+	if (retrying && method === 'manual') {
+		return recordConfirmedRefund(transaction, { reference, refundedBy });
+	}
+	if (transaction.status === 'REFUNDED' && !retrying) {
+		throw ApiError.Conflict('This payment has already been refunded.');
+	}
+	if (transaction.status !== 'SUCCESS' && !retrying) {
+		throw ApiError.BadRequest('Only successful payments can be refunded.');
+	}
+
+	// Resolve the gateway before claiming so a disabled gateway leaves the transaction untouched
+	const gateway = method === 'gateway' ? getPaymentGateway(transaction.gateway) : null;
+
+	const claimed = retrying
+		? transaction
+		: await Transaction.findOneAndUpdate(
+				{ _id: transaction._id, status: 'SUCCESS' },
+				{
+					$set: {
+						status: 'REFUNDED',
+						refund: {
+							amount: transaction.amount,
+							method,
+							status: gateway ? 'PENDING' : 'SUCCESS',
+							reason,
+							reference,
+							refundedBy,
+							refundedAt: new Date(),
+						},
+					},
+				},
+				{ new: true }
+			);
+	if (!claimed) {
+		throw ApiError.Conflict('This payment has already been refunded.');
+	}
+	if (!gateway) return claimed;
+
+	const request = {
+		orderId: claimed.orderId,
+		refundId: refundIdFor(claimed.orderId),
+		gatewayOrderId: claimed.gatewayOrderId,
+		paymentId: claimed.gatewayPaymentId,
+		amount: claimed.amount,
+		reason: claimed.refund.reason,
+	};
+	try {
+		return await saveGatewayResult(claimed, await gateway.refund(request));
+	} catch (err) {
+		console.error(
+			`Refund failed for order ${claimed.orderId}:`,
+			err.response?.data || err.message
+		);
+		const existing = isRejection(err) && retrying ? await lookUpRefund(gateway, request) : null;
+		if (existing) return saveGatewayResult(claimed, existing);
+		if (!isRejection(err) || existing === undefined) {
+			throw new ApiError(
+				502,
+				`No clear answer from ${gateway.name} about the refund, so it may still go through. Retrying is safe and will not pay it twice; once the gateway dashboard shows it paid, it can also be recorded as a manual refund.`
+			);
+		}
+		await Transaction.updateOne(
+			{ _id: claimed._id, status: 'REFUNDED' },
+			{ $set: { status: 'SUCCESS' }, $unset: { refund: '' } }
+		);
+		throw new ApiError(
+			502,
+			`Refund with ${gateway.name} failed: ${err.response?.data?.message || err.message}`
+		);
+	}
+};
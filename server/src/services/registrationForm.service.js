@@ -0,0 +1,206 @@
+import fs from 'fs';
+import { ApiError } from '../utils/ApiError.js';
+import { uploadFile, deleteFile } from '../utils/cloudinary.js';
+import { MAX_TEXT_ANSWER_LENGTH } from '../models/event.model.js';
+import RegistrationUpload from '../models/registrationUpload.model.js';
+import Ticket from '../models/ticket.model.js';
+import Transaction from '../models/Transaction.js';
+import WaitlistEntry from '../models/waitlist.model.js';
+
+// Cloudinary folder for files attached to registrations: <folder>/<eventId>/<fieldKey>
+export const REGISTRATION_FILE_FOLDER = 'registration-files';
+
+const DEFAULT_FILE_SIZE_MB = 5;
+
+const fileFolderOf = (event, field) => `${REGISTRATION_FILE_FOLDER}/${event._id}/${field.key}`;
+
+const isBlank = (value) =>
+	value === undefined || value === null || (typeof value === 'string' && !value.trim());
+
+// Check one answer against its field. Returns [value] when valid, or an error message.
+const checkAnswer = (event, field, raw) => {
+	switch (field.type) {
+		case 'number': {
+			const n = Number(raw);
+			if (typeof raw === 'boolean' || !Number.isFinite(n)) return 'must be a number';
+			if (field.min != null && n < field.min) return `must be at least ${field.min}`;
+			if (field.max != null && n > field.max) return `must be at most ${field.max}`;
+			return [n];
+		}
+		case 'select': {
+			const value = String(raw).trim();
+			if (!field.options?.includes(value)) return 'is not one of the options';
+			return [value];
+		}
+		case 'checkbox': {
+			if (raw === true || raw === 'true') return [true];
+			if (raw === false || raw === 'false') return [false];
+			return 'must be true or false';
+		}
+		case 'file': {
+			// Files are uploaded first (see uploadRegistrationFile); the answer is the upload result
+			const publicId = typeof raw === 'object' ? String(raw.publicId || '') : '';
+			if (!publicId.startsWith(`${fileFolderOf(event, field)}/`) || !raw.url) {
+				return 'must be a file uploaded for this field';
+			}
+			const answer = { url: String(raw.url), publicId };
+			if (raw.name) answer.name = String(raw.name);
+			return [answer];
+		}
+		default: {
+			if (typeof raw === 'object') return 'must be text';
+			const value = String(raw).trim();
+			if (value.length > MAX_TEXT_ANSWER_LENGTH) {
+				return `must be at most ${MAX_TEXT_ANSWER_LENGTH} characters`;
+			}
+			if (field.min != null && value.length < field.min) {
+				return `must be at least ${field.min} characters`;
+			}
+			if (field.max != null && value.length > field.max) {
+				return `must be at most ${field.max} characters`;
+			}
+			if (field.pattern && !new RegExp(field.pattern).test(value)) {
+				return 'has an invalid format';
+			}
+			return [value];
+		}
+	}
+};
+
+/**
+ * Validate registration answers against the event's registrationFields. Unknown keys are dropped.
+ * A required checkbox has to be ticked (e.g. "I accept the rules").
+ *
+ * @returns {Object|undefined} The cleaned answers, or undefined when the event has no fields.
+ * @throws {ApiError} 422 with one `{ [key]: message }` per invalid answer in `details`, like route
+ *   validation.
+ */
+export const validateAnswers = (event, answers) => {
+	const fields = event.registrationFields || [];
+	if (!fields.length) return undefined;
+
+	const given = answers && typeof answers === 'object' ? answers : {};
+	const cleaned = {};
+	const errors = [];
+	for (const field of fields) {
+		const raw = given[field.key];
+		if (isBlank(raw) || (field.type === 'checkbox' && field.required && !raw)) {
+			if (field.required) errors.push({ [field.key]: `${field.label} is required` });
+			continue;
+		}
+		const result = checkAnswer(event, field, raw);
+		if (Array.isArray(result)) cleaned[field.key] = result[0];
+		else errors.push({ [field.key]: `${field.label} ${result}` });
+	}
+
+	if (errors.length) {
+		const message = errors.map((e) => Object.values(e)[0]).join('. ');
+		throw ApiError.UnprocessableEntity(message, errors);
+	}
+	return cleaned;
+};
+
+/**
+ * The `file` field of the event that takes uploads under `key`. Checked before the upload is
+ * accepted, so nothing is stored for events or fields that can't take it.
+ * @throws {ApiError} 400 when the event has no internal registration or no such file field.
+ */
+export const getRegistrationFileField = (event, key) => {
+	if (event.registration?.mode !== 'internal') {
+		throw ApiError.BadRequest('Registration for this event is not available.');
+	}
+	const field = (event.registrationFields || []).find((f) => f.key === key);
+	if (!field || field.type !== 'file') {
+		throw ApiError.BadRequest('This event has no file field with this key.');
+	}
+	return field;
+};
+
+/**
+ * Upload a file answer for a `file` field of the event (see getRegistrationFileField). The result
+ * is what the attendee sends back as the field's answer when registering; until a ticket uses
+ * it, the upload is tracked so removeOrphanedUploads can clean it up.
+ * @throws {ApiError} 400 when the file does not fit the field's limits.
+ */
+export const uploadRegistrationFile = async (event, field, file) => {
+	const removeLocal = () => fs.promises.unlink(file.path).catch(() => {});
+
+	if (field.accept?.length && !field.accept.includes(file.mimetype)) {
+		await removeLocal();
+		throw ApiError.BadRequest(`${field.label} accepts only: ${field.accept.join(', ')}`);
+	}
+	const maxSizeMb = field.maxSizeMb || DEFAULT_FILE_SIZE_MB;
+	if (file.size > maxSizeMb * 1024 * 1024) {
+		await removeLocal();
+		throw ApiError.BadRequest(`${field.label} must be at most ${maxSizeMb} MB.`);
+	}
+
+	let uploaded;
+	try {
+		uploaded = await uploadFile(file, { folder: fileFolderOf(event, field) });
+	} catch (err) {
+		await removeLocal();
+		throw err;
+	}
+	await RegistrationUpload.create({
+		eventId: event._id,
+		fieldKey: field.key,
+		publicId: uploaded.publicId,
+		resourceType: uploaded.resource_type,
+	});
+	return { url: uploaded.url, publicId: uploaded.publicId, name: file.originalname };
+};
+
+// ------------------------------ Orphaned uploads ------------------------------
+
+// Uploads no ticket uses after this long are removed, unless a pending payment or a waitlist
+// entry still holds them
+const ORPHAN_AFTER_MS = 24 * 60 * 60 * 1000;
+const SWEEP_INTERVAL_MS = 60 * 60 * 1000;
+const SWEEP_BATCH = 100;
+
+/**
+ * Remove tracked registration uploads that were never used. Uploads a ticket uses stop being
+ * tracked; those still held by a pending payment or an active waitlist entry are kept for now.
+ * @returns {Promise<number>} How many files were removed.
+ */
+export const removeOrphanedUploads = async () => {
+	const uploads = await RegistrationUpload.find({
+		createdAt: { $lte: new Date(Date.now() - ORPHAN_AFTER_MS) },
+	})
+		.sort({ createdAt: 1 })
+		.limit(SWEEP_BATCH)
+		.lean();
+
+	let removed = 0;
+	for (const upload of uploads) {
+		const usedBy = {
+			eventId: upload.eventId,
+			[`answers.${upload.fieldKey}.publicId`]: upload.publicId,
+		};
+		if (await Ticket.exists(usedBy)) {
+			await RegistrationUpload.deleteOne({ _id: upload._id });
+			continue;
+		}
+		const held =
+			(await Transaction.exists({ ...usedBy, status: 'PENDING' })) ||
+			(await WaitlistEntry.exists({ ...usedBy, status: { $in: ['waiting', 'offered'] } }));
+		if (held) continue;
+
+		await deleteFile({ public_id: upload.publicId, resource_type: upload.resourceType });
+		await RegistrationUpload.deleteOne({ _id: upload._id });
+		removed += 1;
+	}
+	return removed;
+};
+
+// Run removeOrphanedUploads every hour; returns the timer so shutdown can clear it
+export const startRegistrationUploadSweep = () => {
+	const timer = setInterval(() => {
+		removeOrphanedUploads().catch((err) =>
+			console.error('Registration upload sweep failed:', err?.message || err)
+		);
+	}, SWEEP_INTERVAL_MS);
+	timer.unref();
+	return timer;
+};
@@ -0,0 +1,175 @@
+import crypto from 'crypto';
+import jwt from 'jsonwebtoken';
+import Session from '../models/session.model.js';
+import { ApiError } from '../utils/ApiError.js';
+
+// A refresh token replaced this recently still gets an access token: two tabs refreshing at once
+// send the same cookie, and only one of them can rotate it
+const ROTATION_GRACE_MS = 30 * 1000;
+
+const hashToken = (token) => crypto.createHash('sha256').update(String(token)).digest('hex');
+
+const modelNameOf = (account) => account.constructor.modelName;
+
+const accountFilter = (account) => ({ account: account._id, accountModel: modelNameOf(account) });
+
+// When the refresh token stops working; the session expires with it
+const expiryOf = (refreshToken) => new Date(jwt.decode(refreshToken).exp * 1000);
+
+const deviceOf = (req) => ({
+	userAgent: String(req?.headers?.['user-agent'] || '').slice(0, 500),
+	ip: String(req?.ip || '').slice(0, 100),
+});
+
+// Disabled admins and banned or removed members can't keep a session going
+export const canSignIn = (account) =>
+	account.role === 'admin' ? account.status !== 'disabled' : account.status === 'active';
+
+const sessionEnded = () => ApiError.Unauthorized('Your session has ended. Please log in again.');
+
+/**
+ * Sign an account in on a new device.
+ * @param {object} account Admin or Member document
+ * @param {import('express').Request} req
+ * @returns {Promise<{ accessToken: string, refreshToken: string, session: Session }>}
+ */
+export const startSession = async (account, req) => {
+	const session = new Session({ ...accountFilter(account), ...deviceOf(req) });
+	const refreshToken = account.generateRefreshToken(session._id);
+	session.tokenHash = hashToken(refreshToken);
+	session.expiresAt = expiryOf(refreshToken);
+	await session.save();
+
+	return { accessToken: account.generateAuthToken(session._id), refreshToken, session };
+};
+
+/**
+ * Trade a refresh token for a new access token and a new refresh token. A refresh token that was
+ * already traded means it was copied: the session is ended, so neither copy works any more.
+ *
+ * @param {import('mongoose').Model} Model Admin or Member; tokens of the other kind are refused
+ * @param {string} refreshToken
+ * @param {import('express').Request} req
+ * @returns {Promise<{ account: object, accessToken: string, refreshToken?: string }>}
+ *   refreshToken is missing when the browser already got the new one from a parallel request.
+ * @throws {ApiError} 401 when the token is invalid, reused or its session has ended.
+ */
+export const rotateSession = async (Model, refreshToken, req) => {
+	let decoded;
+	try {
+		decoded = jwt.verify(refreshToken, process.env.REFRESH_TOKEN_SECRET);
+	} catch {
+		throw ApiError.Unauthorized('Invalid or expired refresh token');
+	}
+	// Tokens from before sessions carry no session ID
+	if (!decoded.sid) throw sessionEnded();
+
+	const session = await Session.findOne({
+		_id: decoded.sid,
+		accountModel: Model.modelName,
+	}).select('+tokenHash +previousTokenHash');
+	if (!session || session.revokedAt || String(session.account) !== String(decoded.id)) {
+		throw sessionEnded();
+	}
+
+	const account = await Model.findById(session.account);
+	if (!account || !canSignIn(account)) throw sessionEnded();
+
+	const now = new Date();
+	const hash = hashToken(refreshToken);
+	const accessOnly = () => ({ account, accessToken: account.generateAuthToken(session._id) });
+
+	if (hash !== session.tokenHash) {
+		if (hash === session.previousTokenHash && now - session.rotatedAt < ROTATION_GRACE_MS) {
+			return accessOnly();
+		}
+		await endSession(session._id, 'reuse');
+		throw ApiError.Unauthorized(
+			'This session was ended because its refresh token was used twice. Please log in again.'
+		);
+	}
+
+	const nextToken = account.generateRefreshToken(session._id);
+	const rotated = await Session.updateOne(
+		{ _id: session._id, tokenHash: hash, revokedAt: null },
+		{
+			$set: {
+				tokenHash: hashToken(nextToken),
+				previousTokenHash: hash,
+				rotatedAt: now,
+				lastUsedAt: now,
+				expiresAt: expiryOf(nextToken),
+				...deviceOf(req),
+			},
+		}
+	);
+	// A parallel request rotated it first
+	if (!rotated.modifiedCount) return accessOnly();
+
+	return { ...accessOnly(), refreshToken: nextToken };
+};
+
+/**
+ * Whether a session can still be used, for access tokens that name one.
+ * @param {string} sessionId
+ */
+export const isSessionActive = async (sessionId) =>
+	!!(await Session.exists({ _id: sessionId, revokedAt: null, expiresAt: { $gt: new Date() } }));
+
+/**
+ * End one session.
+ * @param {string} sessionId
+ * @param {string} reason one of SESSION_END_REASONS
+ * @param {object} [account] only end it if it belongs to this account
+ * @returns {Promise<boolean>} whether an active session was ended
+ */
+export const endSession = async (sessionId, reason, account = null) => {
+	const { modifiedCount } = await Session.updateOne(
+		{ _id: sessionId, revokedAt: null, ...(account ? accountFilter(account) : {}) },
+		{ $set: { revokedAt: new Date(), revokedReason: reason } }
+	);
+	return modifiedCount > 0;
+};
+
+/**
+ * End all sessions of an account, for example when it is disabled or its password changes.
+ * @param {object} account Admin or Member document
+ * @param {{ reason: string, except?: string }} options `except` keeps that session going
+ * @returns {Promise<number>} how many sessions were ended
+ */
+export const endAllSessions = async (account, { reason, except = null }) => {
+	const { modifiedCount } = await Session.updateMany(
+		{
+			...accountFilter(account),
+			revokedAt: null,
+			...(except ? { _id: { $ne: except } } : {}),
+		},
+		{ $set: { revokedAt: new Date(), revokedReason: reason } }
+	);
+	return modifiedCount;
+};
+
+/**
+ * The account's active sessions, most recently used first.
+ * @param {object} account Admin or Member document
+ * @param {string} [currentSessionId] marked `current: true`
+ */
+export const listSessions = async (account, currentSessionId = null) => {
+	const sessions = await Session.find({
+		...accountFilter(account),
+		revokedAt: null,
+		expiresAt: { $gt: new Date() },
+	})
+		.sort({ lastUsedAt: -1 })
+		.lean();
+
+	return sessions.map(({ _id, userAgent, ip, createdAt, lastUsedAt, expiresAt }) => ({
+		_id,
+		userAgent,
+		ip,
+		createdAt,
+		lastUsedAt,
+		expiresAt,
+		current: !!currentSessionId && String(_id) === String(currentSessionId),
+	}));
+};
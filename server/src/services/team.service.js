@@ -0,0 +1,162 @@
+import crypto from 'crypto';
+import validator from 'validator';
+import Team from '../models/team.model.js';
+import Ticket from '../models/ticket.model.js';
+import { ApiError } from '../utils/ApiError.js';
+import { queueEmail } from './emailQueue.service.js';
+
+// How long a pending invite holds a place for the invited member
+export const TEAM_INVITE_WINDOW_MS = (Number(process.env.TEAM_INVITE_HOURS) || 72) * 60 * 60 * 1000;
+
+// No 0/O or 1/I: codes are typed in by hand
+const CODE_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+
+export const generateTeamCode = () =>
+	Array.from(crypto.randomBytes(8), (byte) => CODE_ALPHABET[byte % CODE_ALPHABET.length]).join(
+		''
+	);
+
+// Team size limits of an event; max 1 means individual registration
+export const getTeamSize = (event) => ({
+	min: event.registration?.teamSize?.min || 1,
+	max: event.registration?.teamSize?.max || 1,
+});
+
+export const isTeamEvent = (event) => getTeamSize(event).max > 1;
+
+const getJoinUrl = (code) => {
+	const base =
+		process.env.TEAM_JOIN_URL ||
+		`${process.env.FRONTEND_URL || 'http://localhost:5173'}/teams/join`;
+	return `${base}/${code}`;
+};
+
+// An invite is an email address or an LPU ID
+const parseInvite = (value) => {
+	const text = String(value).trim();
+	if (validator.isEmail(text)) return { email: text.toLowerCase() };
+	if (/^\d{7,8}$/.test(text)) return { lpuId: text };
+	throw ApiError.BadRequest(`"${text}" is not an email address or LPU ID.`);
+};
+
+/**
+ * Work out the team part of a registration. Returns the reserveTicket options for it:
+ * `{ teamInvite }` when joining with `teamCode`, `{ createTeam }` when registering a new team with
+ * `teamName` and `teamInvites` (emails or LPU IDs), or `{}` for events without teams.
+ *
+ * @throws {ApiError} 400 for invalid team details, 403 when the attendee was not invited,
+ *   404 for unknown codes, 409 when an invited member is already registered or invited.
+ */
+export const resolveTeamRegistration = async (
+	event,
+	attendee,
+	{ teamName, teamInvites = [], teamCode } = {}
+) => {
+	if (!isTeamEvent(event)) {
+		if (teamName || teamCode) {
+			throw ApiError.BadRequest('This event does not take team registrations.');
+		}
+		return {};
+	}
+
+	const email = String(attendee.email).toLowerCase().trim();
+	const lpuId = String(attendee.lpuId).trim();
+
+	if (teamCode) {
+		const team = await Team.findOne({
+			eventId: event._id,
+			code: String(teamCode).toUpperCase().trim(),
+		});
+		if (!team) throw ApiError.NotFound('No team with this code is registered for this event.');
+
+		const invite = team.invites.find(
+			(i) => i.status === 'pending' && (i.email === email || i.lpuId === lpuId)
+		);
+		if (!invite) {
+			throw ApiError.Forbidden(
+				'You have not been invited to this team. Ask the team leader to invite your email or LPU ID.'
+			);
+		}
+		return { teamInvite: { teamId: team._id, inviteId: invite._id } };
+	}
+
+	if (!teamName) {
+		throw ApiError.BadRequest('This is a team event. Create a team or join one with its code.');
+	}
+
+	// Drop duplicates and the leader themself
+	const seen = new Set([email, lpuId]);
+	const invites = [];
+	for (const value of teamInvites) {
+		const invite = parseInvite(value);
+		const key = invite.email || invite.lpuId;
+		if (seen.has(key)) continue;
+		seen.add(key);
+		invites.push(invite);
+	}
+
+	const { min, max } = getTeamSize(event);
+	const size = invites.length + 1;
+	if (size < min || size > max) {
+		throw ApiError.BadRequest(
+			min === max
+				? `Teams must have ${max} members, including you.`
+				: `Teams must have ${min} to ${max} members, including you.`
+		);
+	}
+
+	if (invites.length) {
+		const identities = invites.map((i) => (i.email ? { email: i.email } : { lpuId: i.lpuId }));
+		const registered = await Ticket.find({ eventId: event._id, $or: identities })
+			.select('email lpuId')
+			.lean();
+		if (registered.length) {
+			throw ApiError.Conflict('Some invited members are already registered for this event.', {
+				registered: registered.map((t) => t.email),
+			});
+		}
+		const invitedElsewhere = await Team.exists({
+			eventId: event._id,
+			invites: { $elemMatch: { status: 'pending', $or: identities } },
+		});
+		if (invitedElsewhere) {
+			throw ApiError.Conflict(
+				'Some invited members already have an invite from another team.'
+			);
+		}
+	}
+
+	return { createTeam: { name: String(teamName).trim(), invites } };
+};
+
+/**
+ * Email the leader's invites once their ticket is issued. Invites by LPU ID only get no email;
+ * the leader shares the team code with them. Queued like the ticket email.
+ * @returns {Promise<Object|null>} The team when `ticket` is a team leader's ticket.
+ */
+export const sendTeamInvites = async (ticket) => {
+	if (!ticket.team) return null;
+	const team = await Team.findById(ticket.team);
+	if (!team || String(team.leader) !== String(ticket._id)) return null;
+
+	for (const invite of team.invites) {
+		if (invite.status !== 'pending' || !invite.email) continue;
+		try {
+			await queueEmail('teamInvite', invite.email, {
+				eventId: ticket.eventId,
+				eventName: ticket.eventName,
+				leaderName: ticket.fullName,
+				teamName: team.name,
+				code: team.code,
+				joinUrl: getJoinUrl(team.code),
+				expiresAt: invite.expiresAt,
+			});
+		} catch (err) {
+			console.error(
+				`Failed to queue the team invite for ${invite.email}:`,
+				err?.message || err
+			);
+		}
+	}
+	return team;
+};
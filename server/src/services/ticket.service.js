@@ -0,0 +1,249 @@
+import mongoose from 'mongoose';
+import Event from '../models/event.model.js';
+import Ticket from '../models/ticket.model.js';
+import Coupon from '../models/coupon.model.js';
+import WaitlistEntry from '../models/waitlist.model.js';
+import Team from '../models/team.model.js';
+import { ApiError } from '../utils/ApiError.js';
+import { issueTicketQR } from './qrcode.service.js';
+import { queueTicketEmail } from './emailQueue.service.js';
+import { TEAM_INVITE_WINDOW_MS, generateTeamCode } from './team.service.js';
+
+// Capacity: respect capacityOverride > 0 else totalSpots (0 = unlimited)
+export const getEffectiveCapacity = (event) =>
+	event.registration?.capacityOverride && event.registration.capacityOverride > 0
+		? event.registration.capacityOverride
+		: event.totalSpots || 0;
+
+/**
+ * Places taken at an event: active tickets plus waitlist offers and team invites that are still
+ * being held. `excludeEntryId` / `excludeInviteId` leave out the offer or invite of the person
+ * using it.
+ */
+export const countTakenSpots = async (
+	eventId,
+	{ session, excludeEntryId, excludeInviteId } = {}
+) => {
+	const now = new Date();
+	const [sold, held, invited] = await Promise.all([
+		Ticket.countDocuments({ eventId, status: { $ne: 'cancelled' } }).session(session || null),
+		WaitlistEntry.countDocuments({
+			eventId,
+			status: 'offered',
+			offerExpiresAt: { $gt: now },
+			...(excludeEntryId && { _id: { $ne: excludeEntryId } }),
+		}).session(session || null),
+		Team.aggregate([
+			{ $match: { eventId: new mongoose.Types.ObjectId(String(eventId)) } },
+			{ $unwind: '$invites' },
+			{
+				$match: {
+					'invites.status': 'pending',
+					'invites.expiresAt': { $gt: now },
+					...(excludeInviteId && {
+						'invites._id': {
+							$ne: new mongoose.Types.ObjectId(String(excludeInviteId)),
+						},
+					}),
+				},
+			},
+			{ $count: 'count' },
+		]).session(session || null),
+	]);
+	return sold + held + (invited[0]?.count || 0);
+};
+
+/**
+ * Create a ticket for an attendee inside a transaction so concurrent registrations cannot
+ * overbook the event. Links the ticket to `event.tickets`. When `couponCode` is given the coupon
+ * is redeemed in the same transaction, so a use is only counted if the ticket is issued. When
+ * `waitlistEntryId` is given the ticket claims that waitlist offer (its held place is used).
+ *
+ * Team events: `createTeam` ({ name, invites: [{ email, lpuId }] }) makes the attendee the leader
+ * of a new team and needs places for the whole team; `teamInvite` ({ teamId, inviteId }) joins an
+ * existing team on the place its invite holds.
+ *
+ * `answers` are the attendee's validated answers to the event's registration fields (see
+ * validateAnswers).
+ *
+ * @throws {ApiError} 404 when the event is missing, 400 when it is full or the coupon is used up,
+ *   409 on duplicate email/LPU ID or team name.
+ */
+export const reserveTicket = async (
+	eventId,
+	attendee,
+	{ paymentDetails, couponCode, waitlistEntryId, createTeam, teamInvite, answers } = {}
+) => {
+	const session = await mongoose.startSession();
+	let createdTicket = null;
+	try {
+		await session.withTransaction(async () => {
+			// Re-load event inside transaction
+			const ev = await Event.findById(eventId).session(session);
+			if (!ev) throw ApiError.NotFound('Event not found during registration.');
+
+			const seats = 1 + (createTeam?.invites?.length || 0);
+			const effectiveCap = getEffectiveCapacity(ev);
+			if (effectiveCap > 0) {
+				// Active tickets plus places held for other waitlist offers and team invites
+				const taken = await countTakenSpots(ev._id, {
+					session,
+					excludeEntryId: waitlistEntryId,
+					excludeInviteId: teamInvite?.inviteId,
+				});
+				if (taken + seats > effectiveCap) {
+					// The waitlist is for individual registrations only
+					throw ApiError.BadRequest(
+						seats > 1 ? 'Not enough places left for the whole team.' : 'Event is full.',
+						{ waitlist: !createTeam && !teamInvite }
+					);
+				}
+			}
+			const teamId = createTeam ? new mongoose.Types.ObjectId() : teamInvite?.teamId;
+
+			if (couponCode) {
+				const coupon = await Coupon.redeem(couponCode, { eventId: ev._id, session });
+				if (!coupon) throw ApiError.BadRequest('Coupon is no longer available.');
+			}
+
+			// Build ticket (no user account required)
+			const ticketPayload = {
+				eventId: ev._id,
+				eventName: ev.title || ev.name || 'Event',
+				fullName: String(attendee.fullName).trim(),
+				email: String(attendee.email).toLowerCase().trim(),
+				phone: String(attendee.phone).trim(),
+				lpuId: String(attendee.lpuId).trim(),
+				gender: attendee.gender,
+				course: String(attendee.course).trim(),
+				hosteler: !!attendee.hosteler,
+				hostel: attendee.hosteler ? String(attendee.hostel).trim() : undefined,
+				paymentDetails: paymentDetails || undefined,
+				answers: answers || undefined,
+				team: teamId,
+			};
+
+			// Create ticket within transaction (unique indexes will be enforced)
+			createdTicket = await Ticket.create([ticketPayload], { session }).then((arr) => arr[0]);
+
+			// Link ticket to event.tickets (keeps event document in sync)
+			await Event.findByIdAndUpdate(
+				ev._id,
+				{ $addToSet: { tickets: createdTicket._id } },
+				{ session }
+			);
+
+			if (waitlistEntryId) {
+				// An expired offer can still be claimed if a place is free (e.g. paid just too late)
+				const entry = await WaitlistEntry.findOneAndUpdate(
+					{ _id: waitlistEntryId, status: { $in: ['offered', 'expired'] } },
+					{
+						$set: {
+							status: 'claimed',
+							claimedAt: new Date(),
+							ticket: createdTicket._id,
+						},
+					},
+					{ session }
+				);
+				if (!entry) throw ApiError.BadRequest('This waitlist offer is no longer valid.');
+			}
+
+			if (createTeam) {
+				const expiresAt = new Date(Date.now() + TEAM_INVITE_WINDOW_MS);
+				await Team.create(
+					[
+						{
+							_id: teamId,
+							eventId: ev._id,
+							name: createTeam.name,
+							code: generateTeamCode(),
+							leader: createdTicket._id,
+							invites: createTeam.invites.map((invite) => ({ ...invite, expiresAt })),
+						},
+					],
+					{ session }
+				);
+			}
+
+			if (teamInvite) {
+				const team = await Team.findOneAndUpdate(
+					{
+						_id: teamInvite.teamId,
+						invites: { $elemMatch: { _id: teamInvite.inviteId, status: 'pending' } },
+					},
+					{
+						$set: {
+							'invites.$.status': 'joined',
+							'invites.$.ticket': createdTicket._id,
+							'invites.$.joinedAt': new Date(),
+						},
+					},
+					{ session }
+				);
+				if (!team) throw ApiError.BadRequest('This team invite is no longer valid.');
+			}
+		});
+	} catch (err) {
+		// Translate duplicate key into friendly message
+		if (err && err.code === 11000 && err.keyValue && 'name' in err.keyValue) {
+			throw ApiError.Conflict('A team with this name is already registered for this event.');
+		}
+		if (err && err.code === 11000) {
+			throw ApiError.Conflict(
+				'You have already registered for this event with this Email or LPU ID.',
+				{ detail: err.keyValue || null }
+			);
+		}
+		throw err;
+	} finally {
+		session.endSession();
+	}
+	return createdTicket;
+};
+
+// Post-registration side effects (QR + email) — run outside the transaction and best-effort.
+// The email goes through the email queue, which retries it and keeps emailStatus up to date;
+// a QR code that cannot be saved now is issued when the email is sent.
+export const deliverTicket = async (ticket) => {
+	try {
+		issueTicketQR(ticket);
+		await Ticket.findByIdAndUpdate(
+			ticket._id,
+			{ qrCode: ticket.qrCode, qrIssuedAt: ticket.qrIssuedAt },
+			{ runValidators: true }
+		);
+	} catch (qrError) {
+		console.error('Ticket QR issue failed', qrError?.message || qrError);
+	}
+
+	try {
+		await queueTicketEmail(ticket);
+		ticket.emailStatus = 'pending';
+	} catch (queueError) {
+		console.error('Failed to queue the ticket email', queueError?.message || queueError);
+		ticket.emailStatus = 'failed';
+		await Ticket.updateOne({ _id: ticket._id }, { $set: { emailStatus: 'failed' } }).catch(
+			() => {}
+		);
+	}
+	return ticket;
+};
+
+/**
+ * Cancel a ticket and give its place back: cancelled tickets do not count towards capacity, and
+ * the ticket is unlinked from `event.tickets`.
+ *
+ * @throws {ApiError} 409 when the ticket is already cancelled.
+ */
+export const cancelTicket = async (ticket, { reason } = {}) => {
+	const cancelled = await Ticket.findOneAndUpdate(
+		{ _id: ticket._id, status: { $ne: 'cancelled' } },
+		{ $set: { status: 'cancelled', cancelledAt: new Date(), cancellationReason: reason } },
+		{ new: true }
+	);
+	if (!cancelled) throw ApiError.Conflict('Ticket is already cancelled.');
+
+	await Event.findByIdAndUpdate(ticket.eventId, { $pull: { tickets: ticket._id } });
+	return cancelled;
+};
@@ -0,0 +1,153 @@
+import PDFDocument from 'pdfkit';
+import { renderTicketQR } from './qrcode.service.js';
+import { getEventBrand } from './emailTemplate.service.js';
+import { getEventStart } from '../utils/ical.js';
+
+const TIME_ZONE = 'Asia/Kolkata';
+// A5 landscape
+const PAGE = { width: 595.28, height: 419.53 };
+const MARGIN = 32;
+const QR_SIZE = 170;
+
+// The built-in fonts only cover Latin-1; TICKET_PDF_FONT(_BOLD) point at TTF files for other scripts
+const registerFonts = (doc) => {
+	const regular = process.env.TICKET_PDF_FONT;
+	const bold = process.env.TICKET_PDF_FONT_BOLD || regular;
+	if (regular) doc.registerFont('Body', regular);
+	if (bold) doc.registerFont('Heading', bold);
+	return {
+		body: regular ? 'Body' : 'Helvetica',
+		heading: bold ? 'Heading' : 'Helvetica-Bold',
+	};
+};
+
+const formatEventDate = (event) => {
+	const start = getEventStart(event);
+	if (!start) return { date: '', time: '' };
+	return {
+		date: start.toLocaleDateString('en-IN', { timeZone: TIME_ZONE, dateStyle: 'full' }),
+		time:
+			event.eventTime ||
+			start.toLocaleTimeString('en-IN', {
+				timeZone: TIME_ZONE,
+				hour: 'numeric',
+				minute: '2-digit',
+			}),
+	};
+};
+
+const toBuffer = (doc) =>
+	new Promise((resolve, reject) => {
+		const chunks = [];
+		doc.on('data', (chunk) => chunks.push(chunk));
+		doc.on('end', () => resolve(Buffer.concat(chunks)));
+		doc.on('error', reject);
+		doc.end();
+	});
+
+/**
+ * Render a printable PDF ticket: brand header, event details, attendee and the ticket's signed QR
+ * code. Everything is drawn locally, so it works without Cloudinary or network access.
+ *
+ * @param {Ticket} ticket
+ * @param {Object} event The ticket's event (title, eventDate, eventTime, venue, room).
+ * @returns {Promise<Buffer>}
+ */
+export const renderTicketPdf = async (ticket, event) => {
+	const [brand, qrPng] = await Promise.all([
+		getEventBrand(event?._id),
+		renderTicketQR(ticket, { width: 480 }),
+	]);
+	const { date, time } = formatEventDate(event);
+
+	const doc = new PDFDocument({
+		size: [PAGE.width, PAGE.height],
+		margin: 0,
+		info: {
+			Title: `${event?.title || ticket.eventName} - ${ticket.ticketId}`,
+			Author: brand.name,
+			Subject: 'Event ticket',
+		},
+	});
+	const fonts = registerFonts(doc);
+
+	// Header band
+	doc.rect(0, 0, PAGE.width, 64).fill(brand.primaryColor);
+	doc.fillColor('#ffffff')
+		.font(fonts.heading)
+		.fontSize(18)
+		.text(brand.name, MARGIN, 22, { width: PAGE.width - 2 * MARGIN - 120, lineBreak: false });
+	doc.font(fonts.body)
+		.fontSize(10)
+		.text('EVENT TICKET', PAGE.width - MARGIN - 120, 27, { width: 120, align: 'right' });
+
+	// Event and attendee details
+	const detailsWidth = PAGE.width - 3 * MARGIN - QR_SIZE;
+	doc.fillColor('#18181b')
+		.font(fonts.heading)
+		.fontSize(20)
+		.text(event?.title || ticket.eventName || 'Event', MARGIN, 88, {
+			width: detailsWidth,
+			height: 54,
+			ellipsis: true,
+		});
+
+	let y = Math.max(doc.y + 12, 130);
+	const rows = [
+		['Date', date],
+		['Time', time],
+		['Venue', [event?.venue, event?.room].filter(Boolean).join(', ')],
+		['Attendee', ticket.fullName],
+		['LPU ID', ticket.lpuId],
+	].filter(([, value]) => value);
+	for (const [label, value] of rows) {
+		doc.fillColor('#71717a').font(fonts.body).fontSize(9).text(label.toUpperCase(), MARGIN, y);
+		doc.fillColor('#18181b')
+			.font(fonts.heading)
+			.fontSize(12)
+			.text(value, MARGIN, y + 11, { width: detailsWidth, lineBreak: false, ellipsis: true });
+		y += 34;
+	}
+
+	// QR code with the ticket ID under it
+	const qrX = PAGE.width - MARGIN - QR_SIZE;
+	const qrY = 96;
+	doc.roundedRect(qrX - 6, qrY - 6, QR_SIZE + 12, QR_SIZE + 12, 8)
+		.lineWidth(1)
+		.stroke('#e4e4e7');
+	doc.image(qrPng, qrX, qrY, { width: QR_SIZE, height: QR_SIZE });
+	doc.fillColor('#18181b')
+		.font('Courier-Bold')
+		.fontSize(11)
+		.text(ticket.ticketId, qrX - 6, qrY + QR_SIZE + 14, {
+			width: QR_SIZE + 12,
+			align: 'center',
+		});
+	doc.fillColor('#71717a')
+		.font(fonts.body)
+		.fontSize(9)
+		.text('Show this code at the entry', qrX - 6, qrY + QR_SIZE + 30, {
+			width: QR_SIZE + 12,
+			align: 'center',
+		});
+
+	// Footer
+	doc.moveTo(MARGIN, PAGE.height - 44)
+		.lineTo(PAGE.width - MARGIN, PAGE.height - 44)
+		.lineWidth(0.5)
+		.stroke('#e4e4e7');
+	doc.fillColor('#71717a')
+		.font(fonts.body)
+		.fontSize(8)
+		.text(
+			brand.footer || 'This ticket admits one person and is valid only for the event above.',
+			MARGIN,
+			PAGE.height - 34,
+			{ width: PAGE.width - 2 * MARGIN, align: 'center', lineBreak: false, ellipsis: true }
+		);
+
+	return toBuffer(doc);
+};
+
+// File name of a ticket's PDF
+export const ticketPdfFilename = (ticket) => `${ticket.ticketId}.pdf`;
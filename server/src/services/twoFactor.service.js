@@ -0,0 +1,344 @@
+import crypto from 'crypto';
+import jwt from 'jsonwebtoken';
+import QRCode from 'qrcode';
+import { ApiError } from '../utils/ApiError.js';
+import { generateTotpSecret, provisioningUri, verifyTotp } from '../utils/totp.js';
+import { TWO_FACTOR_FIELDS } from '../models/twoFactor.schema.js';
+
+const ISSUER = process.env.TWO_FACTOR_ISSUER || 'Syntax Club';
+const RECOVERY_CODE_COUNT = 10;
+// Time between the password step and the code step of a sign-in
+const CHALLENGE_TTL = '5m';
+const CHALLENGE_AUDIENCE = 'two-factor-login';
+// Wrong codes allowed in a row before the code step locks for a while
+const MAX_FAILED_ATTEMPTS = 5;
+const LOCK_MINUTES = 15;
+
+const keyMaterial = () => {
+	const secret = process.env.TWO_FACTOR_SECRET || process.env.ACCESS_TOKEN_SECRET;
+	if (!secret) throw new ApiError(500, 'TWO_FACTOR_SECRET is not configured');
+	return secret;
+};
+
+// Authenticator secrets are encrypted at rest (AES-256-GCM), so a database dump alone can't mint codes
+const encryptionKey = () =>
+	crypto.createHash('sha256').update(`two-factor:${keyMaterial()}`).digest();
+
+const sealSecret = (secret) => {
+	const iv = crypto.randomBytes(12);
+	const cipher = crypto.createCipheriv('aes-256-gcm', encryptionKey(), iv);
+	const data = Buffer.concat([cipher.update(secret, 'utf8'), cipher.final()]);
+	return [iv, cipher.getAuthTag(), data].map((part) => part.toString('base64')).join('.');
+};
+
+const openSecret = (sealed) => {
+	const [iv, tag, data] = String(sealed)
+		.split('.')
+		.map((part) => Buffer.from(part, 'base64'));
+	const decipher = crypto.createDecipheriv('aes-256-gcm', encryptionKey(), iv);
+	decipher.setAuthTag(tag);
+	return Buffer.concat([decipher.update(data), decipher.final()]).toString('utf8');
+};
+
+const normalizeRecoveryCode = (code) =>
+	String(code || '')
+		.toLowerCase()
+		.replace(/[^a-z0-9]/g, '');
+
+const hashRecoveryCode = (code) =>
+	crypto.createHash('sha256').update(normalizeRecoveryCode(code)).digest('hex');
+
+// Ten single-use codes like `3f9a1-c27be`; only their hashes are kept
+const generateRecoveryCodes = () =>
+	Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+		const code = crypto.randomBytes(5).toString('hex');
+		return `${code.slice(0, 5)}-${code.slice(5)}`;
+	});
+
+/**
+ * Who can turn on 2FA: every admin, and members holding a leadership designation.
+ * @param {{ role: string, isLeader?: boolean }} account Admin or Member document
+ */
+export const twoFactorApplies = (account) =>
+	account?.role === 'admin' || (account?.role === 'member' && !!account.isLeader);
+
+/**
+ * Whether the account must use 2FA to sign in. Off until REQUIRE_TWO_FACTOR=true, so everyone can
+ * enroll first; from then on accounts without it have to set it up at their next sign-in.
+ */
+export const twoFactorRequired = (account) =>
+	process.env.REQUIRE_TWO_FACTOR === 'true' && twoFactorApplies(account);
+
+// The account again, with its hidden 2FA fields
+const withSecrets = (account) =>
+	account.constructor.findById(account._id).select(TWO_FACTOR_FIELDS);
+
+const accountLabel = (account) =>
+	account.role === 'admin' ? account.fullname : account.email || account.LpuId;
+
+/**
+ * Summary for the account's security settings.
+ * @returns {Promise<{ enabled: boolean, enabledAt: Date|null, required: boolean, available: boolean, recoveryCodesLeft: number }>}
+ */
+export const getTwoFactorStatus = async (account) => {
+	const current = await withSecrets(account);
+	return {
+		enabled: !!current.twoFactor?.enabled,
+		enabledAt: current.twoFactor?.enabledAt || null,
+		required: twoFactorRequired(current),
+		available: twoFactorApplies(current),
+		recoveryCodesLeft: current.twoFactor?.enabled
+			? current.twoFactor.recoveryCodes?.length || 0
+			: 0,
+	};
+};
+
+/**
+ * Start setting up an authenticator app: a new secret, as text and as a QR code. It only takes
+ * effect once `confirmEnrollment` gets a code generated from it.
+ *
+ * @returns {Promise<{ secret: string, otpauthUrl: string, qrCode: string }>} qrCode is a PNG data URL
+ * @throws {ApiError} 403 when 2FA isn't offered to the account, 409 when it is already on.
+ */
+export const startEnrollment = async (account) => {
+	if (!twoFactorApplies(account)) {
+		throw ApiError.Forbidden('Two-factor authentication is available to admins and leaders.');
+	}
+	if (account.twoFactor?.enabled) {
+		throw ApiError.Conflict('Two-factor authentication is already on.');
+	}
+
+	const secret = generateTotpSecret();
+	const otpauthUrl = provisioningUri({ secret, account: accountLabel(account), issuer: ISSUER });
+	await account.constructor.updateOne(
+		{ _id: account._id },
+		{ $set: { 'twoFactor.pendingSecret': sealSecret(secret) } }
+	);
+	return { secret, otpauthUrl, qrCode: await QRCode.toDataURL(otpauthUrl) };
+};
+
+/**
+ * Turn 2FA on with the first code from the app.
+ * @returns {Promise<string[]>} recovery codes, shown to the user once
+ * @throws {ApiError} 400 without a started setup or for a wrong code.
+ */
+export const confirmEnrollment = async (account, code) => {
+	const current = await withSecrets(account);
+	if (current.twoFactor?.enabled) {
+		throw ApiError.Conflict('Two-factor authentication is already on.');
+	}
+	const pending = current.twoFactor?.pendingSecret;
+	if (!pending) throw ApiError.BadRequest('Start the two-factor setup first.');
+
+	const step = verifyTotp(openSecret(pending), code);
+	if (step === null) {
+		throw ApiError.BadRequest(
+			'That code is not right. Check the time on your device and try again.'
+		);
+	}
+
+	const recoveryCodes = generateRecoveryCodes();
+	current.twoFactor = {
+		enabled: true,
+		enabledAt: new Date(),
+		secret: pending,
+		pendingSecret: undefined,
+		recoveryCodes: recoveryCodes.map(hashRecoveryCode),
+		lastStep: step,
+	};
+	await current.save({ validateBeforeSave: false });
+	return recoveryCodes;
+};
+
+const claimRecoveryCode = async (account, recoveryCode) => {
+	const hash = hashRecoveryCode(recoveryCode);
+	const { modifiedCount } = await account.constructor.updateOne(
+		{ _id: account._id, 'twoFactor.recoveryCodes': hash },
+		{ $pull: { 'twoFactor.recoveryCodes': hash } }
+	);
+	return modifiedCount > 0;
+};
+
+const claimTotpStep = async (account, code) => {
+	const { secret, lastStep } = account.twoFactor;
+	const step = verifyTotp(openSecret(secret), code, { lastStep });
+	if (step === null) return false;
+	const { modifiedCount } = await account.constructor.updateOne(
+		{
+			_id: account._id,
+			$or: [{ 'twoFactor.lastStep': null }, { 'twoFactor.lastStep': { $lt: step } }],
+		},
+		{ $set: { 'twoFactor.lastStep': step } }
+	);
+	return modifiedCount > 0;
+};
+
+// Count an attempt before the code is checked, so parallel guesses can't get past the limit. The
+// attempt that uses up the limit also sets the lock, and an expired lock starts a fresh count.
+// False when the limit is used up.
+const countAttempt = async (account) => {
+	const Model = account.constructor;
+	const now = new Date();
+	await Model.updateOne(
+		{ _id: account._id, 'twoFactor.lockedUntil': { $lte: now } },
+		{ $set: { 'twoFactor.failedAttempts': 0, 'twoFactor.lockedUntil': null } }
+	);
+	const attempts = { $add: [{ $ifNull: ['$twoFactor.failedAttempts', 0] }, 1] };
+	const { modifiedCount } = await Model.updateOne(
+		{ _id: account._id, 'twoFactor.failedAttempts': { $not: { $gte: MAX_FAILED_ATTEMPTS } } },
+		[
+			{
+				$set: {
+					'twoFactor.failedAttempts': attempts,
+					'twoFactor.lockedUntil': {
+						$cond: [
+							{ $gte: [attempts, MAX_FAILED_ATTEMPTS] },
+							new Date(now.getTime() + LOCK_MINUTES * 60 * 1000),
+							null,
+						],
+					},
+				},
+			},
+		]
+	);
+	return modifiedCount > 0;
+};
+
+/**
+ * Check the second factor: a code from the app, or one of the recovery codes, which is used up.
+ * Both are claimed atomically, so the same code can't get two requests through. Every attempt is
+ * counted before the check and a correct code clears the count; after MAX_FAILED_ATTEMPTS wrong
+ * codes in a row the check is locked for LOCK_MINUTES.
+ *
+ * @param {{ code?: string, recoveryCode?: string }} proof
+ * @returns {Promise<{ usedRecoveryCode: boolean }>}
+ * @throws {ApiError} 401 when neither matches, 429 while locked.
+ */
+export const verifySecondFactor = async (account, { code, recoveryCode } = {}) => {
+	const current = await withSecrets(account);
+	if (!current.twoFactor?.enabled) {
+		throw ApiError.BadRequest('Two-factor authentication is not on for this account.');
+	}
+	if (current.twoFactor.lockedUntil > new Date() || !(await countAttempt(current))) {
+		throw new ApiError(429, 'Too many wrong codes. Please try again in a few minutes.');
+	}
+
+	const matched = recoveryCode
+		? await claimRecoveryCode(current, recoveryCode)
+		: await claimTotpStep(current, code);
+	if (!matched) {
+		throw ApiError.Unauthorized(
+			recoveryCode ? 'Invalid or already used recovery code.' : 'Invalid authentication code.'
+		);
+	}
+
+	await current.constructor.updateOne(
+		{ _id: current._id },
+		{ $set: { 'twoFactor.failedAttempts': 0, 'twoFactor.lockedUntil': null } }
+	);
+	return { usedRecoveryCode: !!recoveryCode };
+};
+
+/**
+ * Turn 2FA off after checking a code. Not possible while it is required for the account.
+ * @throws {ApiError} 403 when 2FA is required.
+ */
+export const disableTwoFactor = async (account, proof) => {
+	if (twoFactorRequired(account)) {
+		throw ApiError.Forbidden('Two-factor authentication is required for your account.');
+	}
+	await verifySecondFactor(account, proof);
+	await resetTwoFactor(account);
+};
+
+/**
+ * Clear an account's 2FA without a code, for an admin helping someone who lost their device.
+ * If it is required, the account sets it up again at its next sign-in.
+ */
+export const resetTwoFactor = (account) =>
+	account.constructor.updateOne(
+		{ _id: account._id },
+		{
+			$set: { 'twoFactor.enabled': false, 'twoFactor.enabledAt': null },
+			$unset: {
+				'twoFactor.secret': 1,
+				'twoFactor.pendingSecret': 1,
+				'twoFactor.recoveryCodes': 1,
+				'twoFactor.lastStep': 1,
+				'twoFactor.failedAttempts': 1,
+				'twoFactor.lockedUntil': 1,
+			},
+		}
+	);
+
+/**
+ * Replace the recovery codes after checking a code from the app; the old ones stop working.
+ * @returns {Promise<string[]>}
+ */
+export const regenerateRecoveryCodes = async (account, code) => {
+	await verifySecondFactor(account, { code });
+	const recoveryCodes = generateRecoveryCodes();
+	await account.constructor.updateOne(
+		{ _id: account._id },
+		{ $set: { 'twoFactor.recoveryCodes': recoveryCodes.map(hashRecoveryCode) } }
+	);
+	return recoveryCodes;
+};
+
+/**
+ * What a sign-in needs after the password checked out. Null when tokens can be issued right away;
+ * otherwise a short-lived challenge token for the code step, and whether the account first has
+ * to set up 2FA.
+ *
+ * The token has no `id`/`role` claims, so it is never taken for an access token.
+ * @returns {null | { twoFactorRequired: true, challengeToken: string } | { twoFactorSetupRequired: true, challengeToken: string }}
+ */
+export const startTwoFactorLogin = (account) => {
+	const enabled = !!account.twoFactor?.enabled;
+	if (!enabled && !twoFactorRequired(account)) return null;
+
+	const purpose = enabled ? 'verify' : 'setup';
+	const challengeToken = jwt.sign(
+		{ sub: String(account._id), kind: account.role, purpose },
+		keyMaterial(),
+		{ audience: CHALLENGE_AUDIENCE, expiresIn: CHALLENGE_TTL }
+	);
+	return enabled
+		? { twoFactorRequired: true, challengeToken }
+		: { twoFactorSetupRequired: true, challengeToken };
+};
+
+/**
+ * Finish the code step of a sign-in. For a 'setup' challenge the code confirms the new
+ * authenticator and the recovery codes come back, to show once.
+ * @returns {Promise<{ recoveryCodes?: string[] }>}
+ */
+export const completeTwoFactorLogin = async (account, purpose, { code, recoveryCode } = {}) => {
+	if (purpose === 'setup') return { recoveryCodes: await confirmEnrollment(account, code) };
+	await verifySecondFactor(account, { code, recoveryCode });
+	return {};
+};
+
+/**
+ * The account a sign-in challenge was issued to.
+ * @param {import('mongoose').Model} Model Admin or Member
+ * @param {string} challengeToken
+ * @returns {Promise<{ account: object, purpose: 'verify'|'setup' }>}
+ * @throws {ApiError} 401 when the token is invalid or expired.
+ */
+export const readLoginChallenge = async (Model, challengeToken) => {
+	let decoded;
+	try {
+		decoded = jwt.verify(String(challengeToken || ''), keyMaterial(), {
+			audience: CHALLENGE_AUDIENCE,
+		});
+	} catch {
+		throw ApiError.Unauthorized('Your sign-in has expired. Please log in again.');
+	}
+
+	const account = await Model.findById(decoded.sub);
+	if (!account || account.role !== decoded.kind) {
+		throw ApiError.Unauthorized('Your sign-in has expired. Please log in again.');
+	}
+	return { account, purpose: decoded.purpose };
+};
@@ -0,0 +1,244 @@
+import crypto from 'crypto';
+import Event from '../models/event.model.js';
+import Ticket from '../models/ticket.model.js';
+import WaitlistEntry from '../models/waitlist.model.js';
+import { ApiError } from '../utils/ApiError.js';
+import {
+	getEffectiveCapacity,
+	countTakenSpots,
+	reserveTicket,
+	deliverTicket,
+} from './ticket.service.js';
+import { queueEmail } from './emailQueue.service.js';
+import { isTeamEvent } from './team.service.js';
+import { validateAnswers } from './registrationForm.service.js';
+
+// How long an offered place is held before it moves down the queue
+const CLAIM_WINDOW_MS = (Number(process.env.WAITLIST_CLAIM_HOURS) || 24) * 60 * 60 * 1000;
+const SWEEP_INTERVAL_MS = 60 * 1000;
+
+// Entries still in the queue (not claimed, expired or removed)
+export const ACTIVE_WAITLIST_STATUSES = ['waiting', 'offered'];
+
+const hashToken = (token) => crypto.createHash('sha256').update(String(token)).digest('hex');
+
+const getClaimUrl = (token) => {
+	const base =
+		process.env.WAITLIST_CLAIM_URL ||
+		`${process.env.FRONTEND_URL || 'http://localhost:5173'}/waitlist/claim`;
+	return `${base}/${token}`;
+};
+
+/**
+ * Queue an attendee for a full event.
+ * @returns {Promise<{ entry: Object, ahead: number }>} The entry and how many people are before it.
+ * @throws {ApiError} 400 when the event still has places or takes teams, 409 when already
+ *   registered or queued, 422 for invalid registration answers.
+ */
+export const joinWaitlist = async (eventId, attendee) => {
+	const event = await Event.findById(eventId);
+	if (!event) throw ApiError.NotFound('The specified event does not exist.');
+	if (event.registration?.mode !== 'internal' || !event.isRegistrationOpen) {
+		throw ApiError.BadRequest('Registration is currently not open.');
+	}
+	if (isTeamEvent(event)) {
+		throw ApiError.BadRequest('Team events do not have a waitlist.');
+	}
+
+	const answers = validateAnswers(event, attendee.answers);
+
+	const capacity = getEffectiveCapacity(event);
+	if (!capacity || (await countTakenSpots(event._id)) < capacity) {
+		throw ApiError.BadRequest('This event still has places. Register directly.');
+	}
+
+	const email = String(attendee.email).toLowerCase().trim();
+	const lpuId = String(attendee.lpuId).trim();
+	const identity = { $or: [{ email }, { lpuId }] };
+
+	if (await Ticket.exists({ eventId: event._id, ...identity })) {
+		throw ApiError.Conflict(
+			'You have already registered for this event with this Email or LPU ID.'
+		);
+	}
+	if (
+		await WaitlistEntry.exists({
+			eventId: event._id,
+			status: { $in: ACTIVE_WAITLIST_STATUSES },
+			...identity,
+		})
+	) {
+		throw ApiError.Conflict('You are already on the waitlist for this event.');
+	}
+
+	const last = await WaitlistEntry.findOne({ eventId: event._id })
+		.sort({ position: -1 })
+		.select('position')
+		.lean();
+
+	const entry = await WaitlistEntry.create({
+		eventId: event._id,
+		fullName: attendee.fullName,
+		email,
+		phone: attendee.phone,
+		lpuId,
+		gender: attendee.gender,
+		course: attendee.course,
+		hosteler: !!attendee.hosteler,
+		hostel: attendee.hosteler ? attendee.hostel : undefined,
+		club: attendee.club,
+		answers,
+		position: (last?.position || 0) + 1,
+	});
+
+	const ahead = await WaitlistEntry.countDocuments({
+		eventId: event._id,
+		status: { $in: ACTIVE_WAITLIST_STATUSES },
+		position: { $lt: entry.position },
+	});
+	return { entry, ahead };
+};
+
+/**
+ * Offer every free place of an event to the next people in the queue. Each offer holds the
+ * place (see countTakenSpots) and emails a claim link valid for WAITLIST_CLAIM_HOURS.
+ * @returns {Promise<Object[]>} The entries that received an offer.
+ */
+export const offerOpenSpots = async (eventId) => {
+	const event = await Event.findById(eventId).select('title totalSpots registration');
+	if (!event) return [];
+
+	const capacity = getEffectiveCapacity(event);
+	const offers = [];
+	for (;;) {
+		if (capacity > 0 && (await countTakenSpots(event._id)) >= capacity) break;
+
+		const token = crypto.randomBytes(32).toString('hex');
+		const offeredAt = new Date();
+		const entry = await WaitlistEntry.findOneAndUpdate(
+			{ eventId: event._id, status: 'waiting' },
+			{
+				$set: {
+					status: 'offered',
+					offerTokenHash: hashToken(token),
+					offeredAt,
+					offerExpiresAt: new Date(offeredAt.getTime() + CLAIM_WINDOW_MS),
+				},
+			},
+			{ sort: { position: 1, createdAt: 1 }, new: true }
+		);
+		if (!entry) break;
+
+		try {
+			await queueEmail('waitlistOffer', entry.email, {
+				eventId: event._id,
+				eventName: event.title,
+				name: entry.fullName,
+				claimUrl: getClaimUrl(token),
+				expiresAt: entry.offerExpiresAt,
+			});
+		} catch (err) {
+			// The offer still stands; admins can see it in the waitlist
+			console.error(
+				`Failed to queue the waitlist offer for ${entry.email}:`,
+				err?.message || err
+			);
+		}
+		offers.push(entry);
+	}
+	return offers;
+};
+
+// Fire-and-forget variant for request handlers that free a place (cancellations, capacity changes)
+export const releaseSpotsToWaitlist = (eventId) => {
+	offerOpenSpots(eventId).catch((err) =>
+		console.error(`Waitlist offers failed for event ${eventId}:`, err?.message || err)
+	);
+};
+
+/**
+ * Look up the offer behind a claim link.
+ * @throws {ApiError} 404 for unknown links, 409 when already claimed, 410 when expired.
+ */
+export const getActiveOffer = async (token) => {
+	const entry = await WaitlistEntry.findOne({ offerTokenHash: hashToken(token) });
+	if (!entry || !['offered', 'expired', 'claimed'].includes(entry.status)) {
+		throw ApiError.NotFound('This waitlist offer does not exist.');
+	}
+	if (entry.status === 'claimed') {
+		throw ApiError.Conflict('This waitlist offer has already been claimed.');
+	}
+	if (entry.status === 'expired' || entry.offerExpiresAt <= new Date()) {
+		throw new ApiError(410, 'This waitlist offer has expired.');
+	}
+	return entry;
+};
+
+/**
+ * Claim a free event's offer: issue the ticket on the held place. Paid events are claimed through
+ * the payment order instead (`waitlistToken`).
+ */
+export const claimWaitlistOffer = async (token) => {
+	const entry = await getActiveOffer(token);
+	const event = await Event.findById(entry.eventId);
+	if (!event) throw ApiError.NotFound('The specified event does not exist.');
+	if (event.ticketPrice > 0) {
+		throw ApiError.BadRequest('This event requires payment. Complete checkout to claim it.', {
+			requiresPayment: true,
+		});
+	}
+
+	let ticket;
+	try {
+		ticket = await reserveTicket(entry.eventId, entry, {
+			waitlistEntryId: entry._id,
+			answers: entry.answers,
+		});
+	} catch (err) {
+		if (err?.details?.waitlist) {
+			// More offers went out than places (e.g. capacity was lowered): back to the queue
+			await WaitlistEntry.updateOne(
+				{ _id: entry._id, status: 'offered' },
+				{ $set: { status: 'waiting' } }
+			);
+			throw ApiError.Conflict(
+				'This place is no longer available. You are back on the waitlist.'
+			);
+		}
+		throw err;
+	}
+
+	await deliverTicket(ticket);
+	return ticket;
+};
+
+// Expire offers whose claim window has passed and offer their places to the next in line
+export const expireWaitlistOffers = async () => {
+	const expired = await WaitlistEntry.find({
+		status: 'offered',
+		offerExpiresAt: { $lte: new Date() },
+	})
+		.select('_id eventId')
+		.lean();
+	if (!expired.length) return 0;
+
+	await WaitlistEntry.updateMany(
+		{ _id: { $in: expired.map((e) => e._id) }, status: 'offered' },
+		{ $set: { status: 'expired' } }
+	);
+	for (const eventId of new Set(expired.map((e) => String(e.eventId)))) {
+		await offerOpenSpots(eventId);
+	}
+	return expired.length;
+};
+
+// Run expireWaitlistOffers every minute; returns the timer so shutdown can clear it
+export const startWaitlistSweep = () => {
+	const timer = setInterval(() => {
+		expireWaitlistOffers().catch((err) =>
+			console.error('Waitlist sweep failed:', err?.message || err)
+		);
+	}, SWEEP_INTERVAL_MS);
+	timer.unref();
+	return timer;
+};
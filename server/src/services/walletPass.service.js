@@ -0,0 +1,148 @@
+import { ApiError } from '../utils/ApiError.js';
+import { getTicketQrPayload } from './qrcode.service.js';
+import { getEventBrand } from './emailTemplate.service.js';
+import { getEventStart } from '../utils/ical.js';
+
+/**
+ * Wallet pass interface. A provider turns the pass description of a ticket into a file for a
+ * wallet app; WALLET_PASS_PROVIDER picks one.
+ *
+ * The built-in `json` provider returns the pass as Apple PassKit style `pass.json` content
+ * (eventTicket style). A signed `.pkpass` bundle or a Google Wallet save link needs the issuer's
+ * certificates or service account, so those are registered by deployments that have them.
+ *
+ * @typedef {Object} TicketPass
+ * @property {string} serialNumber Ticket ID.
+ * @property {string} organizationName
+ * @property {string} description
+ * @property {string} eventTitle
+ * @property {Date|null} startsAt
+ * @property {string} venue
+ * @property {string} attendeeName
+ * @property {string} barcodeMessage Signed QR payload, the same as on the ticket's QR code.
+ * @property {string} backgroundColor
+ * @property {boolean} voided Cancelled tickets.
+ *
+ * @typedef {Object} WalletPassProvider
+ * @property {string} name
+ * @property {string} contentType
+ * @property {string} fileExtension
+ * @property {(pass: TicketPass) => Promise<Buffer|string>} build
+ */
+
+const hexToRgb = (hex) => {
+	const match = /^#?([0-9a-f]{2})([0-9a-f]{2})([0-9a-f]{2})$/i.exec(hex || '');
+	if (!match) return undefined;
+	const [r, g, b] = match.slice(1).map((part) => parseInt(part, 16));
+	return `rgb(${r}, ${g}, ${b})`;
+};
+
+/** @returns {WalletPassProvider} */
+const createJsonProvider = () => ({
+	name: 'json',
+	contentType: 'application/json',
+	fileExtension: 'json',
+	build: async (pass) =>
+		JSON.stringify(
+			{
+				formatVersion: 1,
+				passTypeIdentifier: process.env.WALLET_PASS_TYPE_ID || 'pass.club.syntax.ticket',
+				teamIdentifier: process.env.WALLET_TEAM_ID || undefined,
+				serialNumber: pass.serialNumber,
+				organizationName: pass.organizationName,
+				description: pass.description,
+				backgroundColor: hexToRgb(pass.backgroundColor),
+				foregroundColor: 'rgb(255, 255, 255)',
+				labelColor: 'rgb(255, 255, 255)',
+				relevantDate: pass.startsAt ? pass.startsAt.toISOString() : undefined,
+				voided: pass.voided || undefined,
+				barcodes: [
+					{
+						format: 'PKBarcodeFormatQR',
+						message: pass.barcodeMessage,
+						messageEncoding: 'iso-8859-1',
+						altText: pass.serialNumber,
+					},
+				],
+				eventTicket: {
+					primaryFields: [{ key: 'event', label: 'EVENT', value: pass.eventTitle }],
+					secondaryFields: [
+						{
+							key: 'date',
+							label: 'DATE',
+							value: pass.startsAt ? pass.startsAt.toISOString() : '',
+							dateStyle: 'PKDateStyleMedium',
+							timeStyle: 'PKDateStyleShort',
+						},
+						{ key: 'venue', label: 'VENUE', value: pass.venue },
+					],
+					auxiliaryFields: [
+						{ key: 'attendee', label: 'ATTENDEE', value: pass.attendeeName },
+					],
+					backFields: [{ key: 'ticket', label: 'Ticket', value: pass.serialNumber }],
+				},
+			},
+			null,
+			2
+		),
+});
+
+const PROVIDER_FACTORIES = {
+	json: createJsonProvider,
+};
+
+/**
+ * Make another pass format available as WALLET_PASS_PROVIDER=<name>.
+ * @param {string} name
+ * @param {() => WalletPassProvider} factory
+ */
+export const registerWalletPassProvider = (name, factory) => {
+	PROVIDER_FACTORIES[name] = factory;
+	provider = null;
+};
+
+let provider = null;
+
+/**
+ * The configured provider, created on first use. WALLET_PASS_PROVIDER defaults to json.
+ * @returns {WalletPassProvider}
+ * @throws {ApiError} 500 for an unknown WALLET_PASS_PROVIDER.
+ */
+export const getWalletPassProvider = () => {
+	if (provider) return provider;
+	const name = process.env.WALLET_PASS_PROVIDER || 'json';
+	const factory = PROVIDER_FACTORIES[name];
+	if (!factory) throw ApiError.InternalServerError(`Unknown wallet pass provider: ${name}`);
+	provider = factory();
+	return provider;
+};
+
+/**
+ * Build the wallet pass of a ticket with the configured provider. Works offline: the barcode is
+ * the ticket's signed QR payload, re-created locally.
+ *
+ * @param {Ticket} ticket
+ * @param {Object} event The ticket's event.
+ * @returns {Promise<{ content: Buffer|string, contentType: string, filename: string }>}
+ */
+export const buildTicketPass = async (ticket, event) => {
+	const brand = await getEventBrand(event?._id);
+	const passProvider = getWalletPassProvider();
+	const content = await passProvider.build({
+		serialNumber: ticket.ticketId,
+		organizationName: brand.name,
+		description: `Ticket for ${event?.title || ticket.eventName}`,
+		eventTitle: event?.title || ticket.eventName,
+		startsAt: getEventStart(event),
+		venue: [event?.venue, event?.room].filter(Boolean).join(', '),
+		attendeeName: ticket.fullName,
+		barcodeMessage: getTicketQrPayload(ticket),
+		backgroundColor: brand.primaryColor,
+		voided: ticket.status === 'cancelled',
+	});
+	return {
+		content,
+		contentType: passProvider.contentType,
+		filename: `${ticket.ticketId}.${passProvider.fileExtension}`,
+	};
+};
@@ -1,9 +1,8 @@
 import Ticket from '../models/ticket.model.js';
 import Event from '../models/event.model.js';
 import { v4 as uuidv4 } from 'uuid';
-import { generateTicketQR } from '../services/qrcode.service.js';
+import { issueTicketQR } from '../services/qrcode.service.js';
 import { sendRegistrationEmail } from '../services/email.service.js';
-import { deleteFile } from '../utils/cloudinary.js';
 import {ApiError} from '../utils/ApiError.js';
 
 const generateAndSendTicket = async ({ fullName, email, LpuId, eventId, eventName }) => {
@@ -34,25 +33,11 @@ const generateAndSendTicket = async ({ fullName, email, LpuId, eventId, eventNam
 
     await ticket.save();
 
-    let qrCode;
     try {
-        qrCode = await generateTicketQR(ticket.ticketId);
-
-        if (!qrCode || !qrCode.url || !qrCode.public_id) {
-            throw new Error('Invalid QR code generated');
-        }
-
-        ticket.qrCode = {
-            url: qrCode.url,
-            publicId: qrCode.public_id,
-        };
-
+        issueTicketQR(ticket);
         await ticket.save();
     } catch (qrErr) {
         await Ticket.findByIdAndDelete(ticket._id);
-        if (qrCode?.public_id && qrCode.url) {
-            await deleteFile({ public_id: qrCode.public_id, resource_type: 'image' });
-        }
         throw new ApiError(500, 'Failed to generate QR code for the ticket');
     }
 
@@ -60,9 +45,10 @@ const generateAndSendTicket = async ({ fullName, email, LpuId, eventId, eventNam
         await sendRegistrationEmail({
             to: email,
             name: fullName,
-            eventName: event.name,
-            eventDate: event.date,
-            qrUrl: qrCode.url,
+            eventId: event._id,
+            eventName: event.title || eventName,
+            ticketId: ticket.ticketId,
+            qrUrl: ticket.qrCode.url,
         });
     } catch (emailErr) {
         console.error('Error sending registration email:', emailErr);
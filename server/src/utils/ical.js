@@ -0,0 +1,139 @@
+// Events are scheduled in India time; eventTime is a wall-clock HH:MM there
+const IST_OFFSET_MS = (5 * 60 + 30) * 60 * 1000;
+// Length of events without a durationMinutes
+export const DEFAULT_EVENT_DURATION_MINUTES = 120;
+
+// Start of an event: the date of eventDate combined with eventTime when one is set
+export const getEventStart = (event) => {
+	if (!event?.eventDate) return null;
+	const date = new Date(event.eventDate);
+	const match = /^(\d{1,2}):(\d{2})$/.exec(event.eventTime || '');
+	if (!match) return date;
+	const day = new Date(date.getTime() + IST_OFFSET_MS).toISOString().slice(0, 10);
+	return new Date(`${day}T${match[1].padStart(2, '0')}:${match[2]}:00+05:30`);
+};
+
+// End of an event: its start plus durationMinutes (2 hours when not set), or the end of its last
+// session when that is later
+export const getEventEnd = (event) => {
+	const start = getEventStart(event);
+	if (!start) return null;
+	const minutes =
+		event.durationMinutes > 0 ? event.durationMinutes : DEFAULT_EVENT_DURATION_MINUTES;
+	const sessionEnds = (event.sessions || [])
+		.map((session) => new Date(session.end).getTime())
+		.filter((time) => !Number.isNaN(time));
+	return new Date(Math.max(start.getTime() + minutes * 60 * 1000, ...sessionEnds));
+};
+
+// 20250101T093000Z
+const formatUtc = (value) =>
+	new Date(value)
+		.toISOString()
+		.replace(/[-:]/g, '')
+		.replace(/\.\d{3}/, '');
+
+// 20250101, the day in India time
+const formatDate = (value) =>
+	new Date(new Date(value).getTime() + IST_OFFSET_MS)
+		.toISOString()
+		.slice(0, 10)
+		.replace(/-/g, '');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const escapeText = (value) =>
+	String(value ?? '')
+		.replace(/\\/g, '\\\\')
+		.replace(/\r?\n/g, '\\n')
+		.replace(/([,;])/g, '\\$1');
+
+// Lines longer than 75 octets are folded onto continuation lines starting with a space
+const foldLine = (line) => {
+	const parts = [];
+	let current = '';
+	for (const char of line) {
+		const limit = parts.length ? 74 : 75;
+		if (Buffer.byteLength(current + char) > limit) {
+			parts.push(current);
+			current = '';
+		}
+		current += char;
+	}
+	parts.push(current);
+	return parts.join('\r\n ');
+};
+
+/**
+ * @typedef {Object} CalendarEntry
+ * @property {string} uid Stable across exports so calendar apps update instead of duplicating.
+ * @property {Date} start
+ * @property {Date} end
+ * @property {string} title
+ * @property {string} [description]
+ * @property {string} [location]
+ * @property {string} [url]
+ * @property {boolean} [cancelled]
+ * @property {boolean} [allDay] Whole days from the day of `start` to the day of `end` (inclusive).
+ */
+
+/**
+ * Build an iCalendar (RFC 5545) document.
+ * @param {CalendarEntry[]} entries
+ * @param {{ name?: string, refreshHours?: number }} [options] `name` is shown by calendar apps
+ *   for subscribed feeds; `refreshHours` asks them to poll the feed that often.
+ * @returns {string}
+ */
+export const buildCalendar = (entries, { name, refreshHours } = {}) => {
+	const now = formatUtc(new Date());
+	const lines = [
+		'BEGIN:VCALENDAR',
+		'VERSION:2.0',
+		'PRODID:-//Syntax Club//Events//EN',
+		'CALSCALE:GREGORIAN',
+		'METHOD:PUBLISH',
+		...(name ? [`X-WR-CALNAME:${escapeText(name)}`] : []),
+		...(refreshHours
+			? [
+					`REFRESH-INTERVAL;VALUE=DURATION:PT${refreshHours}H`,
+					`X-PUBLISHED-TTL:PT${refreshHours}H`,
+				]
+			: []),
+	];
+	for (const entry of entries) {
+		lines.push(
+			'BEGIN:VEVENT',
+			`UID:${entry.uid}`,
+			`DTSTAMP:${now}`,
+			...(entry.allDay
+				? [
+						`DTSTART;VALUE=DATE:${formatDate(entry.start)}`,
+						// DTEND of a date is exclusive
+						`DTEND;VALUE=DATE:${formatDate(new Date(entry.end).getTime() + DAY_MS)}`,
+					]
+				: [`DTSTART:${formatUtc(entry.start)}`, `DTEND:${formatUtc(entry.end)}`]),
+			`SUMMARY:${escapeText(entry.title)}`
+		);
+		if (entry.description) lines.push(`DESCRIPTION:${escapeText(entry.description)}`);
+		if (entry.location) lines.push(`LOCATION:${escapeText(entry.location)}`);
+		if (entry.url) lines.push(`URL:${entry.url}`);
+		lines.push(`STATUS:${entry.cancelled ? 'CANCELLED' : 'CONFIRMED'}`, 'END:VEVENT');
+	}
+	lines.push('END:VCALENDAR');
+	return lines.map(foldLine).join('\r\n') + '\r\n';
+};
+
+// "Add to Google Calendar" link for one entry
+export const googleCalendarUrl = (entry) => {
+	const params = new URLSearchParams({
+		action: 'TEMPLATE',
+		text: entry.title,
+		dates: entry.allDay
+			? `${formatDate(entry.start)}/${formatDate(new Date(entry.end).getTime() + DAY_MS)}`
+			: `${formatUtc(entry.start)}/${formatUtc(entry.end)}`,
+	});
+	if (entry.description) params.set('details', entry.description);
+	if (entry.location) params.set('location', entry.location);
+	if (entry.url) params.set('sprop', `website:${entry.url}`);
+	return `https://calendar.google.com/calendar/render?${params}`;
+};
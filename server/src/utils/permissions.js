@@ -0,0 +1,88 @@
+/**
+ * What admins may do. Every admin route requires one or more permissions (see
+ * `authMiddleware.requirePermission`); admins get them through the named roles assigned to them.
+ */
+export const PERMISSIONS = {
+	'events:read': 'See event registrations, statistics and notification logs',
+	'events:write': 'Create, edit and delete events, their agenda, media and series',
+	'fests:read': 'See fest reports, analytics and exports',
+	'fests:write': 'Create, edit and delete fests and their content',
+	'tickets:read': 'See tickets, teams and waitlists',
+	'tickets:checkin': 'Check in tickets at the door, online and offline',
+	'tickets:manage': 'Cancel, delete and reissue tickets; manage teams and waitlists',
+	'payments:read': 'See orders and transactions',
+	'payments:refund': 'Refund orders and tickets',
+	'coupons:manage': 'Create, edit and delete coupons',
+	'emails:manage': 'See, retry and resend queued emails',
+	'applications:review': 'See and review membership applications',
+	'members:write': 'Register members and edit their profiles',
+	'members:ban': 'Ban, remove and unban members',
+	'contacts:manage': 'Read, answer and delete contact messages',
+	'content:write': 'Publish socials posts and edit email templates',
+	'admins:manage': 'Manage admins and their roles',
+};
+
+/**
+ * Named roles and the permissions they carry. An admin may hold several; their permissions add
+ * up. Super admins have every permission, including ones added later.
+ */
+export const ROLES = {
+	'super-admin': {
+		label: 'Super admin',
+		description: 'Full access, including managing admins',
+		permissions: Object.keys(PERMISSIONS),
+	},
+	'event-manager': {
+		label: 'Event manager',
+		description: 'Runs events and fests: details, tickets, check-in, coupons and emails',
+		permissions: [
+			'events:read',
+			'events:write',
+			'fests:read',
+			'fests:write',
+			'tickets:read',
+			'tickets:checkin',
+			'tickets:manage',
+			'payments:read',
+			'payments:refund',
+			'coupons:manage',
+			'emails:manage',
+		],
+	},
+	'checkin-volunteer': {
+		label: 'Check-in volunteer',
+		description: 'Scans tickets at the door',
+		permissions: ['tickets:read', 'tickets:checkin'],
+	},
+	recruiter: {
+		label: 'Recruiter',
+		description: 'Reviews applications and onboards members',
+		permissions: ['applications:review', 'members:write'],
+	},
+	'content-editor': {
+		label: 'Content editor',
+		description: 'Edits socials posts, email templates, fest pages and contact messages',
+		permissions: ['content:write', 'fests:read', 'fests:write', 'contacts:manage'],
+	},
+};
+
+export const ROLE_NAMES = Object.keys(ROLES);
+
+/**
+ * Permissions the given roles grant together; unknown roles grant nothing.
+ * @param {string[]} [roles]
+ * @returns {string[]}
+ */
+export const permissionsOf = (roles = []) => [
+	...new Set(roles.flatMap((role) => ROLES[role]?.permissions || [])),
+];
+
+/**
+ * Whether an admin holds every one of `permissions`.
+ * @param {{ roles?: string[] }} admin
+ * @param {...string} permissions
+ */
+export const hasPermission = (admin, ...permissions) => {
+	const granted = permissionsOf(admin?.roles);
+	return permissions.every((permission) => granted.includes(permission));
+};
@@ -0,0 +1,104 @@
+import crypto from 'crypto';
+
+/**
+ * Time-based one-time passwords (RFC 6238) as produced by authenticator apps: HMAC-SHA1 over
+ * 30-second steps, 6 digits, with the shared secret exchanged in base32.
+ */
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+const STEP_SECONDS = 30;
+const DIGITS = 6;
+// Steps accepted either side of the current one, for clock drift and slow typing
+const WINDOW = 1;
+
+export const base32Encode = (buffer) => {
+	let bits = 0;
+	let value = 0;
+	let output = '';
+	for (const byte of buffer) {
+		value = (value << 8) | byte;
+		bits += 8;
+		while (bits >= 5) {
+			output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+			bits -= 5;
+		}
+	}
+	if (bits > 0) output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+	return output;
+};
+
+export const base32Decode = (input) => {
+	const clean = String(input)
+		.toUpperCase()
+		.replace(/[\s=-]/g, '');
+	let bits = 0;
+	let value = 0;
+	const bytes = [];
+	for (const char of clean) {
+		const index = BASE32_ALPHABET.indexOf(char);
+		if (index === -1) throw new Error('Invalid base32 secret');
+		value = (value << 5) | index;
+		bits += 5;
+		if (bits >= 8) {
+			bytes.push((value >>> (bits - 8)) & 255);
+			bits -= 8;
+		}
+	}
+	return Buffer.from(bytes);
+};
+
+// New base32 secret for an authenticator app (160 bits, as RFC 4226 recommends)
+export const generateTotpSecret = () => base32Encode(crypto.randomBytes(20));
+
+export const currentStep = (now = Date.now()) => Math.floor(now / 1000 / STEP_SECONDS);
+
+/**
+ * The code for one time step.
+ * @param {string} secret base32 secret
+ * @param {number} step
+ */
+export const totpAt = (secret, step, digits = DIGITS) => {
+	const counter = Buffer.alloc(8);
+	counter.writeBigUInt64BE(BigInt(step));
+	const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(counter).digest();
+	const offset = hmac[hmac.length - 1] & 15;
+	const binary = hmac.readUInt32BE(offset) & 0x7fffffff;
+	return String(binary % 10 ** digits).padStart(digits, '0');
+};
+
+/**
+ * Check a code typed by the user. A code is only good once: pass the step of the last accepted
+ * code as `lastStep` and codes from that step or earlier are refused.
+ *
+ * @param {string} secret base32 secret
+ * @param {string} code
+ * @param {{ lastStep?: number|null, now?: number }} [options]
+ * @returns {number|null} the step the code belongs to, or null when it doesn't match
+ */
+export const verifyTotp = (secret, code, { lastStep = null, now = Date.now() } = {}) => {
+	const token = String(code || '').replace(/\s/g, '');
+	if (!/^\d{6}$/.test(token)) return null;
+	const step = currentStep(now);
+	for (let candidate = step - WINDOW; candidate <= step + WINDOW; candidate++) {
+		if (lastStep != null && candidate <= lastStep) continue;
+		const expected = totpAt(secret, candidate);
+		if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(token))) return candidate;
+	}
+	return null;
+};
+
+/**
+ * otpauth:// URI that authenticator apps read from a QR code.
+ * @param {{ secret: string, account: string, issuer: string }} options
+ */
+export const provisioningUri = ({ secret, account, issuer }) => {
+	const label = encodeURIComponent(`${issuer}:${account}`);
+	const params = new URLSearchParams({
+		secret,
+		issuer,
+		algorithm: 'SHA1',
+		digits: String(DIGITS),
+		period: String(STEP_SECONDS),
+	});
+	return `otpauth://totp/${label}?${params}`;
+};